@@ -0,0 +1,278 @@
+// KrayStakes Discord Bot - Bet Command
+const { SlashCommandBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const {
+  placeBet,
+  getChoiceName,
+  getChoiceOdds,
+  createBetPlacedEmbed,
+  isExactOrderBetType,
+  MAIN_MARKET_NAME,
+  BET_TYPE_LABELS,
+  EXACT_ORDER_PLACES
+} = require('../modules/betting');
+const { createErrorEmbed } = require('../utils/embeds');
+const { formatOdds } = require('../utils/odds');
+const { checkPermission } = require('../utils/permissions');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+
+/**
+ * Find an open event from the event option (an event ID picked from autocomplete or a typed name)
+ * @param {string} guildId - Discord server ID
+ * @param {string} value - The event option value
+ * @returns {Promise<Object|null>} - The event, or null if no open event matches
+ */
+async function findOpenEvent(guildId, value) {
+  const { Event } = require('../database/models');
+
+  if (/^\d+$/.test(value)) {
+    const event = await Event.findOne({ where: { id: value, guildId, status: 'open' } });
+    if (event) return event;
+  }
+
+  return Event.findOne({ where: { name: value, guildId, status: 'open' } });
+}
+
+/**
+ * Find an open market of an event from the market option (a market ID picked from autocomplete or a typed name)
+ * @param {Object} event - The event object from the database
+ * @param {string} value - The market option value
+ * @returns {Promise<Object|null>} - The market, or null if no open market matches
+ */
+async function findOpenMarket(event, value) {
+  const { Market } = require('../database/models');
+  const markets = await Market.findAll({ where: { eventId: event.id, status: 'open' } });
+
+  return markets.find(market => market.id.toString() === value) ||
+    markets.find(market => market.name.toLowerCase() === value.toLowerCase()) ||
+    null;
+}
+
+/**
+ * Check whether the market option refers to the event's main result
+ * @param {string|null} value - The market option value
+ * @returns {boolean} - Whether the bet is on the main result
+ */
+function isMainMarket(value) {
+  return !value || value === 'main' || value.toLowerCase() === MAIN_MARKET_NAME.toLowerCase();
+}
+
+/**
+ * Resolve the choice option (a choice index picked from autocomplete or a typed name) to an index
+ * @param {Object} market - The market (or the event, for its main result)
+ * @param {string} value - The choice option value
+ * @returns {number} - The choice index, or -1 if no choice matches
+ */
+function findChoiceIndex(market, value) {
+  if (/^\d+$/.test(value) && Number(value) < market.choices.length) {
+    return Number(value);
+  }
+
+  return market.choices.findIndex(choice => getChoiceName(choice).toLowerCase() === value.toLowerCase());
+}
+
+module.exports = {
+  module: 'betting',
+  data: new SlashCommandBuilder()
+    .setName('bet')
+    .setDescription('Place a bet on an open event')
+    .addStringOption(option =>
+      option.setName('event')
+        .setDescription('The event to bet on')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('choice')
+        .setDescription('The choice to bet on')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addIntegerOption(option =>
+      option.setName('amount')
+        .setDescription('The amount of coins to bet')
+        .setRequired(true)
+        .setMinValue(1))
+    .addStringOption(option =>
+      option.setName('market')
+        .setDescription('The market to bet on (defaults to the main result)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('type')
+        .setDescription('Win (default), place, each-way, forecast or tricast; all but win are for races')
+        .setRequired(false)
+        .addChoices(...Object.entries(BET_TYPE_LABELS).map(([value, name]) => ({ name, value }))))
+    .addStringOption(option =>
+      option.setName('second')
+        .setDescription('Forecasts and tricasts: the runner you think will finish 2nd (choice is 1st)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('third')
+        .setDescription('Tricasts: the runner you think will finish 3rd')
+        .setRequired(false)
+        .setAutocomplete(true)),
+
+  /**
+   * Suggest open events, their markets and choices while the user types
+   * @param {Interaction} interaction - The autocomplete interaction
+   * @param {Client} client - The Discord client
+   */
+  async autocomplete(interaction, client) {
+    try {
+      const { Event } = require('../database/models');
+      const focused = interaction.options.getFocused(true);
+      const search = focused.value.toLowerCase();
+
+      if (focused.name === 'event') {
+        // Suggest open events matching the typed text
+        const events = await Event.findAll({
+          where: {
+            guildId: interaction.guildId,
+            status: 'open',
+            name: { [Op.like]: `%${focused.value}%` }
+          },
+          order: [['scheduledTime', 'ASC']],
+          limit: 25
+        });
+
+        await interaction.respond(events.map(event => ({
+          name: `${event.name} (ID: ${event.id})`.substring(0, 100),
+          value: event.id.toString()
+        })));
+      } else if (focused.name === 'market') {
+        // Suggest the main result and the open markets of the selected event
+        const eventValue = interaction.options.getString('event');
+        const event = eventValue ? await findOpenEvent(interaction.guildId, eventValue) : null;
+
+        if (!event) {
+          await interaction.respond([]);
+          return;
+        }
+
+        const { Market } = require('../database/models');
+        const markets = await Market.findAll({
+          where: { eventId: event.id, status: 'open' },
+          order: [['sortOrder', 'ASC']]
+        });
+
+        await interaction.respond([{ name: MAIN_MARKET_NAME, value: 'main' }, ...markets.map(market => ({
+          name: market.name.substring(0, 100),
+          value: market.id.toString()
+        }))].filter(option => option.name.toLowerCase().includes(search)).slice(0, 25));
+      } else if (['choice', 'second', 'third'].includes(focused.name)) {
+        // Suggest the choices of the selected event or market with their current odds
+        // (forecast and tricast places are always on the main result)
+        const eventValue = interaction.options.getString('event');
+        const event = eventValue ? await findOpenEvent(interaction.guildId, eventValue) : null;
+
+        if (!event) {
+          await interaction.respond([]);
+          return;
+        }
+
+        const marketValue = focused.name === 'choice' ? interaction.options.getString('market') : null;
+        const market = isMainMarket(marketValue) ? event : await findOpenMarket(event, marketValue);
+
+        if (!market) {
+          await interaction.respond([]);
+          return;
+        }
+
+        const choices = market.choices
+          .map((choice, index) => ({ choiceName: getChoiceName(choice), odds: getChoiceOdds(choice), value: index.toString() }))
+          .filter(choice => choice.choiceName.toLowerCase().includes(search))
+          .slice(0, 25)
+          .map(choice => ({ name: `${choice.choiceName} (${formatOdds(choice.odds)})`.substring(0, 100), value: choice.value }));
+
+        await interaction.respond(choices);
+      }
+    } catch (error) {
+      logger.error('Error in bet command autocomplete:', error);
+    }
+  },
+
+  /**
+   * Execute the bet command
+   * @param {Interaction} interaction - The interaction object
+   * @param {Client} client - The Discord client
+   */
+  async execute(interaction, client) {
+    try {
+      logger.info(`${interaction.user.tag} used /bet command`);
+
+      // Check permissions
+      if (!await checkPermission(interaction.member, 'placeBets')) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Permission Denied', 'You are not allowed to place bets.')]
+        });
+      }
+
+      // Resolve the event
+      const event = await findOpenEvent(interaction.guildId, interaction.options.getString('event'));
+      if (!event) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Event Not Found', 'That event does not exist or is not open for betting.')]
+        });
+      }
+
+      // Resolve the market
+      const marketValue = interaction.options.getString('market');
+      const market = isMainMarket(marketValue) ? null : await findOpenMarket(event, marketValue);
+      if (!isMainMarket(marketValue) && !market) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Market Not Found', `That market does not exist on **${event.name}** or is not open for betting.`)]
+        });
+      }
+
+      // Resolve the choice
+      const choiceIndex = findChoiceIndex(market || event, interaction.options.getString('choice'));
+      if (choiceIndex === -1) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Invalid Choice', `That is not a valid choice for **${market ? market.name : event.name}**.`)]
+        });
+      }
+
+      // Forecasts and tricasts take the choice as 1st and the second (and third) options as the places after it
+      const betType = interaction.options.getString('type') || 'single';
+      let selections;
+      if (isExactOrderBetType(betType)) {
+        selections = [choiceIndex];
+        for (const optionName of ['second', 'third'].slice(0, EXACT_ORDER_PLACES[betType] - 1)) {
+          const value = interaction.options.getString(optionName);
+          const index = value ? findChoiceIndex(event, value) : -1;
+          if (index === -1) {
+            return await safeReply(interaction, {
+              embeds: [createErrorEmbed('Invalid Choice', `A ${BET_TYPE_LABELS[betType].toLowerCase()} needs a valid \`${optionName}\` runner for **${event.name}**.`)]
+            });
+          }
+          selections.push(index);
+        }
+      }
+
+      // Place the bet
+      const result = await placeBet(event.id, {
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        marketId: market ? market.id : null,
+        betType,
+        choiceIndex,
+        selections,
+        amount: interaction.options.getInteger('amount')
+      });
+
+      if (!result.success) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Bet Not Placed', result.errors.map(error => `• ${error}`).join('\n'))]
+        });
+      }
+
+      await safeReply(interaction, {
+        embeds: [createBetPlacedEmbed(result.bet, result.event, result.balance, result.market)]
+      });
+    } catch (error) {
+      await handleInteractionError(error, interaction, 'bet command');
+    }
+  }
+};
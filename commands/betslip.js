@@ -0,0 +1,27 @@
+// KrayStakes Discord Bot - Bet Slip Command
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { showBetSlip } = require('../modules/parlays');
+const { handleInteractionError } = require('../utils/interactions');
+
+module.exports = {
+  module: 'parlays',
+  data: new SlashCommandBuilder()
+    .setName('betslip')
+    .setDescription('Show your parlay bet slip and place it'),
+
+  /**
+   * Execute the betslip command
+   * @param {Interaction} interaction - The interaction object
+   * @param {Client} client - The Discord client
+   */
+  async execute(interaction, client) {
+    try {
+      logger.info(`${interaction.user.tag} used /betslip command`);
+
+      await showBetSlip(interaction);
+    } catch (error) {
+      await handleInteractionError(error, interaction, 'betslip command');
+    }
+  }
+};
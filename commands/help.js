@@ -18,6 +18,7 @@ module.exports = {
       
       // Log success
       logger.db.info(`Help command executed successfully by ${interaction.user.tag}`, {
+        guildId: interaction.guildId,
         userId: interaction.user.id,
         type: 'command'
       });
@@ -0,0 +1,27 @@
+// KrayStakes Discord Bot - My Bets Command
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { showMyBets } = require('../modules/betting');
+const { handleInteractionError } = require('../utils/interactions');
+
+module.exports = {
+  module: 'betting',
+  data: new SlashCommandBuilder()
+    .setName('mybets')
+    .setDescription('Show your open bets, bet history and profit/loss'),
+
+  /**
+   * Execute the mybets command
+   * @param {Interaction} interaction - The interaction object
+   * @param {Client} client - The Discord client
+   */
+  async execute(interaction, client) {
+    try {
+      logger.info(`${interaction.user.tag} used /mybets command`);
+
+      await showMyBets(interaction);
+    } catch (error) {
+      await handleInteractionError(error, interaction, 'mybets command');
+    }
+  }
+};
@@ -36,7 +36,7 @@ const newbieGuideContent = {
     },
     {
       title: '📱 Command Reference',
-      content: '• /help - Show the help menu\n• /panel - Create a temporary admin panel (admin only)\n• /setpanel - Create a permanent admin panel in a channel (admin only)\n• /newbie - Create this detailed newbie guide (admin only)'
+      content: '• /help - Show the help menu\n• /panel - Open your admin panel (staff only)\n• /setpanel - Create a permanent admin panel in a channel (admin only)\n• /newbie - Create this detailed newbie guide (admin only)'
     },
     {
       title: '❓ Getting Help',
@@ -145,6 +145,7 @@ module.exports = {
         
         // Log successful guide creation
         logger.db.info(`Newbie guide created by ${interaction.user.tag} in ${targetChannel.name}`, {
+          guildId: interaction.guildId,
           userId: interaction.user.id,
           channelId: targetChannel.id,
           type: 'newbieGuide'
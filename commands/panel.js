@@ -1,43 +1,38 @@
 // KrayStakes Discord Bot - Panel Command
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder } = require('discord.js');
 const logger = require('../utils/logger');
-const { checkAdmin } = require('../utils/permissions');
-const { createPanelEmbed, createPanelButtons } = require('../modules/adminPanel');
+const { createMemberPanel } = require('../modules/adminPanel');
 const { safeReply, safeDefer, handleInteractionError } = require('../utils/interactions');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('panel')
-    .setDescription('Create a temporary admin control panel')
-    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+    .setDescription('Open your admin control panel'),
   
   async execute(interaction, client) {
     try {
-      // Check if user has permission
-      if (!checkAdmin(interaction.member)) {
-        return safeReply(interaction, {
-          content: 'You do not have permission to use this command.'
-        }, true);
-      }
-
       logger.info(`${interaction.user.tag} used /panel command`);
       
       // Defer reply
       await safeDefer(interaction, true);
       
-      // Create the embed and buttons
-      const embed = createPanelEmbed();
-      const buttons = createPanelButtons();
+      // Create a panel with only the sections the member's roles allow
+      const panel = await createMemberPanel(interaction.member);
+      if (!panel) {
+        return safeReply(interaction, {
+          content: 'You do not have permission to use any admin panel actions.'
+        }, true);
+      }
       
       // Send an ephemeral panel in the reply
       await interaction.editReply({
-        embeds: [embed],
-        components: buttons,
+        ...panel,
         ephemeral: true
       });
       
       // Log successful panel creation
-      logger.db.info(`Temporary admin panel created by ${interaction.user.tag}`, {
+      logger.db.info(`Personal admin panel opened by ${interaction.user.tag}`, {
+        guildId: interaction.guildId,
         userId: interaction.user.id,
         channelId: interaction.channelId,
         type: 'adminPanel'
@@ -0,0 +1,92 @@
+// KrayStakes Discord Bot - Process Pics Command
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { queueDeposit } = require('../modules/wallet');
+const { recognizeImage, parseBankTransfer } = require('../utils/ocr');
+const { createErrorEmbed } = require('../utils/embeds');
+const { checkPermission } = require('../utils/permissions');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+
+module.exports = {
+  module: 'wallet',
+  data: new SlashCommandBuilder()
+    .setName('processpics')
+    .setDescription('Submit a screenshot of your in-game bank transfer to deposit coins')
+    .addAttachmentOption(option =>
+      option.setName('screenshot')
+        .setDescription('Screenshot of the SA-MP bank transfer')
+        .setRequired(true)),
+
+  /**
+   * Execute the processpics command
+   * @param {Interaction} interaction - The interaction object
+   * @param {Client} client - The Discord client
+   */
+  async execute(interaction, client) {
+    try {
+      logger.info(`${interaction.user.tag} used /processpics command`);
+
+      // Check permissions
+      if (!await checkPermission(interaction.member, 'placeBets')) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Permission Denied', 'You are not allowed to deposit coins.')]
+        });
+      }
+
+      const screenshot = interaction.options.getAttachment('screenshot');
+      if (!screenshot.contentType || !screenshot.contentType.startsWith('image/')) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Invalid Screenshot', 'Please attach a PNG or JPG screenshot of the bank transfer.')]
+        });
+      }
+
+      // Read the transfer details from the screenshot
+      const { text, confidence } = await recognizeImage(screenshot.url);
+      const transfer = parseBankTransfer(text);
+
+      if (!transfer.amount) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed(
+            'Amount Not Found',
+            'The transfer amount could not be read from the screenshot. Please upload a clearer, uncropped screenshot of the bank transfer.'
+          )]
+        });
+      }
+
+      // Queue the deposit for a payout manager
+      const request = await queueDeposit({
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        amount: transfer.amount,
+        reference: transfer.reference,
+        sender: transfer.sender,
+        confidence,
+        text,
+        screenshotUrl: screenshot.url
+      });
+
+      const embed = new EmbedBuilder()
+        .setColor(request.meta.flagged ? '#FEE75C' : '#57F287')
+        .setTitle('Deposit Submitted')
+        .setDescription(request.meta.flagged
+          ? 'Your deposit has been queued and **flagged for manual review**. A payout manager will check the screenshot before crediting your wallet.'
+          : 'Your deposit has been queued. A payout manager will verify the transfer and credit your wallet.')
+        .addFields(
+          { name: 'Amount', value: `${transfer.amount} coins`, inline: true },
+          { name: 'Sender', value: transfer.sender || 'Not found', inline: true },
+          { name: 'Reference', value: transfer.reference || 'Not found', inline: true }
+        )
+        .setFooter({ text: `Deposit request #${request.id}` })
+        .setTimestamp();
+
+      if (request.meta.flagged) {
+        embed.addFields({ name: 'Review Reasons', value: request.meta.flagReasons.map(reason => `• ${reason}`).join('\n') });
+      }
+
+      await safeReply(interaction, { embeds: [embed] });
+    } catch (error) {
+      await handleInteractionError(error, interaction, 'processpics command');
+    }
+  }
+};
@@ -38,6 +38,7 @@ module.exports = {
       
       // Log successful panel creation
       logger.db.info(`Admin panel created by ${interaction.user.tag} in ${targetChannel.name}`, {
+        guildId: interaction.guildId,
         userId: interaction.user.id,
         channelId: targetChannel.id,
         type: 'adminPanel'
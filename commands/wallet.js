@@ -0,0 +1,31 @@
+// KrayStakes Discord Bot - Wallet Command
+const { SlashCommandBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { showWallet } = require('../modules/wallet');
+const { createErrorEmbed } = require('../utils/embeds');
+const { checkPermission } = require('../utils/permissions');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+
+module.exports = {
+  module: 'wallet',
+  data: new SlashCommandBuilder()
+    .setName('wallet')
+    .setDescription('Show your coin balance and recent transactions'),
+  
+  async execute(interaction, client) {
+    try {
+      logger.info(`${interaction.user.tag} used /wallet command`);
+      
+      // Check permissions
+      if (!await checkPermission(interaction.member, 'placeBets')) {
+        return await safeReply(interaction, {
+          embeds: [createErrorEmbed('Permission Denied', 'You are not allowed to use the wallet.')]
+        });
+      }
+      
+      await showWallet(interaction, client);
+    } catch (error) {
+      await handleInteractionError(error, interaction, 'wallet command');
+    }
+  }
+};
@@ -9,6 +9,15 @@ module.exports = {
   token: process.env.DISCORD_TOKEN,
   clientId: process.env.CLIENT_ID,
   
+  // Key that button, select menu and modal customIds are signed with (derived from the token if unset)
+  customIdSecret: process.env.CUSTOM_ID_SECRET,
+  
+  // Server that data from before multi-server support belongs to (used when migrating the database)
+  guildId: process.env.GUILD_ID,
+  
+  // Discord user ID of the bot owner, who may download and restore backups from any server
+  ownerId: process.env.BOT_OWNER_ID,
+  
   // Debug Mode
   debugMode: process.env.DEBUG_MODE === 'true',
   logLevel: process.env.LOG_LEVEL || 'info',
@@ -27,7 +36,7 @@ module.exports = {
   // Timezone setting (default: UTC)
   timezone: process.env.TIMEZONE || 'UTC',
   
-  // Reminder times (in minutes before event)
+  // Reminder times (in minutes before event); can be changed in Configuration Settings
   reminderTimes: [1440, 60, 15], // 24 hours, 1 hour, 15 minutes
   
   // Channel configuration
@@ -39,7 +48,7 @@ module.exports = {
     reports: process.env.REPORTS_CHANNEL
   },
   
-  // Role configuration
+  // Role configuration (default access to panel actions a server hasn't given to roles; see utils/permissions.js)
   roles: {
     admin: process.env.ADMIN_ROLE,
     eventManager: process.env.EVENT_MANAGER_ROLE,
@@ -53,6 +62,17 @@ module.exports = {
     logging: false, // Set to true for SQL query logging
   },
   
+  // Database backup configuration
+  backups: {
+    enabled: true,           // Take scheduled backups
+    directory: './backups',  // Directory the backups are written to
+    schedule: '0 */6 * * *', // Cron schedule of the automatic backups (every 6 hours)
+    compress: true,          // Gzip the backups
+    retentionCount: 28,      // Number of backups to keep (0 = no limit)
+    retentionDays: 14,       // Days to keep backups (0 = keep indefinitely); the newest backup is always kept
+    homeGuildId: process.env.BACKUP_GUILD_ID, // Server whose admins may download and restore backups
+  },
+  
   // Log configuration
   logs: {
     directory: './logs',
@@ -65,6 +85,21 @@ module.exports = {
     maxBet: 1000,    // Maximum bet amount
     limitPerUser: 2, // Maximum number of bets per user per event
     feePercent: 5,   // Fee percentage taken from winnings
+    cancelGraceMinutes: 5, // Minutes after placement during which players can cancel their own bets
+    maxParlayLegs: 8, // Maximum number of legs (events) in one parlay
+  },
+  
+  // Racing place and each-way terms, locked onto each bet when it is placed
+  defaultRacing: {
+    placePositions: 3,       // Finishing positions that count as a place
+    placeOddsFraction: 0.25, // Fraction of the win odds' profit paid on a place (0.25 = 1/4 odds)
+  },
+  
+  // Automatic betting open and lock, checked every minute by the scheduler
+  scheduling: {
+    autoOpen: true,        // Open pending events for betting at their open time
+    autoLock: true,        // Lock betting automatically when an event starts
+    lockOffsetMinutes: 0,  // Minutes before the scheduled time at which betting locks
   },
   
   // Default payout configuration
@@ -73,11 +108,24 @@ module.exports = {
     payoutWindow: 7,          // Number of days to claim payouts
   },
   
-  // Reports configuration
+  // Reports configuration; the schedule can be changed in Configuration Settings
   reports: {
+    frequency: 'Weekly',     // Frequency of automatic reports (Daily, Weekly, Monthly)
+    autoSend: true,          // Automatically send reports to the reports channel
     weeklyReportDay: 1,      // Day of week for weekly reports (0 = Sunday, 1 = Monday, etc.)
     weeklyReportHour: 9,     // Hour of day for weekly reports (9 = 9 AM)
     monthlyReportDay: 1,     // Day of month for monthly reports
     monthlyReportHour: 9,    // Hour of day for monthly reports
+  },
+  
+  // Leaderboard configuration
+  leaderboard: {
+    postTime: '04:00',       // Time of day (HH:MM, server time) of the automatic leaderboard post
+  },
+  
+  // OCR configuration for /processpics deposit screenshots
+  ocr: {
+    language: 'eng',          // Tesseract language data to load
+    confidenceThreshold: 70,  // OCR confidence (0-100) below which a deposit is flagged for manual review
   }
 };
\ No newline at end of file
@@ -47,142 +47,45 @@ async function initDatabase() {
       }
     }
     
-    // Load models and sync with database - with more careful error handling
-    try {
-      await loadModels();
-    } catch (modelError) {
-      logger.error('Error loading models:', modelError);
-      // Continue anyway - we'll try to recreate critical tables
-    }
+    // Load models and check the schema is current; startup must not continue on an outdated schema
+    await loadModels();
     
-    // Initialize default configuration values
-    try {
-      await initDefaultConfig();
-    } catch (configError) {
-      logger.error('Error initializing default configuration:', configError);
-      // Continue anyway
-    }
+    // Default configuration is set up per server once the client knows its servers (see index.js)
     
     logger.info('Database initialization completed.');
   } catch (error) {
+    if (error.code === 'SCHEMA_OUTDATED') {
+      throw error;
+    }
     logger.error('Unable to connect to the database:', error);
     // Don't throw here - let the bot continue operation with limited functionality
   }
 }
 
 /**
- * Load database models and synchronize them
+ * Load database models and check that all migrations have been run
+ * The schema itself is managed by the migrations in database/migrations (see migrate.js)
  * @returns {Promise<void>}
  */
 async function loadModels() {
+  // Import models
+  require('./models');
+  
+  const { assertSchemaUpToDate } = require('./migrator');
   try {
-    // Import models
-    const models = require('./models');
-    
-    logger.info('Starting database synchronization...');
-    
-    // Check if database is fresh or has existing tables
-    const tables = await sequelize.getQueryInterface().showAllTables();
-    logger.info(`Existing database tables: ${tables.length ? tables.join(', ') : 'none'}`);
-    
-    const isFreshDatabase = tables.length === 0;
-    
-    // For a completely fresh database, sync in a more controlled order
-    if (isFreshDatabase) {
-      logger.info('Setting up a fresh database...');
-      
-      // First create the independent tables (Log and Configuration)
-      try {
-        logger.info('Creating Log table...');
-        await models.Log.sync();
-        
-        logger.info('Creating Configuration table...');
-        await models.Configuration.sync();
-        
-        // Next create the Event table (it has no dependencies)
-        logger.info('Creating Event table...');
-        await models.Event.sync();
-        
-        // Create Bet table after Event
-        logger.info('Creating Bet table...');
-        await models.Bet.sync();
-        
-        // Create Payout table last (it depends on both Event and Bet)
-        logger.info('Creating Payout table...');
-        await models.Payout.sync();
-        
-        // Finally sync all to ensure relationships are properly set up
-        await sequelize.sync();
-        
-        logger.info('All tables created for fresh database.');
-      } catch (syncError) {
-        logger.error('Error syncing fresh database tables:', syncError);
-        
-        // On an error, try a more aggressive approach - do a full sync
-        logger.warn('Attempting full synchronization with force option...');
-        await sequelize.sync({ force: true });
-      }
-    } else {
-      // For existing database, just make sure critical tables exist
-      logger.info('Updating existing database structure...');
-      
-      // First make sure critical tables exist
-      if (!tables.includes('logs')) {
-        logger.info('Creating Log table...');
-        await models.Log.sync();
-      }
-      
-      if (!tables.includes('configurations')) {
-        logger.info('Creating Configuration table...');
-        await models.Configuration.sync();
-      }
-      
-      // For existing database, use alter to safely update schema
-      // Alter is safer than force, as it doesn't drop tables
-      await sequelize.sync({ alter: true });
-    }
-    
-    // Verify that tables were created properly
-    try {
-      const updatedTables = await sequelize.getQueryInterface().showAllTables();
-      logger.info(`Database tables after synchronization: ${updatedTables.join(', ')}`);
-      
-      // Check for required tables
-      const requiredTables = ['logs', 'configurations', 'events', 'bets', 'payouts'];
-      const missingTables = requiredTables.filter(table => !updatedTables.includes(table));
-      
-      if (missingTables.length > 0) {
-        logger.warn(`Missing required tables: ${missingTables.join(', ')}`);
-        
-        // Try to create just those missing tables
-        for (const missingTable of missingTables) {
-          // Get model name from table name (singular, capitalized)
-          const modelName = missingTable.slice(0, -1).charAt(0).toUpperCase() + missingTable.slice(0, -1).slice(1);
-          
-          if (models[modelName]) {
-            logger.info(`Creating missing table: ${missingTable} using model ${modelName}`);
-            await models[modelName].sync({ force: true });
-          }
-        }
-      } else {
-        logger.info('All required tables are present');
-      }
-    } catch (verifyError) {
-      logger.error('Error verifying database tables:', verifyError);
-    }
-    
-    logger.info('Database models synchronization completed.');
+    await assertSchemaUpToDate();
   } catch (error) {
-    logger.error('Error loading models:', error);
+    error.code = 'SCHEMA_OUTDATED';
     throw error;
   }
 }
 
 /**
- * Initialize default configuration values if they don't exist
+ * Initialize a server's default configuration values if they don't exist
+ * @param {string} guildId - Discord server ID
  * @returns {Promise<void>}
  */
-async function initDefaultConfig() {
+async function initDefaultConfig(guildId) {
   try {
     // Get Configuration model
     const { Configuration } = require('./models');
@@ -221,6 +124,12 @@ async function initDefaultConfig() {
         category: 'betting',
         description: 'Fee percentage taken from winnings'
       },
+      {
+        key: 'cancelGraceMinutes',
+        value: config.defaultBetting.cancelGraceMinutes.toString(),
+        category: 'betting',
+        description: 'Minutes after placement during which players can cancel their own bets'
+      },
       // Payout configuration
       {
         key: 'autoPayoutThreshold',
@@ -259,6 +168,19 @@ async function initDefaultConfig() {
         category: 'reports',
         description: 'Hour of day for monthly reports'
       },
+      // Schedule configuration
+      {
+        key: 'reminderTimes',
+        value: config.reminderTimes.join(','),
+        category: 'schedule',
+        description: 'Minutes before an event to send reminders'
+      },
+      {
+        key: 'leaderboardPostTime',
+        value: config.leaderboard.postTime,
+        category: 'schedule',
+        description: 'Time of day (HH:MM) of the automatic leaderboard post'
+      },
       // Debug mode
       {
         key: 'debugMode',
@@ -271,12 +193,12 @@ async function initDefaultConfig() {
     // Insert or update each default config
     for (const configItem of defaultConfig) {
       await Configuration.findOrCreate({
-        where: { key: configItem.key },
-        defaults: configItem
+        where: { guildId, key: configItem.key },
+        defaults: { ...configItem, guildId }
       });
     }
     
-    logger.info('Default configuration initialized.');
+    logger.info(`Default configuration initialized for server ${guildId}.`);
   } catch (error) {
     logger.error('Error initializing default configuration:', error);
   }
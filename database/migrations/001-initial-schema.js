@@ -0,0 +1,120 @@
+// KrayStakes Discord Bot - Migration 001: Initial Schema
+// Creates the tables as model sync created them before migrations were introduced.
+// Databases created by model sync are marked as having run this migration (see migrator.js).
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    await queryInterface.createTable('logs', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      level: { type: Sequelize.ENUM('info', 'warn', 'error', 'debug'), allowNull: false, defaultValue: 'info' },
+      message: { type: Sequelize.TEXT, allowNull: false },
+      type: { type: Sequelize.STRING, allowNull: false, defaultValue: 'system' },
+      userId: { type: Sequelize.STRING, allowNull: true },
+      metadata: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('logs', ['level'], { name: 'idx_logs_level', transaction });
+    await queryInterface.addIndex('logs', ['type'], { name: 'idx_logs_type', transaction });
+    await queryInterface.addIndex('logs', ['userId'], { name: 'idx_logs_user', transaction });
+    await queryInterface.addIndex('logs', ['createdAt'], { name: 'idx_logs_created', transaction });
+
+    await queryInterface.createTable('configurations', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      key: { type: Sequelize.STRING, allowNull: false, unique: true },
+      value: { type: Sequelize.TEXT, allowNull: false },
+      category: { type: Sequelize.STRING, allowNull: false, defaultValue: 'general' },
+      description: { type: Sequelize.TEXT, allowNull: true },
+      lastUpdatedBy: { type: Sequelize.STRING, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('configurations', ['key'], { name: 'idx_configurations_key', unique: true, transaction });
+    await queryInterface.addIndex('configurations', ['category'], { name: 'idx_configurations_category', transaction });
+
+    await queryInterface.createTable('events', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: Sequelize.STRING, allowNull: false },
+      description: { type: Sequelize.TEXT, allowNull: true },
+      type: { type: Sequelize.ENUM('boxing', 'racing', 'paintball', 'custom'), allowNull: false, defaultValue: 'custom' },
+      status: { type: Sequelize.ENUM('pending', 'open', 'locked', 'paused', 'completed', 'cancelled'), allowNull: false, defaultValue: 'pending' },
+      scheduledTime: { type: Sequelize.DATE, allowNull: true },
+      endTime: { type: Sequelize.DATE, allowNull: true },
+      location: { type: Sequelize.STRING, allowNull: true },
+      createdBy: { type: Sequelize.STRING, allowNull: false },
+      announcementMessageId: { type: Sequelize.STRING, allowNull: true },
+      totalBetsAmount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      totalBetsCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      choices: { type: Sequelize.TEXT, allowNull: false, defaultValue: '[]' },
+      winners: { type: Sequelize.TEXT, allowNull: true },
+      customResults: { type: Sequelize.TEXT, allowNull: true },
+      minBet: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 10 },
+      maxBet: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1000 },
+      limitPerUser: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 2 },
+      feePercent: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 5 },
+      remindersSent: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('events', ['status'], { name: 'idx_events_status', transaction });
+    await queryInterface.addIndex('events', ['scheduledTime'], { name: 'idx_events_scheduledTime', transaction });
+    await queryInterface.addIndex('events', ['type'], { name: 'idx_events_type', transaction });
+
+    await queryInterface.createTable('bets', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      eventId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      userTag: { type: Sequelize.STRING, allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      choiceIndex: { type: Sequelize.INTEGER, allowNull: false },
+      choiceName: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('active', 'won', 'lost', 'refunded', 'cancelled'), allowNull: false, defaultValue: 'active' },
+      odds: { type: Sequelize.FLOAT, allowNull: true },
+      potentialWinnings: { type: Sequelize.INTEGER, allowNull: true },
+      actualWinnings: { type: Sequelize.INTEGER, allowNull: true },
+      meta: { type: Sequelize.TEXT, allowNull: true },
+      cancelledAt: { type: Sequelize.DATE, allowNull: true },
+      cancelledBy: { type: Sequelize.STRING, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('bets', ['userId', 'eventId'], { name: 'idx_bets_user_event', transaction });
+    await queryInterface.addIndex('bets', ['status'], { name: 'idx_bets_status', transaction });
+    await queryInterface.addIndex('bets', ['eventId', 'choiceIndex'], { name: 'idx_bets_choice', transaction });
+
+    await queryInterface.createTable('payouts', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      eventId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      betId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'bets', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      userTag: { type: Sequelize.STRING, allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      feeAmount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      status: { type: Sequelize.ENUM('pending', 'completed', 'cancelled', 'expired'), allowNull: false, defaultValue: 'pending' },
+      method: { type: Sequelize.ENUM('bank', 'paypal', 'cashapp', 'venmo', 'other'), allowNull: true },
+      accountId: { type: Sequelize.STRING, allowNull: true },
+      transactionId: { type: Sequelize.STRING, allowNull: true },
+      processedAt: { type: Sequelize.DATE, allowNull: true },
+      processedBy: { type: Sequelize.STRING, allowNull: true },
+      expiresAt: { type: Sequelize.DATE, allowNull: true },
+      notes: { type: Sequelize.TEXT, allowNull: true },
+      meta: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('payouts', ['userId'], { name: 'idx_payouts_user', transaction });
+    await queryInterface.addIndex('payouts', ['betId'], { name: 'idx_payouts_bet', transaction });
+    await queryInterface.addIndex('payouts', ['eventId'], { name: 'idx_payouts_event', transaction });
+    await queryInterface.addIndex('payouts', ['status'], { name: 'idx_payouts_status', transaction });
+    await queryInterface.addIndex('payouts', ['expiresAt'], { name: 'idx_payouts_expires', transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    // Drop in reverse order so dependent tables go first
+    await queryInterface.dropTable('payouts', { transaction });
+    await queryInterface.dropTable('bets', { transaction });
+    await queryInterface.dropTable('events', { transaction });
+    await queryInterface.dropTable('configurations', { transaction });
+    await queryInterface.dropTable('logs', { transaction });
+  }
+};
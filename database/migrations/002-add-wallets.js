@@ -0,0 +1,57 @@
+// KrayStakes Discord Bot - Migration 002: Add Wallets
+// Adds coin wallets, their immutable transaction ledger and the deposit and withdrawal requests.
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    await queryInterface.createTable('wallets', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      userTag: { type: Sequelize.STRING, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('wallets', ['userId'], { name: 'idx_wallets_user', unique: true, transaction });
+
+    await queryInterface.createTable('ledger_entries', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      walletId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'wallets', key: 'id' }, onDelete: 'RESTRICT', onUpdate: 'CASCADE' },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      type: { type: Sequelize.ENUM('deposit', 'stake', 'refund', 'winning', 'withdrawal', 'adjustment'), allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      referenceType: { type: Sequelize.STRING, allowNull: true },
+      referenceId: { type: Sequelize.INTEGER, allowNull: true },
+      description: { type: Sequelize.STRING, allowNull: true },
+      createdBy: { type: Sequelize.STRING, allowNull: true },
+      meta: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('ledger_entries', ['walletId'], { name: 'idx_ledger_entries_wallet', transaction });
+    await queryInterface.addIndex('ledger_entries', ['userId'], { name: 'idx_ledger_entries_user', transaction });
+    await queryInterface.addIndex('ledger_entries', ['referenceType', 'referenceId'], { name: 'idx_ledger_entries_reference', transaction });
+    await queryInterface.addIndex('ledger_entries', ['type'], { name: 'idx_ledger_entries_type', transaction });
+
+    await queryInterface.createTable('wallet_requests', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      walletId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'wallets', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      userTag: { type: Sequelize.STRING, allowNull: false },
+      type: { type: Sequelize.ENUM('deposit', 'withdrawal'), allowNull: false },
+      amount: { type: Sequelize.INTEGER, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'approved', 'rejected'), allowNull: false, defaultValue: 'pending' },
+      reference: { type: Sequelize.STRING, allowNull: true },
+      processedBy: { type: Sequelize.STRING, allowNull: true },
+      processedAt: { type: Sequelize.DATE, allowNull: true },
+      meta: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('wallet_requests', ['userId'], { name: 'idx_wallet_requests_user', transaction });
+    await queryInterface.addIndex('wallet_requests', ['type', 'status'], { name: 'idx_wallet_requests_status', transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    await queryInterface.dropTable('wallet_requests', { transaction });
+    await queryInterface.dropTable('ledger_entries', { transaction });
+    await queryInterface.dropTable('wallets', { transaction });
+  }
+};
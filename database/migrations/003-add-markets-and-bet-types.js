@@ -0,0 +1,133 @@
+// KrayStakes Discord Bot - Migration 003: Add Markets and Bet Types
+// Adds markets, parlays and the racing bet types (place, each-way, forecast, tricast), with the
+// fixed-odds settlement mode and the finishing order they settle on. Parlay bets have no single
+// event and forecast bets no single choice, so the bets table is rebuilt to allow both.
+
+// Bet columns copied across when the bets table is rebuilt, in either direction
+const BET_COLUMNS = 'id, eventId, userId, userTag, amount, choiceIndex, choiceName, status, odds, ' +
+  'potentialWinnings, actualWinnings, meta, cancelledAt, cancelledBy, createdAt, updatedAt';
+
+/**
+ * Get the bets table's columns
+ * @param {Object} Sequelize - Sequelize library
+ * @param {boolean} withBetTypes - Whether to include this migration's changes (true) or not (false)
+ * @returns {Object} - Column definitions
+ */
+function betColumns(Sequelize, withBetTypes) {
+  const columns = {
+    id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+    eventId: { type: Sequelize.INTEGER, allowNull: withBetTypes, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+    userId: { type: Sequelize.STRING, allowNull: false },
+    userTag: { type: Sequelize.STRING, allowNull: false },
+    amount: { type: Sequelize.INTEGER, allowNull: false },
+    choiceIndex: { type: Sequelize.INTEGER, allowNull: withBetTypes },
+    choiceName: { type: Sequelize.STRING, allowNull: false },
+    status: { type: Sequelize.ENUM('active', 'won', 'lost', 'refunded', 'cancelled'), allowNull: false, defaultValue: 'active' },
+    odds: { type: Sequelize.FLOAT, allowNull: true },
+    potentialWinnings: { type: Sequelize.INTEGER, allowNull: true },
+    actualWinnings: { type: Sequelize.INTEGER, allowNull: true },
+    meta: { type: Sequelize.TEXT, allowNull: true },
+    cancelledAt: { type: Sequelize.DATE, allowNull: true },
+    cancelledBy: { type: Sequelize.STRING, allowNull: true },
+    createdAt: { type: Sequelize.DATE, allowNull: false },
+    updatedAt: { type: Sequelize.DATE, allowNull: false }
+  };
+  if (withBetTypes) {
+    columns.betType = { type: Sequelize.ENUM('single', 'parlay', 'place', 'each_way', 'forecast', 'tricast'), allowNull: false, defaultValue: 'single' };
+    columns.marketId = { type: Sequelize.INTEGER, allowNull: true, references: { model: 'markets', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' };
+  }
+  return columns;
+}
+
+/**
+ * Rebuild the bets table; SQLite can't change a column's NOT NULL constraint in place.
+ * Foreign keys stay enforced in the migration's transaction, so the payouts are moved aside
+ * while the old table is dropped, or the drop would cascade deletes to them
+ * @param {QueryInterface} queryInterface - Sequelize query interface
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Transaction} transaction - The migration's transaction
+ * @param {boolean} withBetTypes - Whether to add this migration's changes (true) or remove them (false)
+ * @returns {Promise<void>}
+ */
+async function rebuildBets(queryInterface, Sequelize, transaction, withBetTypes) {
+  const query = sql => queryInterface.sequelize.query(sql, { transaction });
+
+  await query('CREATE TEMP TABLE payouts_aside AS SELECT * FROM payouts');
+  await query('DELETE FROM payouts');
+
+  await queryInterface.createTable('bets_new', betColumns(Sequelize, withBetTypes), { transaction });
+  await query(`INSERT INTO bets_new (${BET_COLUMNS}) SELECT ${BET_COLUMNS} FROM bets`);
+  await queryInterface.dropTable('bets', { transaction });
+  await queryInterface.renameTable('bets_new', 'bets', { transaction });
+
+  await query('INSERT INTO payouts SELECT * FROM payouts_aside');
+  await query('DROP TABLE payouts_aside');
+
+  await queryInterface.addIndex('bets', ['userId', 'eventId'], { name: 'idx_bets_user_event', transaction });
+  await queryInterface.addIndex('bets', ['status'], { name: 'idx_bets_status', transaction });
+  await queryInterface.addIndex('bets', ['eventId', 'choiceIndex'], { name: 'idx_bets_choice', transaction });
+  if (withBetTypes) {
+    await queryInterface.addIndex('bets', ['marketId', 'choiceIndex'], { name: 'idx_bets_market', transaction });
+  }
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    await queryInterface.addColumn('events', 'settlementMode', { type: Sequelize.ENUM('parimutuel', 'fixed'), allowNull: false, defaultValue: 'parimutuel' }, { transaction });
+    await queryInterface.addColumn('events', 'finishingOrder', { type: Sequelize.TEXT, allowNull: true }, { transaction });
+
+    await queryInterface.createTable('markets', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      eventId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      name: { type: Sequelize.STRING, allowNull: false },
+      status: { type: Sequelize.ENUM('open', 'settled', 'cancelled'), allowNull: false, defaultValue: 'open' },
+      sortOrder: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      choices: { type: Sequelize.TEXT, allowNull: false, defaultValue: '[]' },
+      totalBetsAmount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      totalBetsCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      minBet: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 10 },
+      maxBet: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1000 },
+      limitPerUser: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 2 },
+      feePercent: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 5 },
+      settlementMode: { type: Sequelize.ENUM('parimutuel', 'fixed'), allowNull: false, defaultValue: 'parimutuel' },
+      winningChoiceIndex: { type: Sequelize.INTEGER, allowNull: true },
+      settledAt: { type: Sequelize.DATE, allowNull: true },
+      settledBy: { type: Sequelize.STRING, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('markets', ['eventId'], { name: 'idx_markets_event', transaction });
+    await queryInterface.addIndex('markets', ['status'], { name: 'idx_markets_status', transaction });
+
+    await rebuildBets(queryInterface, Sequelize, transaction, true);
+
+    await queryInterface.createTable('parlay_legs', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      betId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'bets', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      eventId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      choiceIndex: { type: Sequelize.INTEGER, allowNull: false },
+      choiceName: { type: Sequelize.STRING, allowNull: false },
+      odds: { type: Sequelize.FLOAT, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'won', 'lost', 'void'), allowNull: false, defaultValue: 'pending' },
+      resolvedAt: { type: Sequelize.DATE, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('parlay_legs', ['betId'], { name: 'idx_parlay_legs_bet', transaction });
+    await queryInterface.addIndex('parlay_legs', ['eventId', 'status'], { name: 'idx_parlay_legs_event_status', transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    await queryInterface.dropTable('parlay_legs', { transaction });
+
+    // Fails while parlay or exact-order bets exist, as the old table can't hold them
+    await rebuildBets(queryInterface, Sequelize, transaction, false);
+
+    await queryInterface.dropTable('markets', { transaction });
+
+    // Drop the columns in place; removeColumn would rebuild the table and lose its indexes
+    for (const column of ['finishingOrder', 'settlementMode']) {
+      await queryInterface.sequelize.query(`ALTER TABLE "events" DROP COLUMN "${column}"`, { transaction });
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// KrayStakes Discord Bot - Migration 004: Add Event Scheduling
+// Adds the database-backed job scheduler, scheduled betting open times and bettor reminders,
+// and stores the announcement's channel so scheduled jobs can edit the announcement.
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    await queryInterface.addColumn('events', 'openTime', { type: Sequelize.DATE, allowNull: true }, { transaction });
+    await queryInterface.addColumn('events', 'announcementChannelId', { type: Sequelize.STRING, allowNull: true }, { transaction });
+    await queryInterface.addColumn('events', 'reminderTimes', { type: Sequelize.TEXT, allowNull: true }, { transaction });
+
+    await queryInterface.createTable('scheduled_jobs', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: Sequelize.STRING, allowNull: false, unique: true },
+      description: { type: Sequelize.STRING, allowNull: true },
+      schedule: { type: Sequelize.STRING, allowNull: false },
+      catchUpPolicy: { type: Sequelize.ENUM('once', 'skip', 'all'), allowNull: false, defaultValue: 'once' },
+      enabled: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      nextRunAt: { type: Sequelize.DATE, allowNull: true },
+      lastRunAt: { type: Sequelize.DATE, allowNull: true },
+      lastStatus: { type: Sequelize.ENUM('success', 'failed', 'skipped'), allowNull: true },
+      lastError: { type: Sequelize.TEXT, allowNull: true },
+      lastDurationMs: { type: Sequelize.INTEGER, allowNull: true },
+      runCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      failureCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('scheduled_jobs', ['enabled', 'nextRunAt'], { name: 'idx_scheduled_jobs_next_run', transaction });
+
+    await queryInterface.createTable('reminder_subscriptions', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      eventId: { type: Sequelize.INTEGER, allowNull: false, references: { model: 'events', key: 'id' }, onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+      userId: { type: Sequelize.STRING, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('reminder_subscriptions', ['eventId', 'userId'], { name: 'idx_reminder_subscriptions_event_user', unique: true, transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    await queryInterface.dropTable('reminder_subscriptions', { transaction });
+    await queryInterface.dropTable('scheduled_jobs', { transaction });
+
+    // Drop the columns in place; removeColumn would rebuild the table and lose its indexes
+    for (const column of ['reminderTimes', 'announcementChannelId', 'openTime']) {
+      await queryInterface.sequelize.query(`ALTER TABLE "events" DROP COLUMN "${column}"`, { transaction });
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// KrayStakes Discord Bot - Migration 005: Declare Legacy Columns
+// Adds the columns that winner selection, payout management and event management
+// already wrote to, but that no model declared (so they were never stored).
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    // Manual winner selection and payout tracking on bets
+    await queryInterface.addColumn('bets', 'isWinner', { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }, { transaction });
+    await queryInterface.addColumn('bets', 'winningAmount', { type: Sequelize.INTEGER, allowNull: true }, { transaction });
+    await queryInterface.addColumn('bets', 'paidOut', { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }, { transaction });
+    await queryInterface.addColumn('bets', 'payoutTimestamp', { type: Sequelize.DATE, allowNull: true }, { transaction });
+    await queryInterface.addColumn('bets', 'payoutConfirmedBy', { type: Sequelize.STRING, allowNull: true }, { transaction });
+    await queryInterface.addColumn('bets', 'bankId', { type: Sequelize.STRING, allowNull: true }, { transaction });
+
+    await queryInterface.addColumn('payouts', 'bankId', { type: Sequelize.STRING, allowNull: true }, { transaction });
+
+    // Event details and the approved result
+    await queryInterface.addColumn('events', 'entryFee', { type: Sequelize.INTEGER, allowNull: true }, { transaction });
+    await queryInterface.addColumn('events', 'imageUrl', { type: Sequelize.STRING, allowNull: true }, { transaction });
+    await queryInterface.addColumn('events', 'winnerApproved', { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }, { transaction });
+    await queryInterface.addColumn('events', 'result', { type: Sequelize.TEXT, allowNull: true }, { transaction });
+    await queryInterface.addColumn('events', 'totalPayout', { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 }, { transaction });
+    await queryInterface.addColumn('events', 'lastModifiedBy', { type: Sequelize.STRING, allowNull: true }, { transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    // Drop the columns in place; removeColumn would rebuild the tables and lose their indexes
+    const dropColumns = async (table, columns) => {
+      for (const column of columns) {
+        await queryInterface.sequelize.query(`ALTER TABLE "${table}" DROP COLUMN "${column}"`, { transaction });
+      }
+    };
+
+    await dropColumns('events', ['lastModifiedBy', 'totalPayout', 'result', 'winnerApproved', 'imageUrl', 'entryFee']);
+    await dropColumns('payouts', ['bankId']);
+    await dropColumns('bets', ['bankId', 'payoutConfirmedBy', 'payoutTimestamp', 'paidOut', 'winningAmount', 'isWinner']);
+  }
+};
@@ -0,0 +1,157 @@
+// KrayStakes Discord Bot - Migration 006: Add Guild Scoping
+// Adds a guildId to every table so one bot process can serve several Discord servers.
+// Rows that already exist are assigned to the server set as GUILD_ID in the .env file.
+const config = require('../../config');
+
+// Tables that get a guildId column, with the index (if any) used to scope their queries
+const GUILD_TABLES = {
+  events: ['guildId', 'status'],
+  markets: null,
+  bets: ['guildId', 'userId'],
+  parlay_legs: null,
+  payouts: ['guildId', 'status'],
+  wallets: null,
+  ledger_entries: ['guildId', 'userId'],
+  wallet_requests: ['guildId', 'type', 'status'],
+  reminder_subscriptions: null,
+  logs: ['guildId'],
+  scheduled_jobs: null
+};
+
+// Scheduled jobs may belong to no server (process-wide jobs such as backups)
+const UNSCOPED_TABLES = ['scheduled_jobs'];
+
+// Jobs that now run once per server, named <job>:<guildId>
+const GUILD_JOBS = ['weeklyReport', 'monthlyReport', 'leaderboardUpdate'];
+
+/**
+ * Check whether any of the guild-scoped tables already hold rows
+ * @param {QueryInterface} queryInterface - Sequelize query interface
+ * @param {Transaction} transaction - The migration's transaction
+ * @returns {Promise<boolean>} - Whether there is existing data to assign to a server
+ */
+async function hasExistingData(queryInterface, transaction) {
+  for (const table of ['configurations', ...Object.keys(GUILD_TABLES)]) {
+    if (UNSCOPED_TABLES.includes(table)) continue;
+    const [rows] = await queryInterface.sequelize.query(`SELECT 1 FROM "${table}" LIMIT 1`, { transaction });
+    if (rows.length > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Rebuild the configurations table with the given key uniqueness; SQLite can't drop a column's
+ * UNIQUE constraint in place
+ * @param {QueryInterface} queryInterface - Sequelize query interface
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Transaction} transaction - The migration's transaction
+ * @param {boolean} perGuild - Whether keys are unique per server (true) or globally (false)
+ * @returns {Promise<void>}
+ */
+async function rebuildConfigurations(queryInterface, Sequelize, transaction, perGuild) {
+  await queryInterface.renameTable('configurations', 'configurations_old', { transaction });
+
+  const columns = {
+    id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+    key: { type: Sequelize.STRING, allowNull: false, unique: !perGuild },
+    value: { type: Sequelize.TEXT, allowNull: false },
+    category: { type: Sequelize.STRING, allowNull: false, defaultValue: 'general' },
+    description: { type: Sequelize.TEXT, allowNull: true },
+    lastUpdatedBy: { type: Sequelize.STRING, allowNull: true },
+    createdAt: { type: Sequelize.DATE, allowNull: false },
+    updatedAt: { type: Sequelize.DATE, allowNull: false }
+  };
+  if (perGuild) {
+    columns.guildId = { type: Sequelize.STRING, allowNull: false };
+  }
+  await queryInterface.createTable('configurations', columns, { transaction });
+
+  const copied = 'id, key, value, category, description, lastUpdatedBy, createdAt, updatedAt';
+  if (perGuild) {
+    await queryInterface.sequelize.query(
+      `INSERT INTO configurations (${copied}, guildId) SELECT ${copied}, :guildId FROM configurations_old`,
+      { replacements: { guildId: config.guildId || '' }, transaction }
+    );
+  } else {
+    // Keys are only unique per server, so keep the oldest value of each when going back
+    await queryInterface.sequelize.query(
+      `INSERT INTO configurations (${copied}) SELECT ${copied} FROM configurations_old ` +
+      'WHERE id IN (SELECT MIN(id) FROM configurations_old GROUP BY key)',
+      { transaction }
+    );
+  }
+
+  await queryInterface.dropTable('configurations_old', { transaction });
+
+  if (perGuild) {
+    await queryInterface.addIndex('configurations', ['guildId', 'key'], { name: 'idx_configurations_guild_key', unique: true, transaction });
+  } else {
+    await queryInterface.addIndex('configurations', ['key'], { name: 'idx_configurations_key', unique: true, transaction });
+  }
+  await queryInterface.addIndex('configurations', ['category'], { name: 'idx_configurations_category', transaction });
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    if (!config.guildId && await hasExistingData(queryInterface, transaction)) {
+      throw new Error('Set GUILD_ID in the .env file to the server the existing data belongs to, then run the migration again');
+    }
+
+    for (const [table, indexFields] of Object.entries(GUILD_TABLES)) {
+      // SQLite can't add a NOT NULL column without a default, so the models enforce it instead
+      await queryInterface.addColumn(table, 'guildId', { type: Sequelize.STRING, allowNull: true }, { transaction });
+
+      if (!UNSCOPED_TABLES.includes(table)) {
+        await queryInterface.sequelize.query(`UPDATE "${table}" SET guildId = :guildId`, {
+          replacements: { guildId: config.guildId || '' },
+          transaction
+        });
+      }
+
+      if (indexFields) {
+        await queryInterface.addIndex(table, indexFields, { name: `idx_${table}_guild`, transaction });
+      }
+    }
+
+    // Keep the run history of the jobs that are now per server
+    if (config.guildId) {
+      await queryInterface.sequelize.query(
+        "UPDATE scheduled_jobs SET name = name || ':' || :guildId, guildId = :guildId WHERE name IN (:jobs)",
+        { replacements: { guildId: config.guildId, jobs: GUILD_JOBS }, transaction }
+      );
+    }
+
+    // Each server has its own wallet for a user
+    await queryInterface.removeIndex('wallets', 'idx_wallets_user', { transaction });
+    await queryInterface.addIndex('wallets', ['guildId', 'userId'], { name: 'idx_wallets_guild_user', unique: true, transaction });
+
+    // Configuration keys are unique per server
+    await rebuildConfigurations(queryInterface, Sequelize, transaction, true);
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    await rebuildConfigurations(queryInterface, Sequelize, transaction, false);
+
+    // Fails while a user has wallets in more than one server
+    await queryInterface.removeIndex('wallets', 'idx_wallets_guild_user', { transaction });
+    await queryInterface.addIndex('wallets', ['userId'], { name: 'idx_wallets_user', unique: true, transaction });
+
+    // Only one server's jobs can keep their plain name
+    await queryInterface.sequelize.query('DELETE FROM scheduled_jobs WHERE guildId IS NOT NULL AND guildId != :guildId', {
+      replacements: { guildId: config.guildId || '' },
+      transaction
+    });
+    await queryInterface.sequelize.query(
+      "UPDATE scheduled_jobs SET name = substr(name, 1, instr(name, ':') - 1) WHERE guildId IS NOT NULL",
+      { transaction }
+    );
+
+    // Drop the columns in place; removeColumn would rebuild the tables and lose their indexes
+    for (const [table, indexFields] of Object.entries(GUILD_TABLES).reverse()) {
+      if (indexFields) {
+        await queryInterface.removeIndex(table, `idx_${table}_guild`, { transaction });
+      }
+      await queryInterface.sequelize.query(`ALTER TABLE "${table}" DROP COLUMN guildId`, { transaction });
+    }
+  }
+};
@@ -0,0 +1,23 @@
+// KrayStakes Discord Bot - Migration 007: Add Admin Panels
+// Adds the registry of admin panels posted with /setpanel, so they can be refreshed on startup.
+
+module.exports = {
+  async up(queryInterface, Sequelize, transaction) {
+    await queryInterface.createTable('admin_panels', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      guildId: { type: Sequelize.STRING, allowNull: false },
+      channelId: { type: Sequelize.STRING, allowNull: false },
+      messageId: { type: Sequelize.STRING, allowNull: false },
+      version: { type: Sequelize.STRING, allowNull: false },
+      createdBy: { type: Sequelize.STRING, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    }, { transaction });
+    await queryInterface.addIndex('admin_panels', ['guildId'], { name: 'idx_admin_panels_guild', transaction });
+    await queryInterface.addIndex('admin_panels', ['messageId'], { name: 'idx_admin_panels_message', unique: true, transaction });
+  },
+
+  async down(queryInterface, Sequelize, transaction) {
+    await queryInterface.dropTable('admin_panels', { transaction });
+  }
+};
@@ -0,0 +1,241 @@
+// KrayStakes Discord Bot - Database Migrator
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('./dbInit');
+const logger = require('../utils/logger');
+
+// Migration files are named NNN-description.js and run in order of their number
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{3}-[a-z0-9-]+\.js$/;
+
+// Table recording which migrations have run (same layout as sequelize-cli)
+const META_TABLE = 'SequelizeMeta';
+
+// Databases created by model sync before migrations existed already have this schema
+const BASELINE_MIGRATION = '001-initial-schema.js';
+const BASELINE_TABLES = ['logs', 'configurations', 'events', 'bets', 'payouts'];
+
+/**
+ * List the migration files, in the order they run
+ * @returns {Array<string>} - Migration file names
+ */
+function listMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+}
+
+/**
+ * Load a migration file
+ * @param {string} name - Migration file name
+ * @returns {Object} - The migration's { up, down } functions
+ */
+function loadMigration(name) {
+  const migration = require(path.join(MIGRATIONS_DIR, name));
+  if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`Migration ${name} must export up and down functions`);
+  }
+  return migration;
+}
+
+/**
+ * Create the migrations table if it doesn't exist yet
+ * @returns {Promise<void>}
+ */
+async function ensureMetaTable() {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes(META_TABLE)) {
+    await queryInterface.createTable(META_TABLE, {
+      name: { type: Sequelize.STRING, allowNull: false, unique: true, primaryKey: true }
+    });
+  }
+}
+
+/**
+ * Get the migrations that have run against the database
+ * @returns {Promise<Array<string>>} - Migration file names, in the order they run
+ */
+async function getAppliedMigrations() {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  if (!tables.includes(META_TABLE)) {
+    return [];
+  }
+
+  const rows = await sequelize.query(`SELECT name FROM "${META_TABLE}" ORDER BY name`, {
+    type: Sequelize.QueryTypes.SELECT
+  });
+  return rows.map(row => row.name);
+}
+
+/**
+ * Check whether the database was created by model sync, before migrations existed
+ * @returns {Promise<boolean>} - Whether the database has tables but no migration history
+ */
+async function isLegacyDatabase() {
+  const applied = await getAppliedMigrations();
+  if (applied.length > 0) {
+    return false;
+  }
+
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  return tables.includes('events');
+}
+
+/**
+ * Mark the initial schema migration as run on a database created by model sync
+ * @returns {Promise<void>}
+ */
+async function baselineLegacyDatabase() {
+  const tables = await sequelize.getQueryInterface().showAllTables();
+  const missingTables = BASELINE_TABLES.filter(table => !tables.includes(table));
+  if (missingTables.length > 0) {
+    throw new Error(`The database predates migrations but is missing tables (${missingTables.join(', ')}); start the previous version of the bot once to bring it up to date, then migrate`);
+  }
+
+  await ensureMetaTable();
+  await sequelize.getQueryInterface().bulkInsert(META_TABLE, [{ name: BASELINE_MIGRATION }]);
+
+  // Plain logging only: the logs table may not match the models until the migrations have run
+  logger.info(`Marked existing database as migrated to ${BASELINE_MIGRATION}`);
+}
+
+/**
+ * Compare the migration files with the migrations that have run
+ * @returns {Promise<Object>} - { applied, pending, unknown, legacy }
+ */
+async function getMigrationStatus() {
+  const migrations = listMigrations();
+  const legacy = await isLegacyDatabase();
+  const applied = legacy ? [BASELINE_MIGRATION] : await getAppliedMigrations();
+
+  return {
+    applied,
+    pending: migrations.filter(name => !applied.includes(name)),
+    // Migrations recorded in the database that this version of the bot doesn't have
+    unknown: applied.filter(name => !migrations.includes(name)),
+    legacy
+  };
+}
+
+/**
+ * Run one migration step and record it in the migrations table, in a single transaction so that
+ * a step which fails partway leaves the database as it was and can be run again.
+ * SQLite can't switch foreign key enforcement off inside a transaction, so a migration that
+ * rebuilds a table other tables reference has to move their rows aside first, or the DROP
+ * cascades deletes to them
+ * @param {string} name - Migration file name
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<void>}
+ */
+async function runMigration(name, direction) {
+  const migration = loadMigration(name);
+  const queryInterface = sequelize.getQueryInterface();
+
+  await sequelize.transaction(async transaction => {
+    await migration[direction](queryInterface, Sequelize, transaction);
+
+    const violations = await sequelize.query('PRAGMA foreign_key_check', {
+      type: Sequelize.QueryTypes.SELECT,
+      transaction
+    });
+    if (violations.length > 0) {
+      throw new Error(`Migration ${name} (${direction}) left ${violations.length} foreign key violation(s)`);
+    }
+
+    if (direction === 'up') {
+      await queryInterface.bulkInsert(META_TABLE, [{ name }], { transaction });
+    } else {
+      await queryInterface.bulkDelete(META_TABLE, { name }, { transaction });
+    }
+  });
+
+  logger.info(`${direction === 'up' ? 'Applied' : 'Rolled back'} migration ${name}`);
+}
+
+/**
+ * Run the pending migrations
+ * @param {Object} options - Options
+ * @param {string} options.to - Stop after this migration (defaults to the latest)
+ * @returns {Promise<Array<string>>} - The migrations that were run
+ */
+async function migrate({ to } = {}) {
+  const migrations = listMigrations();
+  if (to && !migrations.includes(to)) {
+    throw new Error(`Unknown migration: ${to}`);
+  }
+
+  if (await isLegacyDatabase()) {
+    await baselineLegacyDatabase();
+  }
+  await ensureMetaTable();
+
+  const { pending } = await getMigrationStatus();
+  const toRun = to ? pending.filter(name => name <= to) : pending;
+
+  for (const name of toRun) {
+    await runMigration(name, 'up');
+  }
+
+  return toRun;
+}
+
+/**
+ * Roll back the most recent migrations
+ * @param {Object} options - Options
+ * @param {number} options.steps - Number of migrations to roll back (defaults to 1)
+ * @param {string} options.to - Roll back every migration after this one instead
+ * @returns {Promise<Array<string>>} - The migrations that were rolled back
+ */
+async function rollback({ steps = 1, to } = {}) {
+  const applied = await getAppliedMigrations();
+  if (to && !applied.includes(to)) {
+    throw new Error(`Migration ${to} has not been applied`);
+  }
+
+  const newestFirst = [...applied].reverse();
+  const toRollBack = to ? newestFirst.filter(name => name > to) : newestFirst.slice(0, steps);
+
+  const missing = toRollBack.filter(name => !listMigrations().includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Cannot roll back migrations that have no file: ${missing.join(', ')}`);
+  }
+
+  for (const name of toRollBack) {
+    await runMigration(name, 'down');
+  }
+
+  return toRollBack;
+}
+
+/**
+ * Refuse to start when the database schema doesn't match this version of the bot
+ * @returns {Promise<void>}
+ */
+async function assertSchemaUpToDate() {
+  const { applied, pending, unknown } = await getMigrationStatus();
+
+  if (unknown.length > 0) {
+    throw new Error(`The database has migrations this version of the bot doesn't know about (${unknown.join(', ')}). Deploy the matching version or roll them back.`);
+  }
+
+  if (pending.length > 0) {
+    throw new Error(`The database schema is behind: ${pending.length} pending migration(s) (${pending.join(', ')}). Run "npm run migrate" before starting the bot.`);
+  }
+
+  logger.info(`Database schema is up to date (${applied.length} migration(s) applied).`);
+}
+
+module.exports = {
+  listMigrations,
+  getAppliedMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertSchemaUpToDate
+};
@@ -0,0 +1,51 @@
+// KrayStakes Discord Bot - Admin Panel Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const AdminPanel = sequelize.define('AdminPanel', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID of the panel'
+  },
+  channelId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord channel ID the panel was posted in'
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord message ID of the panel (replaced when the panel is recreated)'
+  },
+  version: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Bot version and panel layout the message was last posted or edited with'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of the admin who posted the panel'
+  }
+}, {
+  tableName: 'admin_panels',
+  indexes: [
+    {
+      name: 'idx_admin_panels_guild',
+      fields: ['guildId']
+    },
+    {
+      name: 'idx_admin_panels_message',
+      unique: true,
+      fields: ['messageId']
+    }
+  ]
+});
+
+module.exports = AdminPanel;
@@ -8,13 +8,34 @@ const Bet = sequelize.define('Bet', {
     primaryKey: true,
     autoIncrement: true
   },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the bet was placed in'
+  },
   eventId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'events',
       key: 'id'
-    }
+    },
+    comment: 'Event the bet was placed on; null for parlays, whose events are on their legs'
+  },
+  betType: {
+    type: DataTypes.ENUM('single', 'parlay', 'place', 'each_way', 'forecast', 'tricast'),
+    allowNull: false,
+    defaultValue: 'single',
+    comment: 'A single (win) bet, a parlay that pays only if all of its legs win, a racing place or each-way bet, or a forecast/tricast on the exact top 2/3 of a race'
+  },
+  marketId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'markets',
+      key: 'id'
+    },
+    comment: 'Market the bet was placed on; null for the event\'s main result'
   },
   userId: {
     type: DataTypes.STRING,
@@ -36,8 +57,8 @@ const Bet = sequelize.define('Bet', {
   },
   choiceIndex: {
     type: DataTypes.INTEGER,
-    allowNull: false,
-    comment: 'Index of the selected choice in the event.choices array'
+    allowNull: true,
+    comment: 'Index of the selected choice in the event.choices (or market.choices) array; the predicted winner for forecasts and tricasts'
   },
   choiceName: {
     type: DataTypes.STRING,
@@ -74,7 +95,7 @@ const Bet = sequelize.define('Bet', {
     set(value) {
       this.setDataValue('meta', JSON.stringify(value));
     },
-    comment: 'Additional metadata for the bet'
+    comment: 'Additional metadata for the bet (e.g. place terms, or the predicted finishing order of a forecast or tricast)'
   },
   cancelledAt: {
     type: DataTypes.DATE,
@@ -85,10 +106,46 @@ const Bet = sequelize.define('Bet', {
     type: DataTypes.STRING,
     allowNull: true,
     comment: 'Discord user ID of who cancelled the bet (if applicable)'
+  },
+  isWinner: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the bet was marked as a winner during manual winner selection'
+  },
+  winningAmount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Amount won, as calculated during manual winner selection'
+  },
+  paidOut: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the winnings were paid out through payout management'
+  },
+  payoutTimestamp: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the winnings were paid out'
+  },
+  payoutConfirmedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of who confirmed the payout'
+  },
+  bankId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'In-game bank ID the winnings were paid to'
   }
 }, {
   tableName: 'bets',
   indexes: [
+    {
+      name: 'idx_bets_guild',
+      fields: ['guildId', 'userId']
+    },
     {
       name: 'idx_bets_user_event',
       fields: ['userId', 'eventId']
@@ -100,6 +157,10 @@ const Bet = sequelize.define('Bet', {
     {
       name: 'idx_bets_choice',
       fields: ['eventId', 'choiceIndex']
+    },
+    {
+      name: 'idx_bets_market',
+      fields: ['marketId', 'choiceIndex']
     }
   ]
 });
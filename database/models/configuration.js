@@ -8,14 +8,18 @@ const Configuration = sequelize.define('Configuration', {
     primaryKey: true,
     autoIncrement: true
   },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the setting applies to'
+  },
   key: {
     type: DataTypes.STRING,
     allowNull: false,
-    unique: true,
     validate: {
       notEmpty: true
     },
-    comment: 'Configuration key name'
+    comment: 'Configuration key name, unique within a server'
   },
   value: {
     type: DataTypes.TEXT,
@@ -42,8 +46,8 @@ const Configuration = sequelize.define('Configuration', {
   tableName: 'configurations',
   indexes: [
     {
-      name: 'idx_configurations_key',
-      fields: ['key'],
+      name: 'idx_configurations_guild_key',
+      fields: ['guildId', 'key'],
       unique: true
     },
     {
@@ -8,6 +8,11 @@ const Event = sequelize.define('Event', {
     primaryKey: true,
     autoIncrement: true
   },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the event belongs to'
+  },
   name: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -33,6 +38,11 @@ const Event = sequelize.define('Event', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  openTime: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a pending event opens for betting automatically (null to open it manually)'
+  },
   endTime: {
     type: DataTypes.DATE,
     allowNull: true
@@ -51,6 +61,11 @@ const Event = sequelize.define('Event', {
     allowNull: true,
     comment: 'Discord message ID of the announcement'
   },
+  announcementChannelId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord channel ID the announcement was posted in'
+  },
   totalBetsAmount: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -88,6 +103,18 @@ const Event = sequelize.define('Event', {
     },
     comment: 'JSON array of winner choices'
   },
+  finishingOrder: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('finishingOrder');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(value) {
+      this.setDataValue('finishingOrder', JSON.stringify(value));
+    },
+    comment: 'JSON array of choice indexes in finishing order, winner first (racing events)'
+  },
   customResults: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -117,21 +144,84 @@ const Event = sequelize.define('Event', {
     defaultValue: 5,
     comment: 'Fee percentage taken from winnings'
   },
+  settlementMode: {
+    type: DataTypes.ENUM('parimutuel', 'fixed'),
+    allowNull: false,
+    defaultValue: 'parimutuel',
+    comment: 'How bets are settled: pool-split (parimutuel) or bookmaker-set fixed odds'
+  },
+  reminderTimes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('reminderTimes');
+      return rawValue ? JSON.parse(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('reminderTimes', value ? JSON.stringify(value) : null);
+    },
+    comment: 'JSON array of minutes before the event to send reminders; null uses the global reminder times'
+  },
   remindersSent: {
     type: DataTypes.TEXT,
     allowNull: true,
     get() {
       const rawValue = this.getDataValue('remindersSent');
-      return rawValue ? JSON.parse(rawValue) : [];
+      const value = rawValue ? JSON.parse(rawValue) : {};
+      // Older events stored only the channel reminders, as a plain array
+      return Array.isArray(value) ? { channel: value, dm: {} } : { channel: value.channel || [], dm: value.dm || {} };
     },
     set(value) {
       this.setDataValue('remindersSent', JSON.stringify(value));
     },
-    comment: 'JSON array of reminder times that have been sent'
+    comment: 'JSON object of reminders delivered: { channel: [minutes], dm: { minutes: [userIds] } }'
+  },
+  entryFee: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Entry fee to take part in the event (null for free entry)'
+  },
+  imageUrl: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Image shown on the event announcement'
+  },
+  winnerApproved: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether the winners chosen during manual winner selection were approved'
+  },
+  result: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('result');
+      return rawValue ? JSON.parse(rawValue) : null;
+    },
+    set(value) {
+      this.setDataValue('result', value ? JSON.stringify(value) : null);
+    },
+    comment: 'JSON summary of the approved result: { winningChoice, totalWinners, totalWinningAmount, totalPayout }'
+  },
+  totalPayout: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Total amount paid out to winners'
+  },
+  lastModifiedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of who last modified the event'
   }
 }, {
   tableName: 'events',
   indexes: [
+    {
+      name: 'idx_events_guild',
+      fields: ['guildId', 'status']
+    },
     {
       name: 'idx_events_status',
       fields: ['status']
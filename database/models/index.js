@@ -1,9 +1,17 @@
 // KrayStakes Discord Bot - Models Index
 const Event = require('./event');
+const Market = require('./market');
 const Bet = require('./bet');
+const ParlayLeg = require('./parlayLeg');
 const Payout = require('./payout');
 const Log = require('./log');
 const Configuration = require('./configuration');
+const Wallet = require('./wallet');
+const LedgerEntry = require('./ledgerEntry');
+const WalletRequest = require('./walletRequest');
+const ScheduledJob = require('./scheduledJob');
+const ReminderSubscription = require('./reminderSubscription');
+const AdminPanel = require('./adminPanel');
 
 // Define model relationships
 
@@ -17,6 +25,46 @@ Bet.belongsTo(Event, {
   foreignKey: 'eventId'
 });
 
+// Event -> Markets (one-to-many)
+Event.hasMany(Market, {
+  foreignKey: 'eventId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+Market.belongsTo(Event, {
+  foreignKey: 'eventId'
+});
+
+// Market -> Bets (one-to-many; main result bets have no market)
+Market.hasMany(Bet, {
+  foreignKey: 'marketId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+Bet.belongsTo(Market, {
+  foreignKey: 'marketId'
+});
+
+// Bet -> Parlay legs (one-to-many)
+Bet.hasMany(ParlayLeg, {
+  foreignKey: 'betId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+ParlayLeg.belongsTo(Bet, {
+  foreignKey: 'betId'
+});
+
+// Event -> Parlay legs (one-to-many)
+Event.hasMany(ParlayLeg, {
+  foreignKey: 'eventId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+ParlayLeg.belongsTo(Event, {
+  foreignKey: 'eventId'
+});
+
 // Event -> Payouts (one-to-many)
 Event.hasMany(Payout, {
   foreignKey: 'eventId',
@@ -37,10 +85,48 @@ Payout.belongsTo(Bet, {
   foreignKey: 'betId'
 });
 
+// Event -> Reminder subscriptions (one-to-many)
+Event.hasMany(ReminderSubscription, {
+  foreignKey: 'eventId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+ReminderSubscription.belongsTo(Event, {
+  foreignKey: 'eventId'
+});
+
+// Wallet -> Ledger entries (one-to-many)
+Wallet.hasMany(LedgerEntry, {
+  foreignKey: 'walletId',
+  onDelete: 'RESTRICT',
+  onUpdate: 'CASCADE'
+});
+LedgerEntry.belongsTo(Wallet, {
+  foreignKey: 'walletId'
+});
+
+// Wallet -> Wallet requests (one-to-many)
+Wallet.hasMany(WalletRequest, {
+  foreignKey: 'walletId',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+WalletRequest.belongsTo(Wallet, {
+  foreignKey: 'walletId'
+});
+
 module.exports = {
   Event,
+  Market,
   Bet,
+  ParlayLeg,
   Payout,
   Log,
-  Configuration
+  Configuration,
+  Wallet,
+  LedgerEntry,
+  WalletRequest,
+  ScheduledJob,
+  ReminderSubscription,
+  AdminPanel
 };
\ No newline at end of file
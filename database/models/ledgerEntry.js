@@ -0,0 +1,113 @@
+// KrayStakes Discord Bot - Ledger Entry Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID of the wallet'
+  },
+  walletId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'wallets',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord user ID of the wallet owner (for easier querying)'
+  },
+  type: {
+    type: DataTypes.ENUM('deposit', 'stake', 'refund', 'winning', 'withdrawal', 'adjustment'),
+    allowNull: false,
+    comment: 'Kind of money movement'
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Signed amount in coins (positive credits, negative debits)'
+  },
+  referenceType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Type of the record that caused this entry (e.g. bet, walletRequest)'
+  },
+  referenceId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID of the record that caused this entry'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Human readable description of the entry'
+  },
+  createdBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of who recorded the entry (null for automatic entries)'
+  },
+  meta: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('meta');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('meta', JSON.stringify(value));
+    },
+    comment: 'Additional metadata for the entry'
+  }
+}, {
+  tableName: 'ledger_entries',
+  updatedAt: false,
+  hooks: {
+    // Ledger entries are immutable; corrections are recorded as new adjustment entries
+    beforeUpdate: () => {
+      throw new Error('Ledger entries cannot be modified');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Ledger entries cannot be modified');
+    },
+    beforeDestroy: () => {
+      throw new Error('Ledger entries cannot be deleted');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Ledger entries cannot be deleted');
+    }
+  },
+  indexes: [
+    {
+      name: 'idx_ledger_entries_guild',
+      fields: ['guildId', 'userId']
+    },
+    {
+      name: 'idx_ledger_entries_wallet',
+      fields: ['walletId']
+    },
+    {
+      name: 'idx_ledger_entries_user',
+      fields: ['userId']
+    },
+    {
+      name: 'idx_ledger_entries_reference',
+      fields: ['referenceType', 'referenceId']
+    },
+    {
+      name: 'idx_ledger_entries_type',
+      fields: ['type']
+    }
+  ]
+});
+
+module.exports = LedgerEntry;
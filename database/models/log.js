@@ -8,6 +8,11 @@ const Log = sequelize.define('Log', {
     primaryKey: true,
     autoIncrement: true
   },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord server ID the log entry relates to (null for system logs)'
+  },
   level: {
     type: DataTypes.ENUM('info', 'warn', 'error', 'debug'),
     allowNull: false,
@@ -45,6 +50,10 @@ const Log = sequelize.define('Log', {
 }, {
   tableName: 'logs',
   indexes: [
+    {
+      name: 'idx_logs_guild',
+      fields: ['guildId']
+    },
     {
       name: 'idx_logs_level',
       fields: ['level']
@@ -0,0 +1,128 @@
+// KrayStakes Discord Bot - Market Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const Market = sequelize.define('Market', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID of the event'
+  },
+  eventId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    },
+    comment: 'Market name shown to bettors (e.g. Method of Victory)'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'settled', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open',
+    comment: 'Market status; bets are also blocked while the event itself is not open'
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Display order of the market within its event'
+  },
+  choices: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '[]',
+    get() {
+      const rawValue = this.getDataValue('choices');
+      return rawValue ? JSON.parse(rawValue) : [];
+    },
+    set(value) {
+      this.setDataValue('choices', JSON.stringify(value));
+    },
+    comment: 'JSON array of choices for the market'
+  },
+  totalBetsAmount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Total amount of bets placed on this market'
+  },
+  totalBetsCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Total number of bets placed on this market'
+  },
+  minBet: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10,
+    comment: 'Minimum bet amount'
+  },
+  maxBet: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1000,
+    comment: 'Maximum bet amount'
+  },
+  limitPerUser: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    comment: 'Maximum number of bets per user on this market'
+  },
+  feePercent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    comment: 'Fee percentage taken from winnings'
+  },
+  settlementMode: {
+    type: DataTypes.ENUM('parimutuel', 'fixed'),
+    allowNull: false,
+    defaultValue: 'parimutuel',
+    comment: 'How bets are settled: pool-split (parimutuel) or bookmaker-set fixed odds'
+  },
+  winningChoiceIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Index of the winning choice once the market is settled'
+  },
+  settledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the market was settled'
+  },
+  settledBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of who settled the market'
+  }
+}, {
+  tableName: 'markets',
+  indexes: [
+    {
+      name: 'idx_markets_event',
+      fields: ['eventId']
+    },
+    {
+      name: 'idx_markets_status',
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = Market;
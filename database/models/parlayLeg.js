@@ -0,0 +1,74 @@
+// KrayStakes Discord Bot - Parlay Leg Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const ParlayLeg = sequelize.define('ParlayLeg', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID of the parlay'
+  },
+  betId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bets',
+      key: 'id'
+    },
+    comment: 'The parlay bet this leg belongs to'
+  },
+  eventId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    },
+    comment: 'The event this leg was picked from'
+  },
+  choiceIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Index of the selected choice in the event.choices array'
+  },
+  choiceName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Name of the selected choice (for easier querying)'
+  },
+  odds: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    comment: 'Odds of the choice locked in when the parlay was placed'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'won', 'lost', 'void'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Leg outcome; void legs (e.g. cancelled events) drop out of the parlay'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the leg was resolved'
+  }
+}, {
+  tableName: 'parlay_legs',
+  indexes: [
+    {
+      name: 'idx_parlay_legs_bet',
+      fields: ['betId']
+    },
+    {
+      name: 'idx_parlay_legs_event_status',
+      fields: ['eventId', 'status']
+    }
+  ]
+});
+
+module.exports = ParlayLeg;
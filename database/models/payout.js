@@ -8,6 +8,11 @@ const Payout = sequelize.define('Payout', {
     primaryKey: true,
     autoIncrement: true
   },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the payout belongs to'
+  },
   eventId: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -96,10 +101,19 @@ const Payout = sequelize.define('Payout', {
       this.setDataValue('meta', JSON.stringify(value));
     },
     comment: 'Additional metadata for the payout'
+  },
+  bankId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'In-game bank ID the payout was sent to'
   }
 }, {
   tableName: 'payouts',
   indexes: [
+    {
+      name: 'idx_payouts_guild',
+      fields: ['guildId', 'status']
+    },
     {
       name: 'idx_payouts_user',
       fields: ['userId']
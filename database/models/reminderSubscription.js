@@ -0,0 +1,41 @@
+// KrayStakes Discord Bot - Reminder Subscription Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const ReminderSubscription = sequelize.define('ReminderSubscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID of the event'
+  },
+  eventId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    },
+    comment: 'The event the player wants to be reminded of'
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord user ID of the player who clicked "Remind Me"'
+  }
+}, {
+  tableName: 'reminder_subscriptions',
+  indexes: [
+    {
+      name: 'idx_reminder_subscriptions_event_user',
+      unique: true,
+      fields: ['eventId', 'userId']
+    }
+  ]
+});
+
+module.exports = ReminderSubscription;
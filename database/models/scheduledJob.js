@@ -0,0 +1,91 @@
+// KrayStakes Discord Bot - Scheduled Job Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const ScheduledJob = sequelize.define('ScheduledJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord server ID the job runs for (null for jobs that run once for the whole bot)'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Unique job name, matching a job registered in code'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'What the job does, shown in the jobs panel'
+  },
+  schedule: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Cron expression (minute hour day-of-month month day-of-week) in server time'
+  },
+  catchUpPolicy: {
+    type: DataTypes.ENUM('once', 'skip', 'all'),
+    allowNull: false,
+    defaultValue: 'once',
+    comment: 'What to do on startup with runs missed while the bot was offline: run once, skip them, or run each one'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether the job runs at all'
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the job is next due to run'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the job last started running'
+  },
+  lastStatus: {
+    type: DataTypes.ENUM('success', 'failed', 'skipped'),
+    allowNull: true,
+    comment: 'Result of the last run, or skipped if missed runs were skipped on startup'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of the last failed run'
+  },
+  lastDurationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'How long the last run took in milliseconds'
+  },
+  runCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of times the job has run'
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of runs that failed'
+  }
+}, {
+  tableName: 'scheduled_jobs',
+  indexes: [
+    {
+      name: 'idx_scheduled_jobs_next_run',
+      fields: ['enabled', 'nextRunAt']
+    }
+  ]
+});
+
+module.exports = ScheduledJob;
@@ -0,0 +1,37 @@
+// KrayStakes Discord Bot - Wallet Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const Wallet = sequelize.define('Wallet', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the wallet belongs to; each server has its own wallets'
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord user ID of the wallet owner'
+  },
+  userTag: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord username#discriminator of the wallet owner'
+  }
+}, {
+  tableName: 'wallets',
+  indexes: [
+    {
+      name: 'idx_wallets_guild_user',
+      unique: true,
+      fields: ['guildId', 'userId']
+    }
+  ]
+});
+
+module.exports = Wallet;
@@ -0,0 +1,97 @@
+// KrayStakes Discord Bot - Wallet Request Model
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../dbInit');
+
+const WalletRequest = sequelize.define('WalletRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  guildId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord server ID the request was made in'
+  },
+  walletId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'wallets',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord user ID of the requester'
+  },
+  userTag: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Discord username#discriminator of the requester'
+  },
+  type: {
+    type: DataTypes.ENUM('deposit', 'withdrawal'),
+    allowNull: false,
+    comment: 'Whether coins are coming in or going out'
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Requested amount in coins'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'In-game reference for the transfer (e.g. bank ID or character name)'
+  },
+  processedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Discord user ID of who approved or rejected the request'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the request was approved or rejected'
+  },
+  meta: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const rawValue = this.getDataValue('meta');
+      return rawValue ? JSON.parse(rawValue) : {};
+    },
+    set(value) {
+      this.setDataValue('meta', JSON.stringify(value));
+    },
+    comment: 'Additional metadata for the request'
+  }
+}, {
+  tableName: 'wallet_requests',
+  indexes: [
+    {
+      name: 'idx_wallet_requests_guild',
+      fields: ['guildId', 'type', 'status']
+    },
+    {
+      name: 'idx_wallet_requests_user',
+      fields: ['userId']
+    },
+    {
+      name: 'idx_wallet_requests_status',
+      fields: ['type', 'status']
+    }
+  ]
+});
+
+module.exports = WalletRequest;
@@ -31,7 +31,7 @@ async function deployCommands() {
     }
     
     // Get all command files
-    const allowedCommands = ['help.js', 'newbie.js', 'panel.js', 'setpanel.js', 'status.js'];
+    const allowedCommands = ['bet.js', 'betslip.js', 'help.js', 'mybets.js', 'newbie.js', 'panel.js', 'processPics.js', 'setpanel.js', 'status.js', 'wallet.js'];
     const commandFiles = fs.readdirSync(commandsPath)
       .filter(file => file.endsWith('.js') && allowedCommands.includes(file));
     
@@ -1,12 +1,14 @@
 // KrayStakes Discord Bot - Main Entry Point
 const { Client, Collection, Events, GatewayIntentBits, Partials } = require('discord.js');
-const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const logger = require('./utils/logger');
-const { initDatabase } = require('./database/dbInit');
-const { safeReply, safeDefer, safeUpdate, safeDeferUpdate, handleInteractionError } = require('./utils/interactions');
+const { initDatabase, initDefaultConfig } = require('./database/dbInit');
+const { isMaintenanceMode, getMaintenance } = require('./utils/maintenance');
+const { safeReply, safeDefer, handleInteractionError } = require('./utils/interactions');
+const { loadRoutes, routeInteraction } = require('./utils/router');
+const { isModuleEnabled, requireModule } = require('./utils/moduleToggles');
 
 // Create a new client instance with improved stability options
 const client = new Client({
@@ -73,89 +75,128 @@ client.cache = {
   }
 };
 
-// Scheduled tasks
-let scheduledTasks = [];
-
 /**
- * Set up scheduled tasks with node-cron
+ * Register the timed jobs and start the database-backed job scheduler
  */
-function setupScheduledTasks() {
+async function setupScheduledTasks() {
   logger.info('Setting up scheduled tasks');
   
   // Import required modules
-  const { checkUpcomingEvents } = require('./modules/scheduledEvents');
+  const { registerJob, startScheduler } = require('./modules/jobScheduler');
+  const { checkUpcomingEvents, updateBettingStatus } = require('./modules/scheduledEvents');
   const { cleanupOldLogs } = require('./modules/discordBotLogs');
   const { generateWeeklyReport, generateMonthlyReport } = require('./modules/reportsLogs');
   const { scheduleAutomaticUpdates } = require('./modules/leaderboard');
-  
-  // Cancel any existing scheduled tasks
-  scheduledTasks.forEach(task => task.stop());
-  scheduledTasks = [];
+  const { runScheduledBackup } = require('./modules/backups');
   
   // Check for upcoming events every 15 minutes
-  const eventTask = cron.schedule('*/15 * * * *', async () => {
-    try {
-      logger.debug('Running scheduled event check');
-      await checkUpcomingEvents(client);
-    } catch (error) {
-      logger.error('Error in scheduled event check:', error);
-    }
+  registerJob('eventReminders', {
+    schedule: '*/15 * * * *',
+    catchUpPolicy: 'once',
+    description: 'Send reminders for upcoming events',
+    module: 'scheduledEvents',
+    run: client => checkUpcomingEvents(client)
+  });
+  
+  // Open and lock betting on schedule every minute
+  registerJob('bettingOpenLock', {
+    schedule: '* * * * *',
+    catchUpPolicy: 'once',
+    description: 'Open and lock betting at event open and start times',
+    run: client => updateBettingStatus(client)
   });
-  scheduledTasks.push(eventTask);
   
   // Clean up old logs once per day at 3 AM
-  const logCleanupTask = cron.schedule('0 3 * * *', async () => {
-    try {
-      logger.debug('Running scheduled log cleanup');
-      await cleanupOldLogs(client);
-    } catch (error) {
-      logger.error('Error in scheduled log cleanup:', error);
-    }
+  registerJob('logCleanup', {
+    schedule: '0 3 * * *',
+    catchUpPolicy: 'once',
+    description: 'Remove database logs past the retention period',
+    run: client => cleanupOldLogs(client)
   });
-  scheduledTasks.push(logCleanupTask);
   
-  // Generate weekly report (default: Monday at 9 AM)
-  const weeklyReportDay = config.reports.weeklyReportDay ?? 1; // Monday
-  const weeklyReportHour = config.reports.weeklyReportHour ?? 9; // 9 AM
-  const weeklyReportCron = `0 ${weeklyReportHour} * * ${weeklyReportDay}`;
+  // Generate each server's weekly report (default: Monday at 9 AM); every missed week gets its own report
+  registerJob('weeklyReport', {
+    schedule: settings => `0 ${settings.weeklyReportHour} * * ${settings.weeklyReportDay}`,
+    catchUpPolicy: 'all',
+    description: 'Post the weekly report',
+    perGuild: true,
+    module: 'reportsLogs',
+    run: (client, { scheduledFor, guildId }) => generateWeeklyReport(client, { guildId, endDate: scheduledFor })
+  });
   
-  const weeklyReportTask = cron.schedule(weeklyReportCron, async () => {
-    try {
-      logger.debug('Generating weekly report');
-      await generateWeeklyReport(client);
-    } catch (error) {
-      logger.error('Error generating weekly report:', error);
-    }
+  // Generate each server's monthly report (default: 1st of month at 9 AM); every missed month gets its own report
+  registerJob('monthlyReport', {
+    schedule: settings => `0 ${settings.monthlyReportHour} ${settings.monthlyReportDay} * *`,
+    catchUpPolicy: 'all',
+    description: 'Post the monthly report',
+    perGuild: true,
+    module: 'reportsLogs',
+    run: (client, { scheduledFor, guildId }) => generateMonthlyReport(client, { guildId, endDate: scheduledFor })
+  });
+  
+  // Update each server's leaderboard once per day (default: 4 AM); only the latest standings are worth posting
+  registerJob('leaderboardUpdate', {
+    schedule: settings => {
+      const [hour, minute] = settings.leaderboardPostTime.split(':').map(Number);
+      return `${minute} ${hour} * * *`;
+    },
+    catchUpPolicy: 'once',
+    description: 'Post the automatic leaderboard update',
+    perGuild: true,
+    module: 'leaderboard',
+    run: (client, { guildId }) => scheduleAutomaticUpdates(client, guildId)
   });
-  scheduledTasks.push(weeklyReportTask);
   
-  // Generate monthly report (default: 1st of month at 9 AM)
-  const monthlyReportDay = config.reports.monthlyReportDay ?? 1; // 1st of month
-  const monthlyReportHour = config.reports.monthlyReportHour ?? 9; // 9 AM
-  const monthlyReportCron = `0 ${monthlyReportHour} ${monthlyReportDay} * *`;
+  // Back up the database (default: every 6 hours) and prune old backups; one backup is enough after downtime
+  if (config.backups.enabled) {
+    registerJob('databaseBackup', {
+      schedule: config.backups.schedule,
+      catchUpPolicy: 'once',
+      description: 'Back up the database and prune old backups',
+      run: () => runScheduledBackup()
+    });
+  }
+  
+  await startScheduler(client);
+}
+
+/**
+ * Set up the default configuration of every server the bot is in, and of servers it joins later,
+ * and bring their posted admin panels up to date
+ */
+function setupGuilds() {
+  const { refreshSchedules } = require('./modules/jobScheduler');
+  const { refreshPanels } = require('./modules/adminPanel');
   
-  const monthlyReportTask = cron.schedule(monthlyReportCron, async () => {
+  client.once(Events.ClientReady, async readyClient => {
     try {
-      logger.debug('Generating monthly report');
-      await generateMonthlyReport(client);
+      for (const guild of readyClient.guilds.cache.values()) {
+        await initDefaultConfig(guild.id);
+      }
+      
+      // Create the per-server jobs of servers set up for the first time
+      await refreshSchedules();
+    } catch (error) {
+      logger.error('Error setting up server configuration:', error);
+    }
+    
+    try {
+      const { updated, recreated, missing } = await refreshPanels(readyClient);
+      logger.info(`Admin panels refreshed: ${updated} updated, ${recreated} recreated, ${missing} in deleted channels`);
     } catch (error) {
-      logger.error('Error generating monthly report:', error);
+      logger.error('Error refreshing admin panels:', error);
     }
   });
-  scheduledTasks.push(monthlyReportTask);
   
-  // Update leaderboard once per day at 4 AM
-  const leaderboardTask = cron.schedule('0 4 * * *', async () => {
+  client.on(Events.GuildCreate, async guild => {
     try {
-      logger.debug('Running scheduled leaderboard update');
-      await scheduleAutomaticUpdates(client);
+      logger.info(`Joined server ${guild.name} (${guild.id})`);
+      await initDefaultConfig(guild.id);
+      await refreshSchedules();
     } catch (error) {
-      logger.error('Error in scheduled leaderboard update:', error);
+      logger.error(`Error setting up server ${guild.id}:`, error);
     }
   });
-  scheduledTasks.push(leaderboardTask);
-  
-  logger.info(`Set up ${scheduledTasks.length} scheduled tasks`);
 }
 
 /**
@@ -170,7 +211,7 @@ async function loadCommands() {
     logger.info('Created commands directory');
   }
   
-  const allowedCommands = ['help.js', 'newbie.js', 'panel.js', 'processPics.js', 'setpanel.js', 'status.js'];
+  const allowedCommands = ['bet.js', 'betslip.js', 'help.js', 'mybets.js', 'newbie.js', 'panel.js', 'processPics.js', 'setpanel.js', 'status.js', 'wallet.js'];
   const commandFiles = fs.readdirSync(commandsPath)
     .filter(file => file.endsWith('.js') && allowedCommands.includes(file));
   
@@ -292,11 +333,40 @@ async function initialize() {
     // Load commands
     await loadCommands();
     
+    // Load the routes of the modules' buttons, select menus and modals
+    logger.info(`Loaded ${loadRoutes()} component routes`);
+    
     // Interaction utilities already imported at the top level
     
     // Handle interaction events with improved error handling
     client.on(Events.InteractionCreate, async interaction => {
       try {
+        // Turn interactions away while the bot is in maintenance (e.g. restoring a backup)
+        if (isMaintenanceMode()) {
+          if (interaction.isAutocomplete()) {
+            await interaction.respond([]).catch(() => {});
+          } else {
+            await safeReply(interaction, {
+              content: `🛠️ The bot is under maintenance: ${getMaintenance().reason}. Please try again in a moment.`,
+              ephemeral: true
+            });
+          }
+          return;
+        }
+        
+        // Everything the bot stores belongs to a server, so it can't be used from DMs
+        if (!interaction.inGuild()) {
+          if (interaction.isAutocomplete()) {
+            await interaction.respond([]).catch(() => {});
+          } else {
+            await safeReply(interaction, {
+              content: 'KrayStakes can only be used inside a server.',
+              ephemeral: true
+            });
+          }
+          return;
+        }
+        
         // Handle slash commands with better error recovery
         if (interaction.isChatInputCommand()) {
           const command = client.commands.get(interaction.commandName);
@@ -306,10 +376,15 @@ async function initialize() {
             return;
           }
           
+          // Commands of a module the server has turned off (see the module property of the command)
+          if (command.module && !await requireModule(interaction, command.module)) {
+            return;
+          }
+          
           try {
             // Automatically defer long commands to prevent "interaction failed" errors
             // This gives the bot up to 15 minutes to respond instead of just 3 seconds
-            const shouldDefer = ['panel', 'setpanel', 'help', 'newbie', 'status'].includes(interaction.commandName);
+            const shouldDefer = ['bet', 'betslip', 'mybets', 'panel', 'setpanel', 'help', 'newbie', 'processpics', 'status', 'wallet'].includes(interaction.commandName);
             if (shouldDefer) {
               await safeDefer(interaction, true);
             }
@@ -322,380 +397,32 @@ async function initialize() {
             await handleInteractionError(error, interaction, `command ${interaction.commandName}`);
           }
         }
-        // Handle button interactions
-        else if (interaction.isButton()) {
-          // Immediately defer update for buttons to prevent "interaction failed" errors
-          // This gives us up to 15 minutes to respond instead of just 3 seconds
-          try {
-            // We'll defer updates, but handle failures gracefully - no need to block execution
-            const deferSuccess = await safeDeferUpdate(interaction);
-            if (!deferSuccess) {
-              logger.warn(`Failed to defer button interaction with ID: ${interaction.customId}`);
-              // We continue processing - our utility functions will handle expired interactions
-            }
-          } catch (deferError) {
-            // Log but continue - we still want to try processing the button click
-            logger.error(`Error deferring button interaction: ${deferError.message}`);
-          }
-          
-          const buttonId = interaction.customId;
+        // Handle autocomplete suggestions for slash command options
+        else if (interaction.isAutocomplete()) {
+          const command = client.commands.get(interaction.commandName);
           
-          // Check if button ID contains a module identifier (format: "module:action")
-          if (buttonId.includes(':')) {
-            const [moduleId, actionId] = buttonId.split(':');
-            logger.debug(`Processing button click: module=${moduleId}, action=${actionId}`);
-            
-            // Create a list of enabled modules based on our core functionality
-            const enabledModules = [
-              'guideHelp',             // For help button functionality
-              'adminPanel',            // For admin panel
-              'configurationSettings', // For panel configuration
-              'discordBotLogs',        // For viewing bot logs
-              'changelogDebug',        // For changelog and debug mode
-              'eventCreation',         // For creating events
-              'eventManagement',       // For managing events
-              'winnerSelection',       // For selecting winners
-              'payoutManagement',      // For managing payouts
-              'scheduledEvents',       // For viewing scheduled events
-              'reportsLogs',           // For reports and logs
-              'leaderboard'            // For leaderboards
-            ];
-            
-            // Check if module is enabled (only allow our core modules for this simplified version)
-            if (!enabledModules.includes(moduleId)) {
-              logger.warn(`Button clicked for disabled module: ${moduleId}`);
-              try {
-                // Make sure we properly handle the interaction even for disabled modules
-                if (interaction.deferred) {
-                  await interaction.editReply({
-                    content: `This functionality (${moduleId}) is not enabled in this version of the bot.`,
-                    ephemeral: true,
-                    components: [] // Remove buttons to prevent further clicking
-                  });
-                } else {
-                  await safeUpdate(interaction, {
-                    content: `This functionality (${moduleId}) is not enabled in this version of the bot.`,
-                    ephemeral: true,
-                    components: [] // Remove buttons to prevent further clicking
-                  });
-                }
-                logger.info(`Successfully responded to disabled module button: ${moduleId}`);
-              } catch (disabledModuleError) {
-                logger.error(`Error responding to disabled module button ${moduleId}:`, disabledModuleError);
-                // Use our safer error handling utility
-                await handleInteractionError(disabledModuleError, interaction, `disabled-module-${moduleId}`);
-              }
-              return;
-            }
-            
-            // Import the appropriate module handler based on the module ID
-            try {
-              // Only import enabled modules
-              let moduleHandler;
-              
-              switch (moduleId) {
-                case 'adminPanel':
-                  moduleHandler = require('./modules/adminPanel');
-                  break;
-                case 'configurationSettings':
-                  moduleHandler = require('./modules/configurationSettings');
-                  break;
-                case 'guideHelp':
-                  moduleHandler = require('./modules/guideHelp');
-                  break;
-                case 'discordBotLogs':
-                  moduleHandler = require('./modules/discordBotLogs');
-                  break;
-                case 'changelogDebug':
-                  moduleHandler = require('./modules/changelogDebug');
-                  break;
-                case 'eventCreation':
-                  moduleHandler = require('./modules/eventCreation');
-                  break;
-                case 'eventManagement':
-                  moduleHandler = require('./modules/eventManagement');
-                  break;
-                case 'winnerSelection':
-                  moduleHandler = require('./modules/winnerSelection');
-                  break;
-                case 'payoutManagement':
-                  moduleHandler = require('./modules/payoutManagement');
-                  break;
-                case 'scheduledEvents':
-                  moduleHandler = require('./modules/scheduledEvents');
-                  break;
-                case 'reportsLogs':
-                  moduleHandler = require('./modules/reportsLogs');
-                  break;
-                case 'leaderboard':
-                  moduleHandler = require('./modules/leaderboard');
-                  break;
-                default:
-                  throw new Error(`Module not found: ${moduleId}`);
-              }
-              
-              // Call the module's handleButton function
-              if (moduleHandler && typeof moduleHandler.handleButton === 'function') {
-                await moduleHandler.handleButton(actionId, interaction, client);
-              } else {
-                logger.warn(`Module ${moduleId} does not have a handleButton function`);
-                await safeUpdate(interaction, {
-                  embeds: [require('./utils/embeds').createErrorEmbed(
-                    'Button Handler Not Implemented',
-                    `Button handler not implemented for ${moduleId}. This feature will be available in a future update.`
-                  )],
-                  components: [] // Remove the buttons to prevent further clicking
-                });
-              }
-            } catch (error) {
-              logger.error(`Error handling button ${buttonId}:`, error);
-              
-              // Use our safer error handling utility
-              await handleInteractionError(error, interaction, `button ${buttonId}`);
-            }
-          } else {
-            logger.warn(`Invalid button ID format: ${buttonId}`);
-            
-            // Use our safer update method with better error handling
-            await safeUpdate(interaction, {
-              embeds: [require('./utils/embeds').createErrorEmbed(
-                'Unknown Button',
-                `The button "${buttonId}" is not configured correctly. Please contact an administrator.`
-              )],
-              components: [] // Remove the buttons to prevent further clicking
-            });
-          }
-        }
-        // Handle select menu interactions
-        else if (interaction.isStringSelectMenu()) {
-          // Immediately defer update for select menus to prevent "interaction failed" errors
-          try {
-            const deferSuccess = await safeDeferUpdate(interaction);
-            if (!deferSuccess) {
-              logger.warn(`Failed to defer select menu interaction with ID: ${interaction.customId}`);
-            }
-          } catch (deferError) {
-            logger.error(`Error deferring select menu interaction: ${deferError.message}`);
+          if (!command || typeof command.autocomplete !== 'function') {
+            logger.warn(`No autocomplete handler for command ${interaction.commandName}`);
+            return;
           }
           
-          const selectId = interaction.customId;
-          
-          // Check if select ID contains a module identifier (format: "module:action")
-          if (selectId.includes(':')) {
-            const [moduleId, actionId] = selectId.split(':');
-            logger.debug(`Processing select menu: module=${moduleId}, action=${actionId}`);
-            
-            // Create a list of enabled modules for select menu interactions
-            const enabledModules = [
-              'eventManagement',       // For managing events
-              'winnerSelection',       // For selecting winners
-              'payoutManagement',      // For managing payouts
-              'scheduledEvents',       // For viewing scheduled events
-              'reportsLogs'            // For reports and logs
-            ];
-            
-            // Check if module is enabled
-            if (!enabledModules.includes(moduleId)) {
-              logger.warn(`Select menu used for disabled module: ${moduleId}`);
-              try {
-                // Make sure we properly handle the interaction even for disabled modules
-                if (interaction.deferred) {
-                  await interaction.editReply({
-                    embeds: [require('./utils/embeds').createErrorEmbed(
-                      'Feature Not Available',
-                      `This functionality (${moduleId}) is not enabled in this version of the bot.`
-                    )],
-                    components: [] // Remove the select menu to prevent further interactions
-                  });
-                } else {
-                  await safeUpdate(interaction, {
-                    embeds: [require('./utils/embeds').createErrorEmbed(
-                      'Feature Not Available',
-                      `This functionality (${moduleId}) is not enabled in this version of the bot.`
-                    )],
-                    components: [] // Remove the select menu to prevent further interactions
-                  });
-                }
-                logger.info(`Successfully responded to disabled module select menu: ${moduleId}`);
-              } catch (disabledModuleError) {
-                logger.error(`Error responding to disabled module select menu ${moduleId}:`, disabledModuleError);
-                // Use our safer error handling utility
-                await handleInteractionError(disabledModuleError, interaction, `disabled-select-menu-${moduleId}`);
-              }
-              return;
-            }
-            
-            // Import the appropriate module handler based on the module ID
-            try {
-              let moduleHandler;
-              
-              switch (moduleId) {
-                case 'eventManagement':
-                  moduleHandler = require('./modules/eventManagement');
-                  break;
-                case 'winnerSelection':
-                  moduleHandler = require('./modules/winnerSelection');
-                  break;
-                case 'payoutManagement':
-                  moduleHandler = require('./modules/payoutManagement');
-                  break;
-                case 'scheduledEvents':
-                  moduleHandler = require('./modules/scheduledEvents');
-                  break;
-                case 'reportsLogs':
-                  moduleHandler = require('./modules/reportsLogs');
-                  break;
-                default:
-                  throw new Error(`Module not found: ${moduleId}`);
-              }
-              
-              // Call the module's handleSelect function
-              if (moduleHandler && typeof moduleHandler.handleSelect === 'function') {
-                await moduleHandler.handleSelect(actionId, interaction, client);
-              } else {
-                logger.warn(`Module ${moduleId} does not have a handleSelect function`);
-                await safeUpdate(interaction, {
-                  embeds: [require('./utils/embeds').createErrorEmbed(
-                    'Select Menu Handler Not Implemented',
-                    `Select menu handler not implemented for ${moduleId}. This feature will be available in a future update.`
-                  )],
-                  components: [] // Remove the select menu to prevent further interactions
-                });
-              }
-            } catch (error) {
-              logger.error(`Error handling select menu ${selectId}:`, error);
-              
-              // Use our safer error handling utility
-              await handleInteractionError(error, interaction, `select-menu ${selectId}`);
-            }
-          } else {
-            logger.warn(`Invalid select menu ID format: ${selectId}`);
-            
-            // Use our safer update method with better error handling
-            await safeUpdate(interaction, {
-              embeds: [require('./utils/embeds').createErrorEmbed(
-                'Unknown Select Menu',
-                `The select menu "${selectId}" is not configured correctly. Please contact an administrator.`
-              )],
-              components: [] // Remove the select menu to prevent further interactions
-            });
-          }
-        }
-        // Handle modal submit interactions - simplified for core functionality
-        else if (interaction.isModalSubmit()) {
-          // Immediately defer reply for modal submits to prevent "interaction failed" errors
-          try {
-            const deferSuccess = await safeDefer(interaction, true);
-            if (!deferSuccess) {
-              logger.warn(`Failed to defer modal submit interaction with ID: ${interaction.customId}`);
-            }
-          } catch (deferError) {
-            logger.error(`Error deferring modal submit interaction: ${deferError.message}`);
+          // Suggest nothing for commands of a module the server has turned off
+          if (command.module && !await isModuleEnabled(interaction.guildId, command.module)) {
+            await interaction.respond([]).catch(() => {});
+            return;
           }
           
-          const modalId = interaction.customId;
-          
-          // Check if modal ID contains a module identifier (format: "module:action")
-          if (modalId.includes(':')) {
-            const [moduleId, actionId] = modalId.split(':');
-            logger.debug(`Processing modal submit: module=${moduleId}, action=${actionId}`);
-            
-            // Create a list of enabled modules for modal submissions
-            const enabledModules = [
-              'configurationSettings',  // For panel configuration
-              'eventCreation',         // For creating events
-              'eventManagement',       // For managing events
-              'winnerSelection',       // For selecting winners
-              'payoutManagement',      // For managing payouts
-              'reportsLogs'            // For reports and logs
-            ];
-            
-            // Check if module is enabled in our simplified version
-            if (!enabledModules.includes(moduleId)) {
-              logger.warn(`Modal submitted for disabled module: ${moduleId}`);
-              try {
-                // Make sure we properly handle the interaction even for disabled modules
-                if (interaction.deferred) {
-                  await interaction.editReply({
-                    embeds: [require('./utils/embeds').createErrorEmbed(
-                      'Feature Not Available',
-                      'This feature is not available in the simplified version of the bot.'
-                    )],
-                    ephemeral: true
-                  });
-                } else {
-                  await safeReply(interaction, {
-                    embeds: [require('./utils/embeds').createErrorEmbed(
-                      'Feature Not Available',
-                      'This feature is not available in the simplified version of the bot.'
-                    )],
-                    ephemeral: true
-                  });
-                }
-                logger.info(`Successfully responded to disabled module modal: ${moduleId}`);
-              } catch (disabledModuleError) {
-                logger.error(`Error responding to disabled module modal ${moduleId}:`, disabledModuleError);
-                // Use our safer error handling utility
-                await handleInteractionError(disabledModuleError, interaction, `disabled-modal-${moduleId}`);
-              }
-              return;
-            }
-            
-            // Import the appropriate module handler based on the module ID
-            try {
-              let moduleHandler;
-              
-              switch (moduleId) {
-                case 'configurationSettings':
-                  moduleHandler = require('./modules/configurationSettings');
-                  break;
-                case 'eventCreation':
-                  moduleHandler = require('./modules/eventCreation');
-                  break;
-                case 'eventManagement':
-                  moduleHandler = require('./modules/eventManagement');
-                  break;
-                case 'winnerSelection':
-                  moduleHandler = require('./modules/winnerSelection');
-                  break;
-                case 'payoutManagement':
-                  moduleHandler = require('./modules/payoutManagement');
-                  break;
-                case 'reportsLogs':
-                  moduleHandler = require('./modules/reportsLogs');
-                  break;
-                default:
-                  throw new Error(`Module not found: ${moduleId}`);
-              }
-              
-              // Call the module's handleModalSubmit function
-              if (moduleHandler && typeof moduleHandler.handleModalSubmit === 'function') {
-                await moduleHandler.handleModalSubmit(actionId, interaction, client);
-              } else {
-                logger.warn(`Module ${moduleId} does not have a handleModalSubmit function`);
-                await safeReply(interaction, {
-                  embeds: [require('./utils/embeds').createErrorEmbed(
-                    'Modal Handler Not Implemented',
-                    `Modal handler for ${moduleId} is not implemented in this version of the bot.`
-                  )],
-                  ephemeral: true
-                });
-              }
-            } catch (error) {
-              logger.error(`Error handling modal submit ${modalId}:`, error);
-              await handleInteractionError(error, interaction, `modal submit ${modalId}`);
-            }
-          } else {
-            logger.warn(`Invalid modal ID format: ${modalId}`);
-            await safeReply(interaction, {
-              embeds: [require('./utils/embeds').createErrorEmbed(
-                'Invalid Modal Format',
-                'This modal is not configured correctly. Please contact an administrator.'
-              )],
-              ephemeral: true
-            });
+          try {
+            await command.autocomplete(interaction, client);
+          } catch (error) {
+            // Autocomplete interactions cannot show error messages, so just log
+            logger.error(`Error handling autocomplete for ${interaction.commandName}:`, error);
           }
         }
+        // Buttons, select menus and modals go to the module that declared their route
+        else if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+          await routeInteraction(interaction, client);
+        }
       } catch (error) {
         logger.error('Error handling interaction:', error);
         
@@ -715,8 +442,11 @@ async function initialize() {
       }
     });
     
+    // Set up each server's configuration once connected
+    setupGuilds();
+    
     // Set up scheduled tasks
-    setupScheduledTasks();
+    await setupScheduledTasks();
     
     // Log in to Discord - handle token issues gracefully
     try {
@@ -0,0 +1,93 @@
+// KrayStakes Discord Bot - Database Migration Script
+// Usage:
+//   node migrate.js up [--to <migration>]        Run pending migrations
+//   node migrate.js down [--steps <n>]           Roll back the last n migrations (default 1)
+//   node migrate.js down --to <migration>        Roll back every migration after <migration>
+//   node migrate.js status                       Show applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+const { sequelize } = require('./database/dbInit');
+const { getMigrationStatus, migrate, rollback } = require('./database/migrator');
+
+/**
+ * Read the value following a flag in the command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name (e.g. '--to')
+ * @returns {string|undefined} - The flag's value
+ */
+function getFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Print the migration status
+ * @returns {Promise<void>}
+ */
+async function printStatus() {
+  const { applied, pending, unknown, legacy } = await getMigrationStatus();
+
+  for (const name of applied) {
+    console.log(`  [applied]  ${name}`);
+  }
+  for (const name of pending) {
+    console.log(`  [pending]  ${name}`);
+  }
+  for (const name of unknown) {
+    console.log(`  [unknown]  ${name} (no migration file)`);
+  }
+
+  if (legacy) {
+    console.log('\nThis database was created before migrations; it will be marked as migrated to the initial schema on the next "up".');
+  }
+  console.log(`\n${applied.length} applied, ${pending.length} pending.`);
+}
+
+/**
+ * Run the migration command
+ * @param {Array<string>} args - Command line arguments
+ */
+async function runMigrations(args) {
+  const command = args[0] || 'status';
+
+  try {
+    // Create data directory if it doesn't exist
+    const dataDir = path.dirname(config.database.storage || './data/database.sqlite');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await sequelize.authenticate();
+
+    if (command === 'up') {
+      const ran = await migrate({ to: getFlag(args, '--to') });
+      console.log(ran.length ? `Applied ${ran.length} migration(s): ${ran.join(', ')}` : 'Database schema is already up to date.');
+    } else if (command === 'down') {
+      const steps = getFlag(args, '--steps');
+      if (steps !== undefined && !(parseInt(steps, 10) > 0)) {
+        throw new Error('--steps must be a positive number');
+      }
+      const rolledBack = await rollback({ steps: steps ? parseInt(steps, 10) : 1, to: getFlag(args, '--to') });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s): ${rolledBack.join(', ')}` : 'Nothing to roll back.');
+    } else if (command === 'status') {
+      await printStatus();
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+
+    await sequelize.close();
+  } catch (error) {
+    logger.error('Migration failed:', error);
+    await sequelize.close().catch(() => {});
+    process.exit(1);
+  }
+}
+
+// Run the migrations if script is called directly
+if (require.main === module) {
+  runMigrations(process.argv.slice(2));
+}
+
+module.exports = { runMigrations };
@@ -1,104 +1,171 @@
 // KrayStakes Discord Bot - Admin Panel Module
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const crypto = require('crypto');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const { version: BOT_VERSION } = require('../package.json');
 const { createSuccessEmbed, createErrorEmbed } = require('../utils/embeds');
-const { isAdmin, isEventManager, isPayoutManager } = require('../utils/permissions');
-const { safeReply, safeUpdate, safeDeferUpdate, handleInteractionError } = require('../utils/interactions');
+const { getPermittedActions } = require('../utils/permissions');
+const { getDisabledModules } = require('../utils/moduleToggles');
+const { safeReply, safeUpdate, handleInteractionError } = require('../utils/interactions');
+const { buttonId, selectId } = require('../utils/router');
 const logger = require('../utils/logger');
 
+// Admin panel sections, one row of buttons each, with the route each button opens. A member's own panel
+// only shows the buttons whose permission matrix action they may perform; buttons without one are shown
+// to all staff. Buttons of modules the server has turned off are left out. The routes check the same
+// permissions and modules when the buttons are clicked.
+const PANEL_SECTIONS = [
+  {
+    key: 'events',
+    name: 'Event Management',
+    description: 'Create, edit, announce and schedule betting events.',
+    label: '🎲 Events',
+    buttons: [
+      { module: 'eventCreation', action: 'createEvent', label: '🎲 Create Event', style: ButtonStyle.Primary, permission: 'createEvent' },
+      { module: 'eventManagement', action: 'manageEvents', label: '📋 Manage Events', style: ButtonStyle.Primary, permission: 'editEvent' },
+      { module: 'eventManagement', action: 'announceEvent', label: '📢 Announcements', style: ButtonStyle.Primary, permission: 'announceEvent' },
+      { module: 'scheduledEvents', action: 'viewSchedule', label: '📅 Scheduled Events', style: ButtonStyle.Primary, permission: 'announceEvent' }
+    ]
+  },
+  {
+    key: 'payouts',
+    name: 'Winner Selection & Payouts',
+    description: 'Select winners, process payouts, credit deposits and approve withdrawals.',
+    label: '🏆 Winners & Payouts',
+    buttons: [
+      { module: 'winnerSelection', action: 'selectWinner', label: '🏆 Winner Selection', style: ButtonStyle.Success, permission: 'settleEvent' },
+      { module: 'payoutManagement', action: 'payoutPanel', label: '💰 Payout Panel', style: ButtonStyle.Success, permission: 'processPayout' },
+      { module: 'payoutManagement', action: 'walletPanel', label: '👛 Wallets', style: ButtonStyle.Success, permission: 'manageWallets' }
+    ]
+  },
+  {
+    key: 'reports',
+    name: 'Reports & Logs',
+    description: 'Generate reports, view system logs and post the leaderboard.',
+    label: '📊 Reports & Logs',
+    buttons: [
+      { module: 'reportsLogs', action: 'reportsPanel', label: '📊 Reports', style: ButtonStyle.Secondary, permission: 'viewReports' },
+      { module: 'discordBotLogs', action: 'viewLogs', label: '🔍 Discord Bot Logs', style: ButtonStyle.Secondary, permission: 'viewLogs' },
+      { module: 'leaderboard', action: 'generateLeaderboard', label: '🏆 Leaderboard', style: ButtonStyle.Secondary, permission: 'manageLeaderboard' }
+    ]
+  },
+  {
+    key: 'configuration',
+    name: 'Configuration & Help',
+    description: 'Configure bot settings, scheduled jobs and backups.',
+    label: '⚙️ Configuration & Help',
+    buttons: [
+      { module: 'configurationSettings', action: 'configPanel', label: '⚙️ Configuration Settings', style: ButtonStyle.Danger, permission: 'editConfig' },
+      { module: 'jobScheduler', action: 'viewJobs', label: '⏱️ Scheduled Jobs', style: ButtonStyle.Secondary, permission: 'manageJobs' },
+      { module: 'backups', action: 'viewBackups', label: '💾 Backups', style: ButtonStyle.Secondary, permission: 'manageBackups' },
+      { module: 'changelogDebug', action: 'showChangelog', label: '🆕 Changelog & Debug Mode', style: ButtonStyle.Secondary, permission: 'viewLogs' },
+      { module: 'guideHelp', action: 'showHelpMenu', label: '📖 Guide & Help', style: ButtonStyle.Secondary }
+    ]
+  }
+];
+
+/**
+ * Get the panel sections trimmed to the buttons a member may use
+ * @param {Set<string>} permittedActions - Permission matrix actions the member may perform
+ * @param {Set<string>} [disabledModules] - Modules the server has turned off
+ * @returns {Array<Object>} - The sections with at least one permitted action, with only their permitted buttons
+ */
+function getPermittedSections(permittedActions, disabledModules = new Set()) {
+  return PANEL_SECTIONS
+    .map(section => ({
+      ...section,
+      buttons: section.buttons.filter(button =>
+        !disabledModules.has(button.module) && (!button.permission || permittedActions.has(button.permission))
+      )
+    }))
+    .filter(section => section.buttons.some(button => button.permission));
+}
+
 /**
  * Create the admin panel embed
+ * @param {Array<Object>} [sections] - Sections to describe (defaults to every section)
  * @returns {EmbedBuilder} - The configured embed
  */
-function createPanelEmbed() {
+function createPanelEmbed(sections = PANEL_SECTIONS) {
   return new EmbedBuilder()
     .setColor('#0099ff')
     .setTitle('KrayStakes Admin Panel')
     .setDescription('Select an action from the buttons below to manage the betting system.')
-    .addFields(
-      { name: 'Event Management', value: 'Create, edit, and manage betting events.' },
-      { name: 'Winner Selection', value: 'Select winners and calculate payouts.' },
-      { name: 'Payout Management', value: 'Process payouts and track history.' },
-      { name: 'Reports & Logs', value: 'Generate reports and view system logs.' },
-      { name: 'Configuration', value: 'Configure bot settings and options.' }
-    )
+    .addFields(sections.map(section => ({ name: section.name, value: section.description })))
     .setTimestamp()
     .setFooter({ text: 'KrayStakes LTD' });
 }
 
 /**
  * Create the admin panel buttons
+ * @param {Array<Object>} [sections] - Sections to show (defaults to every section)
+ * @returns {Array<ActionRowBuilder>} - Array of button rows, one per section
+ */
+function createPanelButtons(sections = PANEL_SECTIONS) {
+  return sections.map(section => new ActionRowBuilder()
+    .addComponents(section.buttons.map(button => new ButtonBuilder()
+      .setCustomId(buttonId(button.module, button.action))
+      .setLabel(button.label)
+      .setStyle(button.style)
+    ))
+  );
+}
+
+/**
+ * Create the admin panel of one member, showing only the sections and buttons their roles allow
+ * in the modules their server has on
+ * @param {GuildMember} member - Discord.js GuildMember object
+ * @returns {Promise<Object|null>} - Message options ({ embeds, components }), or null if the member may use none of the panel
+ */
+async function createMemberPanel(member) {
+  const sections = getPermittedSections(await getPermittedActions(member), await getDisabledModules(member.guild.id));
+  if (sections.length === 0) {
+    return null;
+  }
+
+  return {
+    embeds: [createPanelEmbed(sections)],
+    components: createPanelButtons(sections)
+  };
+}
+
+/**
+ * Create the buttons of the permanent panel; each opens the clicking member's own view of a section
  * @returns {Array<ActionRowBuilder>} - Array of button rows
  */
-function createPanelButtons() {
-  // Row 1: Event Management
-  const row1 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId('eventCreation:createEvent')
-        .setLabel('🎲 Create Event')
-        .setStyle(ButtonStyle.Primary),
-      new ButtonBuilder()
-        .setCustomId('eventManagement:manageEvents')
-        .setLabel('📋 Manage Events')
-        .setStyle(ButtonStyle.Primary),
-      new ButtonBuilder()
-        .setCustomId('eventManagement:announceEvent')
-        .setLabel('📢 Announcements')
-        .setStyle(ButtonStyle.Primary)
-    );
-  
-  // Row 2: Winner Selection & Payout
-  const row2 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId('winnerSelection:selectWinner')
-        .setLabel('🏆 Winner Selection')
-        .setStyle(ButtonStyle.Success),
-      new ButtonBuilder()
-        .setCustomId('payoutManagement:payoutPanel')
-        .setLabel('💰 Payout Panel')
-        .setStyle(ButtonStyle.Success)
-    );
-  
-  // Row 3: Schedule, Reports & Logs
-  const row3 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId('scheduledEvents:viewSchedule')
-        .setLabel('📅 Scheduled Events')
-        .setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder()
-        .setCustomId('reportsLogs:reportsPanel')
-        .setLabel('📊 Reports & Logs')
-        .setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder()
-        .setCustomId('discordBotLogs:viewLogs')
-        .setLabel('🔍 Discord Bot Logs')
-        .setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder()
-        .setCustomId('leaderboard:generateLeaderboard')
-        .setLabel('🏆 Leaderboard')
-        .setStyle(ButtonStyle.Secondary)
-    );
-  
-  // Row 4: Configuration & Help
-  const row4 = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId('configurationSettings:configPanel')
-        .setLabel('⚙️ Configuration Settings')
-        .setStyle(ButtonStyle.Danger),
-      new ButtonBuilder()
-        .setCustomId('guideHelp:showHelpMenu')
-        .setLabel('📖 Guide & Help')
-        .setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder()
-        .setCustomId('changelogDebug:showChangelog')
-        .setLabel('🆕 Changelog & Debug Mode')
-        .setStyle(ButtonStyle.Secondary)
-    );
-  
-  return [row1, row2, row3, row4];
+function createPermanentPanelButtons() {
+  return [
+    new ActionRowBuilder().addComponents(PANEL_SECTIONS.map(section => new ButtonBuilder()
+      .setCustomId(buttonId('adminPanel', 'openSection', { section: section.key }))
+      .setLabel(section.label)
+      .setStyle(ButtonStyle.Primary)
+    ))
+  ];
+}
+
+/**
+ * Create the message of the permanent panel
+ * @returns {Object} - Message options ({ embeds, components })
+ */
+function createPermanentPanel() {
+  return {
+    embeds: [createPanelEmbed()],
+    components: createPermanentPanelButtons()
+  };
+}
+
+/**
+ * Get the version of the permanent panel: the bot version and a hash of the panel's layout, so
+ * posted panels are refreshed when either changes
+ * @returns {string} - Panel version (e.g. "1.0.0-3f2a9c1e")
+ */
+function getPanelVersion() {
+  const { embeds, components } = createPermanentPanel();
+  const layout = JSON.stringify({
+    // The timestamp changes on every call, so it isn't part of the layout
+    embeds: embeds.map(embed => ({ ...embed.toJSON(), timestamp: undefined })),
+    components: components.map(row => row.toJSON())
+  });
+  return `${BOT_VERSION}-${crypto.createHash('sha1').update(layout).digest('hex').slice(0, 8)}`;
 }
 
 /**
@@ -129,15 +196,18 @@ async function createPanel(interaction, client, targetChannel = null) {
       return;
     }
     
-    // Create the embed and buttons
-    const embed = createPanelEmbed();
-    const buttons = createPanelButtons();
-    
     try {
-      // Send the panel to the channel
-      const message = await channel.send({
-        embeds: [embed],
-        components: buttons
+      // Send the panel to the channel; each section button opens the member's own ephemeral view
+      const message = await channel.send(createPermanentPanel());
+      
+      // Register the panel so it is kept up to date on startup
+      const { AdminPanel } = require('../database/models');
+      await AdminPanel.create({
+        guildId: channel.guildId,
+        channelId: channel.id,
+        messageId: message.id,
+        version: getPanelVersion(),
+        createdBy: interaction.user.id
       });
       
       // Reply to the interaction
@@ -145,14 +215,14 @@ async function createPanel(interaction, client, targetChannel = null) {
         await interaction.editReply({
           embeds: [createSuccessEmbed(
             'Admin Panel Created',
-            `The admin panel has been created in ${channel}.\n\nUse the buttons on the panel to manage the betting system.`
+            `The admin panel has been created in ${channel}.\n\nStaff click a section to open their own panel with the actions their roles allow. The panel is updated automatically when the bot is, and is listed under Configuration Settings → Admin Panels.`
           )]
         });
       } else {
         await safeReply(interaction, {
           embeds: [createSuccessEmbed(
             'Admin Panel Created',
-            `The admin panel has been created in ${channel}.\n\nUse the buttons on the panel to manage the betting system.`
+            `The admin panel has been created in ${channel}.\n\nStaff click a section to open their own panel with the actions their roles allow. The panel is updated automatically when the bot is, and is listed under Configuration Settings → Admin Panels.`
           )]
         });
       }
@@ -206,122 +276,236 @@ async function createPanel(interaction, client, targetChannel = null) {
 }
 
 /**
- * Handle a button click on the admin panel
- * @param {string} buttonId - The ID of the button that was clicked
+ * Bring the posted admin panels of the servers the bot is in up to date. Panels posted with another
+ * bot version or panel layout are edited in place, and panels whose message was deleted are posted
+ * again in the same channel; remove a panel from the panel list to stop that.
+ * @param {Client} client - The Discord client instance
+ * @returns {Promise<Object>} - Number of panels { updated, recreated, missing } (missing: channel deleted)
+ */
+async function refreshPanels(client) {
+  const { AdminPanel } = require('../database/models');
+  const version = getPanelVersion();
+  const counts = { updated: 0, recreated: 0, missing: 0 };
+
+  const panels = await AdminPanel.findAll({ where: { guildId: [...client.guilds.cache.keys()] } });
+  for (const panel of panels) {
+    try {
+      const channel = await client.channels.fetch(panel.channelId).catch(error => {
+        if (error.code === 10003) return null; // Unknown Channel error code
+        throw error;
+      });
+      if (!channel) {
+        // Left in the registry so admins can see and remove it from the panel list
+        logger.warn(`The channel ${panel.channelId} of admin panel ${panel.id} no longer exists`);
+        counts.missing++;
+        continue;
+      }
+
+      const message = await channel.messages.fetch(panel.messageId).catch(error => {
+        if (error.code === 10008) return null; // Unknown Message error code
+        throw error;
+      });
+
+      if (!message) {
+        const newMessage = await channel.send(createPermanentPanel());
+        await panel.update({ messageId: newMessage.id, version });
+        logger.info(`Recreated deleted admin panel ${panel.id} in channel #${channel.name} (${channel.id})`);
+        counts.recreated++;
+      } else if (panel.version !== version) {
+        await message.edit(createPermanentPanel());
+        logger.info(`Updated admin panel ${panel.id} in channel #${channel.name} (${channel.id}) from ${panel.version} to ${version}`);
+        await panel.update({ version });
+        counts.updated++;
+      }
+    } catch (error) {
+      logger.error(`Error refreshing admin panel ${panel.id}:`, error);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Show the admin panels posted in the server, with a menu to remove one
  * @param {Interaction} interaction - The interaction that triggered this
  * @param {Client} client - The Discord client instance
  */
-async function handleButton(buttonId, interaction, client) {
+async function listPanels(interaction, client) {
   try {
-    // Validate inputs first before any interaction handling
-    if (!interaction) {
-      logger.error(`Admin panel handleButton called with null interaction for button: ${buttonId}`);
-      return;
-    }
-    
-    if (!buttonId) {
-      logger.error('Admin panel handleButton called with null buttonId');
-      // Only attempt to reply if not already acknowledged
-      if (!interaction.deferred && !interaction.replied) {
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed('Error', 'Invalid button ID.')],
-          ephemeral: true
-        });
+    const { AdminPanel } = require('../database/models');
+    const version = getPanelVersion();
+    const panels = await AdminPanel.findAll({
+      where: { guildId: interaction.guildId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const entries = [];
+    for (const panel of panels) {
+      const channel = await client.channels.fetch(panel.channelId).catch(() => null);
+      const message = channel && await channel.messages.fetch(panel.messageId).catch(() => null);
+
+      let status;
+      if (!channel) {
+        status = 'channel deleted';
+      } else if (!message) {
+        status = 'message deleted, reposted on restart';
+      } else {
+        status = panel.version === version ? 'up to date' : `outdated (${panel.version}), updated on restart`;
       }
-      return;
+      entries.push({ panel, channel, status });
     }
-    
-    // Safely defer the button interaction to prevent "Interaction failed" errors
-    // But only if it hasn't been deferred or replied to already
-    if (!interaction.deferred && !interaction.replied) {
-      await safeDeferUpdate(interaction);
+
+    const lines = entries.map(({ panel, status }) =>
+      `**Panel ${panel.id}** in <#${panel.channelId}> • [Jump to panel](https://discord.com/channels/${panel.guildId}/${panel.channelId}/${panel.messageId}) • ${status}`
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle('🗂️ Admin Panels')
+      .setDescription(
+        `Admin panels posted with /setpanel in this server. They are updated to the current version (${version}) ` +
+        'on startup, and posted again if their message was deleted. Remove a panel to stop that.\n\n' +
+        (lines.length > 0 ? lines.join('\n') : 'No admin panels have been posted yet.')
+      )
+      .setFooter({ text: 'KrayStakes Admin Panel • Server Admin Only' })
+      .setTimestamp();
+
+    const components = [];
+    if (entries.length > 0) {
+      components.push(new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(selectId('adminPanel', 'removePanel'))
+          .setPlaceholder('Select a panel to remove')
+          .addOptions(entries.slice(0, 25).map(({ panel, channel, status }) => ({
+            label: `Panel ${panel.id} in #${channel ? channel.name : panel.channelId}`.slice(0, 100),
+            description: status.slice(0, 100),
+            value: String(panel.id)
+          })))
+      ));
     }
-    
-    // Check permissions based on the button clicked
-    if (buttonId === 'createEvent' || buttonId === 'manageEvents' || buttonId === 'announceEvent') {
-      if (!interaction.member || !isEventManager(interaction.member)) {
-        return await safeUpdate(interaction, {
-          embeds: [createErrorEmbed('Permission Denied', 'You must be an Event Manager to use this feature.')],
-          ephemeral: true
-        });
-      }
-    } else if (buttonId === 'selectWinner' || buttonId === 'payoutPanel') {
-      if (!interaction.member || !isPayoutManager(interaction.member)) {
-        return await safeUpdate(interaction, {
-          embeds: [createErrorEmbed('Permission Denied', 'You must be a Payout Manager to use this feature.')],
-          ephemeral: true
-        });
-      }
-    } else if (buttonId === 'configPanel') {
-      if (!interaction.member || !isAdmin(interaction.member)) {
-        return await safeUpdate(interaction, {
-          embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to use this feature.')],
-          ephemeral: true
-        });
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('configurationSettings', 'configPanel'))
+        .setLabel('Back to Configuration')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('◀️')
+    ));
+
+    await interaction.editReply({ embeds: [embed], components });
+  } catch (error) {
+    logger.error('Error listing admin panels:', error);
+    await handleInteractionError(error, interaction, 'adminPanel listPanels');
+  }
+}
+
+/**
+ * Remove the admin panel picked from the panel list, deleting its message if it still exists
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function removePanelSelect(interaction, client) {
+  try {
+    const { AdminPanel } = require('../database/models');
+    const panel = await AdminPanel.findOne({
+      where: { id: interaction.values[0], guildId: interaction.guildId }
+    });
+
+    if (panel) {
+      const channel = await client.channels.fetch(panel.channelId).catch(() => null);
+      const message = channel && await channel.messages.fetch(panel.messageId).catch(() => null);
+      if (message) {
+        await message.delete().catch(error => logger.warn(`Could not delete the message of admin panel ${panel.id}: ${error.message}`));
       }
+
+      await panel.destroy();
+      logger.info(`Admin panel ${panel.id} in channel ${panel.channelId} removed by ${interaction.user.tag} (${interaction.user.id})`);
     }
-    
-    // Parse module and action from buttonId
-    const parts = buttonId.includes(':') ? buttonId.split(':') : [buttonId, ''];
-    const module = parts[0];
-    const action = parts[1] || '';
-    
-    // Handle the button press based on the module
-    try {
-      switch (module) {
-        case 'configurationSettings':
-          return await require('./configurationSettings').handleButton(action, interaction, client);
-        case 'guideHelp':
-          return await require('./guideHelp').handleButton(action, interaction, client);
-        case 'changelogDebug':
-          return await require('./changelogDebug').handleButton(action, interaction, client);
-        case 'eventCreation':
-          return await require('./eventCreation').handleButton(action, interaction, client);
-        case 'eventManagement':
-          return await require('./eventManagement').handleButton(action, interaction, client);
-        case 'winnerSelection':
-          return await require('./winnerSelection').handleButton(action, interaction, client);
-        case 'payoutManagement':
-          return await require('./payoutManagement').handleButton(action, interaction, client);
-        case 'scheduledEvents':
-          return await require('./scheduledEvents').handleButton(action, interaction, client);
-        case 'reportsLogs':
-          return await require('./reportsLogs').handleButton(action, interaction, client);
-        case 'discordBotLogs':
-          return await require('./discordBotLogs').handleButton(action, interaction, client);
-        case 'leaderboard':
-          return await require('./leaderboard').handleButton(action, interaction, client);
-        default:
-          // For unrecognized modules, send an error message
-          return await safeUpdate(interaction, {
-            embeds: [createErrorEmbed(
-              'Unknown Feature', 
-              `The "${module}" module is not recognized.`
-            )],
-            ephemeral: true
-          });
-      }
-    } catch (error) {
-      // If there's an error loading or executing the module, provide a helpful message
-      logger.error(`Error handling button for module ${module}:`, error);
-      
+
+    await listPanels(interaction, client);
+  } catch (error) {
+    logger.error('Error removing admin panel:', error);
+    await handleInteractionError(error, interaction, 'adminPanel removePanel');
+  }
+}
+
+/**
+ * Open the clicking member's own view of a section of the permanent panel
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ section }: the section key)
+ */
+async function openSection(interaction, client, { section: sectionKey }) {
+  try {
+    const section = PANEL_SECTIONS.find(candidate => candidate.key === sectionKey);
+    if (!section) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Unknown Section', 'This panel section no longer exists. Ask an admin to recreate the panel with /setpanel.')]
+      });
+    }
+
+    const permittedActions = await getPermittedActions(interaction.member);
+    const permitted = getPermittedSections(permittedActions, await getDisabledModules(interaction.guildId))
+      .find(candidate => candidate.key === sectionKey);
+    if (!permitted) {
+      // Tell apart a section the member's roles don't allow from one whose modules are all off
+      const allowed = getPermittedSections(permittedActions).some(candidate => candidate.key === sectionKey);
+      return await safeReply(interaction, {
+        embeds: [allowed
+          ? createErrorEmbed('Modules Turned Off', `The ${section.name} modules are turned off in this server.`)
+          : createErrorEmbed('Permission Denied', `Your roles don't allow any of the ${section.name} actions.`)]
+      });
+    }
+
+    await safeReply(interaction, {
+      embeds: [createPanelEmbed([permitted])],
+      components: createPanelButtons([permitted])
+    });
+  } catch (error) {
+    logger.error('Error opening admin panel section:', error);
+    await handleInteractionError(error, interaction, 'adminPanel openSection');
+  }
+}
+
+/**
+ * Show the member's own admin panel in place of the current view
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function showPanel(interaction, client) {
+  try {
+    const panel = await createMemberPanel(interaction.member);
+    if (!panel) {
       return await safeUpdate(interaction, {
-        embeds: [createErrorEmbed(
-          'Module Error', 
-          `There was an error processing your request in the ${module} module. Please try again or contact an administrator.`
-        )],
-        ephemeral: true
+        embeds: [createErrorEmbed('Permission Denied', 'Your roles don\'t allow any admin panel actions.')]
       });
     }
+
+    await interaction.editReply(panel);
   } catch (error) {
-    logger.error(`Error handling admin panel button ${buttonId}:`, error);
-    return await handleInteractionError(error, interaction, `adminPanel:${buttonId}`);
+    logger.error('Error showing admin panel:', error);
+    await handleInteractionError(error, interaction, 'adminPanel showPanel');
   }
 }
 
+// Buttons and select menus of this module (see utils/router.js). The panel's own buttons need no
+// permission: each shows only what the member's roles allow.
+const routes = {
+  buttons: {
+    // Replies with the member's own view of a panel section
+    openSection: { params: ['section:string'], handler: openSection, defer: false },
+    showPanel: { handler: showPanel },
+    listPanels: { handler: listPanels, adminOnly: true }
+  },
+  selects: {
+    removePanel: { handler: removePanelSelect, adminOnly: true }
+  }
+};
+
 module.exports = {
   createPanelEmbed,
   createPanelButtons,
+  createMemberPanel,
   createPanel,
-  handleButton
+  refreshPanels,
+  routes
 };
\ No newline at end of file
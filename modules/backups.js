@@ -0,0 +1,588 @@
+// KrayStakes Discord Bot - Backups Module
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, AttachmentBuilder } = require('discord.js');
+const { QueryTypes } = require('sequelize');
+const { createErrorEmbed, createSuccessEmbed } = require('../utils/embeds');
+const { formatDate } = require('../utils/timeUtils');
+const { safeReply, safeDefer, safeUpdate, handleInteractionError } = require('../utils/interactions');
+const { enterMaintenance, exitMaintenance } = require('../utils/maintenance');
+const { getGuildTimezone } = require('../utils/guildSettings');
+const { buttonId, selectId } = require('../utils/router');
+const { hasBotWideAccess } = require('../utils/permissions');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Backup file names: database-<timestamp>[-label].sqlite[.gz], e.g. database-2025-03-30T14-30-00-000Z.sqlite.gz
+const BACKUP_FILE_PATTERN = /^database-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-([a-z-]+))?\.sqlite(\.gz)?$/;
+
+// Largest file Discord accepts as an attachment on an unboosted server
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Every SQLite database file starts with this header
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0');
+
+// 'backup' or 'restore' while one is running, so they never overlap
+let busy = null;
+
+/**
+ * Get the absolute path of the backup directory
+ * @returns {string} - The backup directory
+ */
+function getBackupDirectory() {
+  return path.resolve(config.backups.directory || './backups');
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string} - e.g. "1.4 MB"
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * List the backups in the backup directory, newest first
+ * @returns {Promise<Array<Object>>} - { name, path, createdAt, label, compressed, size } per backup
+ */
+async function listBackups() {
+  const directory = getBackupDirectory();
+  if (!fs.existsSync(directory)) return [];
+
+  const names = (await fs.promises.readdir(directory)).filter(name => BACKUP_FILE_PATTERN.test(name));
+  const backups = await Promise.all(names.map(async name => {
+    const [, timestamp, label, gzip] = name.match(BACKUP_FILE_PATTERN);
+    const filePath = path.join(directory, name);
+    const { size } = await fs.promises.stat(filePath);
+    return {
+      name,
+      path: filePath,
+      createdAt: new Date(timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')),
+      label: label || null,
+      compressed: Boolean(gzip),
+      size
+    };
+  }));
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Write a consistent snapshot of the live database to the backup directory
+ * @param {string} [label] - Suffix for the file name, e.g. 'pre-restore'
+ * @returns {Promise<Object>} - The backup { name, size }
+ */
+async function takeSnapshot(label) {
+  const { sequelize } = require('../database/dbInit');
+  const directory = getBackupDirectory();
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const snapshotPath = path.join(directory, `database-${timestamp}${label ? `-${label}` : ''}.sqlite`);
+  const startedAt = Date.now();
+
+  // VACUUM INTO copies the database in one read transaction, so the snapshot is consistent
+  // even while the bot keeps writing
+  await sequelize.query('VACUUM INTO ?', { replacements: [snapshotPath] });
+
+  let backupPath = snapshotPath;
+  if (config.backups.compress) {
+    backupPath = `${snapshotPath}.gz`;
+    await pipeline(fs.createReadStream(snapshotPath), zlib.createGzip(), fs.createWriteStream(backupPath));
+    await fs.promises.unlink(snapshotPath);
+  }
+
+  const { size } = await fs.promises.stat(backupPath);
+  logger.info(`Database backup created: ${path.basename(backupPath)} (${formatSize(size)}, ${Date.now() - startedAt} ms)`);
+  return { name: path.basename(backupPath), size };
+}
+
+/**
+ * Back up the database
+ * @param {Object} [options] - Backup options
+ * @param {string} [options.label] - Suffix for the file name, e.g. 'manual'
+ * @returns {Promise<Object>} - The backup { name, size }
+ */
+async function createBackup(options = {}) {
+  if (busy) {
+    throw new Error(`A database ${busy} is already in progress.`);
+  }
+
+  busy = 'backup';
+  try {
+    return await takeSnapshot(options.label);
+  } finally {
+    busy = null;
+  }
+}
+
+/**
+ * Delete the backups beyond the retention count or older than the retention age.
+ * The newest backup is always kept.
+ * @returns {Promise<Array<string>>} - Names of the deleted backups
+ */
+async function pruneBackups() {
+  const { retentionCount, retentionDays } = config.backups;
+  const cutoff = retentionDays > 0 ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : null;
+
+  const expired = (await listBackups()).filter((backup, index) => index > 0 && (
+    (retentionCount > 0 && index >= retentionCount) ||
+    (cutoff !== null && backup.createdAt.getTime() < cutoff)
+  ));
+
+  for (const backup of expired) {
+    await fs.promises.unlink(backup.path);
+  }
+
+  if (expired.length > 0) {
+    logger.info(`Pruned ${expired.length} old database backup(s)`);
+  }
+  return expired.map(backup => backup.name);
+}
+
+/**
+ * Take a scheduled backup and prune old ones (run by the databaseBackup job)
+ * @returns {Promise<void>}
+ */
+async function runScheduledBackup() {
+  await createBackup();
+  await pruneBackups();
+}
+
+/**
+ * Check that a file is an intact SQLite database holding the bot's tables
+ * @param {string} filePath - The database file
+ * @returns {Promise<void>} - Rejects with the reason if the file cannot be restored
+ */
+async function verifyDatabaseFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const header = Buffer.alloc(SQLITE_HEADER.length);
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+  if (!header.equals(SQLITE_HEADER)) {
+    throw new Error('The backup is not an SQLite database.');
+  }
+
+  const { sequelize } = require('../database/dbInit');
+  await sequelize.query('ATTACH DATABASE ? AS restore_check', { replacements: [filePath] });
+  try {
+    const [integrity] = await sequelize.query('PRAGMA restore_check.integrity_check', { type: QueryTypes.SELECT });
+    if (!integrity || Object.values(integrity)[0] !== 'ok') {
+      throw new Error(`The backup failed the integrity check: ${integrity ? Object.values(integrity)[0] : 'no result'}`);
+    }
+
+    const tables = await sequelize.query(
+      "SELECT name FROM restore_check.sqlite_master WHERE type = 'table' AND name = 'events'",
+      { type: QueryTypes.SELECT }
+    );
+    if (tables.length === 0) {
+      throw new Error('The backup does not contain the bot\'s tables.');
+    }
+  } finally {
+    await sequelize.query('DETACH DATABASE restore_check');
+  }
+}
+
+/**
+ * Copy a database file over the live database with SQLite's online backup API, so the
+ * open connection sees the restored data without restarting the bot
+ * @param {string} sourcePath - The database file to restore
+ * @returns {Promise<void>}
+ */
+async function copyIntoLiveDatabase(sourcePath) {
+  const { sequelize } = require('../database/dbInit');
+  const connection = await sequelize.connectionManager.getConnection();
+
+  try {
+    await new Promise((resolve, reject) => {
+      const backup = connection.backup(sourcePath, 'main', 'main', false, initError => {
+        if (initError) return reject(initError);
+
+        backup.step(-1, stepError => {
+          if (stepError) return reject(stepError);
+          backup.finish(finishError => (finishError ? reject(finishError) : resolve()));
+        });
+      });
+    });
+  } finally {
+    sequelize.connectionManager.releaseConnection(connection);
+  }
+}
+
+/**
+ * Restore the database from a backup. The bot is in maintenance mode meanwhile, and the
+ * current database is backed up first so the restore can be undone.
+ * @param {string} name - File name of the backup to restore
+ * @returns {Promise<Object>} - { safetyBackup } name of the backup taken before restoring
+ */
+async function restoreBackup(name) {
+  const backup = (await listBackups()).find(candidate => candidate.name === name);
+  if (!backup) {
+    throw new Error(`Backup "${name}" not found.`);
+  }
+  if (busy) {
+    throw new Error(`A database ${busy} is already in progress.`);
+  }
+
+  const runningJobs = require('./jobScheduler').getRunningJobs();
+  if (runningJobs.length > 0) {
+    throw new Error(`Wait for the running scheduled jobs to finish: ${runningJobs.join(', ')}.`);
+  }
+
+  busy = 'restore';
+  enterMaintenance(`Restoring the database from ${name}`);
+  const unpackedPath = path.join(getBackupDirectory(), `.restore-${Date.now()}.sqlite`);
+
+  try {
+    const safetyBackup = await takeSnapshot('pre-restore');
+
+    if (backup.compressed) {
+      await pipeline(fs.createReadStream(backup.path), zlib.createGunzip(), fs.createWriteStream(unpackedPath));
+    } else {
+      await fs.promises.copyFile(backup.path, unpackedPath);
+    }
+
+    await verifyDatabaseFile(unpackedPath);
+    await copyIntoLiveDatabase(unpackedPath);
+
+    // The restored scheduled_jobs rows may hold other schedules than the current settings
+    await require('./jobScheduler').refreshSchedules();
+
+    logger.warn(`Database restored from ${name} (previous database saved as ${safetyBackup.name})`);
+    return { safetyBackup: safetyBackup.name };
+  } finally {
+    await fs.promises.unlink(unpackedPath).catch(() => {});
+    exitMaintenance();
+    busy = null;
+  }
+}
+
+/**
+ * Create the backups panel listing the latest backups, with menus to download or restore one
+ * @param {string} guildId - Discord server ID the panel is shown in
+ * @returns {Promise<Object>} - Message options ({ embeds, components })
+ */
+async function createBackupsPanel(guildId) {
+  const backups = await listBackups();
+
+  // Get the server's timezone
+  const timezone = await getGuildTimezone(guildId);
+
+  const { enabled, schedule, compress, retentionCount, retentionDays } = config.backups;
+  const retention = [
+    retentionCount > 0 ? `the latest ${retentionCount}` : null,
+    retentionDays > 0 ? `up to ${retentionDays} days old` : null
+  ].filter(Boolean).join(', ') || 'all of them';
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('💾 Database Backups')
+    .setDescription(
+      (enabled ? `Automatic backups run on the schedule \`${schedule}\`` : 'Automatic backups are disabled') +
+      `${compress ? ' and are gzipped' : ''}. Backups kept: ${retention}.`
+    )
+    .setFooter({ text: `${backups.length} backup(s), ${formatSize(backups.reduce((sum, backup) => sum + backup.size, 0))} in total • Timezone: ${timezone}` })
+    .setTimestamp();
+
+  if (backups.length > 0) {
+    embed.addFields({
+      name: 'Latest Backups',
+      value: backups.slice(0, 10).map(backup =>
+        `**${formatDate(backup.createdAt, 'PPpp', timezone)}** - ${formatSize(backup.size)}${backup.label ? ` (${backup.label})` : ''}`
+      ).join('\n')
+    });
+  } else {
+    embed.addFields({ name: 'No Backups', value: 'No backups have been taken yet.' });
+  }
+
+  const options = backups.slice(0, 25).map(backup => ({
+    label: `${formatDate(backup.createdAt, 'PPpp', timezone)}${backup.label ? ` (${backup.label})` : ''}`.substring(0, 100),
+    description: `${backup.name} - ${formatSize(backup.size)}`.substring(0, 100),
+    value: backup.name
+  }));
+
+  const components = [];
+  if (options.length > 0) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(selectId('backups', 'download'))
+          .setPlaceholder('Download a backup...')
+          .addOptions(options)
+      ),
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(selectId('backups', 'restore'))
+          .setPlaceholder('Restore a backup...')
+          .addOptions(options)
+      )
+    );
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(buttonId('backups', 'createBackup'))
+      .setLabel('💾 Back Up Now')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(buttonId('backups', 'viewBackups'))
+      .setLabel('🔄 Refresh')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(buttonId('adminPanel', 'showPanel'))
+      .setLabel('◀️ Back to Admin Panel')
+      .setStyle(ButtonStyle.Secondary)
+  ));
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Check that backups may be downloaded or restored from the interaction, replying with an error if not.
+ * A backup holds every server's data, so only the bot owner or the admins of the home server may use them.
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @returns {Promise<boolean>} - Whether the interaction may use the backups
+ */
+async function requireBackupAccess(interaction) {
+  if (hasBotWideAccess(interaction)) {
+    return true;
+  }
+
+  logger.warn(`Refused backup access to ${interaction.user.tag} (${interaction.user.id}) in server ${interaction.guildId}`);
+
+  // Deferred components get a new ephemeral message instead of overwriting the panel
+  const respond = interaction.deferred ? safeUpdate : safeReply;
+  await respond(interaction, {
+    embeds: [createErrorEmbed(
+      'Not Available Here',
+      'Backups hold the data of every server the bot is in, so they can only be downloaded or restored by the bot owner or in the bot\'s home server.'
+    )],
+    ephemeral: true
+  });
+  return false;
+}
+
+/**
+ * Show the backups panel
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function viewBackups(interaction, client) {
+  try {
+    await safeUpdate(interaction, { content: null, ...await createBackupsPanel(interaction.guildId) });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'backups viewBackups');
+  }
+}
+
+/**
+ * Take a manual backup, prune old ones and refresh the backups panel
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function createBackupButton(interaction, client) {
+  try {
+    const backup = await createBackup({ label: 'manual' });
+    await pruneBackups();
+
+    logger.db.info(`Database backup ${backup.name} created by ${interaction.user.tag}`, {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'database_backup',
+      metadata: { backup: backup.name, size: backup.size }
+    });
+
+    await safeUpdate(interaction, {
+      content: `✅ Backup created: \`${backup.name}\` (${formatSize(backup.size)})`,
+      ...await createBackupsPanel(interaction.guildId)
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'backups createBackup');
+  }
+}
+
+/**
+ * Send the selected backup as an attachment
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function downloadSelect(interaction, client) {
+  try {
+    if (!await requireBackupAccess(interaction)) {
+      return;
+    }
+
+    // Uploading can take longer than Discord's 3 second reply window
+    await safeDefer(interaction, true);
+
+    const backup = (await listBackups()).find(candidate => candidate.name === interaction.values[0]);
+    if (!backup) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Backup Not Found', 'That backup no longer exists.')]
+      });
+    }
+
+    if (backup.size > MAX_ATTACHMENT_BYTES) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed(
+          'Backup Too Large',
+          `\`${backup.name}\` is ${formatSize(backup.size)}, more than Discord accepts as an attachment. ` +
+          `Copy it from \`${backup.path}\` on the server instead.`
+        )]
+      });
+    }
+
+    await safeReply(interaction, {
+      content: `💾 \`${backup.name}\` (${formatSize(backup.size)})`,
+      files: [new AttachmentBuilder(backup.path, { name: backup.name })]
+    });
+
+    logger.db.info(`Database backup ${backup.name} downloaded by ${interaction.user.tag}`, {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'database_backup_download',
+      metadata: { backup: backup.name }
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'backups download');
+  }
+}
+
+/**
+ * Ask for confirmation before restoring the selected backup
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function restoreSelect(interaction, client) {
+  try {
+    if (!await requireBackupAccess(interaction)) {
+      return;
+    }
+
+    const backup = (await listBackups()).find(candidate => candidate.name === interaction.values[0]);
+    if (!backup) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Backup Not Found', 'That backup no longer exists.')]
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#ff9900')
+      .setTitle('⚠️ Restore Database?')
+      .setDescription(
+        `This replaces **all** bot data, for every server, with the backup \`${backup.name}\` from ${formatDate(backup.createdAt, 'PPpp', await getGuildTimezone(interaction.guildId))}. ` +
+        'Bets, wallets and events changed since then are lost.\n\n' +
+        'The current database is backed up first, and the bot is in maintenance mode while restoring, so other interactions and scheduled jobs wait.'
+      );
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('backups', 'confirmRestore', { name: backup.name }))
+        .setLabel('Restore')
+        .setEmoji('⚠️')
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(buttonId('backups', 'viewBackups'))
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    await safeUpdate(interaction, { content: null, embeds: [embed], components: [row] });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'backups restore');
+  }
+}
+
+/**
+ * Restore the backup confirmed by the admin
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ name }: the backup file name)
+ */
+async function confirmRestoreButton(interaction, client, { name }) {
+  try {
+    if (!await requireBackupAccess(interaction)) {
+      return;
+    }
+
+    await safeUpdate(interaction, {
+      content: null,
+      embeds: [new EmbedBuilder()
+        .setColor('#ff9900')
+        .setTitle('⏳ Restoring Database')
+        .setDescription(`Restoring \`${name}\`. The bot is in maintenance mode until this finishes.`)],
+      components: []
+    });
+
+    let result;
+    try {
+      result = await restoreBackup(name);
+    } catch (restoreError) {
+      logger.error(`Error restoring database backup ${name}:`, restoreError);
+      return await safeUpdate(interaction, {
+        embeds: [createErrorEmbed('Restore Failed', `The database was not changed. ${restoreError.message}`)],
+        components: [new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(buttonId('backups', 'viewBackups'))
+            .setLabel('Back to Backups')
+            .setStyle(ButtonStyle.Secondary)
+        )]
+      });
+    }
+
+    // Logged after the restore, so the entry lands in the restored database
+    logger.db.info(`Database restored from ${name} by ${interaction.user.tag}`, {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'database_restore',
+      metadata: { backup: name, safetyBackup: result.safetyBackup }
+    });
+
+    await safeUpdate(interaction, {
+      embeds: [createSuccessEmbed(
+        'Database Restored',
+        `The database was restored from \`${name}\`. The database as it was before the restore is saved as \`${result.safetyBackup}\`.`
+      )],
+      components: [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('backups', 'viewBackups'))
+          .setLabel('Back to Backups')
+          .setStyle(ButtonStyle.Secondary)
+      )]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'backups confirmRestore');
+  }
+}
+
+// Buttons and select menus of this module (see utils/router.js)
+const routes = {
+  permission: 'manageBackups',
+  buttons: {
+    viewBackups: { handler: viewBackups },
+    createBackup: { handler: createBackupButton },
+    confirmRestore: { params: ['name:string'], handler: confirmRestoreButton }
+  },
+  selects: {
+    // Replies with the backup as an attachment
+    download: { handler: downloadSelect, defer: false },
+    restore: { handler: restoreSelect }
+  }
+};
+
+module.exports = {
+  listBackups,
+  createBackup,
+  pruneBackups,
+  runScheduledBackup,
+  restoreBackup,
+  createBackupsPanel,
+  routes
+};
@@ -0,0 +1,1602 @@
+// KrayStakes Discord Bot - Betting Module
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { createErrorEmbed, createSuccessEmbed, createEventEmbed, getEventColor, getEventEmoji } = require('../utils/embeds');
+const { validateBet } = require('../utils/validators');
+const {
+  calculateParimutuelOdds,
+  calculatePotentialWinnings,
+  calculateFixedOddsWinnings,
+  calculatePlaceOdds,
+  calculateExactOrderOdds,
+  roundOdds,
+  formatOdds
+} = require('../utils/odds');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+const { getGuildSetting, getGuildTimezone } = require('../utils/guildSettings');
+const { buttonId, selectId, modalId } = require('../utils/router');
+const { getOrCreateWallet, getBalance, recordEntry, creditWinnings } = require('./wallet');
+const logger = require('../utils/logger');
+
+// Display name of the market formed by an event's own choices
+const MAIN_MARKET_NAME = 'Main Result';
+
+// Display names of the bet types players can pick on racing events
+const BET_TYPE_LABELS = {
+  single: 'Win',
+  place: 'Place',
+  each_way: 'Each-Way',
+  forecast: 'Forecast',
+  tricast: 'Tricast'
+};
+
+// Number of finishing positions predicted, in order, by each exact-order bet type
+const EXACT_ORDER_PLACES = {
+  forecast: 2,
+  tricast: 3
+};
+
+// Ordinal names of the first finishing positions
+const POSITION_NAMES = ['1st', '2nd', '3rd'];
+
+/**
+ * Get the display name of an event choice
+ * @param {string|Object} choice - The choice as stored in event.choices
+ * @returns {string} - The choice name
+ */
+function getChoiceName(choice) {
+  return typeof choice === 'string' ? choice : choice.name;
+}
+
+/**
+ * Get the current odds stored on an event choice
+ * @param {string|Object} choice - The choice as stored in event.choices
+ * @returns {number|null} - The decimal odds, or null if none have been calculated
+ */
+function getChoiceOdds(choice) {
+  return typeof choice === 'string' ? null : (choice.odds ?? null);
+}
+
+/**
+ * Get the display name of a market
+ * @param {Object|null} market - The market, or null for the event's main result
+ * @returns {string} - The market name
+ */
+function getMarketName(market) {
+  return market ? market.name : MAIN_MARKET_NAME;
+}
+
+/**
+ * Get the where clause matching the bets on a market. An event stands in for its own
+ * main result market, whose bets have no marketId; forecasts and tricasts have pools of
+ * their own and are left out of it.
+ * @param {Object} market - A Market, or an Event for its main result
+ * @returns {Object} - The where clause
+ */
+function getMarketBetScope(market) {
+  const { Market } = require('../database/models');
+  return market instanceof Market
+    ? { marketId: market.id }
+    : { eventId: market.id, marketId: null, betType: ['single', 'place', 'each_way'] };
+}
+
+/**
+ * Get the where clause matching a race's forecasts or tricasts, which form a pool of their own
+ * @param {Object} event - The racing event
+ * @param {string} betType - 'forecast' or 'tricast'
+ * @returns {Object} - The where clause
+ */
+function getExactOrderBetScope(event, betType) {
+  return { eventId: event.id, marketId: null, betType };
+}
+
+/**
+ * Describe the choice a bet was placed on, prefixed with its market when it is not the main result
+ * and followed by its bet type for racing bets other than win bets
+ * @param {Object} bet - The bet object from the database, with its Market included
+ * @returns {string} - The choice description
+ */
+function formatBetChoice(bet) {
+  const choice = bet.Market ? `${bet.Market.name}: ${bet.choiceName}` : bet.choiceName;
+  return `${choice}${formatBetTypeSuffix(bet.betType)}`;
+}
+
+/**
+ * Get the bet type shown after a choice, e.g. " (Each-Way)"; win bets and parlays have none
+ * @param {string} betType - The bet type
+ * @returns {string} - The suffix, or an empty string
+ */
+function formatBetTypeSuffix(betType) {
+  return betType !== 'single' && BET_TYPE_LABELS[betType] ? ` (${BET_TYPE_LABELS[betType]})` : '';
+}
+
+/**
+ * Check whether a bet type pays on a placed finish (place and each-way bets)
+ * @param {string} betType - The bet type
+ * @returns {boolean} - Whether the bet type has a place part
+ */
+function isPlaceBetType(betType) {
+  return betType === 'place' || betType === 'each_way';
+}
+
+/**
+ * Check whether a bet type predicts an exact finishing order (forecasts and tricasts)
+ * @param {string} betType - The bet type
+ * @returns {boolean} - Whether the bet type is settled against the exact top finishers
+ */
+function isExactOrderBetType(betType) {
+  return Boolean(EXACT_ORDER_PLACES[betType]);
+}
+
+/**
+ * Check whether two finishing orders are the same
+ * @param {Array<number>} order - Choice indexes in finishing order
+ * @param {Array<number>} otherOrder - Choice indexes in finishing order
+ * @returns {boolean} - Whether they list the same runners in the same order
+ */
+function isSameOrder(order, otherOrder) {
+  return order.length === otherOrder.length && order.every((choiceIndex, position) => choiceIndex === otherOrder[position]);
+}
+
+/**
+ * Get the bet types a player can pick on an event; only races offer more than win bets
+ * @param {Object} event - The event object from the database
+ * @returns {Array<string>} - The available bet types
+ */
+function getAvailableBetTypes(event) {
+  if (event.type !== 'racing') {
+    return ['single'];
+  }
+
+  return [
+    'single',
+    ...(offersPlaceBets(event) ? ['place', 'each_way'] : []),
+    ...Object.keys(EXACT_ORDER_PLACES).filter(betType => event.choices.length >= EXACT_ORDER_PLACES[betType])
+  ];
+}
+
+/**
+ * Check whether an event offers place and each-way bets: fixed-odds races with more runners than places
+ * @param {Object} event - The event object from the database
+ * @returns {boolean} - Whether place and each-way bets can be placed
+ */
+function offersPlaceBets(event) {
+  const config = require('../config');
+  return event.type === 'racing' &&
+    event.settlementMode === 'fixed' &&
+    event.choices.length > config.defaultRacing.placePositions;
+}
+
+/**
+ * Describe the current place terms (e.g. "1/4 the odds, top 3")
+ * @returns {string} - The place terms
+ */
+function formatPlaceTerms() {
+  const { placePositions, placeOddsFraction } = require('../config').defaultRacing;
+  const denominator = 1 / placeOddsFraction;
+  const fraction = Number.isInteger(denominator) ? `1/${denominator}` : `${Math.round(placeOddsFraction * 100)}%`;
+  return `${fraction} the odds, top ${placePositions}`;
+}
+
+/**
+ * Create the betting buttons attached to an event announcement
+ * @param {Object} event - The event object from the database
+ * @returns {ActionRowBuilder} - The configured button row
+ */
+function createBetButtons(event) {
+  return new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('betting', 'placeBet', { eventId: event.id }))
+        .setLabel('🎲 Place Bet')
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(event.status !== 'open'),
+      new ButtonBuilder()
+        .setCustomId(buttonId('betting', 'myBets', { eventId: event.id }))
+        .setLabel('📋 My Bets')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(buttonId('parlays', 'addToSlip', { eventId: event.id }))
+        .setLabel('➕ Add to Parlay')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(event.status !== 'open'),
+      new ButtonBuilder()
+        .setCustomId(buttonId('betting', 'remindMe', { eventId: event.id }))
+        .setLabel('🔔 Remind Me')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!['pending', 'open'].includes(event.status))
+    );
+}
+
+/**
+ * Fetch an event's announcement message
+ * @param {Client} client - The Discord client instance
+ * @param {Object} event - The event object from the database
+ * @returns {Promise<Message|null>} - The announcement, or null if the event has none or it could not be fetched
+ */
+async function fetchAnnouncement(client, event) {
+  if (!event.announcementMessageId || !event.announcementChannelId) {
+    return null;
+  }
+
+  try {
+    const channel = await client.channels.fetch(event.announcementChannelId);
+    return await channel.messages.fetch(event.announcementMessageId);
+  } catch (error) {
+    logger.warn(`Could not fetch the announcement of event ${event.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Refresh an event's announcement so its embed, markets and betting buttons match the event
+ * @param {Client} client - The Discord client instance
+ * @param {Object} event - The event object from the database, after it changed
+ * @returns {Promise<Message|null>} - The updated announcement, or null if there is none to update
+ */
+async function refreshAnnouncement(client, event) {
+  const { Market } = require('../database/models');
+
+  const message = await fetchAnnouncement(client, event);
+  if (!message) {
+    return null;
+  }
+
+  try {
+    const markets = await Market.findAll({ where: { eventId: event.id }, order: [['sortOrder', 'ASC']] });
+    await message.edit({
+      embeds: [createEventEmbed(event, await getGuildTimezone(event.guildId), markets)],
+      components: [createBetButtons(event)]
+    });
+    return message;
+  } catch (error) {
+    logger.error(`Error updating announcement for event ID ${event.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Recalculate the pool and parimutuel odds of every choice from the market's active bets.
+ * Fixed-odds markets only have their pools updated; the bookmaker's odds are kept.
+ * @param {Object} market - A Market, or an Event for its main result
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Array<number|null>>} - The new odds per choice index
+ */
+async function recalculateOdds(market, options = {}) {
+  const { Bet } = require('../database/models');
+  const { fn, col } = require('sequelize');
+
+  // Sum the active stakes on each choice
+  const totals = await Bet.findAll({
+    attributes: ['choiceIndex', [fn('SUM', col('amount')), 'pool']],
+    where: { ...getMarketBetScope(market), status: 'active' },
+    group: ['choiceIndex'],
+    raw: true,
+    ...options
+  });
+
+  const pools = market.choices.map((choice, index) => {
+    const total = totals.find(row => Number(row.choiceIndex) === index);
+    return total ? Number(total.pool) : 0;
+  });
+
+  // Store the pool and odds on each choice
+  const odds = market.settlementMode === 'fixed'
+    ? market.choices.map(choice => getChoiceOdds(choice))
+    : calculateParimutuelOdds(pools, market.feePercent);
+  market.choices = market.choices.map((choice, index) => ({
+    ...(typeof choice === 'string' ? { name: choice } : choice),
+    pool: pools[index],
+    odds: odds[index]
+  }));
+  await market.save(options);
+
+  return odds;
+}
+
+/**
+ * Get the current odds of an exact finishing order. Fixed-odds races price it from the runners'
+ * win odds; pool races pay forecasts and tricasts from their own pool, so the odds are that pool,
+ * net of the fee, over the stakes on the same order.
+ * @param {Object} event - The racing event
+ * @param {string} betType - 'forecast' or 'tricast'
+ * @param {Array<number>} selections - Choice indexes in predicted finishing order
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<number|null>} - The decimal odds, or null if they cannot be worked out yet
+ */
+async function getExactOrderOdds(event, betType, selections, options = {}) {
+  if (event.settlementMode === 'fixed') {
+    return calculateExactOrderOdds(event.choices.map(choice => getChoiceOdds(choice)), selections);
+  }
+
+  const { Bet } = require('../database/models');
+  const bets = await Bet.findAll({ where: { ...getExactOrderBetScope(event, betType), status: 'active' }, ...options });
+  const pool = bets.reduce((sum, bet) => sum + bet.amount, 0);
+  const stake = bets
+    .filter(bet => isSameOrder(bet.meta.selections || [], selections))
+    .reduce((sum, bet) => sum + bet.amount, 0);
+
+  return stake > 0 ? roundOdds((pool * (1 - event.feePercent / 100)) / stake) : null;
+}
+
+/**
+ * Place a bet on an event, debiting the stake from the user's wallet and
+ * updating the event and market totals in the same transaction
+ * @param {number|string} eventId - The ID of the event to bet on
+ * @param {Object} betData - The bet data (guildId, userId, userTag, choiceIndex, amount, and marketId unless betting on the main result;
+ *   betType 'place' or 'each_way' for racing place bets, or 'forecast' or 'tricast' with the predicted
+ *   finishing order as selections; 'single' by default)
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, bet: Object, event: Object, market: Object|null, balance: number }
+ */
+async function placeBet(eventId, betData) {
+  const { sequelize } = require('../database/dbInit');
+  const { Event, Market, Bet } = require('../database/models');
+  const { placePositions, placeOddsFraction } = require('../config').defaultRacing;
+
+  const amount = Number(betData.amount);
+  const betType = betData.betType || 'single';
+  const selections = isExactOrderBetType(betType) ? (betData.selections || []).map(Number) : null;
+  const choiceIndex = selections ? selections[0] : Number(betData.choiceIndex);
+
+  const result = await sequelize.transaction(async (transaction) => {
+    // Load the event and market inside the transaction so the limits are checked against current data
+    const event = await Event.findOne({ where: { id: eventId, guildId: betData.guildId }, transaction });
+    if (!event) {
+      return { success: false, errors: ['Event not found'] };
+    }
+
+    let market = null;
+    if (betData.marketId) {
+      market = await Market.findOne({ where: { id: betData.marketId, eventId: event.id }, transaction });
+      if (!market) {
+        return { success: false, errors: ['Market not found'], event };
+      }
+    }
+    const target = market || event;
+
+    // Count the user's existing bets on the market (or forecast/tricast pool) for the per-user limit
+    const userBetCount = await Bet.count({
+      where: {
+        ...(selections ? getExactOrderBetScope(event, betType) : getMarketBetScope(target)),
+        userId: betData.userId,
+        status: 'active'
+      },
+      transaction
+    });
+
+    // Validate the bet
+    const validation = validateBet({ ...betData, amount, choiceIndex, betType, selections, placePositions }, event, userBetCount, market);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors, event, market };
+    }
+
+    // Check the user can cover the stake
+    const wallet = await getOrCreateWallet(event.guildId, betData.userId, betData.userTag, { transaction });
+    const balance = await getBalance(wallet.guildId, wallet.userId, { transaction });
+    if (amount > balance) {
+      return { success: false, errors: [`Insufficient balance: you have ${balance} coins`], event, market };
+    }
+
+    // Create the bet
+    const bet = await Bet.create({
+      guildId: event.guildId,
+      eventId: event.id,
+      marketId: market ? market.id : null,
+      betType,
+      userId: betData.userId,
+      userTag: betData.userTag,
+      amount,
+      choiceIndex,
+      choiceName: selections
+        ? selections.map(index => getChoiceName(event.choices[index])).join(' → ')
+        : getChoiceName(target.choices[choiceIndex]),
+      ...(selections ? { meta: { selections } } : {})
+    }, { transaction });
+
+    // Debit the stake from the wallet
+    await recordEntry(wallet, {
+      type: 'stake',
+      amount: -amount,
+      referenceType: 'bet',
+      referenceId: bet.id,
+      description: `Bet #${bet.id} on ${event.name}${market ? ` (${market.name})` : ''}${formatBetTypeSuffix(betType)}`
+    }, { transaction });
+
+    // Update the event totals, and the market's own totals
+    await event.increment({ totalBetsAmount: amount, totalBetsCount: 1 }, { transaction });
+    await event.reload({ transaction });
+    if (market) {
+      await market.increment({ totalBetsAmount: amount, totalBetsCount: 1 }, { transaction });
+      await market.reload({ transaction });
+    }
+
+    // Recalculate the odds and snapshot them on the bet
+    const odds = await recalculateOdds(target, { transaction });
+    if (selections) {
+      const exactOrderOdds = await getExactOrderOdds(event, betType, selections, { transaction });
+      await bet.update({
+        odds: exactOrderOdds,
+        potentialWinnings: event.settlementMode === 'fixed'
+          ? calculateFixedOddsWinnings(amount, exactOrderOdds, event.feePercent)
+          : calculatePotentialWinnings(amount, exactOrderOdds)
+      }, { transaction });
+    } else if (isPlaceBetType(betType)) {
+      // Place bets are settled at the place odds; each-way bets keep the win odds and lock in the place odds beside them
+      const placeOdds = calculatePlaceOdds(odds[choiceIndex], placeOddsFraction);
+      const terms = {
+        betType,
+        amount,
+        odds: betType === 'place' ? placeOdds : odds[choiceIndex],
+        meta: { placePositions, placeOdds }
+      };
+      await bet.update({
+        odds: terms.odds,
+        meta: terms.meta,
+        potentialWinnings: calculateRaceBetWinnings(terms, 1, event.feePercent)
+      }, { transaction });
+    } else {
+      await bet.update({
+        odds: odds[choiceIndex],
+        potentialWinnings: target.settlementMode === 'fixed'
+          ? calculateFixedOddsWinnings(amount, odds[choiceIndex], target.feePercent)
+          : calculatePotentialWinnings(amount, odds[choiceIndex])
+      }, { transaction });
+    }
+
+    return { success: true, errors: [], bet, event, market, balance: balance - amount };
+  });
+
+  // Log the action
+  if (result.success) {
+    const { bet, event } = result;
+    logger.db.info(`Bet #${bet.id} of ${bet.amount} coins placed on "${bet.choiceName}" for event ${event.id}`, {
+      guildId: event.guildId,
+      userId: bet.userId,
+      type: 'bet',
+      metadata: { eventId: event.id, marketId: bet.marketId, betId: bet.id, betType: bet.betType, choiceIndex: bet.choiceIndex, selections: bet.meta.selections, amount: bet.amount, odds: bet.odds }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Refund bets: marks them refunded, records a completed refund payout for each
+ * and credits the stakes back to the bettors' wallets
+ * @param {Object} event - The event the bets were placed on
+ * @param {Array<Object>} bets - The active bets to refund
+ * @param {string} reason - Why the bets are being refunded
+ * @param {string} processedBy - Discord user ID of who triggered the refund
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Array<Object>>} - The refunded bets
+ */
+async function refundBets(event, bets, reason, processedBy, options = {}) {
+  const { Payout } = require('../database/models');
+
+  for (const bet of bets) {
+    await bet.update({ status: 'refunded' }, options);
+
+    await Payout.create({
+      guildId: bet.guildId,
+      eventId: event.id,
+      betId: bet.id,
+      userId: bet.userId,
+      userTag: bet.userTag,
+      amount: bet.amount,
+      feeAmount: 0,
+      status: 'completed',
+      processedAt: new Date(),
+      processedBy,
+      notes: `Refund: ${reason}`,
+      meta: { type: 'refund', reason }
+    }, options);
+
+    const wallet = await getOrCreateWallet(bet.guildId, bet.userId, bet.userTag, options);
+    await recordEntry(wallet, {
+      type: 'refund',
+      amount: bet.amount,
+      referenceType: 'bet',
+      referenceId: bet.id,
+      description: bet.betType === 'parlay'
+        ? `Refund for parlay #${bet.id}`
+        : `Refund for bet #${bet.id} on ${event.name}`,
+      createdBy: processedBy,
+      meta: { reason }
+    }, options);
+  }
+
+  return bets;
+}
+
+/**
+ * Refund every active bet on an event, across all of its markets, and close the open markets
+ * @param {Object} event - The event object from the database
+ * @param {string} reason - Why the bets are being refunded
+ * @param {string} processedBy - Discord user ID of who triggered the refund
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Array<Object>>} - The refunded bets
+ */
+async function refundEventBets(event, reason, processedBy, options = {}) {
+  const { Market, Bet } = require('../database/models');
+
+  const bets = await Bet.findAll({ where: { eventId: event.id, status: 'active' }, ...options });
+  await Market.update({ status: 'cancelled' }, { where: { eventId: event.id, status: 'open' }, ...options });
+
+  return refundBets(event, bets, reason, processedBy, options);
+}
+
+/**
+ * Work out what each winning bet on a market pays. Fixed-odds bets pay their stake at the
+ * odds locked in when they were placed; pool winners split the market's pool, net of the fee,
+ * in proportion to their stake.
+ * @param {Object} market - A Market, or an Event for its main result
+ * @param {Array<Object>} bets - Every active bet on the market
+ * @param {number} winningChoiceIndex - Index of the winning choice
+ * @returns {Map<number, number>} - Winnings keyed by bet ID (winning bets only)
+ */
+function calculateMarketWinnings(market, bets, winningChoiceIndex) {
+  const winners = bets.filter(bet => bet.choiceIndex === winningChoiceIndex);
+
+  if (market.settlementMode !== 'fixed') {
+    return splitPool(bets, winners, market.feePercent);
+  }
+
+  const winnings = new Map();
+  for (const bet of winners) {
+    winnings.set(bet.id, calculateFixedOddsWinnings(bet.amount, bet.odds, market.feePercent));
+  }
+  return winnings;
+}
+
+/**
+ * Split a pool, net of the fee, between its winning bets in proportion to their stake
+ * @param {Array<Object>} bets - Every active bet in the pool
+ * @param {Array<Object>} winners - The winning bets
+ * @param {number} feePercent - House fee percentage taken from the pool
+ * @returns {Map<number, number>} - Winnings keyed by bet ID (winning bets only)
+ */
+function splitPool(bets, winners, feePercent) {
+  const pool = bets.reduce((sum, bet) => sum + bet.amount, 0);
+  const winningStake = winners.reduce((sum, bet) => sum + bet.amount, 0);
+  const ratio = winningStake > 0 ? (pool * (1 - feePercent / 100)) / winningStake : 0;
+
+  return new Map(winners.map(bet => [bet.id, Math.floor(bet.amount * ratio)]));
+}
+
+/**
+ * Settle a market: its bets are marked won or lost and the winnings credited to the
+ * winners' wallets. If nobody backed the winner of a pool market, every stake is refunded.
+ * @param {string} guildId - Discord server ID the market's event belongs to
+ * @param {number|string} marketId - The ID of the market to settle
+ * @param {number} winningChoiceIndex - Index of the winning choice
+ * @param {string} settledBy - Discord user ID of who settled the market
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, market: Object, event: Object, winners: Array, losers: Array, refunded: Array, totalPayout: number }
+ */
+async function settleMarket(guildId, marketId, winningChoiceIndex, settledBy) {
+  const { sequelize } = require('../database/dbInit');
+  const { Event, Market, Bet } = require('../database/models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const market = await Market.findOne({ where: { id: marketId, guildId }, transaction });
+    if (!market) {
+      return { success: false, errors: ['Market not found'] };
+    }
+
+    const event = await Event.findByPk(market.eventId, { transaction });
+    if (market.status !== 'open') {
+      return { success: false, errors: [`This market is already ${market.status}`], market, event };
+    }
+    if (!market.choices[winningChoiceIndex]) {
+      return { success: false, errors: ['Invalid winning choice'], market, event };
+    }
+
+    const bets = await Bet.findAll({ where: { marketId: market.id, status: 'active' }, transaction });
+    const winnings = calculateMarketWinnings(market, bets, winningChoiceIndex);
+
+    let winners = [];
+    let losers = [];
+    let refunded = [];
+    if (winnings.size === 0 && market.settlementMode === 'parimutuel') {
+      refunded = await refundBets(event, bets, `Nobody backed the winner of ${market.name}`, settledBy, { transaction });
+    } else {
+      for (const bet of bets) {
+        const won = winnings.has(bet.id);
+        await bet.update({ status: won ? 'won' : 'lost', actualWinnings: won ? winnings.get(bet.id) : 0 }, { transaction });
+        (won ? winners : losers).push(bet);
+      }
+    }
+
+    await market.update({
+      status: 'settled',
+      winningChoiceIndex,
+      settledAt: new Date(),
+      settledBy
+    }, { transaction });
+
+    // Credit the winnings with the settlement, so a market is never settled without paying out
+    if (winners.length > 0) {
+      await creditWinnings(event, winners, settledBy, { transaction });
+    }
+
+    const totalPayout = winners.reduce((sum, bet) => sum + bet.actualWinnings, 0);
+    return { success: true, errors: [], market, event, winners, losers, refunded, totalPayout };
+  });
+
+  if (result.success) {
+    const { market, event, winners, refunded, totalPayout } = result;
+
+    logger.db.info(`Market ${market.id} (${market.name}) on event ${event.id} settled: "${getChoiceName(market.choices[winningChoiceIndex])}" won`, {
+      guildId,
+      userId: settledBy,
+      type: 'event',
+      metadata: { eventId: event.id, marketId: market.id, winningChoiceIndex, winners: winners.length, refunded: refunded.length, totalPayout }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Work out what a fixed-odds racing bet pays for its runner's finishing position. Win bets pay
+ * on first place only and place bets on any placed finish; each-way bets are two equal halves,
+ * a win bet and a place bet.
+ * @param {Object} bet - The bet (betType, amount, odds, and meta.placePositions/placeOdds for place bets)
+ * @param {number|null} position - The runner's finishing position (1 for the winner), or null if it was not classified
+ * @param {number} feePercent - House fee percentage taken from the payout
+ * @returns {number} - Payout in whole coins
+ */
+function calculateRaceBetWinnings(bet, position, feePercent) {
+  const won = position === 1;
+  const placed = position !== null && position <= (bet.meta.placePositions || 0);
+
+  switch (bet.betType) {
+    case 'place':
+      return placed ? calculateFixedOddsWinnings(bet.amount, bet.odds, feePercent) : 0;
+    case 'each_way':
+      return (won ? calculateFixedOddsWinnings(bet.amount / 2, bet.odds, feePercent) : 0) +
+        (placed ? calculateFixedOddsWinnings(bet.amount / 2, bet.meta.placeOdds, feePercent) : 0);
+    default:
+      return won ? calculateFixedOddsWinnings(bet.amount, bet.odds, feePercent) : 0;
+  }
+}
+
+/**
+ * Work out what each bet on a race pays from the finishing order. Win, place and each-way bets
+ * share the main result: pool races only take win bets and pay them like any other market, while
+ * fixed-odds races pay each bet at the odds locked in when it was placed. Forecasts and tricasts
+ * must call the exact top finishers in order and are paid from their own pool, or at their locked-in odds.
+ * A pool nobody won is refunded, as are forecasts and tricasts when too few runners finished.
+ * @param {Object} event - The racing event
+ * @param {Array<Object>} bets - Every active bet on the race (markets excluded)
+ * @param {Array<number>} finishingOrder - Choice indexes in finishing order, winner first
+ * @returns {Object} - { winnings: Map<number, number> keyed by bet ID, refunds: Array<{ bets, reason }> }
+ */
+function calculateRaceWinnings(event, bets, finishingOrder) {
+  const winnings = new Map();
+  const refunds = [];
+
+  // Win, place and each-way bets
+  const mainBets = bets.filter(bet => !isExactOrderBetType(bet.betType));
+  if (event.settlementMode === 'fixed') {
+    for (const bet of mainBets) {
+      const position = finishingOrder.indexOf(bet.choiceIndex) + 1 || null;
+      const amount = calculateRaceBetWinnings(bet, position, event.feePercent);
+      if (amount > 0) {
+        winnings.set(bet.id, amount);
+      }
+    }
+  } else {
+    const poolWinnings = calculateMarketWinnings(event, mainBets, finishingOrder[0]);
+    if (poolWinnings.size === 0 && mainBets.length > 0) {
+      refunds.push({ bets: mainBets, reason: 'Nobody backed the winner' });
+    }
+    poolWinnings.forEach((amount, betId) => winnings.set(betId, amount));
+  }
+
+  // Forecasts and tricasts
+  for (const [betType, places] of Object.entries(EXACT_ORDER_PLACES)) {
+    const exactBets = bets.filter(bet => bet.betType === betType);
+    const label = BET_TYPE_LABELS[betType].toLowerCase();
+    if (exactBets.length === 0) continue;
+
+    if (finishingOrder.length < places) {
+      refunds.push({ bets: exactBets, reason: `Fewer than ${places} runners finished, so no ${label} could win` });
+      continue;
+    }
+
+    const result = finishingOrder.slice(0, places);
+    const winners = exactBets.filter(bet => isSameOrder(bet.meta.selections || [], result));
+    if (event.settlementMode === 'fixed') {
+      winners.forEach(bet => winnings.set(bet.id, calculateFixedOddsWinnings(bet.amount, bet.odds, event.feePercent)));
+    } else if (winners.length === 0) {
+      refunds.push({ bets: exactBets, reason: `Nobody called the ${label}` });
+    } else {
+      splitPool(exactBets, winners, event.feePercent).forEach((amount, betId) => winnings.set(betId, amount));
+    }
+  }
+
+  return { winnings, refunds };
+}
+
+/**
+ * Settle a race from its finishing order: the order is recorded on the event, the bets are
+ * marked won or lost and the winnings credited to the winners' wallets. Pools nobody won are
+ * refunded (see calculateRaceWinnings). Additional markets are settled separately.
+ * @param {string} guildId - Discord server ID the event belongs to
+ * @param {number|string} eventId - The ID of the racing event
+ * @param {Array<number>} finishingOrder - Choice indexes in finishing order, winner first
+ * @param {string} settledBy - Discord user ID of who settled the race
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, event: Object, winners: Array, losers: Array, refunded: Array, totalPayout: number }
+ */
+async function settleRace(guildId, eventId, finishingOrder, settledBy) {
+  const { sequelize } = require('../database/dbInit');
+  const { Event, Bet } = require('../database/models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const event = await Event.findOne({ where: { id: eventId, guildId }, transaction });
+    if (!event) {
+      return { success: false, errors: ['Event not found'] };
+    }
+    if (event.type !== 'racing') {
+      return { success: false, errors: ['Only racing events are settled from a finishing order'], event };
+    }
+    if (['completed', 'cancelled'].includes(event.status)) {
+      return { success: false, errors: [`This event is already ${event.status}`], event };
+    }
+    if (finishingOrder.length === 0 ||
+        new Set(finishingOrder).size !== finishingOrder.length ||
+        finishingOrder.some(index => !event.choices[index])) {
+      return { success: false, errors: ['Invalid finishing order'], event };
+    }
+
+    const bets = await Bet.findAll({ where: { eventId: event.id, marketId: null, status: 'active' }, transaction });
+    const { winnings, refunds } = calculateRaceWinnings(event, bets, finishingOrder);
+
+    const winners = [];
+    const losers = [];
+    const refunded = [];
+    for (const refund of refunds) {
+      refunded.push(...await refundBets(event, refund.bets, refund.reason, settledBy, { transaction }));
+    }
+    for (const bet of bets.filter(bet => !refunded.includes(bet))) {
+      const won = winnings.has(bet.id);
+      await bet.update({ status: won ? 'won' : 'lost', actualWinnings: won ? winnings.get(bet.id) : 0 }, { transaction });
+      (won ? winners : losers).push(bet);
+    }
+
+    await event.update({
+      status: 'completed',
+      finishingOrder,
+      winners: [getChoiceName(event.choices[finishingOrder[0]])]
+    }, { transaction });
+
+    // Credit the winnings with the settlement, so a race is never settled without paying out
+    if (winners.length > 0) {
+      await creditWinnings(event, winners, settledBy, { transaction });
+    }
+
+    const totalPayout = winners.reduce((sum, bet) => sum + bet.actualWinnings, 0);
+    return { success: true, errors: [], event, winners, losers, refunded, totalPayout };
+  });
+
+  if (result.success) {
+    const { event, winners, refunded, totalPayout } = result;
+
+    logger.db.info(`Race ${event.id} settled: "${getChoiceName(event.choices[finishingOrder[0]])}" won`, {
+      guildId,
+      userId: settledBy,
+      type: 'event',
+      metadata: { eventId: event.id, finishingOrder, winners: winners.length, refunded: refunded.length, totalPayout }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get how many minutes after placement players may cancel their own bets in a server
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<number>} - The grace window in minutes
+ */
+async function getCancelGraceMinutes(guildId) {
+  const config = require('../config');
+
+  const minutes = parseInt(await getGuildSetting(guildId, 'cancelGraceMinutes'), 10);
+  return isNaN(minutes) ? config.defaultBetting.cancelGraceMinutes : minutes;
+}
+
+/**
+ * Check whether a player may still cancel their own bet
+ * @param {Object} bet - The bet object from the database
+ * @param {Object} event - The event the bet was placed on
+ * @param {number} graceMinutes - The cancellation grace window in minutes
+ * @returns {Object} - { allowed: boolean, reason: string|null, minutesLeft: number }
+ */
+function getPlayerCancelStatus(bet, event, graceMinutes) {
+  const minutesLeft = Math.ceil(graceMinutes - (Date.now() - new Date(bet.createdAt).getTime()) / 60000);
+
+  if (bet.status !== 'active') {
+    return { allowed: false, reason: `This bet is already ${bet.status}`, minutesLeft: 0 };
+  }
+  if (event.status !== 'open') {
+    return { allowed: false, reason: 'Bets can only be cancelled while the event is open', minutesLeft: 0 };
+  }
+  if (minutesLeft <= 0) {
+    return { allowed: false, reason: `Bets can only be cancelled within ${graceMinutes} minutes of being placed`, minutesLeft: 0 };
+  }
+
+  return { allowed: true, reason: null, minutesLeft };
+}
+
+/**
+ * Cancel a bet, reversing the event totals, recalculating the odds and refunding the stake.
+ * Players can only cancel their own bets while the event is open and within the grace window;
+ * staff can cancel any active bet but must give a reason.
+ * @param {number|string} betId - The ID of the bet to cancel
+ * @param {Object} cancelData - { guildId: string, cancelledBy: string, byStaff: boolean, reason: string }
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, bet: Object, event: Object }
+ */
+async function cancelBet(betId, cancelData) {
+  const { sequelize } = require('../database/dbInit');
+  const { Event, Market, Bet } = require('../database/models');
+
+  const graceMinutes = cancelData.byStaff ? null : await getCancelGraceMinutes(cancelData.guildId);
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const bet = await Bet.findOne({ where: { id: betId, guildId: cancelData.guildId }, transaction });
+    if (!bet || (!cancelData.byStaff && bet.userId !== cancelData.cancelledBy)) {
+      return { success: false, errors: ['Bet not found'] };
+    }
+    if (bet.betType === 'parlay') {
+      return { success: false, errors: ['Parlays cannot be cancelled; their legs are voided when an event is cancelled'], bet };
+    }
+
+    const event = await Event.findByPk(bet.eventId, { transaction });
+    const market = bet.marketId ? await Market.findByPk(bet.marketId, { transaction }) : null;
+
+    if (cancelData.byStaff) {
+      if (bet.status !== 'active') {
+        return { success: false, errors: [`This bet is already ${bet.status}`], bet, event };
+      }
+    } else {
+      const cancelStatus = getPlayerCancelStatus(bet, event, graceMinutes);
+      if (!cancelStatus.allowed) {
+        return { success: false, errors: [cancelStatus.reason], bet, event };
+      }
+    }
+
+    // Cancel the bet, recording who cancelled it and why
+    await bet.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: cancelData.cancelledBy,
+      meta: {
+        ...bet.meta,
+        cancellation: { byStaff: !!cancelData.byStaff, reason: cancelData.reason || null }
+      }
+    }, { transaction });
+
+    // Refund the stake
+    const wallet = await getOrCreateWallet(bet.guildId, bet.userId, bet.userTag, { transaction });
+    await recordEntry(wallet, {
+      type: 'refund',
+      amount: bet.amount,
+      referenceType: 'bet',
+      referenceId: bet.id,
+      description: `Cancelled bet #${bet.id} on ${event.name}`,
+      createdBy: cancelData.cancelledBy,
+      meta: { reason: cancelData.reason || null }
+    }, { transaction });
+
+    // Reverse the event and market totals and recalculate the odds
+    await event.decrement({ totalBetsAmount: bet.amount, totalBetsCount: 1 }, { transaction });
+    await event.reload({ transaction });
+    if (market) {
+      await market.decrement({ totalBetsAmount: bet.amount, totalBetsCount: 1 }, { transaction });
+      await market.reload({ transaction });
+    }
+    await recalculateOdds(market || event, { transaction });
+
+    return { success: true, errors: [], bet, event };
+  });
+
+  // Log the action
+  if (result.success) {
+    const { bet, event } = result;
+    logger.db.info(`Bet #${bet.id} of ${bet.amount} coins on event ${event.id} cancelled${cancelData.byStaff ? ' by staff' : ''}`, {
+      guildId: cancelData.guildId,
+      userId: cancelData.cancelledBy,
+      type: 'bet',
+      metadata: { eventId: event.id, betId: bet.id, amount: bet.amount, byStaff: !!cancelData.byStaff, reason: cancelData.reason || null }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Create the confirmation embed shown after a bet is placed
+ * @param {Object} bet - The bet object from the database
+ * @param {Object} event - The event object from the database
+ * @param {number} [balance] - The wallet balance left after the stake
+ * @param {Object} [market] - The market the bet was placed on, if not the main result
+ * @returns {EmbedBuilder} - The configured embed
+ */
+function createBetPlacedEmbed(bet, event, balance, market = null) {
+  return createSuccessEmbed(
+    'Bet Placed',
+    `You bet **${bet.amount} coins** on **${bet.choiceName}**${formatBetTypeSuffix(bet.betType)} for **${event.name}**` +
+    (market ? ` (${market.name})` : '') + '.\n\n' +
+    `📈 **Odds at placement:** ${formatOdds(bet.odds)}\n` +
+    (bet.betType === 'each_way'
+      ? `🏁 **Place odds:** ${formatOdds(bet.meta.placeOdds)} for a top ${bet.meta.placePositions} finish, on half your stake\n`
+      : '') +
+    (bet.betType === 'place' ? `🏁 **Pays on:** a top ${bet.meta.placePositions} finish\n` : '') +
+    `💰 **Potential winnings:** ${bet.potentialWinnings} coins\n` +
+    (balance !== undefined ? `👛 **Wallet balance:** ${balance} coins\n` : '') + '\n' +
+    ((market || event).settlementMode === 'fixed'
+      ? `Your odds are locked in. Bet ID: ${bet.id}`
+      : `Pool odds keep moving until betting is locked. Bet ID: ${bet.id}`)
+  );
+}
+
+/**
+ * Create the choice selection shown when a player clicks "Place Bet". Races also get a row of
+ * buttons to switch between win, place, each-way, forecast and tricast betting.
+ * @param {Object} event - The event object from the database, with its open Markets included
+ * @param {string} [betType] - The bet type being placed
+ * @param {Array<number>} [picks] - Runners already picked, in order, for a forecast or tricast
+ * @returns {Object} - Message options ({ embeds, components })
+ */
+function createPlaceBetMessage(event, betType = 'single', picks = []) {
+  if (isExactOrderBetType(betType)) {
+    return createExactOrderPickMessage(event, betType, picks);
+  }
+
+  const { placeOddsFraction } = require('../config').defaultRacing;
+  const placeBets = isPlaceBetType(betType);
+  const markets = placeBets ? [] : (event.Markets || []);
+
+  // Describe the odds each choice would be settled at for the selected bet type
+  const describeOdds = choice => {
+    const winOdds = getChoiceOdds(choice);
+    if (betType === 'place') return `${formatOdds(calculatePlaceOdds(winOdds, placeOddsFraction))} to place`;
+    if (betType === 'each_way') return `${formatOdds(winOdds)} win / ${formatOdds(calculatePlaceOdds(winOdds, placeOddsFraction))} place`;
+    return formatOdds(winOdds);
+  };
+
+  // Create the choice selection embed
+  const embed = new EmbedBuilder()
+    .setColor(getEventColor(event.type))
+    .setTitle(`${getEventEmoji(event.type)} Place ${placeBets ? `${BET_TYPE_LABELS[betType]} ` : ''}Bet: ${event.name}`)
+    .setDescription('Select the choice you want to bet on. You will be asked for the amount next.')
+    .addFields(
+      {
+        name: markets.length > 0 ? `Current Odds: ${MAIN_MARKET_NAME}` : 'Current Odds',
+        value: event.choices.map(choice => `**${getChoiceName(choice)}** - ${describeOdds(choice)}`).join('\n').substring(0, 1024)
+      },
+      {
+        name: 'Betting Limits',
+        value: `💰 **Min Bet:** ${event.minBet} coins\n💵 **Max Bet:** ${event.maxBet} coins\n🔄 **Bets Per User:** ${event.limitPerUser}`
+      },
+      ...markets.map(market => ({
+        name: `Current Odds: ${market.name}`,
+        value: (market.choices.map(choice => `**${getChoiceName(choice)}** - ${formatOdds(getChoiceOdds(choice))}`).join('\n') +
+          `\n*${market.minBet} - ${market.maxBet} coins, ${market.limitPerUser} bet(s) per user*`).substring(0, 1024)
+      }))
+    );
+
+  if (offersPlaceBets(event)) {
+    embed.addFields({
+      name: 'Place Terms',
+      value: `${formatPlaceTerms()}. A place bet pays if your pick finishes in the places; ` +
+        'an each-way bet splits your stake equally between a win bet and a place bet.'
+    });
+  }
+
+  // Create the choice select menu; option values are "marketId:choiceIndex", with "main" for the main result
+  const options = [
+    ...event.choices.map((choice, index) => ({ market: null, choice, value: `main:${index}` })),
+    ...markets.flatMap(market => market.choices.map((choice, index) => ({ market, choice, value: `${market.id}:${index}` })))
+  ];
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(selectId('betting', 'selectChoice', { eventId: event.id, betType }))
+    .setPlaceholder('Select a choice...')
+    .addOptions(options.slice(0, 25).map(({ market, choice, value }) => ({
+      label: (markets.length > 0 ? `${getMarketName(market)}: ${getChoiceName(choice)}` : getChoiceName(choice)).substring(0, 100),
+      description: `Current odds: ${market ? formatOdds(getChoiceOdds(choice)) : describeOdds(choice)}`.substring(0, 100),
+      value
+    })));
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(selectMenu), ...createBetTypeRows(event, betType)] };
+}
+
+/**
+ * Create one step of a forecast or tricast selection: the player picks the runners in finishing
+ * order, one select menu at a time, and the amount modal opens after the last pick
+ * @param {Object} event - The racing event
+ * @param {string} betType - 'forecast' or 'tricast'
+ * @param {Array<number>} picks - Runners already picked, in order
+ * @returns {Object} - Message options ({ embeds, components })
+ */
+function createExactOrderPickMessage(event, betType, picks) {
+  const places = EXACT_ORDER_PLACES[betType];
+  const lastPick = picks.length === places - 1;
+  const runners = event.choices
+    .map((choice, index) => ({ choice, index }))
+    .filter(({ index }) => !picks.includes(index));
+
+  // Fixed-odds races can price the finished order on the last pick; pool odds depend on the other bets
+  const describeOdds = index => lastPick && event.settlementMode === 'fixed'
+    ? `${BET_TYPE_LABELS[betType]} odds: ${formatOdds(calculateExactOrderOdds(event.choices.map(choice => getChoiceOdds(choice)), [...picks, index]))}`
+    : `Win odds: ${formatOdds(getChoiceOdds(event.choices[index]))}`;
+
+  const embed = new EmbedBuilder()
+    .setColor(getEventColor(event.type))
+    .setTitle(`${getEventEmoji(event.type)} Place ${BET_TYPE_LABELS[betType]} Bet: ${event.name}`)
+    .setDescription(
+      `Predict the first ${places} finishers in order. Pick the runner you think will finish **${POSITION_NAMES[picks.length]}**` +
+      (lastPick ? '; you will be asked for the amount next.' : '.')
+    )
+    .addFields(
+      {
+        name: 'Your Picks',
+        value: picks.length > 0
+          ? picks.map((index, position) => `**${POSITION_NAMES[position]}:** ${getChoiceName(event.choices[index])}`).join('\n')
+          : 'None yet'
+      },
+      {
+        name: 'How It Pays',
+        value: event.settlementMode === 'fixed'
+          ? 'Your odds are worked out from the runners\' win odds and locked in when you bet. The first ' +
+            `${places} finishers must match your picks in order.`
+          : `${BET_TYPE_LABELS[betType]}s have a pool of their own, shared by everyone who calls the first ${places} finishers ` +
+            'in the right order. If nobody does, every stake is refunded.'
+      },
+      {
+        name: 'Betting Limits',
+        value: `💰 **Min Bet:** ${event.minBet} coins\n💵 **Max Bet:** ${event.maxBet} coins\n🔄 **Bets Per User:** ${event.limitPerUser}`
+      }
+    );
+
+  // Intermediate picks update this message; the last pick opens the amount modal
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId(selectId('betting', lastPick ? 'selectChoice' : 'pickRunner', { eventId: event.id, betType, picks: picks.length > 0 ? picks : null }))
+    .setPlaceholder(`Select the ${POSITION_NAMES[picks.length]} place runner...`)
+    .addOptions(runners.slice(0, 25).map(({ choice, index }) => ({
+      label: getChoiceName(choice).substring(0, 100),
+      description: describeOdds(index).substring(0, 100),
+      value: `main:${index}`
+    })));
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(selectMenu), ...createBetTypeRows(event, betType)] };
+}
+
+/**
+ * Create the row of buttons that switches the choice selection between bet types
+ * @param {Object} event - The event object from the database
+ * @param {string} betType - The bet type currently selected
+ * @returns {Array<ActionRowBuilder>} - The row, or no rows if the event only takes win bets
+ */
+function createBetTypeRows(event, betType) {
+  const betTypes = getAvailableBetTypes(event);
+  if (betTypes.length < 2) {
+    return [];
+  }
+
+  return [new ActionRowBuilder().addComponents(
+    betTypes.map(type => new ButtonBuilder()
+      .setCustomId(buttonId('betting', 'betType', { eventId: event.id, betType: type }))
+      .setLabel(BET_TYPE_LABELS[type])
+      .setStyle(type === betType ? ButtonStyle.Primary : ButtonStyle.Secondary)
+      .setDisabled(type === betType))
+  )];
+}
+
+/**
+ * Load an event for the choice selection, with its open markets in display order
+ * @param {string} guildId - Discord server ID the event belongs to
+ * @param {number|string} eventId - The ID of the event
+ * @returns {Promise<Object|null>} - The event, or null if it does not exist in the server
+ */
+async function findEventForBetting(guildId, eventId) {
+  const { Event, Market } = require('../database/models');
+  return Event.findOne({
+    where: { id: eventId, guildId },
+    include: [{ model: Market, where: { status: 'open' }, required: false }],
+    order: [[Market, 'sortOrder', 'ASC']]
+  });
+}
+
+/**
+ * Show the choice selection for an event when a player clicks "Place Bet"
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId })
+ */
+async function placeBetButton(interaction, client, { eventId }) {
+  try {
+    const event = await findEventForBetting(interaction.guildId, eventId);
+
+    if (!event) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Event Not Found', 'This event no longer exists.')]
+      });
+    }
+
+    if (event.status !== 'open') {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Betting Closed', `Betting is not open for this event (status: ${event.status}).`)]
+      });
+    }
+
+    await safeReply(interaction, createPlaceBetMessage(event));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting placeBet');
+  }
+}
+
+/**
+ * Switch the choice selection between bet types
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId, betType })
+ */
+async function betTypeButton(interaction, client, { eventId, betType }) {
+  try {
+    const event = await findEventForBetting(interaction.guildId, eventId);
+
+    if (!event || event.status !== 'open') {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Betting Closed', 'Betting is no longer open for this event.')],
+        components: []
+      });
+    }
+
+    await safeReply(interaction, createPlaceBetMessage(event, getAvailableBetTypes(event).includes(betType) ? betType : 'single'));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting betType');
+  }
+}
+
+/**
+ * Record a forecast or tricast pick and move the selection on to the next finishing position
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId, betType, picks }: the runners picked so far)
+ */
+async function pickRunnerSelect(interaction, client, { eventId, betType, picks = [] }) {
+  try {
+    // Option values are "main:choiceIndex"
+    const choiceIndex = Number(interaction.values[0].split(':')[1]);
+    const event = await findEventForBetting(interaction.guildId, eventId);
+
+    if (!event || event.status !== 'open') {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Betting Closed', 'Betting is no longer open for this event.')],
+        components: []
+      });
+    }
+
+    await safeReply(interaction, createPlaceBetMessage(event, betType, [...picks, choiceIndex]));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting pickRunner');
+  }
+}
+
+/**
+ * Open the bet amount modal after a player selects a choice
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId, betType, picks }: the runners picked so far)
+ */
+async function selectChoiceSelect(interaction, client, { eventId, betType, picks = [] }) {
+  try {
+    // Option values are "marketId:choiceIndex", with "main" for the main result
+    const [marketKey, choiceIndex] = interaction.values[0].split(':');
+
+    // A forecast or tricast carries the earlier picks, and this choice completes the order
+    const selections = isExactOrderBetType(betType) ? [...picks, Number(choiceIndex)] : null;
+
+    const { Event, Market } = require('../database/models');
+    const event = await Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    const market = marketKey !== 'main' ? await Market.findOne({ where: { id: marketKey, eventId } }) : null;
+
+    if (!event || event.status !== 'open' || (marketKey !== 'main' && (!market || market.status !== 'open'))) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Betting Closed', 'Betting is no longer open for this event.')]
+      });
+    }
+
+    const target = market || event;
+    const choiceName = selections
+      ? selections.map(index => getChoiceName(event.choices[index] || '')).join(' → ')
+      : getChoiceName(target.choices[choiceIndex] || '');
+
+    // Create the amount modal
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('betting', 'submitBetAmount', { eventId: event.id, choiceIndex, marketKey, betType, selections }))
+      .setTitle(`${betType !== 'single' ? `${BET_TYPE_LABELS[betType]} ` : ''}Bet on ${choiceName}`.substring(0, 45));
+
+    const amountInput = new TextInputBuilder()
+      .setCustomId('amount')
+      .setLabel(betType === 'each_way'
+        ? `Total stake, split win/place (${target.minBet} - ${target.maxBet})`
+        : `Amount (${target.minBet} - ${target.maxBet} coins)`)
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(target.minBet.toString())
+      .setRequired(true);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(amountInput));
+
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting selectChoice');
+  }
+}
+
+/**
+ * Handle the bet amount modal submission
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId, choiceIndex, marketKey, betType, selections })
+ */
+async function submitBetAmountModalSubmit(interaction, client, { eventId, choiceIndex, marketKey, betType, selections }) {
+  try {
+    const amount = interaction.fields.getTextInputValue('amount').trim();
+
+    // Place the bet
+    const result = await placeBet(eventId, {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      marketId: marketKey !== 'main' ? marketKey : null,
+      betType,
+      choiceIndex,
+      selections,
+      amount
+    });
+
+    if (!result.success) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Bet Not Placed', result.errors.map(error => `• ${error}`).join('\n'))]
+      });
+    }
+
+    await safeReply(interaction, {
+      embeds: [createBetPlacedEmbed(result.bet, result.event, result.balance, result.market)]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting submitBetAmount');
+  }
+}
+
+/**
+ * Calculate a player's lifetime betting totals in a server from their bets and winning payouts
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ * @returns {Promise<Object>} - { staked, won, net, roi, openStake }
+ */
+async function getBettingStats(guildId, userId) {
+  const { Bet, Payout } = require('../database/models');
+  const { Op } = require('sequelize');
+
+  const [staked, openStake, wonBets] = await Promise.all([
+    Bet.sum('amount', { where: { guildId, userId, status: { [Op.in]: ['won', 'lost'] } } }),
+    Bet.sum('amount', { where: { guildId, userId, status: 'active' } }),
+    Bet.findAll({ attributes: ['id'], where: { guildId, userId, status: 'won' }, raw: true })
+  ]);
+
+  const won = wonBets.length > 0
+    ? await Payout.sum('amount', { where: { guildId, userId, betId: { [Op.in]: wonBets.map(bet => bet.id) } } })
+    : 0;
+
+  const net = (won || 0) - (staked || 0);
+  return {
+    staked: staked || 0,
+    won: won || 0,
+    net,
+    roi: staked ? (net / staked) * 100 : null,
+    openStake: openStake || 0
+  };
+}
+
+/**
+ * Show the player's open bets, a page of their settled bets and their lifetime totals
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {number} page - The page of settled bets to show (0-based)
+ */
+async function showMyBets(interaction, page = 0) {
+  const { Event, Market, Bet } = require('../database/models');
+  const { Op } = require('sequelize');
+  const pageSize = 10;
+  const userId = interaction.user.id;
+  const guildId = interaction.guildId;
+
+  const [stats, openBets, history] = await Promise.all([
+    getBettingStats(guildId, userId),
+    Bet.findAll({
+      where: { guildId, userId, status: 'active' },
+      include: [{ model: Event, attributes: ['name'] }, { model: Market, attributes: ['name'] }],
+      order: [['createdAt', 'DESC']]
+    }),
+    Bet.findAndCountAll({
+      where: { guildId, userId, status: { [Op.in]: ['won', 'lost', 'refunded', 'cancelled'] } },
+      include: [{ model: Event, attributes: ['name'] }, { model: Market, attributes: ['name'] }],
+      order: [['updatedAt', 'DESC']],
+      limit: pageSize,
+      offset: page * pageSize
+    })
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(history.count / pageSize));
+  const statusEmoji = { won: '✅', lost: '❌', refunded: '↩️', cancelled: '🚫' };
+  const eventName = bet => bet.Event ? bet.Event.name : (bet.betType === 'parlay' ? 'Parlay' : `Event #${bet.eventId}`);
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(`📋 My Bets: ${interaction.user.tag}`)
+    .addFields(
+      {
+        name: 'Lifetime Totals',
+        value: `💰 **Staked:** ${stats.staked} coins\n🏆 **Won:** ${stats.won} coins\n` +
+          `📊 **Net P&L:** ${stats.net >= 0 ? '+' : ''}${stats.net} coins\n` +
+          `📈 **ROI:** ${stats.roi === null ? 'N/A' : `${stats.roi.toFixed(1)}%`}\n` +
+          `⏳ **Open stake:** ${stats.openStake} coins`
+      },
+      {
+        name: `Open Bets (${openBets.length})`,
+        value: openBets.length > 0
+          ? (openBets.slice(0, 10).map(bet =>
+            `#${bet.id} **${eventName(bet)}** - ${formatBetChoice(bet)}: ${bet.amount} coins @ ${formatOdds(bet.odds)} (potential ${bet.potentialWinnings ?? 0})`
+          ).join('\n') + (openBets.length > 10 ? `\n...and ${openBets.length - 10} more` : '')).substring(0, 1024)
+          : 'No open bets.'
+      },
+      {
+        name: `History (Page ${page + 1}/${totalPages})`,
+        value: history.rows.length > 0
+          ? history.rows.map(bet =>
+            `${statusEmoji[bet.status]} #${bet.id} **${eventName(bet)}** - ${formatBetChoice(bet)}: ${bet.amount} coins` +
+            (bet.status === 'won' ? ` → won ${bet.actualWinnings ?? 0}` : ` (${bet.status})`)
+          ).join('\n').substring(0, 1024)
+          : 'No settled bets yet.'
+      }
+    )
+    .setFooter({ text: 'Staked, won and P&L only count settled bets. Refunded and cancelled bets are excluded.' })
+    .setTimestamp();
+
+  const components = [];
+  if (totalPages > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('betting', 'myBetsPage', { page: page - 1 }))
+        .setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⬅️')
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(buttonId('betting', 'myBetsPage', { page: page + 1 }))
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('➡️')
+        .setDisabled(page >= totalPages - 1)
+    ));
+  }
+
+  await safeReply(interaction, { embeds: [embed], components });
+}
+
+/**
+ * Switch the page of settled bets shown by /mybets
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ page })
+ */
+async function myBetsPageButton(interaction, client, { page }) {
+  try {
+    await showMyBets(interaction, Math.max(0, page));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting myBetsPage');
+  }
+}
+
+/**
+ * Show the player's bets on an event, with a menu to cancel those still in the grace window
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId })
+ */
+async function myBetsButton(interaction, client, { eventId }) {
+  try {
+    const { Event, Market, Bet } = require('../database/models');
+    const event = await Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Event Not Found', 'This event no longer exists.')]
+      });
+    }
+
+    const bets = await Bet.findAll({
+      where: { eventId: event.id, userId: interaction.user.id },
+      include: [{ model: Market, attributes: ['name'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (bets.length === 0) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('No Bets', `You have not placed any bets on **${event.name}**.`)]
+      });
+    }
+
+    const graceMinutes = await getCancelGraceMinutes(interaction.guildId);
+    const cancellable = bets
+      .map(bet => ({ bet, cancelStatus: getPlayerCancelStatus(bet, event, graceMinutes) }))
+      .filter(({ cancelStatus }) => cancelStatus.allowed);
+
+    const embed = new EmbedBuilder()
+      .setColor(getEventColor(event.type))
+      .setTitle(`${getEventEmoji(event.type)} My Bets: ${event.name}`)
+      .setDescription(bets.map(bet =>
+        `**#${bet.id}** - ${bet.amount} coins on **${formatBetChoice(bet)}** @ ${formatOdds(bet.odds)} (${bet.status})`
+      ).join('\n').substring(0, 4096))
+      .setFooter({ text: `Bets can be cancelled while the event is open, within ${graceMinutes} minutes of being placed.` });
+
+    const components = [];
+    if (cancellable.length > 0) {
+      const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(selectId('betting', 'cancelBet', { eventId: event.id }))
+        .setPlaceholder('Cancel a bet...')
+        .addOptions(cancellable.slice(0, 25).map(({ bet, cancelStatus }) => ({
+          label: `#${bet.id} - ${bet.amount} coins on ${formatBetChoice(bet)}`.substring(0, 100),
+          description: `Cancellable for ${cancelStatus.minutesLeft} more minute(s)`,
+          value: bet.id.toString()
+        })));
+      components.push(new ActionRowBuilder().addComponents(selectMenu));
+    }
+
+    await safeReply(interaction, { embeds: [embed], components });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting myBets');
+  }
+}
+
+/**
+ * Cancel the bet a player selected from their bets
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function cancelBetSelect(interaction, client) {
+  try {
+    const result = await cancelBet(interaction.values[0], {
+      guildId: interaction.guildId,
+      cancelledBy: interaction.user.id,
+      byStaff: false
+    });
+
+    if (!result.success) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Bet Not Cancelled', result.errors.map(error => `• ${error}`).join('\n'))],
+        components: []
+      });
+    }
+
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Bet Cancelled',
+        `Your bet #${result.bet.id} of **${result.bet.amount} coins** on **${result.bet.choiceName}** has been cancelled and refunded to your wallet.`
+      )],
+      components: []
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting cancelBet');
+  }
+}
+
+/**
+ * Toggle the player's DM reminders for an event
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId })
+ */
+async function remindMeButton(interaction, client, { eventId }) {
+  try {
+    const { Event, ReminderSubscription } = require('../database/models');
+    const event = await Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event || !['pending', 'open'].includes(event.status)) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Reminders Unavailable', 'This event has already started or no longer exists.')]
+      });
+    }
+
+    const subscription = await ReminderSubscription.findOne({
+      where: { eventId: event.id, userId: interaction.user.id }
+    });
+
+    if (subscription) {
+      await subscription.destroy();
+      return await safeReply(interaction, {
+        embeds: [createSuccessEmbed(
+          'Reminder Removed',
+          `You will no longer be reminded of **${event.name}**. Players with a bet on it are still reminded.`
+        )]
+      });
+    }
+
+    await ReminderSubscription.create({ guildId: event.guildId, eventId: event.id, userId: interaction.user.id });
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Reminder Set',
+        `You will get a DM before **${event.name}** starts. Click "Remind Me" again to stop.`
+      )]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'betting remindMe');
+  }
+}
+
+// Buttons, select menus and modals of this module (see utils/router.js)
+const routes = {
+  permission: 'placeBets',
+  buttons: {
+    // Reply with an ephemeral message of their own
+    placeBet: { params: ['eventId:int'], handler: placeBetButton, defer: false },
+    myBets: { params: ['eventId:int'], handler: myBetsButton, defer: false },
+    remindMe: { params: ['eventId:int'], handler: remindMeButton, defer: false },
+    betType: { params: ['eventId:int', 'betType:string'], handler: betTypeButton },
+    myBetsPage: { params: ['page:int'], handler: myBetsPageButton }
+  },
+  selects: {
+    // Opens the bet amount modal
+    selectChoice: { params: ['eventId:int', 'betType:string', 'picks:intList?'], handler: selectChoiceSelect, defer: false },
+    pickRunner: { params: ['eventId:int', 'betType:string', 'picks:intList?'], handler: pickRunnerSelect },
+    cancelBet: { params: ['eventId:int'], handler: cancelBetSelect }
+  },
+  modals: {
+    submitBetAmount: {
+      params: ['eventId:int', 'choiceIndex:int', 'marketKey:string', 'betType:string', 'selections:intList?'],
+      handler: submitBetAmountModalSubmit
+    }
+  }
+};
+
+module.exports = {
+  MAIN_MARKET_NAME,
+  BET_TYPE_LABELS,
+  EXACT_ORDER_PLACES,
+  getChoiceName,
+  getChoiceOdds,
+  getMarketName,
+  getMarketBetScope,
+  formatBetChoice,
+  isPlaceBetType,
+  isExactOrderBetType,
+  getAvailableBetTypes,
+  offersPlaceBets,
+  formatPlaceTerms,
+  createBetButtons,
+  fetchAnnouncement,
+  refreshAnnouncement,
+  createBetPlacedEmbed,
+  recalculateOdds,
+  placeBet,
+  cancelBet,
+  refundBets,
+  refundEventBets,
+  calculateMarketWinnings,
+  settleMarket,
+  calculateRaceWinnings,
+  settleRace,
+  getBettingStats,
+  showMyBets,
+  routes
+};
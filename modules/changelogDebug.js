@@ -2,9 +2,8 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const logger = require('../utils/logger');
 const config = require('../config');
-const { checkPermission } = require('../utils/permissions');
 const { createSuccessEmbed, createErrorEmbed } = require('../utils/embeds');
-const { Models } = require('../database/models');
+const { buttonId } = require('../utils/router');
 
 /**
  * Display the changelog panel
@@ -13,17 +12,8 @@ const { Models } = require('../database/models');
  */
 async function showChangelog(interaction, client) {
   try {
-    // Check permissions
-    if (!checkPermission(interaction, 'ADMIN')) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You do not have permission to view the changelog.')],
-        ephemeral: true
-      });
-      return;
-    }
-
     // Create changelog embed
-    const changelogEmbed = await createChangelogEmbed();
+    const changelogEmbed = await createChangelogEmbed(interaction.guildId);
 
     // Create buttons
     const buttons = createChangelogButtons();
@@ -46,13 +36,16 @@ async function showChangelog(interaction, client) {
 
 /**
  * Create the changelog embed
+ * @param {string} guildId - Discord server ID
  * @returns {Promise<EmbedBuilder>} The changelog embed
  */
-async function createChangelogEmbed() {
+async function createChangelogEmbed(guildId) {
+  const { Configuration } = require('../database/models');
+
   try {
     // Get the current debug mode status
-    const debugConfig = await Models.Configuration.findOne({
-      where: { key: 'DEBUG_MODE' }
+    const debugConfig = await Configuration.findOne({
+      where: { guildId, key: 'DEBUG_MODE' }
     });
 
     const debugMode = debugConfig ? (debugConfig.value === 'true' ? 'Enabled' : 'Disabled') : 'Disabled';
@@ -106,17 +99,17 @@ function createChangelogButtons() {
   const row = new ActionRowBuilder()
     .addComponents(
       new ButtonBuilder()
-        .setCustomId('changelogDebug:toggleDebug')
+        .setCustomId(buttonId('changelogDebug', 'toggleDebug'))
         .setLabel('Toggle Debug Mode')
         .setStyle(ButtonStyle.Primary)
         .setEmoji('🔍'),
       new ButtonBuilder()
-        .setCustomId('changelogDebug:viewFullChangelog')
+        .setCustomId(buttonId('changelogDebug', 'viewFullChangelog'))
         .setLabel('View Full Changelog')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('📜'),
       new ButtonBuilder()
-        .setCustomId('adminPanel:back')
+        .setCustomId(buttonId('adminPanel', 'showPanel'))
         .setLabel('Back to Admin Panel')
         .setStyle(ButtonStyle.Danger)
         .setEmoji('⬅️')
@@ -131,19 +124,12 @@ function createChangelogButtons() {
  * @param {Client} client - The Discord client instance
  */
 async function toggleDebugMode(interaction, client) {
-  try {
-    // Check permissions (only Server Admin can toggle debug mode)
-    if (!checkPermission(interaction, 'SERVER_ADMIN')) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'Only Server Admins can toggle debug mode.')],
-        ephemeral: true
-      });
-      return;
-    }
+  const { Configuration } = require('../database/models');
 
+  try {
     // Get current debug mode setting
-    const debugConfig = await Models.Configuration.findOne({
-      where: { key: 'DEBUG_MODE' }
+    const debugConfig = await Configuration.findOne({
+      where: { guildId: interaction.guildId, key: 'DEBUG_MODE' }
     });
 
     const currentDebugMode = debugConfig ? (debugConfig.value === 'true') : false;
@@ -155,7 +141,8 @@ async function toggleDebugMode(interaction, client) {
         value: String(newDebugMode)
       });
     } else {
-      await Models.Configuration.create({
+      await Configuration.create({
+        guildId: interaction.guildId,
         key: 'DEBUG_MODE',
         value: String(newDebugMode),
         category: 'LOGGING',
@@ -187,7 +174,7 @@ async function toggleDebugMode(interaction, client) {
     setTimeout(async () => {
       try {
         // Create updated changelog embed
-        const changelogEmbed = await createChangelogEmbed();
+        const changelogEmbed = await createChangelogEmbed(interaction.guildId);
         // Create buttons
         const buttons = createChangelogButtons();
 
@@ -217,15 +204,6 @@ async function toggleDebugMode(interaction, client) {
  */
 async function viewFullChangelog(interaction, client) {
   try {
-    // Check permissions
-    if (!checkPermission(interaction, 'ADMIN')) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You do not have permission to view the full changelog.')],
-        ephemeral: true
-      });
-      return;
-    }
-
     // Create full changelog embed
     const fullChangelogEmbed = new EmbedBuilder()
       .setTitle('📜 KrayStakes Bot - Full Changelog')
@@ -269,7 +247,7 @@ async function viewFullChangelog(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('changelogDebug:back')
+          .setCustomId(buttonId('changelogDebug', 'back'))
           .setLabel('Back')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -292,48 +270,34 @@ async function viewFullChangelog(interaction, client) {
 }
 
 /**
- * Handle button interactions for this module
- * @param {string} buttonId - The ID of the button that was clicked
+ * Return from the full changelog to the changelog panel
  * @param {Interaction} interaction - The interaction that triggered this
  * @param {Client} client - The Discord client instance
  */
-async function handleButton(buttonId, interaction, client) {
-  try {
-    switch (buttonId) {
-      case 'toggleDebug':
-        await toggleDebugMode(interaction, client);
-        break;
-      case 'viewFullChangelog':
-        await viewFullChangelog(interaction, client);
-        break;
-      case 'back':
-        // Return to main changelog panel
-        const changelogEmbed = await createChangelogEmbed();
-        const buttons = createChangelogButtons();
-        await interaction.update({
-          embeds: [changelogEmbed],
-          components: buttons
-        });
-        break;
-      default:
-        logger.warn(`Unknown button ID in changelog module: ${buttonId}`);
-        await interaction.reply({
-          content: 'Unknown button action.',
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    logger.error('Error handling button in changelog module:', error);
-    await interaction.reply({
-      embeds: [createErrorEmbed('Error', 'An error occurred while processing your request.')],
-      ephemeral: true
-    });
-  }
+async function backToChangelog(interaction, client) {
+  const changelogEmbed = await createChangelogEmbed(interaction.guildId);
+  const buttons = createChangelogButtons();
+  await interaction.update({
+    embeds: [changelogEmbed],
+    components: buttons
+  });
 }
 
+// Buttons of this module (see utils/router.js). They reply or update the message themselves, so
+// they are not deferred.
+const routes = {
+  permission: 'viewLogs',
+  buttons: {
+    showChangelog: { handler: showChangelog, defer: false },
+    toggleDebug: { handler: toggleDebugMode, defer: false, permission: 'editConfig' },
+    viewFullChangelog: { handler: viewFullChangelog, defer: false },
+    back: { handler: backToChangelog, defer: false }
+  }
+};
+
 module.exports = {
   showChangelog,
   toggleDebugMode,
   viewFullChangelog,
-  handleButton
+  routes
 };
\ No newline at end of file
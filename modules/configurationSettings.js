@@ -9,12 +9,18 @@ const {
   TextInputStyle,
   StringSelectMenuBuilder 
 } = require('discord.js');
-const { isAdmin } = require('../utils/permissions');
+const { DEFAULT_ACCESS, PERMISSION_ACTIONS, getPermissionKey, getPermissionRoles } = require('../utils/permissions');
+const { TOGGLEABLE_MODULES, getModuleKey, getDisabledModules } = require('../utils/moduleToggles');
 const { createErrorEmbed, createSuccessEmbed, createWarningEmbed } = require('../utils/embeds');
-const { safeReply, safeUpdate, safeDeferUpdate, handleInteractionError } = require('../utils/interactions');
+const { safeReply, safeDeferUpdate } = require('../utils/interactions');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { validateReportConfig } = require('../utils/validators');
+const { parseReminderTimes } = require('../utils/timeUtils');
+const { buttonId, selectId, modalId } = require('../utils/router');
+
+// Weekday names by cron day number, for confirmations
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 /**
  * Display the configuration panel
@@ -23,17 +29,6 @@ const { validateReportConfig } = require('../utils/validators');
  */
 async function configPanel(interaction, client) {
   try {
-    // Check if user has server admin permission
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.editReply({
-        embeds: [createErrorEmbed(
-          'Permission Denied',
-          'You do not have permission to access configuration settings. Only Server Admins can access configuration settings.'
-        )]
-      });
-      return;
-    }
-    
     // Create the configuration panel embed
     const embed = new EmbedBuilder()
       .setColor(config.colors.secondary)
@@ -42,47 +37,71 @@ async function configPanel(interaction, client) {
       .addFields(
         { name: 'Betting Configuration', value: 'Configure default minimum and maximum bet amounts, auto calculation, and suspicious bet threshold.' },
         { name: 'Payout Settings', value: 'Configure payout mode (Auto vs. Manual) and payout delay time.' },
-        { name: 'Report Configuration', value: 'Configure report generation frequency and auto-send settings.' },
+        { name: 'Report Configuration', value: 'Configure report generation frequency, auto-send settings and when the weekly and monthly reports are generated.' },
+        { name: 'Schedule Settings', value: 'Configure the event reminder times and the daily leaderboard post time.' },
         { name: 'Channel Management', value: 'Configure which channels are used for announcements, betting updates, financial reports, and more.' },
+        { name: 'Permissions', value: 'Choose which roles may use each panel action, such as creating, locking and settling events, processing payouts and downloading logs.' },
+        { name: 'Modules', value: 'Turn modules such as payouts or the leaderboard off and on for this server.' },
+        { name: 'Admin Panels', value: 'See the admin panels posted with /setpanel and remove stale ones.' },
         { name: 'Debug Mode', value: `Debug Mode is currently ${config.debugMode ? 'ON' : 'OFF'}.` }
       )
-      .setFooter({ text: 'KrayStakes Configuration Settings • Server Admin Only' })
+      .setFooter({ text: 'KrayStakes Configuration Settings' })
       .setTimestamp();
     
     // Create the configuration panel buttons
     const buttons = [
       new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-          .setCustomId('configurationSettings:editBettingConfig')
+          .setCustomId(buttonId('configurationSettings', 'editBettingConfig'))
           .setLabel('Edit Betting Configuration')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🎲'),
         new ButtonBuilder()
-          .setCustomId('configurationSettings:editPayoutSettings')
+          .setCustomId(buttonId('configurationSettings', 'editPayoutSettings'))
           .setLabel('Edit Payout Settings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('💰')
       ),
       new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-          .setCustomId('configurationSettings:editReportSettings')
+          .setCustomId(buttonId('configurationSettings', 'editReportSettings'))
           .setLabel('Edit Report Settings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📊'),
         new ButtonBuilder()
-          .setCustomId('configurationSettings:editChannelConfig')
+          .setCustomId(buttonId('configurationSettings', 'editChannelConfig'))
           .setLabel('Edit Channel Configuration')
           .setStyle(ButtonStyle.Primary)
-          .setEmoji('📢')
+          .setEmoji('📢'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('configurationSettings', 'editScheduleSettings'))
+          .setLabel('Edit Schedule Settings')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('⏱️')
       ),
       new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-          .setCustomId('configurationSettings:toggleDebugMode')
+          .setCustomId(buttonId('configurationSettings', 'editPermissions'))
+          .setLabel('Edit Permissions')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🔐'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('configurationSettings', 'editModules'))
+          .setLabel('Modules')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🧩'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('adminPanel', 'listPanels'))
+          .setLabel('Admin Panels')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🗂️'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('configurationSettings', 'toggleDebugMode'))
           .setLabel(`${config.debugMode ? 'Disable' : 'Enable'} Debug Mode`)
           .setStyle(config.debugMode ? ButtonStyle.Danger : ButtonStyle.Success)
           .setEmoji('🔧'),
         new ButtonBuilder()
-          .setCustomId('adminPanel:createPanel')
+          .setCustomId(buttonId('adminPanel', 'showPanel'))
           .setLabel('Back to Admin Panel')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('◀️')
@@ -127,10 +146,10 @@ async function editBettingConfig(interaction, client) {
     // Get current configuration from database
     const { Configuration } = require('../database/models');
     
-    const defaultMinBetConfig = await Configuration.findOne({ where: { key: 'defaultMinBet' } });
-    const defaultMaxBetConfig = await Configuration.findOne({ where: { key: 'defaultMaxBet' } });
-    const autoCalculationConfig = await Configuration.findOne({ where: { key: 'autoCalculation' } });
-    const suspiciousBetThresholdConfig = await Configuration.findOne({ where: { key: 'suspiciousBetThreshold' } });
+    const defaultMinBetConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'defaultMinBet' } });
+    const defaultMaxBetConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'defaultMaxBet' } });
+    const autoCalculationConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'autoCalculation' } });
+    const suspiciousBetThresholdConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'suspiciousBetThreshold' } });
     
     const defaultMinBet = defaultMinBetConfig ? defaultMinBetConfig.value : config.betting.defaultMinBet.toString();
     const defaultMaxBet = defaultMaxBetConfig ? defaultMaxBetConfig.value : config.betting.defaultMaxBet.toString();
@@ -139,7 +158,7 @@ async function editBettingConfig(interaction, client) {
     
     // Create a modal for editing betting configuration
     const modal = new ModalBuilder()
-      .setCustomId('configurationSettings:submitBettingConfig')
+      .setCustomId(modalId('configurationSettings', 'submitBettingConfig'))
       .setTitle('Edit Betting Configuration');
     
     // Add inputs to the modal
@@ -189,7 +208,7 @@ async function editBettingConfig(interaction, client) {
       // If the interaction has already been responded to, we need to send a new message with a button
       // that the user can click to open the modal (workaround for Discord limitation)
       const modalButton = new ButtonBuilder()
-        .setCustomId('configSettings:openBettingConfigModal')
+        .setCustomId(buttonId('configurationSettings', 'openBettingConfigModal'))
         .setLabel('Open Betting Configuration')
         .setStyle(ButtonStyle.Primary);
       
@@ -246,15 +265,15 @@ async function editPayoutSettings(interaction, client) {
     // Get current configuration from database
     const { Configuration } = require('../database/models');
     
-    const payoutModeConfig = await Configuration.findOne({ where: { key: 'payoutMode' } });
-    const payoutDelayConfig = await Configuration.findOne({ where: { key: 'payoutDelay' } });
+    const payoutModeConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'payoutMode' } });
+    const payoutDelayConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'payoutDelay' } });
     
     const payoutMode = payoutModeConfig ? payoutModeConfig.value : config.payout.mode;
     const payoutDelay = payoutDelayConfig ? payoutDelayConfig.value : config.payout.delay.toString();
     
     // Create a modal for editing payout settings
     const modal = new ModalBuilder()
-      .setCustomId('configurationSettings:submitPayoutSettings')
+      .setCustomId(modalId('configurationSettings', 'submitPayoutSettings'))
       .setTitle('Edit Payout Settings');
     
     // Add inputs to the modal
@@ -286,7 +305,7 @@ async function editPayoutSettings(interaction, client) {
       // If the interaction has already been responded to, we need to send a new message with a button
       // that the user can click to open the modal (workaround for Discord limitation)
       const modalButton = new ButtonBuilder()
-        .setCustomId('configSettings:openPayoutSettingsModal')
+        .setCustomId(buttonId('configurationSettings', 'openPayoutSettingsModal'))
         .setLabel('Open Payout Settings')
         .setStyle(ButtonStyle.Primary);
       
@@ -343,17 +362,18 @@ async function editReportSettings(interaction, client) {
     // Get current configuration from database
     const { Configuration } = require('../database/models');
     
-    const reportFrequencyConfig = await Configuration.findOne({ where: { key: 'reportFrequency' } });
-    const autoSendReportsConfig = await Configuration.findOne({ where: { key: 'autoSendReports' } });
-    const timezoneConfig = await Configuration.findOne({ where: { key: 'timezone' } });
+    const reportFrequencyConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'reportFrequency' } });
+    const autoSendReportsConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'autoSendReports' } });
+    const timezoneConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'timezone' } });
     
     const reportFrequency = reportFrequencyConfig ? reportFrequencyConfig.value : config.reports.frequency;
     const autoSendReports = autoSendReportsConfig ? (autoSendReportsConfig.value === 'true') : config.reports.autoSend;
     const timezone = timezoneConfig ? timezoneConfig.value : config.timezone;
+    const schedule = await require('./jobScheduler').getScheduleSettings(interaction.guildId);
     
     // Create a modal for editing report settings
     const modal = new ModalBuilder()
-      .setCustomId('configurationSettings:submitReportSettings')
+      .setCustomId(modalId('configurationSettings', 'submitReportSettings'))
       .setTitle('Edit Report Settings');
     
     // Add inputs to the modal
@@ -381,20 +401,38 @@ async function editReportSettings(interaction, client) {
       .setStyle(TextInputStyle.Short)
       .setRequired(true);
     
+    const weeklyReportInput = new TextInputBuilder()
+      .setCustomId('weeklyReport')
+      .setLabel('Weekly Report (weekday 0-6 and hour 0-23)')
+      .setPlaceholder('e.g. "1 9" for Mondays at 9:00 (0 = Sunday)')
+      .setValue(`${schedule.weeklyReportDay} ${schedule.weeklyReportHour}`)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    const monthlyReportInput = new TextInputBuilder()
+      .setCustomId('monthlyReport')
+      .setLabel('Monthly Report (day 1-28 and hour 0-23)')
+      .setPlaceholder('e.g. "1 9" for the 1st of each month at 9:00')
+      .setValue(`${schedule.monthlyReportDay} ${schedule.monthlyReportHour}`)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
     // Add inputs to action rows
     const firstActionRow = new ActionRowBuilder().addComponents(reportFrequencyInput);
     const secondActionRow = new ActionRowBuilder().addComponents(autoSendReportsInput);
     const thirdActionRow = new ActionRowBuilder().addComponents(timezoneInput);
+    const fourthActionRow = new ActionRowBuilder().addComponents(weeklyReportInput);
+    const fifthActionRow = new ActionRowBuilder().addComponents(monthlyReportInput);
     
     // Add action rows to the modal
-    modal.addComponents(firstActionRow, secondActionRow, thirdActionRow);
+    modal.addComponents(firstActionRow, secondActionRow, thirdActionRow, fourthActionRow, fifthActionRow);
     
     // Check if we can show a modal without errors
     if (interaction.deferred || interaction.replied) {
       // If the interaction has already been responded to, we need to send a new message with a button
       // that the user can click to open the modal (workaround for Discord limitation)
       const modalButton = new ButtonBuilder()
-        .setCustomId('configSettings:openReportSettingsModal')
+        .setCustomId(buttonId('configurationSettings', 'openReportSettingsModal'))
         .setLabel('Open Report Settings')
         .setStyle(ButtonStyle.Primary);
       
@@ -441,6 +479,63 @@ async function editReportSettings(interaction, client) {
   }
 }
 
+/**
+ * Edit schedule settings: event reminder times and the leaderboard post time
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function editScheduleSettings(interaction, client) {
+  try {
+    const schedule = await require('./jobScheduler').getScheduleSettings(interaction.guildId);
+    
+    // Create a modal for editing schedule settings
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('configurationSettings', 'submitScheduleSettings'))
+      .setTitle('Edit Schedule Settings');
+    
+    const reminderTimesInput = new TextInputBuilder()
+      .setCustomId('reminderTimes')
+      .setLabel('Reminder Times (minutes before event)')
+      .setPlaceholder('Comma-separated, e.g. "1440, 60, 15"; leave empty for no reminders')
+      .setValue(schedule.reminderTimes.join(', '))
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false);
+    
+    const leaderboardPostTimeInput = new TextInputBuilder()
+      .setCustomId('leaderboardPostTime')
+      .setLabel('Leaderboard Post Time (HH:MM)')
+      .setPlaceholder('e.g. "04:00"')
+      .setValue(schedule.leaderboardPostTime)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(reminderTimesInput),
+      new ActionRowBuilder().addComponents(leaderboardPostTimeInput)
+    );
+    
+    await interaction.showModal(modal);
+    
+    logger.info(`Schedule settings modal opened by ${interaction.user.tag} (${interaction.user.id})`, {
+      userId: interaction.user.id,
+      category: 'config'
+    });
+  } catch (error) {
+    logger.error(`Error displaying schedule settings modal: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+    
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed(
+        'Error',
+        `An error occurred while displaying the schedule settings modal: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
 /**
  * Edit channel configuration
  * @param {Interaction} interaction - The interaction that triggered this
@@ -451,11 +546,11 @@ async function editChannelConfig(interaction, client) {
     // Get current configuration from database
     const { Configuration } = require('../database/models');
     
-    const bettingAnnouncementsChannelConfig = await Configuration.findOne({ where: { key: 'bettingAnnouncementsChannel' } });
-    const payoutAnnouncementsChannelConfig = await Configuration.findOne({ where: { key: 'payoutAnnouncementsChannel' } });
-    const reportsChannelConfig = await Configuration.findOne({ where: { key: 'reportsChannel' } });
-    const leaderboardChannelConfig = await Configuration.findOne({ where: { key: 'leaderboardChannel' } });
-    const logsChannelConfig = await Configuration.findOne({ where: { key: 'logsChannel' } });
+    const bettingAnnouncementsChannelConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'bettingAnnouncementsChannel' } });
+    const payoutAnnouncementsChannelConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'payoutAnnouncementsChannel' } });
+    const reportsChannelConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'reportsChannel' } });
+    const leaderboardChannelConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'leaderboardChannel' } });
+    const logsChannelConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'logsChannel' } });
     
     const bettingAnnouncementsChannel = bettingAnnouncementsChannelConfig ? bettingAnnouncementsChannelConfig.value : config.channels.bettingAnnouncements || '';
     const payoutAnnouncementsChannel = payoutAnnouncementsChannelConfig ? payoutAnnouncementsChannelConfig.value : config.channels.payoutAnnouncements || '';
@@ -465,7 +560,7 @@ async function editChannelConfig(interaction, client) {
     
     // Create a modal for editing channel configuration
     const modal = new ModalBuilder()
-      .setCustomId('configurationSettings:submitChannelConfig')
+      .setCustomId(modalId('configurationSettings', 'submitChannelConfig'))
       .setTitle('Edit Channel Configuration');
     
     // Add inputs to the modal
@@ -524,7 +619,7 @@ async function editChannelConfig(interaction, client) {
       // If the interaction has already been responded to, we need to send a new message with a button
       // that the user can click to open the modal (workaround for Discord limitation)
       const modalButton = new ButtonBuilder()
-        .setCustomId('configSettings:openChannelConfigModal')
+        .setCustomId(buttonId('configurationSettings', 'openChannelConfigModal'))
         .setLabel('Open Channel Configuration')
         .setStyle(ButtonStyle.Primary);
       
@@ -571,6 +666,220 @@ async function editChannelConfig(interaction, client) {
   }
 }
 
+/**
+ * Describe who may use a permission matrix action
+ * @param {string} action - Permission matrix action key
+ * @param {Array<string>|null} roleIds - The roles given the action, or null for its default access
+ * @returns {string} - Role mentions, or the default access
+ */
+function formatPermissionRoles(action, roleIds) {
+  if (!roleIds) {
+    return `${DEFAULT_ACCESS[PERMISSION_ACTIONS[action].defaultAccess].label} (default)`;
+  }
+
+  return roleIds.map(roleId => `<@&${roleId}>`).join(', ');
+}
+
+/**
+ * Display the permission matrix with a menu to pick an action to edit
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function editPermissions(interaction, client) {
+  try {
+    const lines = [];
+    for (const [action, permission] of Object.entries(PERMISSION_ACTIONS)) {
+      const roleIds = await getPermissionRoles(interaction.guildId, action);
+      lines.push(`**${permission.label}**: ${formatPermissionRoles(action, roleIds)}`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(config.colors.secondary)
+      .setTitle('🔐 Permissions')
+      .setDescription(
+        'Roles allowed to use each panel action. Admins can always use every action.\n\n' +
+        lines.join('\n')
+      )
+      .setFooter({ text: 'KrayStakes Configuration Settings • Server Admin Only' })
+      .setTimestamp();
+
+    const actionSelect = new StringSelectMenuBuilder()
+      .setCustomId(selectId('configurationSettings', 'selectPermission'))
+      .setPlaceholder('Select an action to change its roles')
+      .addOptions(Object.entries(PERMISSION_ACTIONS).map(([action, permission]) => ({
+        label: permission.label,
+        description: permission.description,
+        value: action
+      })));
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(actionSelect),
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(buttonId('configurationSettings', 'configPanel'))
+            .setLabel('Back to Configuration')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+        )
+      ]
+    });
+  } catch (error) {
+    logger.error(`Error displaying permissions: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed('Error', `An error occurred while displaying the permissions: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Open the modal to set the roles of the permission matrix action picked from the menu
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function selectPermissionSelect(interaction, client) {
+  try {
+    const action = interaction.values[0];
+    const permission = PERMISSION_ACTIONS[action];
+    if (!permission) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Unknown Action', 'That action no longer exists. Open the permissions again.')],
+        ephemeral: true
+      });
+    }
+
+    const roleIds = await getPermissionRoles(interaction.guildId, action);
+
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('configurationSettings', 'submitPermission', { action }))
+      .setTitle(`Permission: ${permission.label}`.slice(0, 45));
+
+    const rolesInput = new TextInputBuilder()
+      .setCustomId('roles')
+      .setLabel('Role IDs (comma-separated)')
+      .setPlaceholder(`Leave empty for the default: ${DEFAULT_ACCESS[permission.defaultAccess].label}`)
+      .setValue(roleIds ? roleIds.join(', ') : '')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(false);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(rolesInput));
+
+    await interaction.showModal(modal);
+  } catch (error) {
+    logger.error(`Error displaying permission modal: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed('Error', `An error occurred while displaying the permission modal: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Display which modules are on in the server, with a menu to pick the ones to keep on
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function editModules(interaction, client) {
+  try {
+    const disabledModules = await getDisabledModules(interaction.guildId);
+    const lines = Object.entries(TOGGLEABLE_MODULES).map(([moduleName, module]) =>
+      `${disabledModules.has(moduleName) ? '⛔' : '✅'} **${module.label}**: ${module.description}`
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor(config.colors.secondary)
+      .setTitle('🧩 Modules')
+      .setDescription(
+        'Modules that are off are hidden from the admin panel, their buttons and commands stop working and ' +
+        'their scheduled jobs skip this server. Nothing is deleted, so turning a module back on picks up where it left off.\n\n' +
+        lines.join('\n')
+      )
+      .setFooter({ text: 'KrayStakes Configuration Settings • Server Admin Only' })
+      .setTimestamp();
+
+    const moduleSelect = new StringSelectMenuBuilder()
+      .setCustomId(selectId('configurationSettings', 'selectModules'))
+      .setPlaceholder('Select the modules to keep on')
+      .setMinValues(0)
+      .setMaxValues(Object.keys(TOGGLEABLE_MODULES).length)
+      .addOptions(Object.entries(TOGGLEABLE_MODULES).map(([moduleName, module]) => ({
+        label: module.label,
+        description: module.description,
+        value: moduleName,
+        default: !disabledModules.has(moduleName)
+      })));
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [
+        new ActionRowBuilder().addComponents(moduleSelect),
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(buttonId('configurationSettings', 'configPanel'))
+            .setLabel('Back to Configuration')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+        )
+      ]
+    });
+  } catch (error) {
+    logger.error(`Error displaying modules: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed('Error', `An error occurred while displaying the modules: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Save the modules picked from the menu as on and every other module as off, then show the modules again
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function selectModulesSelect(interaction, client) {
+  try {
+    const disabledModules = await getDisabledModules(interaction.guildId);
+
+    // Only the modules that changed are saved (and logged by updateConfig)
+    for (const [moduleName, module] of Object.entries(TOGGLEABLE_MODULES)) {
+      const enabled = interaction.values.includes(moduleName);
+      if (enabled !== disabledModules.has(moduleName)) continue;
+
+      await updateConfig(getModuleKey(moduleName), String(enabled), 'modules', `Whether the ${module.label} module is on`, interaction);
+    }
+
+    await editModules(interaction, client);
+  } catch (error) {
+    logger.error(`Error saving modules: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed('Error', `An error occurred while saving the modules: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
 /**
  * Toggle debug mode
  * @param {Interaction} interaction - The interaction that triggered this
@@ -581,7 +890,7 @@ async function toggleDebugMode(interaction, client) {
     // Get current debug mode setting from database
     const { Configuration } = require('../database/models');
     
-    const debugModeConfig = await Configuration.findOne({ where: { key: 'debugMode' } });
+    const debugModeConfig = await Configuration.findOne({ where: { guildId: interaction.guildId, key: 'debugMode' } });
     const currentDebugMode = debugModeConfig ? (debugModeConfig.value === 'true') : config.debugMode;
     
     // Toggle debug mode
@@ -593,6 +902,7 @@ async function toggleDebugMode(interaction, client) {
       await debugModeConfig.save();
     } else {
       await Configuration.create({
+        guildId: interaction.guildId,
         key: 'debugMode',
         value: newDebugMode.toString(),
         category: 'system',
@@ -826,6 +1136,8 @@ async function submitReportSettingsModalSubmit(interaction, client) {
     const reportFrequency = interaction.fields.getTextInputValue('reportFrequency');
     const autoSendReports = interaction.fields.getTextInputValue('autoSendReports');
     const timezone = interaction.fields.getTextInputValue('timezone');
+    const [weeklyReportDay, weeklyReportHour] = parseDayAndHour(interaction.fields.getTextInputValue('weeklyReport'));
+    const [monthlyReportDay, monthlyReportHour] = parseDayAndHour(interaction.fields.getTextInputValue('monthlyReport'));
     
     // Validate the inputs
     const errors = [];
@@ -846,9 +1158,17 @@ async function submitReportSettingsModalSubmit(interaction, client) {
       errors.push('Invalid timezone. Please provide a valid IANA timezone identifier.');
     }
     
+    if (!(weeklyReportDay >= 0 && weeklyReportDay <= 6) || !(weeklyReportHour >= 0 && weeklyReportHour <= 23)) {
+      errors.push('Weekly report must be a weekday from 0 (Sunday) to 6 and an hour from 0 to 23, e.g. "1 9".');
+    }
+    
+    if (!(monthlyReportDay >= 1 && monthlyReportDay <= 28) || !(monthlyReportHour >= 0 && monthlyReportHour <= 23)) {
+      errors.push('Monthly report must be a day from 1 to 28 and an hour from 0 to 23, e.g. "1 9".');
+    }
+    
     // If there are validation errors, display them and return
     if (errors.length > 0) {
-      await interaction.reply({
+      await safeReply(interaction, {
         embeds: [createErrorEmbed(
           'Validation Error',
           `Please correct the following errors:\n\n${errors.join('\n')}`
@@ -862,20 +1182,24 @@ async function submitReportSettingsModalSubmit(interaction, client) {
     await updateConfig('reportFrequency', reportFrequency, 'reports', 'Frequency of automatic reports (Daily, Weekly, Monthly)', interaction);
     await updateConfig('autoSendReports', autoSendReports, 'reports', 'Automatically send reports to configured channel', interaction);
     await updateConfig('timezone', timezone, 'system', 'Default timezone for date/time display', interaction);
+    await updateConfig('weeklyReportDay', String(weeklyReportDay), 'reports', 'Day of week for weekly reports (0 = Sunday, 1 = Monday, etc.)', interaction);
+    await updateConfig('weeklyReportHour', String(weeklyReportHour), 'reports', 'Hour of day for weekly reports (9 = 9 AM)', interaction);
+    await updateConfig('monthlyReportDay', String(monthlyReportDay), 'reports', 'Day of month for monthly reports', interaction);
+    await updateConfig('monthlyReportHour', String(monthlyReportHour), 'reports', 'Hour of day for monthly reports', interaction);
     
-    // Update the config object
-    config.reports.frequency = reportFrequency;
-    config.reports.autoSend = autoSendReports === 'true';
-    config.timezone = timezone;
+    // Move the report jobs to the new times
+    await require('./jobScheduler').refreshSchedules();
     
     // Send confirmation message
-    await interaction.reply({
+    await safeReply(interaction, {
       embeds: [createSuccessEmbed(
         'Report Settings Updated',
         `The report settings have been updated successfully.\n\n` +
         `Report Frequency: ${reportFrequency}\n` +
         `Auto-Send Reports: ${autoSendReports === 'true' ? 'Enabled' : 'Disabled'}\n` +
-        `Default Timezone: ${timezone}`
+        `Default Timezone: ${timezone}\n` +
+        `Weekly Report: ${DAY_NAMES[weeklyReportDay]} at ${String(weeklyReportHour).padStart(2, '0')}:00\n` +
+        `Monthly Report: Day ${monthlyReportDay} at ${String(monthlyReportHour).padStart(2, '0')}:00`
       )],
       ephemeral: true
     });
@@ -887,7 +1211,11 @@ async function submitReportSettingsModalSubmit(interaction, client) {
       metadata: {
         reportFrequency,
         autoSendReports,
-        timezone
+        timezone,
+        weeklyReportDay,
+        weeklyReportHour,
+        monthlyReportDay,
+        monthlyReportHour
       }
     });
   } catch (error) {
@@ -898,7 +1226,7 @@ async function submitReportSettingsModalSubmit(interaction, client) {
     });
     
     // Reply with error message
-    await interaction.reply({
+    await safeReply(interaction, {
       embeds: [createErrorEmbed(
         'Error',
         `An error occurred while updating the report settings: ${error.message}`
@@ -908,6 +1236,96 @@ async function submitReportSettingsModalSubmit(interaction, client) {
   }
 }
 
+/**
+ * Handle schedule settings modal submit
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function submitScheduleSettingsModalSubmit(interaction, client) {
+  try {
+    // Get the input values from the modal
+    const reminderTimesInput = interaction.fields.getTextInputValue('reminderTimes').trim();
+    const leaderboardPostTime = interaction.fields.getTextInputValue('leaderboardPostTime').trim();
+    
+    const reminderTimes = parseReminderTimes(reminderTimesInput);
+    const timeMatch = leaderboardPostTime.match(/^(\d{1,2}):(\d{2})$/);
+    
+    // Validate the inputs
+    const errors = [];
+    
+    if (!reminderTimes) {
+      errors.push('Reminder times must be whole numbers of minutes greater than 0, separated by commas.');
+    }
+    
+    if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+      errors.push('Leaderboard post time must be a time of day in HH:MM format, e.g. "04:00".');
+    }
+    
+    if (errors.length > 0) {
+      await safeReply(interaction, {
+        embeds: [createErrorEmbed(
+          'Validation Error',
+          `Please correct the following errors:\n\n${errors.join('\n')}`
+        )],
+        ephemeral: true
+      });
+      return;
+    }
+    
+    const postTime = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+    
+    await updateConfig('reminderTimes', reminderTimes.join(','), 'schedule', 'Minutes before an event to send reminders', interaction);
+    await updateConfig('leaderboardPostTime', postTime, 'schedule', 'Time of day (HH:MM) of the automatic leaderboard post', interaction);
+    
+    // Move the leaderboard job to the new time; reminders read the new times on their next run
+    await require('./jobScheduler').refreshSchedules();
+    
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Schedule Settings Updated',
+        `The schedule settings have been updated successfully.\n\n` +
+        `Reminder Times: ${reminderTimes.length > 0 ? reminderTimes.map(minutes => `${minutes} min`).join(', ') : 'None'}\n` +
+        `Leaderboard Post Time: ${postTime}`
+      )],
+      ephemeral: true
+    });
+    
+    logger.info(`Schedule settings updated by ${interaction.user.tag} (${interaction.user.id})`, {
+      userId: interaction.user.id,
+      category: 'config',
+      metadata: {
+        reminderTimes,
+        leaderboardPostTime: postTime
+      }
+    });
+  } catch (error) {
+    logger.error(`Error processing schedule settings update: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+    
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed(
+        'Error',
+        `An error occurred while updating the schedule settings: ${error.message}`
+      )],
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Parse a "day hour" pair such as "1 9"
+ * @param {string} value - The input value
+ * @returns {Array<number>} - [day, hour], NaN for a missing or non-numeric part
+ */
+function parseDayAndHour(value) {
+  const parts = value.trim().split(/\s+/);
+  const toNumber = part => (/^\d+$/.test(part || '') ? Number(part) : NaN);
+  return [toNumber(parts[0]), toNumber(parts[1])];
+}
+
 /**
  * Handle channel configuration modal submit
  * @param {Interaction} interaction - The interaction that triggered this
@@ -965,13 +1383,6 @@ async function submitChannelConfigModalSubmit(interaction, client) {
     await updateConfig('leaderboardChannel', leaderboardChannel, 'channels', 'Channel ID for leaderboard', interaction);
     await updateConfig('logsChannel', logsChannel, 'channels', 'Channel ID for logs', interaction);
     
-    // Update the config object
-    config.channels.bettingAnnouncements = bettingAnnouncementsChannel;
-    config.channels.payoutAnnouncements = payoutAnnouncementsChannel;
-    config.channels.reports = reportsChannel;
-    config.channels.leaderboard = leaderboardChannel;
-    config.channels.logs = logsChannel;
-    
     // Get channel names for the confirmation message
     const channelNames = {
       bettingAnnouncements: bettingAnnouncementsChannel ? `<#${bettingAnnouncementsChannel}>` : 'Not set',
@@ -1025,6 +1436,90 @@ async function submitChannelConfigModalSubmit(interaction, client) {
   }
 }
 
+/**
+ * Handle permission modal submit: save the roles allowed to use an action
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ action }: the permission matrix action)
+ */
+async function submitPermissionModalSubmit(interaction, client, { action }) {
+  try {
+    const permission = PERMISSION_ACTIONS[action];
+    if (!permission) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Unknown Action', 'That action no longer exists. Open the permissions again.')],
+        ephemeral: true
+      });
+    }
+
+    // Accept role IDs or role mentions, separated by commas, spaces or new lines
+    const entries = interaction.fields.getTextInputValue('roles')
+      .split(/[\s,]+/)
+      .map(entry => entry.replace(/^<@&(\d+)>$/, '$1'))
+      .filter(Boolean);
+
+    const errors = [];
+    for (const entry of entries) {
+      if (!/^\d{17,20}$/.test(entry)) {
+        errors.push(`"${entry}" is not a valid Discord role ID.`);
+      } else if (!interaction.guild.roles.cache.has(entry)) {
+        errors.push(`There is no role with ID ${entry} in this server.`);
+      }
+    }
+
+    if (errors.length > 0) {
+      await safeReply(interaction, {
+        embeds: [createErrorEmbed(
+          'Validation Error',
+          `Please correct the following errors:\n\n${errors.join('\n')}`
+        )],
+        ephemeral: true
+      });
+      return;
+    }
+
+    const roleIds = [...new Set(entries)];
+    const key = getPermissionKey(action);
+
+    // With no roles the action goes back to its default access
+    if (roleIds.length > 0) {
+      await updateConfig(key, roleIds.join(','), 'permissions', `Roles allowed to use ${permission.label}`, interaction);
+    } else {
+      const { Configuration } = require('../database/models');
+      await Configuration.destroy({ where: { guildId: interaction.guildId, key } });
+    }
+
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Permissions Updated',
+        `**${permission.label}** can now be used by: ${formatPermissionRoles(action, roleIds.length > 0 ? roleIds : null)}\n\n` +
+        'Admins can always use every action.'
+      )],
+      ephemeral: true
+    });
+
+    logger.info(`Permission "${action}" updated by ${interaction.user.tag} (${interaction.user.id})`, {
+      userId: interaction.user.id,
+      category: 'config',
+      metadata: {
+        action,
+        roleIds
+      }
+    });
+  } catch (error) {
+    logger.error(`Error processing permission update: ${error.message}`, {
+      userId: interaction.user.id,
+      category: 'config',
+      stack: error.stack
+    });
+
+    await safeReply(interaction, {
+      embeds: [createErrorEmbed('Error', `An error occurred while updating the permission: ${error.message}`)],
+      ephemeral: true
+    });
+  }
+}
+
 /**
  * Update a configuration value in the database
  * @param {string} key - The configuration key
@@ -1037,8 +1532,8 @@ async function updateConfig(key, value, category, description, interaction) {
   try {
     const { Configuration } = require('../database/models');
     
-    // Find the configuration in the database
-    const config = await Configuration.findOne({ where: { key } });
+    // Find the server's configuration in the database
+    const config = await Configuration.findOne({ where: { guildId: interaction.guildId, key } });
     
     // If the configuration exists, update it
     if (config) {
@@ -1050,6 +1545,7 @@ async function updateConfig(key, value, category, description, interaction) {
     // Otherwise, create a new configuration
     else {
       await Configuration.create({
+        guildId: interaction.guildId,
         key,
         value,
         category,
@@ -1058,7 +1554,7 @@ async function updateConfig(key, value, category, description, interaction) {
     }
     
     // Log the action
-    logger.info(`Configuration "${key}" updated to "${value}" by ${interaction.user.tag} (${interaction.user.id})`, {
+    logger.info(`Configuration "${key}" updated to "${value}" in server ${interaction.guildId} by ${interaction.user.tag} (${interaction.user.id})`, {
       userId: interaction.user.id,
       category: 'config'
     });
@@ -1073,171 +1569,74 @@ async function updateConfig(key, value, category, description, interaction) {
   }
 }
 
-// Handle button interactions
-async function handleButton(buttonId, interaction, client) {
-  try {
-    // Validate inputs
-    if (!interaction) {
-      logger.error(`Configuration settings handleButton called with null interaction for button: ${buttonId}`);
-      return;
-    }
-    
-    if (!buttonId) {
-      logger.error('Configuration settings handleButton called with null buttonId');
-      // Only attempt to reply if not already acknowledged
-      if (!interaction.deferred && !interaction.replied) {
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed('Error', 'Invalid button ID.')],
-          ephemeral: true
-        });
-      }
-      return;
-    }
-    
-    // Safely defer the button interaction to prevent timeouts
-    // But only if it hasn't been deferred or replied to already
-    if (!interaction.deferred && !interaction.replied) {
-      await safeDeferUpdate(interaction);
-    }
-    
-    switch (buttonId) {
-      case 'configPanel':
-        return await configPanel(interaction, client);
-      case 'editBettingConfig':
-        return await editBettingConfig(interaction, client);
-      case 'editPayoutSettings':
-        return await editPayoutSettings(interaction, client);
-      case 'editReportSettings':
-        return await editReportSettings(interaction, client);
-      case 'editChannelConfig':
-        return await editChannelConfig(interaction, client);
-      case 'openBettingConfigModal':
-        // Handle the button click to open the modal that was cached earlier
-        const cachedBettingModal = client.cache.get(`bettingConfigModal_${interaction.user.id}`);
-        if (cachedBettingModal) {
-          await interaction.showModal(cachedBettingModal);
-          logger.info(`Betting configuration modal opened from button by ${interaction.user.tag} (${interaction.user.id})`, {
-            userId: interaction.user.id,
-            category: 'config'
-          });
-          return;
-        } else {
-          // Modal data not found or expired, recreate the configuration panel
-          logger.warn(`Cached betting modal not found for user ${interaction.user.id}, recreating betting config`);
-          return await editBettingConfig(interaction, client);
-        }
-      case 'openPayoutSettingsModal':
-        // Handle the button click to open the modal that was cached earlier
-        const cachedPayoutModal = client.cache.get(`payoutSettingsModal_${interaction.user.id}`);
-        if (cachedPayoutModal) {
-          await interaction.showModal(cachedPayoutModal);
-          logger.info(`Payout settings modal opened from button by ${interaction.user.tag} (${interaction.user.id})`, {
-            userId: interaction.user.id,
-            category: 'config'
-          });
-          return;
-        } else {
-          // Modal data not found or expired, recreate the configuration panel
-          logger.warn(`Cached payout modal not found for user ${interaction.user.id}, recreating payout settings`);
-          return await editPayoutSettings(interaction, client);
-        }
-      case 'openReportSettingsModal':
-        // Handle the button click to open the modal that was cached earlier
-        const cachedReportModal = client.cache.get(`reportSettingsModal_${interaction.user.id}`);
-        if (cachedReportModal) {
-          await interaction.showModal(cachedReportModal);
-          logger.info(`Report settings modal opened from button by ${interaction.user.tag} (${interaction.user.id})`, {
-            userId: interaction.user.id,
-            category: 'config'
-          });
-          return;
-        } else {
-          // Modal data not found or expired, recreate the configuration panel
-          logger.warn(`Cached report modal not found for user ${interaction.user.id}, recreating report settings`);
-          return await editReportSettings(interaction, client);
-        }
-      case 'openChannelConfigModal':
-        // Handle the button click to open the modal that was cached earlier
-        const cachedChannelModal = client.cache.get(`channelConfigModal_${interaction.user.id}`);
-        if (cachedChannelModal) {
-          await interaction.showModal(cachedChannelModal);
-          logger.info(`Channel configuration modal opened from button by ${interaction.user.tag} (${interaction.user.id})`, {
-            userId: interaction.user.id,
-            category: 'config'
-          });
-          return;
-        } else {
-          // Modal data not found or expired, recreate the configuration panel
-          logger.warn(`Cached channel modal not found for user ${interaction.user.id}, recreating channel config`);
-          return await editChannelConfig(interaction, client);
-        }
-      case 'toggleDebugMode':
-        return await toggleDebugMode(interaction, client);
-      case 'adminPanel':
-        return await require('./adminPanel').createPanel(interaction, client);
-      default:
-        // Handle unknown button ID
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed('Error', `Unknown button ID: ${buttonId}`)],
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    logger.error(`Error handling button ${buttonId} in configurationSettings:`, error);
-    return await handleInteractionError(error, interaction, `configSettings:${buttonId}`);
+// Settings forms that open from a button when the panel was already answered, by cache key
+const CACHED_MODALS = {
+  bettingConfig: { cacheKey: 'bettingConfigModal', label: 'Betting configuration', reopen: editBettingConfig },
+  payoutSettings: { cacheKey: 'payoutSettingsModal', label: 'Payout settings', reopen: editPayoutSettings },
+  reportSettings: { cacheKey: 'reportSettingsModal', label: 'Report settings', reopen: editReportSettings },
+  channelConfig: { cacheKey: 'channelConfigModal', label: 'Channel configuration', reopen: editChannelConfig }
+};
+
+/**
+ * Open a settings modal that was cached when its button was provided
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {string} name - Settings form (a key of CACHED_MODALS)
+ */
+async function openCachedModal(interaction, client, name) {
+  const { cacheKey, label, reopen } = CACHED_MODALS[name];
+
+  const cachedModal = client.cache.get(`${cacheKey}_${interaction.user.id}`);
+  if (cachedModal) {
+    await interaction.showModal(cachedModal);
+    logger.info(`${label} modal opened from button by ${interaction.user.tag} (${interaction.user.id})`, {
+      userId: interaction.user.id,
+      category: 'config'
+    });
+    return;
   }
+
+  // Modal data not found or expired, recreate the settings view
+  logger.warn(`Cached ${name} modal not found for user ${interaction.user.id}, recreating it`);
+  await safeDeferUpdate(interaction);
+  return await reopen(interaction, client);
 }
 
-// Handle modal submissions
-async function handleModalSubmit(modalId, interaction, client) {
-  try {
-    // Validate inputs
-    if (!interaction) {
-      logger.error(`Configuration settings handleModalSubmit called with null interaction for modal: ${modalId}`);
-      return;
-    }
-    
-    if (!modalId) {
-      logger.error('Configuration settings handleModalSubmit called with null modalId');
-      // Only attempt to reply if not already acknowledged
-      if (!interaction.deferred && !interaction.replied) {
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed('Error', 'Invalid modal ID.')],
-          ephemeral: true
-        });
-      }
-      return;
-    }
-    
-    // For modal submissions, we should use safeDefer, not safeDeferUpdate
-    // But only if it hasn't been deferred or replied to already
-    if (!interaction.deferred && !interaction.replied) {
-      await safeDefer(interaction, true);
-    }
-    
-    switch (modalId) {
-      case 'submitBettingConfig':
-        return await submitBettingConfigModalSubmit(interaction, client);
-      case 'submitPayoutSettings':
-        return await submitPayoutSettingsModalSubmit(interaction, client);
-      case 'submitReportSettings':
-        return await submitReportSettingsModalSubmit(interaction, client);
-      case 'submitChannelConfig':
-        return await submitChannelConfigModalSubmit(interaction, client);
-      default:
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed(
-            'Unknown Modal',
-            `The modal "${modalId}" is not configured correctly.`
-          )],
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    logger.error(`Error handling modal submission ${modalId} in configurationSettings:`, error);
-    return await handleInteractionError(error, interaction, `configSettings:modal:${modalId}`);
+// Buttons, select menus and modals of this module (see utils/router.js). Permissions and modules are
+// edited by Server Admins only, so nobody can grant themselves more access or switch off what others
+// rely on; everything else needs Edit Configuration.
+const routes = {
+  permission: 'editConfig',
+  buttons: {
+    configPanel: { handler: configPanel },
+    editBettingConfig: { handler: editBettingConfig },
+    editPayoutSettings: { handler: editPayoutSettings },
+    // Open their modal directly
+    editReportSettings: { handler: editReportSettings, defer: false },
+    editScheduleSettings: { handler: editScheduleSettings, defer: false },
+    editChannelConfig: { handler: editChannelConfig },
+    editPermissions: { handler: editPermissions, adminOnly: true },
+    editModules: { handler: editModules, adminOnly: true },
+    toggleDebugMode: { handler: toggleDebugMode },
+    openBettingConfigModal: { handler: (interaction, client) => openCachedModal(interaction, client, 'bettingConfig'), defer: false },
+    openPayoutSettingsModal: { handler: (interaction, client) => openCachedModal(interaction, client, 'payoutSettings'), defer: false },
+    openReportSettingsModal: { handler: (interaction, client) => openCachedModal(interaction, client, 'reportSettings'), defer: false },
+    openChannelConfigModal: { handler: (interaction, client) => openCachedModal(interaction, client, 'channelConfig'), defer: false }
+  },
+  selects: {
+    // Opens the permission roles modal
+    selectPermission: { handler: selectPermissionSelect, adminOnly: true, defer: false },
+    selectModules: { handler: selectModulesSelect, adminOnly: true }
+  },
+  modals: {
+    submitBettingConfig: { handler: submitBettingConfigModalSubmit },
+    submitPayoutSettings: { handler: submitPayoutSettingsModalSubmit },
+    submitReportSettings: { handler: submitReportSettingsModalSubmit },
+    submitScheduleSettings: { handler: submitScheduleSettingsModalSubmit },
+    submitChannelConfig: { handler: submitChannelConfigModalSubmit },
+    submitPermission: { params: ['action:string'], handler: submitPermissionModalSubmit, adminOnly: true }
   }
-}
+};
 
 module.exports = {
   configPanel,
@@ -1245,12 +1644,16 @@ module.exports = {
   editPayoutSettings,
   editReportSettings,
   editChannelConfig,
+  editScheduleSettings,
+  editPermissions,
+  editModules,
   toggleDebugMode,
   submitBettingConfigModalSubmit,
   submitPayoutSettingsModalSubmit,
   submitReportSettingsModalSubmit,
+  submitScheduleSettingsModalSubmit,
   submitChannelConfigModalSubmit,
+  submitPermissionModalSubmit,
   updateConfig,
-  handleButton,
-  handleModalSubmit
+  routes
 };
\ No newline at end of file
@@ -1,12 +1,12 @@
 // KrayStakes Discord Bot - Discord Bot Logs Module
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { createSuccessEmbed, createErrorEmbed, createWarningEmbed } = require('../utils/embeds');
-const { isAdmin } = require('../utils/permissions');
 const { formatDate } = require('../utils/timeUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { buttonId } = require('../utils/router');
 
 /**
  * View logs panel
@@ -15,15 +15,6 @@ const logger = require('../utils/logger');
  */
 async function viewLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to view logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -44,15 +35,15 @@ async function viewLogs(interaction, client) {
     const row1 = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewSystemLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewSystemLogs'))
           .setLabel('📋 System Logs')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewErrorLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewErrorLogs'))
           .setLabel('❌ Error Logs')
           .setStyle(ButtonStyle.Danger),
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewDatabaseLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewDatabaseLogs'))
           .setLabel('🗄️ Database Logs')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -60,11 +51,11 @@ async function viewLogs(interaction, client) {
     const row2 = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:downloadLogs')
+          .setCustomId(buttonId('discordBotLogs', 'downloadLogs'))
           .setLabel('📥 Download Logs')
           .setStyle(ButtonStyle.Success),
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:cleanupLogs')
+          .setCustomId(buttonId('discordBotLogs', 'cleanupLogs'))
           .setLabel('🧹 Cleanup Old Logs')
           .setStyle(ButtonStyle.Danger)
       );
@@ -97,15 +88,6 @@ async function viewLogs(interaction, client) {
  */
 async function viewSystemLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to view system logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -125,7 +107,7 @@ async function viewSystemLogs(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('🔙 Back to Logs Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -158,15 +140,6 @@ async function viewSystemLogs(interaction, client) {
  */
 async function viewErrorLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to view error logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -186,7 +159,7 @@ async function viewErrorLogs(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('🔙 Back to Logs Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -219,15 +192,6 @@ async function viewErrorLogs(interaction, client) {
  */
 async function viewDatabaseLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to view database logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -247,7 +211,7 @@ async function viewDatabaseLogs(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('🔙 Back to Logs Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -280,15 +244,6 @@ async function viewDatabaseLogs(interaction, client) {
  */
 async function downloadLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to download logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -310,7 +265,7 @@ async function downloadLogs(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('🔙 Back to Logs Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -348,15 +303,6 @@ async function downloadLogs(interaction, client) {
  */
 async function cleanupLogs(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isAdmin(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Administrator to clean up logs.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -372,11 +318,11 @@ async function cleanupLogs(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:confirmCleanup')
+          .setCustomId(buttonId('discordBotLogs', 'confirmCleanup'))
           .setLabel('✅ Confirm Cleanup')
           .setStyle(ButtonStyle.Danger),
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('❌ Cancel')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -450,6 +396,7 @@ async function cleanupOldLogs(client) {
     }
   } catch (error) {
     logger.error('Error cleaning up old logs:', error);
+    throw error;
   }
 }
 
@@ -478,36 +425,6 @@ async function readLastLinesFromFile(filePath, lineCount) {
   }
 }
 
-/**
- * Handle button clicks for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-function handleButton(buttonId, interaction, client) {
-  switch (buttonId) {
-    case 'viewLogs':
-      return viewLogs(interaction, client);
-    case 'viewSystemLogs':
-      return viewSystemLogs(interaction, client);
-    case 'viewErrorLogs':
-      return viewErrorLogs(interaction, client);
-    case 'viewDatabaseLogs':
-      return viewDatabaseLogs(interaction, client);
-    case 'downloadLogs':
-      return downloadLogs(interaction, client);
-    case 'cleanupLogs':
-      return cleanupLogs(interaction, client);
-    case 'confirmCleanup':
-      return handleConfirmCleanup(interaction, client);
-    default:
-      interaction.reply({
-        embeds: [createErrorEmbed('Unknown Button', `The button "${buttonId}" is not recognized.`)],
-        ephemeral: true
-      });
-  }
-}
-
 /**
  * Handle confirmation of log cleanup
  * @param {Interaction} interaction - The interaction that triggered this
@@ -528,10 +445,11 @@ async function handleConfirmCleanup(interaction, client) {
     // Format cutoff date
     const formattedCutoffDate = formatDate(cutoffDate);
     
-    // Clean up database logs
+    // Clean up this server's database logs
     const { Log } = require('../database/models');
     const deletedLogs = await Log.destroy({
       where: {
+        guildId: interaction.guildId,
         createdAt: {
           [require('sequelize').Op.lt]: cutoffDate
         }
@@ -548,7 +466,7 @@ async function handleConfirmCleanup(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('discordBotLogs:viewLogs')
+          .setCustomId(buttonId('discordBotLogs', 'viewLogs'))
           .setLabel('🔙 Back to Logs Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -571,6 +489,20 @@ async function handleConfirmCleanup(interaction, client) {
   }
 }
 
+// Buttons of this module (see utils/router.js). Each defers or replies itself.
+const routes = {
+  permission: 'viewLogs',
+  buttons: {
+    viewLogs: { handler: viewLogs, defer: false },
+    viewSystemLogs: { handler: viewSystemLogs, defer: false },
+    viewErrorLogs: { handler: viewErrorLogs, defer: false },
+    viewDatabaseLogs: { handler: viewDatabaseLogs, defer: false },
+    downloadLogs: { handler: downloadLogs, defer: false, permission: 'downloadLogs' },
+    cleanupLogs: { handler: cleanupLogs, defer: false, permission: 'downloadLogs' },
+    confirmCleanup: { handler: handleConfirmCleanup, defer: false, permission: 'downloadLogs' }
+  }
+};
+
 module.exports = {
   viewLogs,
   viewSystemLogs,
@@ -579,5 +511,5 @@ module.exports = {
   downloadLogs,
   cleanupLogs,
   cleanupOldLogs,
-  handleButton
+  routes
 };
\ No newline at end of file
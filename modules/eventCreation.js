@@ -9,26 +9,18 @@ const {
   TextInputBuilder,
   TextInputStyle
 } = require('discord.js');
-const { validateEventData } = require('../utils/validators');
-const { formatDateTime, parseDate, parseTime } = require('../utils/timeUtils');
-const { checkPermission } = require('../utils/permissions');
+const { validateEvent } = require('../utils/validators');
+const { parseChoiceLines } = require('../utils/odds');
+const { MAIN_MARKET_NAME } = require('./betting');
+const { formatDateTime, parseDate, parseTime, parseReminderTimes } = require('../utils/timeUtils');
 const logger = require('../utils/logger');
 const config = require('../config');
-const db = require('../database/dbInit');
+const { getGuildTimezone } = require('../utils/guildSettings');
+const { buttonId, modalId } = require('../utils/router');
 
 // Main entry point for event creation
 async function createEvent(interaction, client) {
   try {
-    // Check permissions
-    const hasPermission = await checkPermission(interaction.member, ['serverAdmin', 'admin', 'management']);
-    
-    if (!hasPermission) {
-      return interaction.reply({
-        content: 'You do not have permission to create events. This action requires Server Admin, Admin, or Management role.',
-        ephemeral: true
-      });
-    }
-    
     // Create event type selection embed
     const embed = new EmbedBuilder()
       .setColor('#0099ff')
@@ -46,22 +38,22 @@ async function createEvent(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventCreation_selectTypeBoxing')
+          .setCustomId(buttonId('eventCreation', 'selectTypeBoxing'))
           .setLabel('Boxing')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🥊'),
         new ButtonBuilder()
-          .setCustomId('eventCreation_selectTypeRacing')
+          .setCustomId(buttonId('eventCreation', 'selectTypeRacing'))
           .setLabel('Racing')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🏎️'),
         new ButtonBuilder()
-          .setCustomId('eventCreation_selectTypePaintball')
+          .setCustomId(buttonId('eventCreation', 'selectTypePaintball'))
           .setLabel('Paintball')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🎯'),
         new ButtonBuilder()
-          .setCustomId('eventCreation_selectTypeCustom')
+          .setCustomId(buttonId('eventCreation', 'selectTypeCustom'))
           .setLabel('Custom')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🛠️')
@@ -92,7 +84,7 @@ async function selectType(interaction, client, type) {
   try {
     // Create the basic info modal
     const modal = new ModalBuilder()
-      .setCustomId(`eventCreation_submitBasicInfo_${type}`)
+      .setCustomId(modalId('eventCreation', 'submitBasicInfo', { type }))
       .setTitle(`Create ${type} Event - Basic Info`);
     
     // Add inputs for basic information
@@ -181,9 +173,7 @@ async function selectTypeCustom(interaction, client) {
 // Handle basic info modal submission
 async function submitBasicInfoModalSubmit(interaction, client, params) {
   try {
-    // Extract event type from the customId (format: eventCreation_submitBasicInfo_TYPE)
-    const customIdParts = interaction.customId.split('_');
-    const eventType = customIdParts[2];
+    const eventType = params.type;
     
     // Get the input values
     const eventName = interaction.fields.getTextInputValue('eventName');
@@ -256,7 +246,7 @@ async function setDateTime(interaction, client, params) {
       .addFields(
         { name: 'Event Name', value: eventData.name },
         { name: 'Event Type', value: eventData.type },
-        { name: 'Current Timezone', value: config.timezone || 'UTC' }
+        { name: 'Current Timezone', value: await getGuildTimezone(interaction.guildId) }
       )
       .setFooter({ text: 'All times will be displayed in the configured timezone' });
     
@@ -264,12 +254,12 @@ async function setDateTime(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventCreation_submitDateTime')
+          .setCustomId(buttonId('eventCreation', 'submitDateTime'))
           .setLabel('Set Date & Time')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('⏰'),
         new ButtonBuilder()
-          .setCustomId('eventCreation_skipDateTime')
+          .setCustomId(buttonId('eventCreation', 'skipDateTime'))
           .setLabel('Skip (No Date/Time)')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⏭️')
@@ -333,7 +323,7 @@ async function submitDateTime(interaction, client) {
   try {
     // Create the date/time modal
     const modal = new ModalBuilder()
-      .setCustomId('eventCreation_submitDateTimeModal')
+      .setCustomId(modalId('eventCreation', 'submitDateTimeModal'))
       .setTitle('Set Event Date & Time');
     
     // Add inputs for date and time
@@ -351,10 +341,26 @@ async function submitDateTime(interaction, client) {
       .setRequired(true)
       .setStyle(TextInputStyle.Short);
     
+    const openTimeInput = new TextInputBuilder()
+      .setCustomId('openTime')
+      .setLabel('Open Betting At (YYYY-MM-DD HH:MM, optional)')
+      .setPlaceholder('Leave empty to open betting manually')
+      .setRequired(false)
+      .setStyle(TextInputStyle.Short);
+    
+    const reminderTimesInput = new TextInputBuilder()
+      .setCustomId('reminderTimes')
+      .setLabel('Reminders (minutes before, optional)')
+      .setPlaceholder('e.g., 1440, 60, 15 - leave empty for the defaults, "none" for no reminders')
+      .setRequired(false)
+      .setStyle(TextInputStyle.Short);
+    
     // Add all inputs to the modal
     modal.addComponents(
       new ActionRowBuilder().addComponents(dateInput),
-      new ActionRowBuilder().addComponents(timeInput)
+      new ActionRowBuilder().addComponents(timeInput),
+      new ActionRowBuilder().addComponents(openTimeInput),
+      new ActionRowBuilder().addComponents(reminderTimesInput)
     );
     
     // Show the modal
@@ -406,6 +412,36 @@ async function submitDateTimeModalSubmit(interaction, client, params) {
       });
     }
     
+    // Parse the optional time at which betting opens automatically
+    const openTimeStr = interaction.fields.getTextInputValue('openTime').trim();
+    let openTimeObj = null;
+    if (openTimeStr) {
+      const [openDateStr, openClockStr] = openTimeStr.split(/\s+/);
+      const openDateObj = parseDate(openDateStr);
+      openTimeObj = openDateObj && openClockStr ? parseTime(openClockStr, openDateObj) : null;
+      
+      if (!openTimeObj || openTimeObj >= dateTimeObj) {
+        return interaction.reply({
+          content: 'Invalid betting open time. Use YYYY-MM-DD HH:MM (e.g., 2025-03-30 12:00), before the event starts.',
+          ephemeral: true
+        });
+      }
+    }
+    
+    // Parse the optional reminder times; empty uses the default reminder times
+    const reminderTimesStr = interaction.fields.getTextInputValue('reminderTimes').trim();
+    let reminderTimes = null;
+    if (reminderTimesStr) {
+      reminderTimes = reminderTimesStr.toLowerCase() === 'none' ? [] : parseReminderTimes(reminderTimesStr);
+      
+      if (!reminderTimes) {
+        return interaction.reply({
+          content: 'Invalid reminder times. Use minutes before the event separated by commas (e.g., 1440, 60, 15), or "none".',
+          ephemeral: true
+        });
+      }
+    }
+    
     // Get the event data from the session
     const eventData = global.eventCreationSession && global.eventCreationSession[interaction.user.id];
     
@@ -416,16 +452,21 @@ async function submitDateTimeModalSubmit(interaction, client, params) {
       });
     }
     
-    // Update the event data with the schedule date
+    // Update the event data with the schedule date, betting open time and reminder times
     eventData.scheduleDate = dateTimeObj;
+    eventData.openTime = openTimeObj;
+    eventData.reminderTimes = reminderTimes;
     global.eventCreationSession[interaction.user.id] = eventData;
     
     // Format the date for display
-    const formattedDate = formatDateTime(dateTimeObj, config.timezone);
+    const timezone = await getGuildTimezone(interaction.guildId);
+    const formattedDate = formatDateTime(dateTimeObj, timezone);
     
     // Acknowledge the submission
     await interaction.reply({
-      content: `Date and time set: ${formattedDate}. Now let's configure the betting settings.`,
+      content: `Date and time set: ${formattedDate}` +
+        (openTimeObj ? `, betting opens ${formatDateTime(openTimeObj, timezone)}` : '') +
+        '. Now let\'s configure the betting settings.',
       ephemeral: true
     });
     
@@ -445,23 +486,30 @@ async function submitDateTimeModalSubmit(interaction, client, params) {
   }
 }
 
+// Describe an event's reminder times; null means the default reminder times
+function formatReminderTimes(reminderTimes) {
+  if (!reminderTimes) return 'Default reminder times';
+  if (reminderTimes.length === 0) return 'No reminders';
+  return reminderTimes.map(minutes => `${minutes} min`).join(', ') + ' before the event';
+}
+
 // Show betting configuration
 async function showBettingConfig(interaction, client, eventData) {
   try {
     // Get default values from the configuration
-    const { defaultMinBet, defaultMaxBet, autoCalculation } = config.betting;
+    const { minBet: defaultMinBet, maxBet: defaultMaxBet } = config.defaultBetting;
     
     // Create the embed for betting configuration
     const embed = new EmbedBuilder()
       .setColor('#0099ff')
       .setTitle('Betting Configuration')
-      .setDescription('Please set the betting parameters for this event.')
+      .setDescription('Please set the betting parameters and choices for this event.')
       .addFields(
         { name: 'Event Name', value: eventData.name },
         { name: 'Event Type', value: eventData.type },
         { name: 'Default Min Bet', value: `$${defaultMinBet.toLocaleString()}` },
         { name: 'Default Max Bet', value: `$${defaultMaxBet.toLocaleString()}` },
-        { name: 'Auto-Calculation', value: autoCalculation ? 'Enabled' : 'Disabled' }
+        { name: 'Settlement Modes', value: '**pool** - Winners split the pool (parimutuel)\n**fixed** - Bookmaker-set odds per choice, e.g. `Fighter A | 1.80`' }
       )
       .setFooter({ text: 'You can use the default values or customize them' });
     
@@ -469,7 +517,7 @@ async function showBettingConfig(interaction, client, eventData) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventCreation_submitBettingConfig')
+          .setCustomId(buttonId('eventCreation', 'submitBettingConfig'))
           .setLabel('Configure Betting Settings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('💰')
@@ -497,11 +545,11 @@ async function showBettingConfig(interaction, client, eventData) {
 async function submitBettingConfig(interaction, client) {
   try {
     // Get default values from the configuration
-    const { defaultMinBet, defaultMaxBet, autoCalculation } = config.betting;
+    const { minBet: defaultMinBet, maxBet: defaultMaxBet } = config.defaultBetting;
     
     // Create the betting config modal
     const modal = new ModalBuilder()
-      .setCustomId('eventCreation_submitBettingConfigModal')
+      .setCustomId(modalId('eventCreation', 'submitBettingConfigModal'))
       .setTitle('Betting Configuration');
     
     // Add inputs for min/max bet and auto-calculation
@@ -521,19 +569,27 @@ async function submitBettingConfig(interaction, client) {
       .setRequired(true)
       .setStyle(TextInputStyle.Short);
     
-    const autoCalcInput = new TextInputBuilder()
-      .setCustomId('autoCalculation')
-      .setLabel('Auto-Calculation (true/false)')
-      .setPlaceholder('Enable automatic winner calculation and payouts')
-      .setValue(autoCalculation.toString())
+    const settlementModeInput = new TextInputBuilder()
+      .setCustomId('settlementMode')
+      .setLabel('Settlement Mode (pool/fixed)')
+      .setPlaceholder('pool = winners split the pool, fixed = bookmaker odds')
+      .setValue('pool')
       .setRequired(true)
       .setStyle(TextInputStyle.Short);
     
+    const choicesInput = new TextInputBuilder()
+      .setCustomId('choices')
+      .setLabel('Choices (one per line, "Name | odds" if fixed)')
+      .setPlaceholder('Fighter A | 1.80\nFighter B | 2.10')
+      .setRequired(true)
+      .setStyle(TextInputStyle.Paragraph);
+    
     // Add all inputs to the modal
     modal.addComponents(
       new ActionRowBuilder().addComponents(minBetInput),
       new ActionRowBuilder().addComponents(maxBetInput),
-      new ActionRowBuilder().addComponents(autoCalcInput)
+      new ActionRowBuilder().addComponents(settlementModeInput),
+      new ActionRowBuilder().addComponents(choicesInput)
     );
     
     // Show the modal
@@ -558,7 +614,8 @@ async function submitBettingConfigModalSubmit(interaction, client, params) {
     // Get the input values
     const minBetStr = interaction.fields.getTextInputValue('minBetAmount');
     const maxBetStr = interaction.fields.getTextInputValue('maxBetAmount');
-    const autoCalcStr = interaction.fields.getTextInputValue('autoCalculation');
+    const settlementModeStr = interaction.fields.getTextInputValue('settlementMode');
+    const choicesStr = interaction.fields.getTextInputValue('choices');
     
     // Parse and validate the betting configuration
     const minBet = parseFloat(minBetStr);
@@ -584,7 +641,38 @@ async function submitBettingConfigModalSubmit(interaction, client, params) {
       });
     }
     
-    const autoCalc = autoCalcStr.toLowerCase() === 'true';
+    // Parse the settlement mode
+    const modeInput = settlementModeStr.trim().toLowerCase();
+    if (!['pool', 'fixed'].includes(modeInput)) {
+      return interaction.reply({
+        content: 'Settlement mode must be either "pool" or "fixed".',
+        ephemeral: true
+      });
+    }
+    const settlementMode = modeInput === 'fixed' ? 'fixed' : 'parimutuel';
+    
+    // Parse the choices and their odds
+    const { choices, errors: choiceErrors } = parseChoiceLines(choicesStr);
+    if (choiceErrors.length > 0) {
+      return interaction.reply({
+        content: choiceErrors.join('\n'),
+        ephemeral: true
+      });
+    }
+    
+    if (choices.length < 2) {
+      return interaction.reply({
+        content: 'Please enter at least 2 choices, one per line.',
+        ephemeral: true
+      });
+    }
+    
+    if (settlementMode === 'fixed' && choices.some(choice => !choice.odds)) {
+      return interaction.reply({
+        content: 'Fixed-odds events need odds for every choice, e.g. "Fighter A | 1.80".',
+        ephemeral: true
+      });
+    }
     
     // Get the event data from the session
     const eventData = global.eventCreationSession && global.eventCreationSession[interaction.user.id];
@@ -599,19 +687,20 @@ async function submitBettingConfigModalSubmit(interaction, client, params) {
     // Update the event data with the betting configuration
     eventData.minBetAmount = minBet;
     eventData.maxBetAmount = maxBet;
-    eventData.autoCalculation = autoCalc;
+    eventData.settlementMode = settlementMode;
+    eventData.choices = settlementMode === 'fixed' ? choices : choices.map(choice => ({ name: choice.name }));
     global.eventCreationSession[interaction.user.id] = eventData;
     
     // Acknowledge the submission
     await interaction.reply({
-      content: `Betting configuration saved. Min Bet: $${minBet.toLocaleString()}, Max Bet: $${maxBet.toLocaleString()}, Auto-Calculation: ${autoCalc ? 'Enabled' : 'Disabled'}`,
+      content: `Betting configuration saved. Min Bet: $${minBet.toLocaleString()}, Max Bet: $${maxBet.toLocaleString()}, Settlement: ${settlementMode === 'fixed' ? 'Fixed Odds' : 'Pool'}`,
       ephemeral: true
     });
     
     // Show event confirmation
     await showEventConfirmation(interaction, client, eventData);
     
-    logger.info(`Betting configuration set by ${interaction.user.tag} (Min: ${minBet}, Max: ${maxBet}, Auto: ${autoCalc})`);
+    logger.info(`Betting configuration set by ${interaction.user.tag} (Min: ${minBet}, Max: ${maxBet}, Mode: ${settlementMode})`);
   } catch (error) {
     logger.error('Error in submitBettingConfigModalSubmit function:', error);
     
@@ -642,8 +731,14 @@ async function showEventConfirmation(interaction, client, eventData) {
     
     // Add schedule date if available
     if (eventData.scheduleDate) {
-      const formattedDate = formatDateTime(eventData.scheduleDate, config.timezone);
+      const timezone = await getGuildTimezone(interaction.guildId);
+      const formattedDate = formatDateTime(eventData.scheduleDate, timezone);
       embed.addFields({ name: 'Date & Time', value: formattedDate });
+      embed.addFields({
+        name: 'Betting Opens',
+        value: eventData.openTime ? formatDateTime(eventData.openTime, timezone) : 'When opened manually'
+      });
+      embed.addFields({ name: 'Reminders', value: formatReminderTimes(eventData.reminderTimes) });
     } else {
       embed.addFields({ name: 'Date & Time', value: 'Not scheduled yet' });
     }
@@ -652,9 +747,22 @@ async function showEventConfirmation(interaction, client, eventData) {
     embed.addFields(
       { name: 'Min Bet Amount', value: `$${eventData.minBetAmount.toLocaleString()}` },
       { name: 'Max Bet Amount', value: `$${eventData.maxBetAmount.toLocaleString()}` },
-      { name: 'Auto-Calculation', value: eventData.autoCalculation ? 'Enabled' : 'Disabled' }
+      { name: 'Settlement Mode', value: eventData.settlementMode === 'fixed' ? 'Fixed Odds' : 'Pool (Parimutuel)' },
+      {
+        name: 'Choices',
+        value: eventData.choices.map(choice => (choice.odds ? `${choice.name} - ${choice.odds.toFixed(2)}x` : choice.name)).join('\n')
+      }
     );
     
+    // Add the additional markets
+    for (const market of eventData.markets || []) {
+      embed.addFields({
+        name: `Market: ${market.name}`,
+        value: `${market.settlementMode === 'fixed' ? 'Fixed Odds' : 'Pool'} | $${market.minBet.toLocaleString()} - $${market.maxBet.toLocaleString()} | ${market.limitPerUser} bet(s) per user\n` +
+          market.choices.map(choice => (choice.odds ? `${choice.name} - ${choice.odds.toFixed(2)}x` : choice.name)).join('\n')
+      });
+    }
+    
     // Add image if available
     if (eventData.imageUrl) {
       embed.setImage(eventData.imageUrl);
@@ -666,12 +774,17 @@ async function showEventConfirmation(interaction, client, eventData) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventCreation_confirmEvent')
+          .setCustomId(buttonId('eventCreation', 'confirmEvent'))
           .setLabel('Confirm & Create Event')
           .setStyle(ButtonStyle.Success)
           .setEmoji('✅'),
         new ButtonBuilder()
-          .setCustomId('eventCreation_cancelEvent')
+          .setCustomId(buttonId('eventCreation', 'addMarket'))
+          .setLabel('Add Market')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('➕'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('eventCreation', 'cancelEvent'))
           .setLabel('Cancel')
           .setStyle(ButtonStyle.Danger)
           .setEmoji('❌')
@@ -695,6 +808,192 @@ async function showEventConfirmation(interaction, client, eventData) {
   }
 }
 
+// Show the modal for adding another market (e.g. method of victory or round betting) to the event
+async function addMarket(interaction, client) {
+  try {
+    const eventData = global.eventCreationSession && global.eventCreationSession[interaction.user.id];
+    
+    if (!eventData) {
+      return interaction.reply({
+        content: 'Event creation session expired or not found. Please start again.',
+        ephemeral: true
+      });
+    }
+    
+    // Create the market modal, defaulting the limits to the main result's
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('eventCreation', 'submitMarketModal'))
+      .setTitle('Add Market');
+    
+    const nameInput = new TextInputBuilder()
+      .setCustomId('marketName')
+      .setLabel('Market Name')
+      .setPlaceholder(eventData.type === 'boxing' ? 'Method of Victory' : 'e.g. Round of Finish')
+      .setRequired(true)
+      .setMaxLength(100)
+      .setStyle(TextInputStyle.Short);
+    
+    const limitsInput = new TextInputBuilder()
+      .setCustomId('marketLimits')
+      .setLabel('Bet Limits (min-max)')
+      .setValue(`${eventData.minBetAmount}-${eventData.maxBetAmount}`)
+      .setRequired(true)
+      .setStyle(TextInputStyle.Short);
+    
+    const limitPerUserInput = new TextInputBuilder()
+      .setCustomId('marketLimitPerUser')
+      .setLabel('Bets Per User')
+      .setValue(config.defaultBetting.limitPerUser.toString())
+      .setRequired(true)
+      .setStyle(TextInputStyle.Short);
+    
+    const settlementModeInput = new TextInputBuilder()
+      .setCustomId('settlementMode')
+      .setLabel('Settlement Mode (pool/fixed)')
+      .setPlaceholder('pool = winners split the pool, fixed = bookmaker odds')
+      .setValue('pool')
+      .setRequired(true)
+      .setStyle(TextInputStyle.Short);
+    
+    const choicesInput = new TextInputBuilder()
+      .setCustomId('choices')
+      .setLabel('Choices (one per line, "Name | odds" if fixed)')
+      .setPlaceholder(eventData.type === 'boxing' ? 'KO/TKO | 2.50\nDecision | 1.90\nDraw | 8.00' : 'Round 1\nRound 2\nRound 3')
+      .setRequired(true)
+      .setStyle(TextInputStyle.Paragraph);
+    
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(nameInput),
+      new ActionRowBuilder().addComponents(limitsInput),
+      new ActionRowBuilder().addComponents(limitPerUserInput),
+      new ActionRowBuilder().addComponents(settlementModeInput),
+      new ActionRowBuilder().addComponents(choicesInput)
+    );
+    
+    await interaction.showModal(modal);
+    
+    logger.debug(`Add market modal shown to ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in addMarket function:', error);
+    
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while setting up the market form. This has been logged.',
+        ephemeral: true
+      });
+    }
+  }
+}
+
+// Handle the add market modal submission
+async function submitMarketModalSubmit(interaction, client, params) {
+  try {
+    const eventData = global.eventCreationSession && global.eventCreationSession[interaction.user.id];
+    
+    if (!eventData) {
+      return interaction.reply({
+        content: 'Event creation session expired or not found. Please start again.',
+        ephemeral: true
+      });
+    }
+    
+    // Parse the market name
+    const name = interaction.fields.getTextInputValue('marketName').trim();
+    const existingNames = [MAIN_MARKET_NAME, ...(eventData.markets || []).map(market => market.name)];
+    if (existingNames.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      return interaction.reply({
+        content: `This event already has a market called "${name}".`,
+        ephemeral: true
+      });
+    }
+    
+    // Parse the bet limits
+    const limitsMatch = interaction.fields.getTextInputValue('marketLimits').trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    const minBet = limitsMatch ? parseInt(limitsMatch[1], 10) : NaN;
+    const maxBet = limitsMatch ? parseInt(limitsMatch[2], 10) : NaN;
+    if (isNaN(minBet) || isNaN(maxBet) || minBet < 1 || minBet > maxBet) {
+      return interaction.reply({
+        content: 'Bet limits must be entered as "min-max", e.g. "10-500", with the minimum no greater than the maximum.',
+        ephemeral: true
+      });
+    }
+    
+    const limitPerUser = parseInt(interaction.fields.getTextInputValue('marketLimitPerUser').trim(), 10);
+    if (isNaN(limitPerUser) || limitPerUser < 1) {
+      return interaction.reply({
+        content: 'Bets per user must be at least 1.',
+        ephemeral: true
+      });
+    }
+    
+    // Parse the settlement mode
+    const modeInput = interaction.fields.getTextInputValue('settlementMode').trim().toLowerCase();
+    if (!['pool', 'fixed'].includes(modeInput)) {
+      return interaction.reply({
+        content: 'Settlement mode must be either "pool" or "fixed".',
+        ephemeral: true
+      });
+    }
+    const settlementMode = modeInput === 'fixed' ? 'fixed' : 'parimutuel';
+    
+    // Parse the choices and their odds
+    const { choices, errors: choiceErrors } = parseChoiceLines(interaction.fields.getTextInputValue('choices'));
+    if (choiceErrors.length > 0) {
+      return interaction.reply({
+        content: choiceErrors.join('\n'),
+        ephemeral: true
+      });
+    }
+    
+    if (choices.length < 2) {
+      return interaction.reply({
+        content: 'Please enter at least 2 choices, one per line.',
+        ephemeral: true
+      });
+    }
+    
+    if (settlementMode === 'fixed' && choices.some(choice => !choice.odds)) {
+      return interaction.reply({
+        content: 'Fixed-odds markets need odds for every choice, e.g. "KO/TKO | 2.50".',
+        ephemeral: true
+      });
+    }
+    
+    // Add the market to the session
+    eventData.markets = [
+      ...(eventData.markets || []),
+      {
+        name,
+        minBet,
+        maxBet,
+        limitPerUser,
+        settlementMode,
+        choices: settlementMode === 'fixed' ? choices : choices.map(choice => ({ name: choice.name }))
+      }
+    ];
+    global.eventCreationSession[interaction.user.id] = eventData;
+    
+    await interaction.reply({
+      content: `Market "${name}" added with ${choices.length} choices.`,
+      ephemeral: true
+    });
+    
+    // Show the updated event confirmation
+    await showEventConfirmation(interaction, client, eventData);
+    
+    logger.info(`Market "${name}" added to event draft by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in submitMarketModalSubmit function:', error);
+    
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({
+        content: 'An error occurred while adding the market. This has been logged.',
+        ephemeral: true
+      });
+    }
+  }
+}
+
 // Create the event in the database
 async function confirmEvent(interaction, client, params) {
   try {
@@ -709,7 +1008,14 @@ async function confirmEvent(interaction, client, params) {
     }
     
     // Validate the event data
-    const validation = validateEventData(eventData);
+    const validation = validateEvent({
+      name: eventData.name,
+      type: eventData.type,
+      choices: eventData.choices,
+      scheduledTime: eventData.scheduleDate,
+      minBet: eventData.minBetAmount,
+      maxBet: eventData.maxBetAmount
+    });
     if (!validation.valid) {
       return interaction.reply({
         content: `Validation failed: ${validation.errors.join(', ')}`,
@@ -718,24 +1024,40 @@ async function confirmEvent(interaction, client, params) {
     }
     
     // Create the event in the database
-    const event = await db.models.Event.create({
+    const { Event } = require('../database/models');
+    const event = await Event.create({
+      guildId: interaction.guildId,
       name: eventData.name,
       description: eventData.description,
       type: eventData.type,
       location: eventData.location,
-      status: 'Active',
-      scheduleDate: eventData.scheduleDate,
-      entryFee: eventData.entryFee,
-      minBetAmount: eventData.minBetAmount,
-      maxBetAmount: eventData.maxBetAmount,
-      autoCalculation: eventData.autoCalculation,
-      imageUrl: eventData.imageUrl,
-      createdBy: eventData.createdBy,
-      createdById: eventData.createdById,
-      totalBets: 0,
-      totalAmount: 0
+      status: 'pending',
+      scheduledTime: eventData.scheduleDate,
+      openTime: eventData.openTime || null,
+      reminderTimes: eventData.reminderTimes || null,
+      entryFee: eventData.entryFee || null,
+      imageUrl: eventData.imageUrl || null,
+      choices: eventData.choices,
+      minBet: eventData.minBetAmount,
+      maxBet: eventData.maxBetAmount,
+      limitPerUser: config.defaultBetting.limitPerUser,
+      feePercent: config.defaultBetting.feePercent,
+      settlementMode: eventData.settlementMode,
+      createdBy: eventData.createdById
     });
     
+    // Create the additional markets in the order they were added
+    const { Market } = require('../database/models');
+    for (const [index, market] of (eventData.markets || []).entries()) {
+      await Market.create({
+        ...market,
+        guildId: event.guildId,
+        eventId: event.id,
+        sortOrder: index,
+        feePercent: config.defaultBetting.feePercent
+      });
+    }
+    
     // Clean up the session
     if (global.eventCreationSession && global.eventCreationSession[interaction.user.id]) {
       delete global.eventCreationSession[interaction.user.id];
@@ -751,12 +1073,12 @@ async function confirmEvent(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventManagement_postAnnouncement')
+          .setCustomId(buttonId('eventManagement', 'postAnnouncement'))
           .setLabel('Post Announcement')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📢'),
         new ButtonBuilder()
-          .setCustomId('eventManagement_announceEvent')
+          .setCustomId(buttonId('eventManagement', 'announceEvent'))
           .setLabel('Post Later (Manage Events)')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⏱️')
@@ -823,76 +1145,30 @@ async function cancelEvent(interaction, client) {
   }
 }
 
-/**
- * Handle button interactions for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleButton(buttonId, interaction, client) {
-  try {
-    switch (buttonId) {
-      case 'createEvent':
-        await createEvent(interaction, client);
-        break;
-      case 'selectTypeBoxing':
-        await selectTypeBoxing(interaction, client);
-        break;
-      case 'selectTypeRacing':
-        await selectTypeRacing(interaction, client);
-        break;
-      case 'selectTypePaintball':
-        await selectTypePaintball(interaction, client);
-        break;
-      case 'selectTypeCustom':
-        await selectTypeCustom(interaction, client);
-        break;
-      case 'setDateTime':
-        await setDateTime(interaction, client);
-        break;
-      case 'skipDateTime':
-        await skipDateTime(interaction, client);
-        break;
-      case 'submitDateTime':
-        await submitDateTime(interaction, client);
-        break;
-      case 'showBettingConfig':
-        await showBettingConfig(interaction, client);
-        break;
-      case 'submitBettingConfig':
-        await submitBettingConfig(interaction, client);
-        break;
-      case 'showEventConfirmation':
-        await showEventConfirmation(interaction, client);
-        break;
-      case 'confirmEvent':
-        await confirmEvent(interaction, client);
-        break;
-      case 'cancelEvent':
-        await cancelEvent(interaction, client);
-        break;
-      default:
-        await interaction.reply({
-          content: `Unknown button action: ${buttonId}`,
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    console.error(`Error handling button ${buttonId}:`, error);
-    // Check if the interaction has already been replied to or deferred
-    if (interaction.replied || interaction.deferred) {
-      await interaction.followUp({
-        content: 'There was an error handling this button interaction.',
-        ephemeral: true
-      });
-    } else {
-      await interaction.reply({
-        content: 'There was an error handling this button interaction.',
-        ephemeral: true
-      });
-    }
+// Buttons and modals of this module (see utils/router.js). Every step replies or opens a modal
+// itself, so none of them are deferred.
+const routes = {
+  permission: 'createEvent',
+  buttons: {
+    createEvent: { handler: createEvent, defer: false },
+    selectTypeBoxing: { handler: selectTypeBoxing, defer: false },
+    selectTypeRacing: { handler: selectTypeRacing, defer: false },
+    selectTypePaintball: { handler: selectTypePaintball, defer: false },
+    selectTypeCustom: { handler: selectTypeCustom, defer: false },
+    submitDateTime: { handler: submitDateTime, defer: false },
+    skipDateTime: { handler: skipDateTime, defer: false },
+    submitBettingConfig: { handler: submitBettingConfig, defer: false },
+    addMarket: { handler: addMarket, defer: false },
+    confirmEvent: { handler: confirmEvent, defer: false },
+    cancelEvent: { handler: cancelEvent, defer: false }
+  },
+  modals: {
+    submitBasicInfo: { params: ['type:string'], handler: submitBasicInfoModalSubmit, defer: false },
+    submitDateTimeModal: { handler: submitDateTimeModalSubmit, defer: false },
+    submitBettingConfigModal: { handler: submitBettingConfigModalSubmit, defer: false },
+    submitMarketModal: { handler: submitMarketModalSubmit, defer: false }
   }
-}
+};
 
 module.exports = {
   createEvent,
@@ -909,7 +1185,9 @@ module.exports = {
   submitBettingConfig,
   submitBettingConfigModalSubmit,
   showEventConfirmation,
+  addMarket,
+  submitMarketModalSubmit,
   confirmEvent,
   cancelEvent,
-  handleButton
+  routes
 };
\ No newline at end of file
@@ -7,12 +7,17 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
-  StringSelectMenuBuilder,
-  ComponentType
+  StringSelectMenuBuilder
 } = require('discord.js');
-const { models } = require('../database/dbInit');
+const models = require('../database/models');
 const logger = require('../utils/logger');
 const { createEventEmbed } = require('../utils/embeds');
+const { createBetButtons, fetchAnnouncement, refreshAnnouncement, cancelBet, refundEventBets } = require('./betting');
+const { voidParlayLegs } = require('./parlays');
+const { parseChoiceLines } = require('../utils/odds');
+const { safeReply } = require('../utils/interactions');
+const { buttonId, selectId, modalId } = require('../utils/router');
+const { getGuildSetting, getGuildTimezone, getGuildChannel } = require('../utils/guildSettings');
 const { formatDateTime } = require('../utils/timeUtils');
 const { Op } = require('sequelize');
 const { format } = require('date-fns');
@@ -23,11 +28,12 @@ async function manageEvents(interaction, client) {
   try {
     await interaction.deferReply({ ephemeral: true });
     
-    // Get all ongoing events (not closed)
+    // Get all ongoing events (not completed or cancelled)
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         status: {
-          [Op.ne]: 'Closed'
+          [Op.notIn]: ['completed', 'cancelled']
         }
       },
       order: [['createdAt', 'DESC']]
@@ -41,8 +47,7 @@ async function manageEvents(interaction, client) {
     }
     
     // Get the current configuration to determine timezone
-    const config = await models.Configuration.findOne();
-    const timezone = config.timezone || 'UTC';
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     // Create the event list embed
     const embed = new EmbedBuilder()
@@ -53,7 +58,7 @@ async function manageEvents(interaction, client) {
     
     // Create a select menu for the events
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('eventManagement_selectEvent')
+      .setCustomId(selectId('eventManagement', 'selectEvent'))
       .setPlaceholder('Select an event to manage...');
     
     // Add options for each event
@@ -66,9 +71,9 @@ async function manageEvents(interaction, client) {
       }
       
       // Add status emoji based on event status
-      let statusEmoji = '🟢'; // Active
-      if (event.status === 'Paused') statusEmoji = '⏸️';
-      if (event.status === 'Locked') statusEmoji = '🔒';
+      let statusEmoji = '🟢'; // Open
+      if (event.status === 'paused') statusEmoji = '⏸️';
+      if (event.status === 'locked') statusEmoji = '🔒';
       
       selectMenu.addOptions({
         label: `${event.name} (${event.type})`,
@@ -105,14 +110,18 @@ async function manageEvents(interaction, client) {
 
 // Handle event selection
 async function selectEventSelect(interaction, client) {
+  await showEvent(interaction, client, { eventId: interaction.values[0] });
+}
+
+// Show an event's details and management buttons in place of the current view
+async function showEvent(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    // Get the selected event ID
-    const eventId = interaction.values[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -127,9 +136,14 @@ async function selectEventSelect(interaction, client) {
       where: { eventId: event.id }
     });
     
+    // Fetch the event's additional markets
+    const markets = await models.Market.findAll({
+      where: { eventId: event.id },
+      order: [['sortOrder', 'ASC']]
+    });
+    
     // Get the current configuration to determine timezone
-    const config = await models.Configuration.findOne();
-    const timezone = config.timezone || 'UTC';
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     // Create a formatted date string if scheduleDate exists
     let formattedDate = 'Not scheduled';
@@ -175,6 +189,16 @@ async function selectEventSelect(interaction, client) {
       .setFooter({ text: `Event ID: ${event.id} | Created by: ${event.createdBy}` })
       .setTimestamp();
     
+    // List the additional markets and where each stands
+    if (markets.length > 0) {
+      embed.addFields({
+        name: 'Markets',
+        value: markets.map(market =>
+          `**${market.name}** - ${market.status} | ${market.totalBetsCount} bets (${market.totalBetsAmount} coins)`
+        ).join('\n').substring(0, 1024)
+      });
+    }
+    
     // Add the image if provided
     if (event.imageUrl) {
       embed.setImage(event.imageUrl);
@@ -187,17 +211,17 @@ async function selectEventSelect(interaction, client) {
     // Row 1: Standard management actions
     row1.addComponents(
       new ButtonBuilder()
-        .setCustomId(`eventManagement_editEvent_${event.id}`)
+        .setCustomId(buttonId('eventManagement', 'editEvent', { eventId: event.id }))
         .setLabel('Edit Event')
         .setStyle(ButtonStyle.Primary)
         .setEmoji('✏️')
     );
     
     // Lock/Unlock button based on current status
-    if (event.status === 'Locked') {
+    if (event.status === 'locked') {
       row1.addComponents(
         new ButtonBuilder()
-          .setCustomId(`eventManagement_unlockEvent_${event.id}`)
+          .setCustomId(buttonId('eventManagement', 'unlockEvent', { eventId: event.id }))
           .setLabel('Unlock Betting')
           .setStyle(ButtonStyle.Success)
           .setEmoji('🔓')
@@ -205,7 +229,7 @@ async function selectEventSelect(interaction, client) {
     } else {
       row1.addComponents(
         new ButtonBuilder()
-          .setCustomId(`eventManagement_lockEvent_${event.id}`)
+          .setCustomId(buttonId('eventManagement', 'lockEvent', { eventId: event.id }))
           .setLabel('Lock Betting')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🔒')
@@ -213,10 +237,10 @@ async function selectEventSelect(interaction, client) {
     }
     
     // Pause/Resume button based on current status
-    if (event.status === 'Paused') {
+    if (event.status === 'paused') {
       row1.addComponents(
         new ButtonBuilder()
-          .setCustomId(`eventManagement_resumeEvent_${event.id}`)
+          .setCustomId(buttonId('eventManagement', 'resumeEvent', { eventId: event.id }))
           .setLabel('Resume Event')
           .setStyle(ButtonStyle.Success)
           .setEmoji('▶️')
@@ -224,7 +248,7 @@ async function selectEventSelect(interaction, client) {
     } else {
       row1.addComponents(
         new ButtonBuilder()
-          .setCustomId(`eventManagement_pauseEvent_${event.id}`)
+          .setCustomId(buttonId('eventManagement', 'pauseEvent', { eventId: event.id }))
           .setLabel('Pause Event')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⏸️')
@@ -233,51 +257,96 @@ async function selectEventSelect(interaction, client) {
     
     row1.addComponents(
       new ButtonBuilder()
-        .setCustomId(`eventManagement_updateTime_${event.id}`)
+        .setCustomId(buttonId('eventManagement', 'updateTime', { eventId: event.id }))
         .setLabel('Update Time')
         .setStyle(ButtonStyle.Primary)
         .setEmoji('⏰')
     );
     
+    // Additional markets are settled one at a time, separately from the main result
+    if (markets.some(market => market.status === 'open')) {
+      row1.addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'settleMarkets', { eventId: event.id }))
+          .setLabel('Settle Markets')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('🎯')
+      );
+    }
+    
     // Row 2: Advanced management actions
     row2.addComponents(
       new ButtonBuilder()
-        .setCustomId(`eventManagement_viewBets_${event.id}`)
+        .setCustomId(buttonId('eventManagement', 'viewBets', { eventId: event.id }))
         .setLabel('View All Bets')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('👁️')
     );
     
-    // Only show reopen if the event is closed or locked
-    if (event.status === 'Closed') {
+    // Only show reopen while betting is locked; settled events can't be reopened
+    if (event.status === 'locked') {
       row2.addComponents(
         new ButtonBuilder()
-          .setCustomId(`eventManagement_reopenEvent_${event.id}`)
+          .setCustomId(buttonId('eventManagement', 'reopenEvent', { eventId: event.id }))
           .setLabel('Reopen Event')
           .setStyle(ButtonStyle.Success)
           .setEmoji('🔄')
       );
     }
     
+    // Only fixed-odds events have bookmaker odds to adjust
+    if (event.settlementMode === 'fixed') {
+      row2.addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('eventManagement', 'adjustOdds', { eventId: event.id }))
+          .setLabel('Adjust Odds')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('📈')
+      );
+    }
+    
+    // Events can be cancelled until their results are in
+    if (!['completed', 'cancelled'].includes(event.status)) {
+      row2.addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('eventManagement', 'cancelEvent', { eventId: event.id }))
+          .setLabel('Cancel Event')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('🚫')
+      );
+    }
+    
     // Back button
     row2.addComponents(
       new ButtonBuilder()
-        .setCustomId('eventManagement_manageEvents')
+        .setCustomId(buttonId('eventManagement', 'manageEvents'))
         .setLabel('Back to Event List')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('⬅️')
     );
     
+    // Races are settled from their full finishing order so place and each-way bets can be paid
+    const components = [row1, row2];
+    if (event.type === 'racing' && !['completed', 'cancelled'].includes(event.status)) {
+      components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'recordFinish', { eventId: event.id }))
+          .setLabel('Record Finishing Order')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('🏁')
+      ));
+    }
+    
     // Send the event management options
     await interaction.editReply({
       embeds: [embed],
-      components: [row1, row2],
+      components,
       ephemeral: true
     });
     
     logger.info(`Event management details viewed for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
   } catch (error) {
-    logger.error('Error in selectEventSelect function:', error);
+    logger.error('Error in showEvent function:', error);
     await interaction.editReply({
       content: 'An error occurred while loading the event details. Please try again.',
       components: [],
@@ -289,10 +358,10 @@ async function selectEventSelect(interaction, client) {
 // Handle edit event button
 async function editEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -303,7 +372,7 @@ async function editEvent(interaction, client, params) {
     
     // Create the edit event modal
     const modal = new ModalBuilder()
-      .setCustomId(`eventManagement_submitEditEvent_${eventId}`)
+      .setCustomId(modalId('eventManagement', 'submitEditEvent', { eventId }))
       .setTitle(`Edit Event: ${event.name}`);
     
     // Add text inputs for editable fields
@@ -370,10 +439,10 @@ async function editEvent(interaction, client, params) {
 // Handle edit event modal submission
 async function submitEditEventModalSubmit(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -434,6 +503,7 @@ async function submitEditEventModalSubmit(interaction, client, params) {
     
     // Log the update
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was edited`,
@@ -453,29 +523,9 @@ async function submitEditEventModalSubmit(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
-      try {
-        const channel = await client.channels.fetch(event.channelId);
-        
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            logger.info(`Event announcement updated for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
-      } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
-      }
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
+      logger.info(`Event announcement updated for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
     }
     
     await interaction.reply({
@@ -496,10 +546,10 @@ async function submitEditEventModalSubmit(interaction, client, params) {
 // Handle lock event button
 async function lockEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -510,12 +560,13 @@ async function lockEvent(interaction, client, params) {
     
     // Update the event status
     await event.update({
-      status: 'Locked',
+      status: 'locked',
       lastModifiedBy: interaction.user.id
     });
     
     // Log the action
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was locked for betting`,
@@ -531,39 +582,23 @@ async function lockEvent(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send a follow-up message about betting being locked
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FF9900')
+              .setTitle(`🔒 Betting Locked for "${event.name}"`)
+              .setDescription('Betting for this event has been locked by the management. No further bets can be placed.')
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send a follow-up message about betting being locked
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#FF9900')
-                  .setTitle(`🔒 Betting Locked for "${event.name}"`)
-                  .setDescription('Betting for this event has been locked by the management. No further bets can be placed.')
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event betting locked announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event betting locked announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -580,10 +615,10 @@ async function lockEvent(interaction, client, params) {
 // Handle unlock event button
 async function unlockEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -594,12 +629,13 @@ async function unlockEvent(interaction, client, params) {
     
     // Update the event status
     await event.update({
-      status: 'Active',
+      status: 'open',
       lastModifiedBy: interaction.user.id
     });
     
     // Log the action
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was unlocked for betting`,
@@ -615,39 +651,23 @@ async function unlockEvent(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send a follow-up message about betting being unlocked
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#00FF00')
+              .setTitle(`🔓 Betting Unlocked for "${event.name}"`)
+              .setDescription('Betting for this event has been reopened by the management. You can now place bets again.')
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send a follow-up message about betting being unlocked
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#00FF00')
-                  .setTitle(`🔓 Betting Unlocked for "${event.name}"`)
-                  .setDescription('Betting for this event has been reopened by the management. You can now place bets again.')
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event betting unlocked announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event betting unlocked announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -664,10 +684,10 @@ async function unlockEvent(interaction, client, params) {
 // Handle pause event button
 async function pauseEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -678,12 +698,13 @@ async function pauseEvent(interaction, client, params) {
     
     // Update the event status
     await event.update({
-      status: 'Paused',
+      status: 'paused',
       lastModifiedBy: interaction.user.id
     });
     
     // Log the action
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was paused`,
@@ -699,39 +720,23 @@ async function pauseEvent(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send the pause announcement as specified in the blueprint
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FF0000')
+              .setTitle(`⏸️ Event Paused: "${event.name}"`)
+              .setDescription('Hello everyone, due to unforeseen circumstances, the management has decided to temporarily withdraw this event. We will update you as soon as we have more details. Thank you for your patience!')
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send the pause announcement as specified in the blueprint
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#FF0000')
-                  .setTitle(`⏸️ Event Paused: "${event.name}"`)
-                  .setDescription('Hello everyone, due to unforeseen circumstances, the management has decided to temporarily withdraw this event. We will update you as soon as we have more details. Thank you for your patience!')
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event pause announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event pause announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -748,10 +753,10 @@ async function pauseEvent(interaction, client, params) {
 // Handle resume event button
 async function resumeEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -762,12 +767,13 @@ async function resumeEvent(interaction, client, params) {
     
     // Update the event status
     await event.update({
-      status: 'Active',
+      status: 'open',
       lastModifiedBy: interaction.user.id
     });
     
     // Log the action
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was resumed`,
@@ -783,39 +789,23 @@ async function resumeEvent(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send the resume announcement as specified in the blueprint
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#00FF00')
+              .setTitle(`✅ Event Resumed: "${event.name}"`)
+              .setDescription(`✅ Betting for "${event.name}" has resumed!`)
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send the resume announcement as specified in the blueprint
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#00FF00')
-                  .setTitle(`✅ Event Resumed: "${event.name}"`)
-                  .setDescription(`✅ Betting for "${event.name}" has resumed!`)
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event resume announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event resume announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -832,10 +822,10 @@ async function resumeEvent(interaction, client, params) {
 // Handle update time button
 async function updateTime(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -845,8 +835,7 @@ async function updateTime(interaction, client, params) {
     }
     
     // Get the current configuration to determine timezone
-    const config = await models.Configuration.findOne();
-    const timezone = config.timezone || 'UTC';
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     // Create a current date string if scheduleDate exists
     let currentDate = '';
@@ -860,7 +849,7 @@ async function updateTime(interaction, client, params) {
     
     // Create the date time modal
     const modal = new ModalBuilder()
-      .setCustomId(`eventManagement_submitUpdateTime_${eventId}`)
+      .setCustomId(modalId('eventManagement', 'submitUpdateTime', { eventId }))
       .setTitle(`Update Time: ${event.name}`);
     
     // Add text inputs for date and time
@@ -903,10 +892,10 @@ async function updateTime(interaction, client, params) {
 // Handle update time modal submission
 async function submitUpdateTimeModalSubmit(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -920,8 +909,7 @@ async function submitUpdateTimeModalSubmit(interaction, client, params) {
     const timeStr = interaction.fields.getTextInputValue('eventTime');
     
     // Get the current configuration to determine timezone
-    const config = await models.Configuration.findOne();
-    const timezone = config.timezone || 'UTC';
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     // Validate and parse the date & time
     try {
@@ -951,6 +939,7 @@ async function submitUpdateTimeModalSubmit(interaction, client, params) {
       
       // Log the action
       await models.Log.create({
+        guildId: interaction.guildId,
         category: 'AdminAction',
         level: 'info',
         message: `Event "${event.name}" (ID: ${event.id}) time was updated`,
@@ -974,44 +963,31 @@ async function submitUpdateTimeModalSubmit(interaction, client, params) {
       });
       
       // Update the event announcement if it exists
-      if (event.messageId && event.channelId) {
+      const message = await refreshAnnouncement(client, event);
+      if (message) {
         try {
-          const channel = await client.channels.fetch(event.channelId);
+          // Send the time update announcement as specified in the blueprint
+          let announcementEmbed;
           
-          if (channel) {
-            const message = await channel.messages.fetch(event.messageId);
-            
-            if (message) {
-              // Create updated embed
-              const updatedEmbed = createEventEmbed(event, timezone);
-              
-              // Update the message
-              await message.edit({ embeds: [updatedEmbed] });
-              
-              // Send the time update announcement as specified in the blueprint
-              let announcementEmbed;
-              
-              if (event.status === 'Paused') {
-                announcementEmbed = new EmbedBuilder()
-                  .setColor('#FFCC00')
-                  .setTitle(`⏰ Event Rescheduled: "${event.name}"`)
-                  .setDescription(`⏰ "${event.name}" (currently paused) has been rescheduled to ${formattedNewTime} (${timezone}). Stay tuned for updates!`)
-                  .setTimestamp();
-              } else {
-                announcementEmbed = new EmbedBuilder()
-                  .setColor('#00CCFF')
-                  .setTitle(`⏰ Event Rescheduled: "${event.name}"`)
-                  .setDescription(`⏰ "${event.name}" has been rescheduled! New time: ${formattedNewTime} (${timezone}). All bets remain valid. Thank you for your understanding!`)
-                  .setTimestamp();
-              }
-              
-              await channel.send({ embeds: [announcementEmbed] });
-              
-              logger.info(`Event time update announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-            }
+          if (event.status === 'paused') {
+            announcementEmbed = new EmbedBuilder()
+              .setColor('#FFCC00')
+              .setTitle(`⏰ Event Rescheduled: "${event.name}"`)
+              .setDescription(`⏰ "${event.name}" (currently paused) has been rescheduled to ${formattedNewTime} (${timezone}). Stay tuned for updates!`)
+              .setTimestamp();
+          } else {
+            announcementEmbed = new EmbedBuilder()
+              .setColor('#00CCFF')
+              .setTitle(`⏰ Event Rescheduled: "${event.name}"`)
+              .setDescription(`⏰ "${event.name}" has been rescheduled! New time: ${formattedNewTime} (${timezone}). All bets remain valid. Thank you for your understanding!`)
+              .setTimestamp();
           }
+          
+          await message.channel.send({ embeds: [announcementEmbed] });
+          
+          logger.info(`Event time update announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
         } catch (error) {
-          logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+          logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
         }
       }
       
@@ -1034,12 +1010,17 @@ async function submitUpdateTimeModalSubmit(interaction, client, params) {
 // Handle view bets button
 async function viewBets(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
+    const { eventId, page = null } = params;
     
-    const eventId = params[0];
+    // Opening the bet list sends a new message; switching pages updates it
+    if (page === null) {
+      await interaction.deferReply({ ephemeral: true });
+    } else {
+      await interaction.deferUpdate();
+    }
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -1051,7 +1032,7 @@ async function viewBets(interaction, client, params) {
     // Fetch all bets for this event
     const bets = await models.Bet.findAll({
       where: { eventId: event.id },
-      order: [['timestamp', 'DESC']]
+      order: [['createdAt', 'DESC']]
     });
     
     if (bets.length === 0) {
@@ -1062,14 +1043,13 @@ async function viewBets(interaction, client, params) {
     }
     
     // Get the configuration for suspicious bet threshold
-    const config = await models.Configuration.findOne();
-    const suspiciousBetThreshold = config.suspiciousBetThreshold || 5000;
+    const suspiciousBetThreshold = Number(await getGuildSetting(interaction.guildId, 'suspiciousBetThreshold')) || 5000;
     
     // Create an embed to display the bets
     const embed = new EmbedBuilder()
       .setColor('#0099ff')
       .setTitle(`Bets for Event: ${event.name}`)
-      .setDescription(`Total bets: ${bets.length} | Total amount: $${event.totalAmount}`)
+      .setDescription(`Total bets: ${bets.length} | Total amount: $${event.totalBetsAmount}`)
       .setFooter({ text: `Event ID: ${event.id}` })
       .setTimestamp();
     
@@ -1078,17 +1058,17 @@ async function viewBets(interaction, client, params) {
     let suspiciousBets = 0;
     
     for (const bet of bets) {
-      if (!betsByChoice[bet.choice]) {
-        betsByChoice[bet.choice] = {
+      if (!betsByChoice[bet.choiceName]) {
+        betsByChoice[bet.choiceName] = {
           count: 0,
           totalAmount: 0,
           bets: []
         };
       }
       
-      betsByChoice[bet.choice].count++;
-      betsByChoice[bet.choice].totalAmount += bet.amount;
-      betsByChoice[bet.choice].bets.push(bet);
+      betsByChoice[bet.choiceName].count++;
+      betsByChoice[bet.choiceName].totalAmount += bet.amount;
+      betsByChoice[bet.choiceName].bets.push(bet);
       
       // Check for suspicious bets (exceeding threshold)
       if (bet.amount >= suspiciousBetThreshold) {
@@ -1099,7 +1079,7 @@ async function viewBets(interaction, client, params) {
     // Add fields for each choice
     for (const choice in betsByChoice) {
       const choiceData = betsByChoice[choice];
-      const betPercentage = ((choiceData.totalAmount / event.totalAmount) * 100).toFixed(1);
+      const betPercentage = ((choiceData.totalAmount / event.totalBetsAmount) * 100).toFixed(1);
       
       embed.addFields({
         name: `${choice} (${choiceData.count} bets, $${choiceData.totalAmount})`,
@@ -1126,14 +1106,21 @@ async function viewBets(interaction, client, params) {
       
       for (const bet of pageBets) {
         const isSuspicious = bet.amount >= suspiciousBetThreshold ? '⚠️ ' : '';
-        const formattedDate = format(new Date(bet.timestamp), 'MMM d, yyyy HH:mm:ss');
+        const formattedDate = format(new Date(bet.createdAt), 'MMM d, yyyy HH:mm:ss');
         
-        pageContent += `${isSuspicious}**${bet.username}**: $${bet.amount} on "${bet.choice}" (${formattedDate})\n`;
+        pageContent += `${isSuspicious}#${bet.id} **${bet.userTag}**: $${bet.amount} on "${bet.choiceName}" [${bet.status}] (${formattedDate})\n`;
       }
       
       pages.push(pageContent);
     }
     
+    // Staff can cancel any active bet by its ID
+    const cancelBetButton = new ButtonBuilder()
+      .setCustomId(buttonId('eventManagement', 'staffCancelBet', { eventId }))
+      .setLabel('Cancel a Bet')
+      .setStyle(ButtonStyle.Danger)
+      .setEmoji('🚫');
+    
     // If only one page of bets, add it to the embed
     if (pages.length === 1) {
       embed.addFields({
@@ -1143,19 +1130,20 @@ async function viewBets(interaction, client, params) {
       
       await interaction.editReply({
         embeds: [embed],
+        components: [new ActionRowBuilder().addComponents(cancelBetButton)],
         ephemeral: true
       });
       
       return;
     }
     
-    // If multiple pages, create navigation buttons
-    let currentPage = 0;
+    // If multiple pages, show the requested one with navigation buttons
+    const currentPage = Math.min(Math.max(page || 0, 0), pages.length - 1);
     
     const paginatedEmbed = new EmbedBuilder()
       .setColor('#0099ff')
       .setTitle(`Bets for Event: ${event.name} (Page ${currentPage + 1}/${pages.length})`)
-      .setDescription(`Total bets: ${bets.length} | Total amount: $${event.totalAmount}`)
+      .setDescription(`Total bets: ${bets.length} | Total amount: $${event.totalBetsAmount}`)
       .addFields({
         name: 'Bets',
         value: pages[currentPage]
@@ -1167,85 +1155,31 @@ async function viewBets(interaction, client, params) {
     const navigationRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventManagement_prevPage')
+          .setCustomId(buttonId('eventManagement', 'viewBets', { eventId, page: currentPage - 1 }))
           .setLabel('Previous')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
           .setDisabled(currentPage === 0),
         new ButtonBuilder()
-          .setCustomId('eventManagement_nextPage')
+          .setCustomId(buttonId('eventManagement', 'viewBets', { eventId, page: currentPage + 1 }))
           .setLabel('Next')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('➡️')
           .setDisabled(currentPage === pages.length - 1),
+        cancelBetButton,
         new ButtonBuilder()
-          .setCustomId(`eventManagement_selectEvent_${eventId}`)
+          .setCustomId(buttonId('eventManagement', 'showEvent', { eventId }))
           .setLabel('Back to Event')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🔙')
       );
     
-    const response = await interaction.editReply({
+    await interaction.editReply({
       embeds: [paginatedEmbed],
       components: [navigationRow],
       ephemeral: true
     });
     
-    // Create a collector to handle navigation button clicks
-    const filter = i => i.user.id === interaction.user.id && 
-                     (i.customId === 'eventManagement_prevPage' || 
-                      i.customId === 'eventManagement_nextPage' || 
-                      i.customId === `eventManagement_selectEvent_${eventId}`);
-    
-    const collector = response.createMessageComponentCollector({ 
-      filter, 
-      time: 300000, // 5 minutes
-      componentType: ComponentType.Button
-    });
-    
-    collector.on('collect', async i => {
-      // Handle going back to event details
-      if (i.customId === `eventManagement_selectEvent_${eventId}`) {
-        await selectEventSelect(i, client);
-        collector.stop();
-        return;
-      }
-      
-      // Handle navigation
-      if (i.customId === 'eventManagement_prevPage') {
-        currentPage = Math.max(0, currentPage - 1);
-      } else if (i.customId === 'eventManagement_nextPage') {
-        currentPage = Math.min(pages.length - 1, currentPage + 1);
-      }
-      
-      // Update the embed
-      paginatedEmbed
-        .setTitle(`Bets for Event: ${event.name} (Page ${currentPage + 1}/${pages.length})`)
-        .spliceFields(0, 1, {
-          name: 'Bets',
-          value: pages[currentPage]
-        });
-      
-      // Update button states
-      navigationRow.components[0].setDisabled(currentPage === 0);
-      navigationRow.components[1].setDisabled(currentPage === pages.length - 1);
-      
-      await i.update({
-        embeds: [paginatedEmbed],
-        components: [navigationRow]
-      });
-    });
-    
-    collector.on('end', () => {
-      // Remove navigation buttons when time expires
-      if (!interaction.ephemeral) {
-        navigationRow.components.forEach(button => button.setDisabled(true));
-        interaction.editReply({ components: [navigationRow] }).catch(error => {
-          logger.error('Error disabling buttons after collection end:', error);
-        });
-      }
-    });
-    
     logger.info(`Bet list viewed for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
   } catch (error) {
     logger.error('Error in viewBets function:', error);
@@ -1263,13 +1197,108 @@ async function viewBets(interaction, client, params) {
   }
 }
 
+// Handle staff cancel bet button from the bet list
+async function staffCancelBet(interaction, client, params) {
+  try {
+    const { eventId } = params;
+    
+    // Create a modal to get the bet and the reason for cancelling it
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('eventManagement', 'submitStaffCancelBet', { eventId }))
+      .setTitle('Cancel a Bet');
+    
+    const betIdInput = new TextInputBuilder()
+      .setCustomId('betId')
+      .setLabel('Bet ID (shown as #ID in the bet list)')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    const reasonInput = new TextInputBuilder()
+      .setCustomId('cancelReason')
+      .setLabel('Reason (sent to the bettor)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(500)
+      .setRequired(true);
+    
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(betIdInput),
+      new ActionRowBuilder().addComponents(reasonInput)
+    );
+    
+    // Show the modal to the user
+    await interaction.showModal(modal);
+  } catch (error) {
+    logger.error('Error in staffCancelBet function:', error);
+    await interaction.reply({
+      content: 'An error occurred while opening the cancel bet form. Please try again.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle staff cancel bet modal submission
+async function submitStaffCancelBetModalSubmit(interaction, client, params) {
+  try {
+    const { eventId } = params;
+    const betId = interaction.fields.getTextInputValue('betId').trim().replace(/^#/, '');
+    const reason = interaction.fields.getTextInputValue('cancelReason').trim();
+    
+    // Make sure the bet belongs to the event being managed
+    const bet = await models.Bet.findOne({ where: { id: betId, guildId: interaction.guildId } });
+    
+    if (!bet || bet.eventId.toString() !== eventId) {
+      return safeReply(interaction, {
+        content: `Bet #${betId} was not found on this event.`
+      });
+    }
+    
+    const result = await cancelBet(bet.id, {
+      guildId: interaction.guildId,
+      cancelledBy: interaction.user.id,
+      byStaff: true,
+      reason
+    });
+    
+    if (!result.success) {
+      return safeReply(interaction, { content: result.errors.join('\n') });
+    }
+    
+    await safeReply(interaction, {
+      content: `🚫 Bet #${bet.id} by ${bet.userTag} (${bet.amount} coins on "${bet.choiceName}") has been cancelled and refunded.`
+    });
+    
+    // Let the bettor know why
+    try {
+      const user = await client.users.fetch(bet.userId);
+      await user.send({
+        embeds: [
+          new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle(`🚫 Bet Cancelled: "${result.event.name}"`)
+            .setDescription(`Your bet #${bet.id} of ${bet.amount} coins on **${bet.choiceName}** was cancelled by management and refunded to your wallet.\n\n**Reason:** ${reason}`)
+            .setTimestamp()
+        ]
+      });
+    } catch (error) {
+      logger.warn(`Could not DM bet cancellation notice to user ${bet.userId}: ${error.message}`);
+    }
+    
+    logger.info(`Bet #${bet.id} on event ${eventId} cancelled by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in submitStaffCancelBetModalSubmit function:', error);
+    await safeReply(interaction, {
+      content: 'An error occurred while cancelling the bet. Please try again.'
+    });
+  }
+}
+
 // Handle reopen event button
 async function reopenEvent(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -1280,7 +1309,7 @@ async function reopenEvent(interaction, client, params) {
     
     // Create a modal to get the reason for reopening
     const modal = new ModalBuilder()
-      .setCustomId(`eventManagement_submitReopenEvent_${eventId}`)
+      .setCustomId(modalId('eventManagement', 'submitReopenEvent', { eventId }))
       .setTitle(`Reopen Event: ${event.name}`);
     
     // Add text input for the reason
@@ -1313,10 +1342,10 @@ async function reopenEvent(interaction, client, params) {
 // Handle reopen event modal submission
 async function submitReopenEventModalSubmit(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -1330,12 +1359,13 @@ async function submitReopenEventModalSubmit(interaction, client, params) {
     
     // Update the event status
     await event.update({
-      status: 'Active',
+      status: 'open',
       lastModifiedBy: interaction.user.id
     });
     
     // Log the action
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Event "${event.name}" (ID: ${event.id}) was reopened`,
@@ -1354,39 +1384,23 @@ async function submitReopenEventModalSubmit(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send a reopen announcement
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#00FF00')
+              .setTitle(`🔄 Event Reopened: "${event.name}"`)
+              .setDescription(`This event has been reopened by management.\n\n**Reason:** ${reason}\n\nBetting is now active again.`)
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send a reopen announcement
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#00FF00')
-                  .setTitle(`🔄 Event Reopened: "${event.name}"`)
-                  .setDescription(`This event has been reopened by management.\n\n**Reason:** ${reason}\n\nBetting is now active again.`)
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event reopen announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event reopen announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -1400,6 +1414,256 @@ async function submitReopenEventModalSubmit(interaction, client, params) {
   }
 }
 
+// Handle adjust odds button for fixed-odds events
+async function adjustOdds(interaction, client, params) {
+  try {
+    const { eventId } = params;
+
+    // Fetch the event from the database
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event || event.settlementMode !== 'fixed') {
+      return interaction.reply({
+        content: 'The selected event could not be found or does not use fixed odds.',
+        ephemeral: true
+      });
+    }
+
+    // Create the adjust odds modal, pre-filled with the current odds
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('eventManagement', 'submitAdjustOdds', { eventId }))
+      .setTitle(`Adjust Odds: ${event.name}`.substring(0, 45));
+
+    const oddsInput = new TextInputBuilder()
+      .setCustomId('choiceOdds')
+      .setLabel('Odds per choice ("Name | odds", one per line)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setValue(event.choices.map(choice => `${choice.name} | ${choice.odds}`).join('\n'));
+
+    modal.addComponents(new ActionRowBuilder().addComponents(oddsInput));
+
+    // Show the modal to the user
+    await interaction.showModal(modal);
+
+    logger.info(`Adjust odds form opened for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in adjustOdds function:', error);
+    await interaction.reply({
+      content: 'An error occurred while opening the odds form. Please try again.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle adjust odds modal submission
+async function submitAdjustOddsModalSubmit(interaction, client, params) {
+  try {
+    const { eventId } = params;
+
+    // Fetch the event from the database
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event || event.settlementMode !== 'fixed') {
+      return safeReply(interaction, {
+        content: 'The selected event could not be found or does not use fixed odds.'
+      });
+    }
+
+    // Parse the new odds
+    const { choices, errors } = parseChoiceLines(interaction.fields.getTextInputValue('choiceOdds'));
+
+    if (errors.length > 0) {
+      return safeReply(interaction, { content: errors.join('\n') });
+    }
+
+    // The choices themselves cannot change once bets may have been placed
+    const currentNames = event.choices.map(choice => choice.name);
+    const sameChoices = choices.length === currentNames.length &&
+      choices.every((choice, index) => choice.name === currentNames[index]);
+
+    if (!sameChoices || choices.some(choice => !choice.odds)) {
+      return safeReply(interaction, {
+        content: 'Please keep every choice name in the same order and give each one odds, e.g. "Fighter A | 1.80".'
+      });
+    }
+
+    // Store old odds for logging
+    const oldOdds = event.choices.map(choice => choice.odds);
+
+    // Update the odds; bets already placed keep the odds they locked in
+    event.choices = event.choices.map((choice, index) => ({ ...choice, odds: choices[index].odds }));
+    await event.save();
+
+    // Log the update
+    logger.db.info(`Odds adjusted for event "${event.name}" (ID: ${event.id})`, {
+      guildId: event.guildId,
+      userId: interaction.user.id,
+      type: 'event',
+      metadata: { eventId: event.id, oldOdds, newOdds: choices.map(choice => choice.odds) }
+    });
+
+    await safeReply(interaction, {
+      content: `✅ Odds for "${event.name}" updated:\n${choices.map(choice => `${choice.name} - ${choice.odds.toFixed(2)}x`).join('\n')}`
+    });
+
+    logger.info(`Odds adjusted for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in submitAdjustOddsModalSubmit function:', error);
+    await safeReply(interaction, {
+      content: 'An error occurred while updating the odds. Please try again.'
+    });
+  }
+}
+
+// Get the server's betting announcements channel, falling back to the .env channel if it is in that server
+async function getAnnouncementsChannelId(client, guildId) {
+  const channel = await getGuildChannel(client, guildId, 'announcements');
+  return channel ? channel.id : null;
+}
+
+// Handle cancel event button
+async function cancelEvent(interaction, client, params) {
+  try {
+    const { eventId } = params;
+
+    // Fetch the event from the database
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event || ['completed', 'cancelled'].includes(event.status)) {
+      return interaction.reply({
+        content: 'The selected event could not be found or can no longer be cancelled.',
+        ephemeral: true
+      });
+    }
+
+    // Create a modal to get the reason for cancelling
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('eventManagement', 'submitCancelEvent', { eventId }))
+      .setTitle(`Cancel Event: ${event.name}`.substring(0, 45));
+
+    const reasonInput = new TextInputBuilder()
+      .setCustomId('cancelReason')
+      .setLabel('Reason for cancelling (will be announced)')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(1000)
+      .setRequired(true);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+
+    // Show the modal to the user
+    await interaction.showModal(modal);
+
+    logger.info(`Cancel form opened for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in cancelEvent function:', error);
+    await interaction.reply({
+      content: 'An error occurred while opening the cancel form. Please try again.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle cancel event modal submission - cancels the event and refunds every active bet
+async function submitCancelEventModalSubmit(interaction, client, params) {
+  try {
+    const { eventId } = params;
+    const { sequelize } = require('../database/dbInit');
+    const reason = interaction.fields.getTextInputValue('cancelReason').trim();
+
+    // Cancel the event and refund its bets together so no bet is left active
+    const result = await sequelize.transaction(async (transaction) => {
+      const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId }, transaction });
+
+      if (!event || ['completed', 'cancelled'].includes(event.status)) {
+        return null;
+      }
+
+      await event.update({ status: 'cancelled' }, { transaction });
+      const refundedBets = await refundEventBets(event, reason, interaction.user.id, { transaction });
+      await voidParlayLegs(event, interaction.user.id, { transaction });
+
+      return { event, refundedBets };
+    });
+
+    if (!result) {
+      return safeReply(interaction, {
+        content: 'The selected event could not be found or can no longer be cancelled.'
+      });
+    }
+
+    const { event, refundedBets } = result;
+    const totalRefunded = refundedBets.reduce((sum, bet) => sum + bet.amount, 0);
+
+    // Log the cancellation
+    logger.db.info(`Event "${event.name}" (ID: ${event.id}) cancelled, ${refundedBets.length} bets refunded`, {
+      guildId: event.guildId,
+      userId: interaction.user.id,
+      type: 'event',
+      metadata: { eventId: event.id, reason, refundedBets: refundedBets.length, totalRefunded }
+    });
+
+    await safeReply(interaction, {
+      content: `🚫 Event "${event.name}" has been cancelled. ${refundedBets.length} bet(s) totalling ${totalRefunded} coins were refunded.`
+    });
+
+    // DM each bettor once with all of their refunded bets
+    const betsByUser = {};
+    for (const bet of refundedBets) {
+      (betsByUser[bet.userId] = betsByUser[bet.userId] || []).push(bet);
+    }
+
+    for (const [userId, bets] of Object.entries(betsByUser)) {
+      try {
+        const user = await client.users.fetch(userId);
+        await user.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FF0000')
+              .setTitle(`🚫 Event Cancelled: "${event.name}"`)
+              .setDescription(`This event has been cancelled and your bets have been refunded to your wallet.\n\n**Reason:** ${reason}`)
+              .addFields({
+                name: 'Refunded Bets',
+                value: bets.map(bet => `Bet #${bet.id} - ${bet.amount} coins on ${bet.choiceName}`).join('\n').substring(0, 1024)
+              })
+              .setTimestamp()
+          ]
+        });
+      } catch (error) {
+        logger.warn(`Could not DM refund notice for event ${event.id} to user ${userId}: ${error.message}`);
+      }
+    }
+
+    // Replace the announcement with the cancellation notice
+    const message = await fetchAnnouncement(client, event);
+    if (message) {
+      try {
+        await message.edit({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FF0000')
+              .setTitle(`🚫 Event Cancelled: "${event.name}"`)
+              .setDescription(`This event has been cancelled by management.\n\n**Reason:** ${reason}\n\nAll bets have been refunded to the bettors' wallets.`)
+              .setTimestamp()
+          ],
+          components: []
+        });
+
+        logger.info(`Event cancellation notice posted for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
+      } catch (error) {
+        logger.error(`Error replacing event announcement for event ID ${event.id}:`, error);
+      }
+    }
+
+    logger.info(`Event "${event.name}" (ID: ${event.id}) cancelled by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in submitCancelEventModalSubmit function:', error);
+    await safeReply(interaction, {
+      content: 'An error occurred while cancelling the event. Please try again.'
+    });
+  }
+}
+
 // Handle announcements & event scheduling button
 async function announceEvent(interaction, client) {
   try {
@@ -1408,8 +1672,9 @@ async function announceEvent(interaction, client) {
     // Get all active events
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         status: {
-          [Op.ne]: 'Closed'
+          [Op.notIn]: ['completed', 'cancelled']
         }
       },
       order: [['createdAt', 'DESC']]
@@ -1422,9 +1687,8 @@ async function announceEvent(interaction, client) {
       });
     }
     
-    // Get configuration
-    const config = await models.Configuration.findOne();
-    const channelId = config.bettingAnnouncementsChannelId;
+    // Get the server's announcements channel
+    const channelId = await getAnnouncementsChannelId(client, interaction.guildId);
     
     if (!channelId) {
       return interaction.editReply({
@@ -1447,12 +1711,12 @@ async function announceEvent(interaction, client) {
     const row1 = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('eventManagement_postAnnouncement')
+          .setCustomId(buttonId('eventManagement', 'postAnnouncement'))
           .setLabel('Post Event Announcement')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📢'),
         new ButtonBuilder()
-          .setCustomId('eventManagement_pauseAnnouncement')
+          .setCustomId(buttonId('eventManagement', 'pauseAnnouncement'))
           .setLabel('Send Pause Announcement')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⏸️')
@@ -1490,8 +1754,9 @@ async function postAnnouncement(interaction, client) {
     // Get all active events
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         status: {
-          [Op.ne]: 'Closed'
+          [Op.notIn]: ['completed', 'cancelled']
         }
       },
       order: [['createdAt', 'DESC']]
@@ -1512,7 +1777,7 @@ async function postAnnouncement(interaction, client) {
     
     // Create a select menu for the events
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('eventManagement_selectAnnounceEvent')
+      .setCustomId(selectId('eventManagement', 'selectAnnounceEvent'))
       .setPlaceholder('Select an event to announce...');
     
     // Add options for each event
@@ -1552,7 +1817,7 @@ async function selectAnnounceEventSelect(interaction, client) {
     const eventId = interaction.values[0];
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId }, include: [{ model: models.Market }] });
     
     if (!event) {
       return interaction.editReply({
@@ -1562,9 +1827,9 @@ async function selectAnnounceEventSelect(interaction, client) {
       });
     }
     
-    // Get configuration
-    const config = await models.Configuration.findOne();
-    const channelId = config.bettingAnnouncementsChannelId;
+    // Get the server's announcements channel and timezone
+    const channelId = await getAnnouncementsChannelId(client, interaction.guildId);
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     if (!channelId) {
       return interaction.editReply({
@@ -1587,20 +1852,21 @@ async function selectAnnounceEventSelect(interaction, client) {
       }
       
       // Create the event embed
-      const eventEmbed = createEventEmbed(event, config.timezone);
+      const eventEmbed = createEventEmbed(event, timezone);
       
-      // Send the announcement
-      const message = await channel.send({ embeds: [eventEmbed] });
+      // Send the announcement with the betting buttons
+      const message = await channel.send({ embeds: [eventEmbed], components: [createBetButtons(event)] });
       
       // Update the event with the new message ID and channel ID
       await event.update({
-        messageId: message.id,
-        channelId: channelId,
+        announcementMessageId: message.id,
+        announcementChannelId: channelId,
         lastModifiedBy: interaction.user.id
       });
       
       // Log the action
       await models.Log.create({
+        guildId: interaction.guildId,
         category: 'AdminAction',
         level: 'info',
         message: `Event "${event.name}" (ID: ${event.id}) announcement posted`,
@@ -1646,8 +1912,9 @@ async function pauseAnnouncement(interaction, client) {
     // Get all active events
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         status: {
-          [Op.ne]: 'Closed'
+          [Op.notIn]: ['completed', 'cancelled']
         }
       },
       order: [['createdAt', 'DESC']]
@@ -1668,7 +1935,7 @@ async function pauseAnnouncement(interaction, client) {
     
     // Create a select menu for the events
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('eventManagement_selectPauseEvent')
+      .setCustomId(selectId('eventManagement', 'selectPauseEvent'))
       .setPlaceholder('Select an event...');
     
     // Add options for each event
@@ -1708,7 +1975,7 @@ async function selectPauseEventSelect(interaction, client) {
     const eventId = interaction.values[0];
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -1718,9 +1985,8 @@ async function selectPauseEventSelect(interaction, client) {
       });
     }
     
-    // Get configuration
-    const config = await models.Configuration.findOne();
-    const channelId = config.bettingAnnouncementsChannelId;
+    // Get the server's announcements channel
+    const channelId = await getAnnouncementsChannelId(client, interaction.guildId);
     
     if (!channelId) {
       return interaction.editReply({
@@ -1744,7 +2010,7 @@ async function selectPauseEventSelect(interaction, client) {
       
       // Update the event status to Paused
       await event.update({
-        status: 'Paused',
+        status: 'paused',
         lastModifiedBy: interaction.user.id
       });
       
@@ -1760,6 +2026,7 @@ async function selectPauseEventSelect(interaction, client) {
       
       // Log the action
       await models.Log.create({
+        guildId: interaction.guildId,
         category: 'AdminAction',
         level: 'info',
         message: `Event "${event.name}" (ID: ${event.id}) paused with announcement`,
@@ -1772,22 +2039,8 @@ async function selectPauseEventSelect(interaction, client) {
         }
       });
       
-      // Update the event embed if it exists
-      if (event.messageId) {
-        try {
-          const eventMessage = await channel.messages.fetch(event.messageId);
-          
-          if (eventMessage) {
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await eventMessage.edit({ embeds: [updatedEmbed] });
-          }
-        } catch (error) {
-          logger.error(`Error updating event message for event ID ${event.id}:`, error);
-        }
-      }
+      // Update the event announcement if it exists
+      await refreshAnnouncement(client, event);
       
       await interaction.editReply({
         content: `✅ Event "${event.name}" has been paused and the announcement has been sent to <#${channelId}>.`,
@@ -1814,175 +2067,47 @@ async function selectPauseEventSelect(interaction, client) {
   }
 }
 
-/**
- * Handle button interactions for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleButton(buttonId, interaction, client) {
-  try {
-    // Extract event ID if present in the button ID (format: "action_eventId")
-    let params = {};
-    if (buttonId.includes('_')) {
-      const [action, eventId] = buttonId.split('_');
-      params = { eventId };
-      buttonId = action; // Set buttonId to just the action part
-    }
-
-    switch (buttonId) {
-      case 'manageEvents':
-        await manageEvents(interaction, client);
-        break;
-      case 'editEvent':
-        await editEvent(interaction, client, params);
-        break;
-      case 'lockEvent':
-        await lockEvent(interaction, client, params);
-        break;
-      case 'unlockEvent':
-        await unlockEvent(interaction, client, params);
-        break;
-      case 'pauseEvent':
-        await pauseEvent(interaction, client, params);
-        break;
-      case 'resumeEvent':
-        await resumeEvent(interaction, client, params);
-        break;
-      case 'updateTime':
-        await updateTime(interaction, client, params);
-        break;
-      case 'viewBets':
-        await viewBets(interaction, client, params);
-        break;
-      case 'reopenEvent':
-        await reopenEvent(interaction, client, params);
-        break;
-      case 'announceEvent':
-        await announceEvent(interaction, client);
-        break;
-      case 'postAnnouncement':
-        await postAnnouncement(interaction, client);
-        break;
-      case 'pauseAnnouncement':
-        await pauseAnnouncement(interaction, client);
-        break;
-      default:
-        await interaction.reply({
-          content: `Unknown button action: ${buttonId}`,
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    console.error(`Error handling button ${buttonId}:`, error);
-    // Check if the interaction has already been replied to or deferred
-    if (interaction.replied || interaction.deferred) {
-      await interaction.followUp({
-        content: 'There was an error handling this button interaction.',
-        ephemeral: true
-      });
-    } else {
-      await interaction.reply({
-        content: 'There was an error handling this button interaction.',
-        ephemeral: true
-      });
-    }
-  }
-}
-
-/**
- * Handle select menu interactions for this module
- * @param {string} selectId - The ID of the select menu
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleSelect(selectId, interaction, client) {
-  try {
-    switch (selectId) {
-      case 'selectEvent':
-        await selectEventSelect(interaction, client);
-        break;
-      case 'selectAnnounceEvent':
-        await selectAnnounceEventSelect(interaction, client);
-        break;
-      case 'selectPauseEvent':
-        await selectPauseEventSelect(interaction, client);
-        break;
-      default:
-        await interaction.reply({
-          content: `Unknown select menu action: ${selectId}`,
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    console.error(`Error handling select menu ${selectId}:`, error);
-    // Check if the interaction has already been replied to or deferred
-    if (interaction.replied || interaction.deferred) {
-      await interaction.followUp({
-        content: 'There was an error handling this select menu interaction.',
-        ephemeral: true
-      });
-    } else {
-      await interaction.reply({
-        content: 'There was an error handling this select menu interaction.',
-        ephemeral: true
-      });
-    }
-  }
-}
-
-/**
- * Handle modal submit interactions for this module
- * @param {string} modalId - The ID of the modal
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleModalSubmit(modalId, interaction, client) {
-  try {
-    // Extract event ID if present in the modal ID (format: "action_eventId")
-    let params = {};
-    if (modalId.includes('_')) {
-      const [action, eventId] = modalId.split('_');
-      params = { eventId };
-      modalId = action; // Set modalId to just the action part
-    }
-
-    switch (modalId) {
-      case 'submitEditEvent':
-        await submitEditEventModalSubmit(interaction, client, params);
-        break;
-      case 'submitUpdateTime':
-        await submitUpdateTimeModalSubmit(interaction, client, params);
-        break;
-      case 'submitReopenEvent':
-        await submitReopenEventModalSubmit(interaction, client, params);
-        break;
-      default:
-        await interaction.reply({
-          content: `Unknown modal submission: ${modalId}`,
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    console.error(`Error handling modal submit ${modalId}:`, error);
-    // Check if the interaction has already been replied to or deferred
-    if (interaction.replied || interaction.deferred) {
-      await interaction.followUp({
-        content: 'There was an error handling this modal submission.',
-        ephemeral: true
-      });
-    } else {
-      await interaction.reply({
-        content: 'There was an error handling this modal submission.',
-        ephemeral: true
-      });
-    }
+// Buttons, select menus and modals of this module (see utils/router.js). Most handlers defer or
+// reply themselves; the modal submits that answer with safeReply are deferred by the router.
+const routes = {
+  permission: 'editEvent',
+  buttons: {
+    manageEvents: { handler: manageEvents, defer: false },
+    showEvent: { params: ['eventId:int'], handler: showEvent, defer: false },
+    editEvent: { params: ['eventId:int'], handler: editEvent, defer: false },
+    updateTime: { params: ['eventId:int'], handler: updateTime, defer: false },
+    viewBets: { params: ['eventId:int', 'page:int?'], handler: viewBets, defer: false },
+    staffCancelBet: { params: ['eventId:int'], handler: staffCancelBet, defer: false },
+    reopenEvent: { params: ['eventId:int'], handler: reopenEvent, defer: false },
+    adjustOdds: { params: ['eventId:int'], handler: adjustOdds, defer: false },
+    cancelEvent: { params: ['eventId:int'], handler: cancelEvent, defer: false },
+    lockEvent: { params: ['eventId:int'], handler: lockEvent, permission: 'lockEvent', defer: false },
+    unlockEvent: { params: ['eventId:int'], handler: unlockEvent, permission: 'lockEvent', defer: false },
+    pauseEvent: { params: ['eventId:int'], handler: pauseEvent, permission: 'lockEvent', defer: false },
+    resumeEvent: { params: ['eventId:int'], handler: resumeEvent, permission: 'lockEvent', defer: false },
+    announceEvent: { handler: announceEvent, permission: 'announceEvent', defer: false },
+    postAnnouncement: { handler: postAnnouncement, permission: 'announceEvent', defer: false },
+    pauseAnnouncement: { handler: pauseAnnouncement, permission: 'announceEvent', defer: false }
+  },
+  selects: {
+    selectEvent: { handler: selectEventSelect, defer: false },
+    selectAnnounceEvent: { handler: selectAnnounceEventSelect, permission: 'announceEvent', defer: false },
+    selectPauseEvent: { handler: selectPauseEventSelect, permission: 'lockEvent', defer: false }
+  },
+  modals: {
+    submitEditEvent: { params: ['eventId:int'], handler: submitEditEventModalSubmit, defer: false },
+    submitUpdateTime: { params: ['eventId:int'], handler: submitUpdateTimeModalSubmit, defer: false },
+    submitReopenEvent: { params: ['eventId:int'], handler: submitReopenEventModalSubmit, defer: false },
+    submitStaffCancelBet: { params: ['eventId:int'], handler: submitStaffCancelBetModalSubmit },
+    submitAdjustOdds: { params: ['eventId:int'], handler: submitAdjustOddsModalSubmit },
+    submitCancelEvent: { params: ['eventId:int'], handler: submitCancelEventModalSubmit }
   }
-}
+};
 
 module.exports = {
   manageEvents,
   selectEventSelect,
+  showEvent,
   editEvent,
   submitEditEventModalSubmit,
   lockEvent,
@@ -1992,14 +2117,18 @@ module.exports = {
   updateTime,
   submitUpdateTimeModalSubmit,
   viewBets,
+  staffCancelBet,
+  submitStaffCancelBetModalSubmit,
   reopenEvent,
   submitReopenEventModalSubmit,
+  adjustOdds,
+  submitAdjustOddsModalSubmit,
+  cancelEvent,
+  submitCancelEventModalSubmit,
   announceEvent,
   postAnnouncement,
   selectAnnounceEventSelect,
   pauseAnnouncement,
   selectPauseEventSelect,
-  handleButton,
-  handleSelect,
-  handleModalSubmit
+  routes
 };
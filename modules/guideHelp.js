@@ -4,6 +4,7 @@ const { createSuccessEmbed, createErrorEmbed } = require('../utils/embeds');
 const { safeReply, safeDefer, safeUpdate, handleInteractionError } = require('../utils/interactions');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { buttonId } = require('../utils/router');
 
 // Help topics
 const helpTopics = {
@@ -21,24 +22,30 @@ const helpTopics = {
     description: 'Events are the core of the KrayStakes system. Here\'s how they work:',
     fields: [
       { name: 'Event Types', value: 'Boxing, Racing, Paintball, and Custom events are supported.' },
-      { name: 'Event Status', value: '**Pending** - Event is scheduled but not yet open for betting\n**Open** - Event is open for betting\n**Locked** - Betting is closed, event in progress\n**Paused** - Event is temporarily paused\n**Completed** - Event is over, winners announced\n**Cancelled** - Event was cancelled, bets refunded' },
-      { name: 'Viewing Events', value: 'Events are announced in the designated announcements channel.' }
+      { name: 'Event Status', value: '**Pending** - Event is scheduled but not yet open for betting\n**Open** - Event is open for betting\n**Locked** - Betting is closed, event in progress (betting locks automatically when the event starts)\n**Paused** - Event is temporarily paused\n**Completed** - Event is over, winners announced\n**Cancelled** - Event was cancelled, bets refunded' },
+      { name: 'Viewing Events', value: 'Events are announced in the designated announcements channel.' },
+      { name: 'Reminders', value: 'Reminders are posted before an event starts. If you have a bet on an event, you also get them by DM. To get them by DM without betting, click "Remind Me" on the event announcement; click it again to stop.' }
     ]
   },
   betting: {
     title: 'Betting Guide',
     description: 'How to place bets and understand the betting system:',
     fields: [
-      { name: 'Placing Bets', value: 'Click the "Place Bet" button on an event announcement to place a bet. Follow the prompts to select your choice and bet amount.' },
+      { name: 'Placing Bets', value: 'Click the "Place Bet" button on an event announcement to place a bet. Follow the prompts to select your choice and bet amount.\n\nYou can also use `/bet` to place a bet directly. Your stake is taken from your wallet.' },
+      { name: 'Markets', value: 'Some events offer extra markets besides the main result, such as method of victory or round of finish. Each market has its own odds and limits and is settled separately. Pick one from the "Place Bet" menu, or use the `market` option of `/bet`.' },
+      { name: 'Racing: Place & Each-Way', value: `On fixed-odds races you can switch the "Place Bet" menu (or the \`type\` option of \`/bet\`) to a place or each-way bet. A place bet pays at ${Math.round(config.defaultRacing.placeOddsFraction * 100)}% of the win odds' profit if your pick finishes in the top ${config.defaultRacing.placePositions}. An each-way bet splits your stake equally between a win bet and a place bet.` },
+      { name: 'Racing: Forecasts & Tricasts', value: 'Pick "Forecast" or "Tricast" in the "Place Bet" menu (or the `type` option of `/bet`) to predict the first two or three finishers of a race in order; you pick the runners one place at a time. Only the exact order wins, and these bets have their own odds or pool, separate from win bets.' },
+      { name: 'Parlays', value: `Click "Add to Parlay" on event announcements to collect picks from different events on your bet slip, then place them as one bet with \`/betslip\`. The odds are multiplied together, and every leg must win for the parlay to pay. Legs on cancelled events drop out. Up to ${config.defaultBetting.maxParlayLegs} legs.` },
+      { name: 'Your Wallet', value: 'Use `/wallet` to see your balance and transactions. To deposit, make an in-game bank transfer and submit a screenshot of it with `/processpics`; a Payout Manager credits it once verified. You can request a withdrawal from the `/wallet` screen.' },
       { name: 'Bet Limits', value: `Minimum bet: ${config.defaultBetting.minBet} coins\nMaximum bet: ${config.defaultBetting.maxBet} coins\nMax bets per user: ${config.defaultBetting.limitPerUser} per event` },
-      { name: 'Cancelling Bets', value: 'You can cancel a bet before the event is locked by viewing your bets and selecting the cancel option.' }
+      { name: 'Cancelling Bets', value: `Use \`/mybets\` to see all your bets and your profit/loss. To cancel, click "My Bets" on the event announcement. While the event is open, you can cancel a bet within ${config.defaultBetting.cancelGraceMinutes} minutes of placing it and the stake is refunded to your wallet.` }
     ]
   },
   payouts: {
     title: 'Payout Guide',
     description: 'How payouts work:',
     fields: [
-      { name: 'Winning Bets', value: 'If your choice wins, you\'ll receive a payout based on the odds and your bet amount.' },
+      { name: 'Winning Bets', value: 'If your choice wins, your winnings are credited to your wallet based on the odds and your bet amount.' },
       { name: 'Fees', value: `A ${config.defaultBetting.feePercent}% fee is applied to all winnings.` },
       { name: 'Payout Process', value: `Small payouts (under ${config.defaultPayout.autoPayoutThreshold} coins) are processed automatically. Larger payouts require manual processing by a Payout Manager.` },
       { name: 'Payout Window', value: `You have ${config.defaultPayout.payoutWindow} days to claim your payout after an event ends.` }
@@ -51,7 +58,8 @@ const helpTopics = {
       { name: 'Administrators', value: 'Full access to all bot functions, including configuration, events, payouts, and reports.' },
       { name: 'Event Managers', value: 'Can create, edit, and manage events. Can also announce events and handle winner selection.' },
       { name: 'Payout Managers', value: 'Can process payouts and view payout history. Cannot create or manage events.' },
-      { name: 'Regular Users', value: 'Can view events, place bets, view their bet history, and receive payouts.' }
+      { name: 'Regular Users', value: 'Can view events, place bets, view their bet history, and receive payouts.' },
+      { name: 'Custom Permissions', value: 'Server admins can give each admin panel action to other roles under Configuration Settings → Edit Permissions.' }
     ]
   }
 };
@@ -84,27 +92,27 @@ async function showHelpMenu(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('guideHelp:general')
+          .setCustomId(buttonId('guideHelp', 'topic', { topic: 'general' }))
           .setLabel('General Info')
           .setEmoji('📋')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('guideHelp:events')
+          .setCustomId(buttonId('guideHelp', 'topic', { topic: 'events' }))
           .setLabel('Events')
           .setEmoji('🎮')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('guideHelp:betting')
+          .setCustomId(buttonId('guideHelp', 'topic', { topic: 'betting' }))
           .setLabel('Betting')
           .setEmoji('💰')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('guideHelp:payouts')
+          .setCustomId(buttonId('guideHelp', 'topic', { topic: 'payouts' }))
           .setLabel('Payouts')
           .setEmoji('💸')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('guideHelp:roles')
+          .setCustomId(buttonId('guideHelp', 'topic', { topic: 'roles' }))
           .setLabel('Roles')
           .setEmoji('👑')
           .setStyle(ButtonStyle.Primary)
@@ -163,7 +171,7 @@ async function showTopic(interaction, topic) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('guideHelp:menu')
+          .setCustomId(buttonId('guideHelp', 'showHelpMenu'))
           .setLabel('Back to Help Menu')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -179,107 +187,16 @@ async function showTopic(interaction, topic) {
   }
 }
 
-/**
- * Handle button clicks for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleButton(buttonId, interaction, client) {
-  try {
-    // Validate inputs first
-    if (!interaction) {
-      logger.error(`Guide help handleButton called with null interaction for button: ${buttonId}`);
-      return;
-    }
-    
-    if (!buttonId) {
-      logger.error('Guide help handleButton called with null buttonId');
-      // Only attempt to reply if not already acknowledged
-      if (!interaction.deferred && !interaction.replied) {
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed('Error', 'Invalid help button ID.')],
-          ephemeral: true
-        });
-      }
-      return;
-    }
-    
-    // Defer only if the interaction hasn't been deferred or replied to
-    let deferSuccess = false;
-    if (!interaction.deferred && !interaction.replied) {
-      deferSuccess = await safeDeferUpdate(interaction);
-    } else {
-      deferSuccess = true; // Interaction is already deferred or replied to
-    }
-    
-    // If deferral failed, the interaction might have expired - try to create a new reply instead
-    if (!deferSuccess) {
-      logger.warn(`Failed to defer update for '${buttonId}' button, attempting to create a new message`);
-      
-      // For the main menu button, show the full help menu again with a fresh interaction
-      if (buttonId === 'menu') {
-        // Only create a new reply if the interaction hasn't been replied to
-        if (!interaction.replied) {
-          return await safeReply(interaction, {
-            content: "Here's the help menu again (the previous interaction expired):",
-            ephemeral: true
-          }, true).then(() => showHelpMenu(interaction, client));
-        }
-        return await showHelpMenu(interaction, client);
-      }
-      
-      // For other buttons, inform the user and suggest using /help again
-      // Only if the interaction hasn't been replied to
-      if (!interaction.replied) {
-        return await safeReply(interaction, {
-          embeds: [createErrorEmbed(
-            'Interaction Expired', 
-            'This button interaction has expired. Please use the `/help` command again to view the help menu.'
-          )],
-          ephemeral: true
-        });
-      }
-      return;
-    }
-    
-    // Process the button click if deferral was successful
-    switch (buttonId) {
-      case 'menu':
-        return await showHelpMenu(interaction, client);
-      case 'general':
-      case 'events':
-      case 'betting':
-      case 'payouts':
-      case 'roles':
-        return await showTopic(interaction, buttonId);
-      default:
-        logger.warn(`Unknown guide/help button ID clicked: ${buttonId}`);
-        return await safeUpdate(interaction, {
-          embeds: [createErrorEmbed('Unknown Button', `This button is not configured properly. Please use the /help command again.`)],
-          components: []
-        });
-    }
-  } catch (error) {
-    logger.error(`Error handling button ${buttonId} in Guide & Help module:`, error);
-    
-    // Try to provide helpful error message to user
-    try {
-      await safeReply(interaction, {
-        embeds: [createErrorEmbed(
-          'Error Processing Help', 
-          'There was an error processing your help request. Please try using the `/help` command again.'
-        )],
-        ephemeral: true
-      });
-    } catch (replyError) {
-      logger.error('Failed to send error message after button handling failed:', replyError);
-    }
+// Buttons of this module (see utils/router.js)
+const routes = {
+  buttons: {
+    showHelpMenu: { handler: showHelpMenu },
+    topic: { params: ['topic:string'], handler: (interaction, client, { topic }) => showTopic(interaction, topic) }
   }
-}
+};
 
 module.exports = {
   showHelpMenu,
   showTopic,
-  handleButton
+  routes
 };
\ No newline at end of file
@@ -0,0 +1,525 @@
+// KrayStakes Discord Bot - Job Scheduler Module
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, Events } = require('discord.js');
+const cron = require('node-cron');
+const { createErrorEmbed } = require('../utils/embeds');
+const { formatDate, getTimeRemaining, getNextCronTime, parseReminderTimes } = require('../utils/timeUtils');
+const { safeReply, safeUpdate, handleInteractionError } = require('../utils/interactions');
+const { isMaintenanceMode } = require('../utils/maintenance');
+const { getGuildSettings, getGuildTimezone, getGuildIds } = require('../utils/guildSettings');
+const { TOGGLEABLE_MODULES, isModuleEnabled } = require('../utils/moduleToggles');
+const { buttonId, selectId } = require('../utils/router');
+const { hasBotWideAccess } = require('../utils/permissions');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Most missed runs replayed on startup for a job with the 'all' catch-up policy
+const MAX_CATCH_UP_RUNS = 50;
+
+// Emoji shown for each job's last result in the jobs panel
+const STATUS_EMOJIS = {
+  success: '✅',
+  failed: '❌',
+  skipped: '⏭️'
+};
+
+// Configuration keys holding the schedule settings, which take precedence over config.js
+const SCHEDULE_SETTING_KEYS = [
+  'weeklyReportDay',
+  'weeklyReportHour',
+  'monthlyReportDay',
+  'monthlyReportHour',
+  'reminderTimes',
+  'leaderboardPostTime'
+];
+
+// Jobs registered in code, keyed by name: { schedule, catchUpPolicy, description, perGuild, module, run }
+const jobDefinitions = new Map();
+
+// Names of the jobs currently running, so a slow job is never started twice
+const runningJobs = new Set();
+
+// The once-a-minute tick that runs due jobs
+let ticker = null;
+
+/**
+ * Get a server's effective schedule settings: values saved in Configuration Settings, falling back to config.js
+ * @param {string|null} guildId - Discord server ID, or null for the config.js defaults
+ * @returns {Promise<Object>} - { weeklyReportDay, weeklyReportHour, monthlyReportDay, monthlyReportHour,
+ *   reminderTimes, leaderboardPostTime }
+ */
+async function getScheduleSettings(guildId) {
+  const values = guildId ? await getGuildSettings(guildId, SCHEDULE_SETTING_KEYS) : {};
+
+  const number = (key, fallback) => {
+    const value = parseInt(values[key], 10);
+    return isNaN(value) ? fallback : value;
+  };
+  const reminderTimes = parseReminderTimes(values.reminderTimes);
+
+  return {
+    weeklyReportDay: number('weeklyReportDay', config.reports.weeklyReportDay ?? 1),
+    weeklyReportHour: number('weeklyReportHour', config.reports.weeklyReportHour ?? 9),
+    monthlyReportDay: number('monthlyReportDay', config.reports.monthlyReportDay ?? 1),
+    monthlyReportHour: number('monthlyReportHour', config.reports.monthlyReportHour ?? 9),
+    reminderTimes: values.reminderTimes !== undefined && reminderTimes ? reminderTimes : config.reminderTimes || [1440, 60, 15],
+    leaderboardPostTime: values.leaderboardPostTime || config.leaderboard.postTime
+  };
+}
+
+/**
+ * Register a job. Its schedule and run history are kept in the scheduled_jobs table, so runs
+ * missed while the bot was offline can be caught up on startup.
+ * @param {string} name - Unique job name
+ * @param {Object} definition - The job definition
+ * @param {string|Function} definition.schedule - Cron expression (minute hour day-of-month month day-of-week),
+ *   or a function building one from the schedule settings (see getScheduleSettings)
+ * @param {string} [definition.catchUpPolicy] - 'once' (default), 'skip' or 'all' for runs missed while offline
+ * @param {string} [definition.description] - What the job does, shown in the jobs panel
+ * @param {boolean} [definition.perGuild] - Run the job separately for each server, on that server's schedule;
+ *   each server gets its own job row, named <name>:<guildId>
+ * @param {string} [definition.module] - Module the job belongs to (see utils/moduleToggles.js); the runs of a
+ *   per-server job are skipped while its server has the module off, and bot-wide jobs leave those servers out themselves
+ * @param {Function} definition.run - async (client, { scheduledFor, catchUp, guildId }) => void; throw to record a failure
+ */
+function registerJob(name, definition) {
+  // Fail at startup rather than at the first tick if a fixed schedule is invalid
+  if (typeof definition.schedule === 'string') {
+    getNextCronTime(definition.schedule);
+  }
+  jobDefinitions.set(name, { catchUpPolicy: 'once', perGuild: false, ...definition });
+}
+
+/**
+ * Get the registered job name of a job row, without the server suffix of per-server jobs
+ * @param {Object} job - The ScheduledJob row
+ * @returns {string} - The job name
+ */
+function getJobName(job) {
+  return job.guildId ? job.name.split(':')[0] : job.name;
+}
+
+/**
+ * Get the registered definition of a job row
+ * @param {Object} job - The ScheduledJob row
+ * @returns {Object|undefined} - The job definition, if the job is still registered
+ */
+function getJobDefinition(job) {
+  return jobDefinitions.get(getJobName(job));
+}
+
+/**
+ * Check whether a per-server job row is skipped because its server turned the job's module off
+ * @param {Object} job - The ScheduledJob row
+ * @returns {Promise<boolean>} - Whether the job's runs are skipped
+ */
+async function isJobTurnedOff(job) {
+  const definition = getJobDefinition(job);
+  return Boolean(definition && definition.module && job.guildId) && !await isModuleEnabled(job.guildId, definition.module);
+}
+
+/**
+ * Create or update one job row from its current schedule
+ * @param {string} name - Job row name
+ * @param {Object} definition - The job definition
+ * @param {string} schedule - Cron expression
+ * @param {string|null} guildId - Discord server ID the row runs for, or null
+ * @param {Date} now - The current time
+ * @returns {Promise<void>}
+ */
+async function syncJob(name, definition, schedule, guildId, now) {
+  const { ScheduledJob } = require('../database/models');
+
+  let nextRunAt;
+  try {
+    nextRunAt = getNextCronTime(schedule, now);
+  } catch (error) {
+    logger.error(`Scheduled job "${name}" has an invalid schedule "${schedule}"; keeping its current schedule:`, error);
+    return;
+  }
+
+  const [job, created] = await ScheduledJob.findOrCreate({
+    where: { name },
+    defaults: {
+      guildId,
+      description: definition.description,
+      schedule,
+      catchUpPolicy: definition.catchUpPolicy,
+      nextRunAt
+    }
+  });
+
+  if (!created && (job.schedule !== schedule || job.catchUpPolicy !== definition.catchUpPolicy ||
+      job.description !== definition.description)) {
+    await job.update({
+      description: definition.description,
+      schedule,
+      catchUpPolicy: definition.catchUpPolicy,
+      nextRunAt: job.schedule !== schedule ? nextRunAt : job.nextRunAt
+    });
+    logger.info(`Scheduled job "${name}" updated to "${schedule}" (catch-up: ${definition.catchUpPolicy})`);
+  }
+}
+
+/**
+ * Create or update the job rows for the registered jobs from the current schedule settings.
+ * Per-server jobs get a row for each server the bot has settings for.
+ * A job whose schedule changed has its next run time worked out again from now.
+ * @returns {Promise<void>}
+ */
+async function syncJobs() {
+  const now = new Date();
+  const guildIds = await getGuildIds();
+  const defaultSettings = await getScheduleSettings(null);
+
+  for (const [name, definition] of jobDefinitions) {
+    const resolve = settings => typeof definition.schedule === 'function' ? definition.schedule(settings) : definition.schedule;
+
+    if (!definition.perGuild) {
+      await syncJob(name, definition, resolve(defaultSettings), null, now);
+      continue;
+    }
+
+    for (const guildId of guildIds) {
+      await syncJob(`${name}:${guildId}`, definition, resolve(await getScheduleSettings(guildId)), guildId, now);
+    }
+  }
+}
+
+/**
+ * Reschedule the jobs after their schedule settings changed, so the new times apply without a restart
+ * @returns {Promise<void>}
+ */
+async function refreshSchedules() {
+  await syncJobs();
+  logger.info('Scheduled jobs refreshed from the schedule settings');
+}
+
+/**
+ * List the fire times of a schedule from a missed run up to now
+ * @param {string} schedule - Cron expression
+ * @param {Date} firstMissed - The first missed fire time
+ * @param {Date} now - The current time
+ * @returns {Array<Date>} - The missed fire times, oldest first, at most MAX_CATCH_UP_RUNS of the latest
+ */
+function listMissedRuns(schedule, firstMissed, now) {
+  const missed = [];
+  for (let time = firstMissed; time && time <= now; time = getNextCronTime(schedule, time)) {
+    missed.push(time);
+    if (missed.length > MAX_CATCH_UP_RUNS) missed.shift();
+  }
+  return missed;
+}
+
+/**
+ * Run a job and record the result, error and next run time on its row
+ * @param {Client} client - The Discord client instance
+ * @param {Object} job - The ScheduledJob row
+ * @param {Date} scheduledFor - The fire time being run
+ * @param {boolean} [catchUp] - Whether this run catches up on a missed fire time
+ * @returns {Promise<boolean>} - Whether the job ran successfully
+ */
+async function runJob(client, job, scheduledFor, catchUp = false) {
+  const definition = getJobDefinition(job);
+  if (!definition || runningJobs.has(job.name)) {
+    return false;
+  }
+
+  // Move on to the next run without recording one, so the job's history shows its last real run
+  if (await isJobTurnedOff(job)) {
+    logger.debug(`Skipping scheduled job "${job.name}": the ${definition.module} module is turned off in server ${job.guildId}`);
+    await job.update({ nextRunAt: getNextCronTime(job.schedule, new Date()) });
+    return false;
+  }
+
+  runningJobs.add(job.name);
+  const startedAt = new Date();
+  let error = null;
+
+  try {
+    logger.debug(`Running scheduled job "${job.name}"${catchUp ? ` (catching up on ${scheduledFor.toISOString()})` : ''}`);
+    await definition.run(client, { scheduledFor, catchUp, guildId: job.guildId });
+  } catch (runError) {
+    error = runError;
+    logger.error(`Scheduled job "${job.name}" failed:`, runError);
+  } finally {
+    runningJobs.delete(job.name);
+  }
+
+  await job.update({
+    lastRunAt: startedAt,
+    lastStatus: error ? 'failed' : 'success',
+    lastError: error ? (error.message || String(error)).substring(0, 1000) : null,
+    lastDurationMs: Date.now() - startedAt.getTime(),
+    runCount: job.runCount + 1,
+    failureCount: job.failureCount + (error ? 1 : 0),
+    nextRunAt: getNextCronTime(job.schedule, new Date())
+  });
+
+  return !error;
+}
+
+/**
+ * Deal with the runs each job missed while the bot was offline, following its catch-up policy
+ * @param {Client} client - The Discord client instance
+ * @returns {Promise<void>}
+ */
+async function catchUpMissedJobs(client) {
+  const { ScheduledJob } = require('../database/models');
+  const { Op } = require('sequelize');
+  const now = new Date();
+
+  const jobs = await ScheduledJob.findAll({ where: { enabled: true, nextRunAt: { [Op.lte]: now } } });
+  for (const job of jobs) {
+    if (!getJobDefinition(job)) continue;
+
+    const missed = listMissedRuns(job.schedule, job.nextRunAt, now);
+    logger.info(`Scheduled job "${job.name}" missed ${missed.length} run(s) while offline (catch-up: ${job.catchUpPolicy})`);
+
+    if (job.catchUpPolicy === 'skip') {
+      await job.update({ lastStatus: 'skipped', nextRunAt: getNextCronTime(job.schedule, now) });
+    } else if (job.catchUpPolicy === 'all') {
+      for (const scheduledFor of missed) {
+        await runJob(client, job, scheduledFor, true);
+      }
+    } else {
+      await runJob(client, job, missed[missed.length - 1] || job.nextRunAt, true);
+    }
+  }
+}
+
+/**
+ * Run every enabled job whose next run time has come
+ * @param {Client} client - The Discord client instance
+ * @returns {Promise<void>}
+ */
+async function runDueJobs(client) {
+  // Due jobs wait until maintenance (e.g. a database restore) is over
+  if (isMaintenanceMode()) return;
+
+  const { ScheduledJob } = require('../database/models');
+  const { Op } = require('sequelize');
+
+  const jobs = await ScheduledJob.findAll({
+    where: { enabled: true, nextRunAt: { [Op.lte]: new Date() } },
+    order: [['nextRunAt', 'ASC']]
+  });
+
+  for (const job of jobs) {
+    await runJob(client, job, job.nextRunAt);
+  }
+}
+
+/**
+ * Get the names of the jobs that are running right now
+ * @returns {Array<string>} - The running job names
+ */
+function getRunningJobs() {
+  return [...runningJobs];
+}
+
+/**
+ * Start the scheduler: sync the registered jobs to the database, then once the client is
+ * ready catch up on missed runs and check for due jobs every minute
+ * @param {Client} client - The Discord client instance
+ * @returns {Promise<void>}
+ */
+async function startScheduler(client) {
+  await syncJobs();
+
+  if (ticker) {
+    ticker.stop();
+    ticker = null;
+  }
+
+  const start = async () => {
+    await catchUpMissedJobs(client);
+
+    ticker = cron.schedule('* * * * *', async () => {
+      try {
+        await runDueJobs(client);
+      } catch (error) {
+        logger.error('Error running due scheduled jobs:', error);
+      }
+    });
+
+    logger.info(`Job scheduler started with ${jobDefinitions.size} jobs`);
+  };
+
+  if (client.isReady()) {
+    await start();
+  } else {
+    client.once(Events.ClientReady, () => {
+      start().catch(error => logger.error('Error starting job scheduler:', error));
+    });
+  }
+}
+
+/**
+ * Check whether a job row may be seen and run from an interaction: a server's own jobs, and the
+ * bot-wide jobs (such as backups) only for the bot owner or in the home server
+ * @param {Object} job - The ScheduledJob row
+ * @param {Interaction} interaction - The interaction showing or running the job
+ * @returns {boolean} - Whether the job may be seen and run
+ */
+function isJobVisible(job, interaction) {
+  return job.guildId ? job.guildId === interaction.guildId : hasBotWideAccess(interaction);
+}
+
+/**
+ * Create the jobs panel listing each job's schedule, next fire time and last result
+ * @param {Interaction} interaction - The interaction the panel is shown for
+ * @returns {Promise<Object>} - Message options ({ embeds, components })
+ */
+async function createJobsPanel(interaction) {
+  const { ScheduledJob } = require('../database/models');
+  const { Op } = require('sequelize');
+  const guildId = interaction.guildId;
+  const jobs = (await ScheduledJob.findAll({
+    where: { [Op.or]: [{ guildId: null }, { guildId }] },
+    order: [['name', 'ASC']]
+  })).filter(job => isJobVisible(job, interaction));
+
+  // Get the server's timezone from database or use default
+  const timezone = await getGuildTimezone(guildId);
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('⏱️ Scheduled Jobs')
+    .setDescription('Timed jobs are stored in the database, so runs missed while the bot is offline are caught up on startup.')
+    .setFooter({ text: `Timezone: ${timezone}` })
+    .setTimestamp();
+
+  for (const job of jobs.slice(0, 25)) {
+    const lines = [
+      job.description || '*No description*',
+      `**Schedule:** \`${job.schedule}\` | **Catch-up:** ${job.catchUpPolicy}`,
+      job.enabled && job.nextRunAt
+        ? `**Next run:** ${formatDate(job.nextRunAt, 'PPpp', timezone)} (${getTimeRemaining(job.nextRunAt)})`
+        : '**Next run:** disabled',
+      job.lastRunAt
+        ? `**Last run:** ${STATUS_EMOJIS[job.lastStatus] || ''} ${formatDate(job.lastRunAt, 'PPpp', timezone)} ` +
+          `(${job.lastDurationMs} ms, ${job.failureCount}/${job.runCount} failed)`
+        : `**Last run:** ${job.lastStatus === 'skipped' ? `${STATUS_EMOJIS.skipped} missed runs skipped` : 'never'}`
+    ];
+    if (job.lastStatus === 'failed' && job.lastError) {
+      lines.push(`**Last error:** ${job.lastError}`);
+    }
+    if (await isJobTurnedOff(job)) {
+      lines.push(`⏸️ Skipped while ${TOGGLEABLE_MODULES[getJobDefinition(job).module].label} is turned off`);
+    }
+    if (!getJobDefinition(job)) {
+      lines.push('⚠️ No longer registered in code');
+    }
+
+    embed.addFields({ name: `${getJobName(job)}${runningJobs.has(job.name) ? ' (running)' : ''}`, value: lines.join('\n').substring(0, 1024) });
+  }
+
+  if (jobs.length === 0) {
+    embed.addFields({ name: 'No Jobs', value: 'No jobs have been registered yet.' });
+  }
+
+  const components = [];
+  const runnable = jobs.filter(job => getJobDefinition(job));
+  if (runnable.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(selectId('jobScheduler', 'runJob'))
+        .setPlaceholder('Run a job now...')
+        .addOptions(runnable.slice(0, 25).map(job => ({
+          label: getJobName(job).substring(0, 100),
+          description: (job.description || job.schedule).substring(0, 100),
+          value: job.name
+        })))
+    ));
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(buttonId('jobScheduler', 'viewJobs'))
+      .setLabel('🔄 Refresh')
+      .setStyle(ButtonStyle.Secondary)
+  ));
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Show the jobs panel
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function viewJobs(interaction, client) {
+  try {
+    await safeUpdate(interaction, await createJobsPanel(interaction));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'jobScheduler viewJobs');
+  }
+}
+
+/**
+ * Run the selected job now, outside its schedule, and refresh the jobs panel
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function runJobSelect(interaction, client) {
+  try {
+    const { ScheduledJob } = require('../database/models');
+    const job = await ScheduledJob.findOne({ where: { name: interaction.values[0] } });
+
+    if (!job || !getJobDefinition(job) || !isJobVisible(job, interaction)) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Job Not Found', 'That job is not registered.')]
+      });
+    }
+
+    if (runningJobs.has(job.name)) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Job Running', `"${job.name}" is already running.`)]
+      });
+    }
+
+    if (await isJobTurnedOff(job)) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed(
+          'Module Turned Off',
+          `"${getJobName(job)}" belongs to ${TOGGLEABLE_MODULES[getJobDefinition(job).module].label}, which is turned off in this server.`
+        )]
+      });
+    }
+
+    await runJob(client, job, new Date());
+
+    logger.db.info(`Scheduled job "${job.name}" run manually by ${interaction.user.tag}`, {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      type: 'scheduled_job_run',
+      metadata: { job: job.name, status: job.lastStatus }
+    });
+
+    await safeUpdate(interaction, await createJobsPanel(interaction));
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'jobScheduler runJob');
+  }
+}
+
+// Buttons and select menus of this module (see utils/router.js)
+const routes = {
+  permission: 'manageJobs',
+  buttons: {
+    viewJobs: { handler: viewJobs }
+  },
+  selects: {
+    runJob: { handler: runJobSelect }
+  }
+};
+
+module.exports = {
+  SCHEDULE_SETTING_KEYS,
+  getScheduleSettings,
+  registerJob,
+  refreshSchedules,
+  startScheduler,
+  runDueJobs,
+  getRunningJobs,
+  createJobsPanel,
+  routes
+};
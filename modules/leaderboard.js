@@ -1,11 +1,12 @@
 // KrayStakes Discord Bot - Persistent Leaderboard & Data Channel Module
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { Models } = require('../database/models');
+const { fn, col, literal } = require('sequelize');
+const { Bet, Payout, Event, Configuration } = require('../database/models');
 const logger = require('../utils/logger');
-const config = require('../config');
-const { checkPermission } = require('../utils/permissions');
 const { createSuccessEmbed, createErrorEmbed } = require('../utils/embeds');
+const { buttonId } = require('../utils/router');
 const { formatDate } = require('../utils/timeUtils');
+const { getGuildTimezone, getGuildChannel } = require('../utils/guildSettings');
 
 /**
  * Generate and display leaderboard
@@ -14,35 +15,26 @@ const { formatDate } = require('../utils/timeUtils');
  */
 async function generateLeaderboard(interaction, client) {
   try {
-    // Check permissions
-    if (!checkPermission(interaction, 'ADMIN')) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You do not have permission to generate a leaderboard.')],
-        ephemeral: true
-      });
-      return;
-    }
-
     await interaction.deferReply({ ephemeral: true });
 
     // Create leaderboard embed
-    const embed = await createLeaderboardEmbed();
+    const embed = await createLeaderboardEmbed(interaction.guildId);
 
     // Create buttons
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('leaderboard:updateLeaderboard')
+          .setCustomId(buttonId('leaderboard', 'updateLeaderboard'))
           .setLabel('Update Leaderboard')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🔄'),
         new ButtonBuilder()
-          .setCustomId('leaderboard:postToChannel')
+          .setCustomId(buttonId('leaderboard', 'postToChannel'))
           .setLabel('Post to Channel')
           .setStyle(ButtonStyle.Success)
           .setEmoji('📢'),
         new ButtonBuilder()
-          .setCustomId('adminPanel:back')
+          .setCustomId(buttonId('adminPanel', 'showPanel'))
           .setLabel('Back to Admin Panel')
           .setStyle(ButtonStyle.Danger)
           .setEmoji('⬅️')
@@ -63,19 +55,21 @@ async function generateLeaderboard(interaction, client) {
 }
 
 /**
- * Create the leaderboard embed
+ * Create a server's leaderboard embed
+ * @param {string} guildId - Discord server ID
  * @returns {Promise<EmbedBuilder>} The leaderboard embed
  */
-async function createLeaderboardEmbed() {
+async function createLeaderboardEmbed(guildId) {
   try {
     // Get top betters (users with most bets)
-    const topBetters = await getTopBetters();
+    const topBetters = await getTopBetters(guildId);
     
     // Get top winners (users with most winnings)
-    const topWinners = await getTopWinners();
+    const topWinners = await getTopWinners(guildId);
     
     // Get recent events
-    const recentEvents = await getRecentEvents();
+    const recentEvents = await getRecentEvents(guildId);
+    const timezone = await getGuildTimezone(guildId);
 
     // Create the embed
     const embed = new EmbedBuilder()
@@ -85,7 +79,7 @@ async function createLeaderboardEmbed() {
       .addFields(
         { name: '🔥 Top Betters (Most Active)', value: formatTopBetters(topBetters) || 'No bets placed yet', inline: false },
         { name: '💰 Top Winners (Most Winnings)', value: formatTopWinners(topWinners) || 'No winners yet', inline: false },
-        { name: '📊 Recent Events', value: formatRecentEvents(recentEvents) || 'No recent events', inline: false }
+        { name: '📊 Recent Events', value: formatRecentEvents(recentEvents, timezone) || 'No recent events', inline: false }
       )
       .setFooter({ text: `KrayStakes Ltd. • Last Updated: ${new Date().toLocaleString()}` })
       .setTimestamp();
@@ -99,22 +93,24 @@ async function createLeaderboardEmbed() {
 
 /**
  * Get top betters (users with most bets)
+ * @param {string} guildId - Discord server ID
  * @param {number} limit - Maximum number of users to return
  * @returns {Promise<Array>} Top betters
  */
-async function getTopBetters(limit = 5) {
+async function getTopBetters(guildId, limit = 5) {
   try {
     // Using Sequelize to get users with most bets
-    const topBetters = await Models.Bet.findAll({
+    const topBetters = await Bet.findAll({
+      where: { guildId },
       attributes: [
         'userId',
         'userName',
-        [Models.sequelize.fn('COUNT', Models.sequelize.col('id')), 'betCount'],
-        [Models.sequelize.fn('SUM', Models.sequelize.col('amount')), 'totalAmount']
+        [fn('COUNT', col('id')), 'betCount'],
+        [fn('SUM', col('amount')), 'totalAmount']
       ],
       group: ['userId', 'userName'],
       order: [
-        [Models.sequelize.literal('betCount'), 'DESC']
+        [literal('betCount'), 'DESC']
       ],
       limit: limit
     });
@@ -133,22 +129,24 @@ async function getTopBetters(limit = 5) {
 
 /**
  * Get top winners (users with most winnings)
+ * @param {string} guildId - Discord server ID
  * @param {number} limit - Maximum number of users to return
  * @returns {Promise<Array>} Top winners
  */
-async function getTopWinners(limit = 5) {
+async function getTopWinners(guildId, limit = 5) {
   try {
     // Using Sequelize to get users with most winnings
-    const topWinners = await Models.Payout.findAll({
+    const topWinners = await Payout.findAll({
+      where: { guildId },
       attributes: [
         'userId',
         'userName',
-        [Models.sequelize.fn('COUNT', Models.sequelize.col('id')), 'winCount'],
-        [Models.sequelize.fn('SUM', Models.sequelize.col('amount')), 'totalWinnings']
+        [fn('COUNT', col('id')), 'winCount'],
+        [fn('SUM', col('amount')), 'totalWinnings']
       ],
       group: ['userId', 'userName'],
       order: [
-        [Models.sequelize.literal('totalWinnings'), 'DESC']
+        [literal('totalWinnings'), 'DESC']
       ],
       limit: limit
     });
@@ -167,15 +165,17 @@ async function getTopWinners(limit = 5) {
 
 /**
  * Get recent events
+ * @param {string} guildId - Discord server ID
  * @param {number} limit - Maximum number of events to return
  * @returns {Promise<Array>} Recent events
  */
-async function getRecentEvents(limit = 5) {
+async function getRecentEvents(guildId, limit = 5) {
   try {
     // Using Sequelize to get recent events with winner information
-    const recentEvents = await Models.Event.findAll({
+    const recentEvents = await Event.findAll({
       attributes: ['id', 'name', 'eventType', 'status', 'eventTime'],
       where: {
+        guildId,
         status: 'COMPLETED'
       },
       order: [
@@ -184,7 +184,7 @@ async function getRecentEvents(limit = 5) {
       limit: limit,
       include: [
         {
-          model: Models.Bet,
+          model: Bet,
           attributes: ['id'],
           required: false
         }
@@ -193,12 +193,12 @@ async function getRecentEvents(limit = 5) {
 
     return await Promise.all(recentEvents.map(async event => {
       // Count the total bet amount for this event
-      const totalBetAmount = await Models.Bet.sum('amount', {
+      const totalBetAmount = await Bet.sum('amount', {
         where: { eventId: event.id }
       }) || 0;
 
       // Count the number of bets for this event
-      const betCount = await Models.Bet.count({
+      const betCount = await Bet.count({
         where: { eventId: event.id }
       });
 
@@ -252,15 +252,16 @@ function formatTopWinners(topWinners) {
 /**
  * Format recent events for display
  * @param {Array} recentEvents - Array of recent events
+ * @param {string} timezone - The timezone to show dates in
  * @returns {string} Formatted text
  */
-function formatRecentEvents(recentEvents) {
+function formatRecentEvents(recentEvents, timezone) {
   if (!recentEvents || recentEvents.length === 0) {
     return 'No recent events';
   }
 
   return recentEvents.map(event => {
-    const formattedDate = formatDate(event.eventTime, config.timezone);
+    const formattedDate = formatDate(event.eventTime, timezone);
     return `🗓️ **${event.name}** (${event.eventType}) - ${event.betCount} bets totaling ${event.totalBetAmount} coins (${formattedDate})`;
   }).join('\n');
 }
@@ -275,23 +276,23 @@ async function updateLeaderboard(interaction, client) {
     await interaction.deferUpdate();
 
     // Create updated leaderboard embed
-    const embed = await createLeaderboardEmbed();
+    const embed = await createLeaderboardEmbed(interaction.guildId);
 
     // Create buttons
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('leaderboard:updateLeaderboard')
+          .setCustomId(buttonId('leaderboard', 'updateLeaderboard'))
           .setLabel('Update Leaderboard')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🔄'),
         new ButtonBuilder()
-          .setCustomId('leaderboard:postToChannel')
+          .setCustomId(buttonId('leaderboard', 'postToChannel'))
           .setLabel('Post to Channel')
           .setStyle(ButtonStyle.Success)
           .setEmoji('📢'),
         new ButtonBuilder()
-          .setCustomId('adminPanel:back')
+          .setCustomId(buttonId('adminPanel', 'showPanel'))
           .setLabel('Back to Admin Panel')
           .setStyle(ButtonStyle.Danger)
           .setEmoji('⬅️')
@@ -319,38 +320,20 @@ async function updateLeaderboard(interaction, client) {
  */
 async function postLeaderboardToChannel(interaction, client) {
   try {
-    // Check permissions
-    if (!checkPermission(interaction, 'ADMIN')) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You do not have permission to post the leaderboard.')],
-        ephemeral: true
-      });
-      return;
-    }
-
     await interaction.deferUpdate();
 
-    // Get the channel for leaderboard posts
-    const channelId = config.channels.reports;
-    if (!channelId) {
-      await interaction.followUp({
-        embeds: [createErrorEmbed('Configuration Error', 'Leaderboard channel is not configured. Please set the REPORTS_CHANNEL in configuration.')],
-        ephemeral: true
-      });
-      return;
-    }
-
-    const channel = await client.channels.fetch(channelId).catch(() => null);
+    // Get the server's channel for leaderboard posts
+    const channel = await getGuildChannel(client, interaction.guildId, 'leaderboard');
     if (!channel) {
       await interaction.followUp({
-        embeds: [createErrorEmbed('Channel Error', 'Could not find the configured leaderboard channel.')],
+        embeds: [createErrorEmbed('Configuration Error', 'No leaderboard channel is configured for this server. Please set one in Configuration Settings.')],
         ephemeral: true
       });
       return;
     }
 
     // Create leaderboard embed
-    const embed = await createLeaderboardEmbed();
+    const embed = await createLeaderboardEmbed(interaction.guildId);
 
     // Post to channel
     await channel.send({ embeds: [embed] });
@@ -372,67 +355,31 @@ async function postLeaderboardToChannel(interaction, client) {
 }
 
 /**
- * Handle button interactions for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
- * @param {Client} client - The Discord client instance
- */
-async function handleButton(buttonId, interaction, client) {
-  try {
-    switch (buttonId) {
-      case 'updateLeaderboard':
-        await updateLeaderboard(interaction, client);
-        break;
-      case 'postToChannel':
-        await postLeaderboardToChannel(interaction, client);
-        break;
-      default:
-        logger.warn(`Unknown button ID in leaderboard module: ${buttonId}`);
-        await interaction.reply({
-          content: 'Unknown button action.',
-          ephemeral: true
-        });
-    }
-  } catch (error) {
-    logger.error('Error handling button in leaderboard module:', error);
-    await interaction.reply({
-      embeds: [createErrorEmbed('Error', 'An error occurred while processing your request.')],
-      ephemeral: true
-    });
-  }
-}
-
-/**
- * Schedule automatic leaderboard updates
+ * Post a server's automatic leaderboard update
  * @param {Client} client - The Discord client instance
+ * @param {string} guildId - Discord server ID
  */
-async function scheduleAutomaticUpdates(client) {
+async function scheduleAutomaticUpdates(client, guildId) {
   try {
     // Get leaderboard update configuration
-    const updateConfig = await Models.Configuration.findOne({
-      where: { key: 'LEADERBOARD_AUTO_UPDATE' }
+    const updateConfig = await Configuration.findOne({
+      where: { guildId, key: 'LEADERBOARD_AUTO_UPDATE' }
     });
 
     if (!updateConfig || updateConfig.value !== 'true') {
-      logger.debug('Automatic leaderboard updates are disabled');
-      return;
-    }
-
-    // Get the channel for leaderboard posts
-    const channelId = config.channels.reports;
-    if (!channelId) {
-      logger.warn('Leaderboard channel is not configured for automatic updates');
+      logger.debug(`Automatic leaderboard updates are disabled in server ${guildId}`);
       return;
     }
 
-    const channel = await client.channels.fetch(channelId).catch(() => null);
+    // Get the server's channel for leaderboard posts
+    const channel = await getGuildChannel(client, guildId, 'leaderboard');
     if (!channel) {
-      logger.warn('Could not find the configured leaderboard channel for automatic updates');
+      logger.warn(`No leaderboard channel available in server ${guildId} for automatic updates`);
       return;
     }
 
     // Create leaderboard embed
-    const embed = await createLeaderboardEmbed();
+    const embed = await createLeaderboardEmbed(guildId);
 
     // Post to channel
     await channel.send({ embeds: [embed] });
@@ -440,13 +387,24 @@ async function scheduleAutomaticUpdates(client) {
     logger.info(`Automatic leaderboard update posted to channel #${channel.name} (${channel.id})`);
   } catch (error) {
     logger.error('Error in scheduled leaderboard update:', error);
+    throw error;
   }
 }
 
+// Buttons of this module (see utils/router.js). They defer or reply themselves.
+const routes = {
+  permission: 'manageLeaderboard',
+  buttons: {
+    generateLeaderboard: { handler: generateLeaderboard, defer: false },
+    updateLeaderboard: { handler: updateLeaderboard, defer: false },
+    postToChannel: { handler: postLeaderboardToChannel, defer: false }
+  }
+};
+
 module.exports = {
   generateLeaderboard,
   updateLeaderboard,
   postLeaderboardToChannel,
   scheduleAutomaticUpdates,
-  handleButton
+  routes
 };
\ No newline at end of file
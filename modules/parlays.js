@@ -0,0 +1,598 @@
+// KrayStakes Discord Bot - Parlays Module
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { createErrorEmbed, createSuccessEmbed, getEventColor, getEventEmoji } = require('../utils/embeds');
+const { calculateFixedOddsWinnings, roundOdds, formatOdds } = require('../utils/odds');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+const { getChoiceName, getChoiceOdds, refundBets } = require('./betting');
+const { getOrCreateWallet, getBalance, recordEntry, creditWinnings } = require('./wallet');
+const { buttonId, selectId, modalId } = require('../utils/router');
+const { getGuildSetting } = require('../utils/guildSettings');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Bet slips being built, keyed by server and Discord user ID. A slip only lives in memory until it is placed.
+const betSlips = new Map();
+
+/**
+ * Get the legs on a player's bet slip in a server
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ * @returns {Array<Object>} - The legs (eventId, eventName, choiceIndex, choiceName, odds)
+ */
+function getSlip(guildId, userId) {
+  return betSlips.get(`${guildId}:${userId}`) || [];
+}
+
+/**
+ * Replace the legs on a player's bet slip in a server
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ * @param {Array<Object>} slip - The legs
+ */
+function setSlip(guildId, userId, slip) {
+  betSlips.set(`${guildId}:${userId}`, slip);
+}
+
+/**
+ * Clear a player's bet slip in a server
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ */
+function clearSlip(guildId, userId) {
+  betSlips.delete(`${guildId}:${userId}`);
+}
+
+/**
+ * Multiply the odds of a set of legs into the parlay's combined odds
+ * @param {Array<Object>} legs - The legs, each with its odds
+ * @returns {number} - The combined decimal odds
+ */
+function getCombinedOdds(legs) {
+  return roundOdds(legs.reduce((product, leg) => product * leg.odds, 1));
+}
+
+/**
+ * Add a pick from an open event to a player's bet slip. A slip holds one leg per event,
+ * so picking another choice on the same event replaces the earlier pick.
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ * @param {number|string} eventId - The ID of the event
+ * @param {number} choiceIndex - Index of the chosen choice
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, slip: Array }
+ */
+async function addSlipLeg(guildId, userId, eventId, choiceIndex) {
+  const { Event } = require('../database/models');
+  const event = await Event.findOne({ where: { id: eventId, guildId } });
+
+  if (!event || event.status !== 'open') {
+    return { success: false, errors: ['This event is not open for betting'], slip: getSlip(guildId, userId) };
+  }
+
+  const choice = event.choices[choiceIndex];
+  if (!choice) {
+    return { success: false, errors: ['Invalid bet choice'], slip: getSlip(guildId, userId) };
+  }
+  if (!getChoiceOdds(choice)) {
+    return { success: false, errors: ['This choice has no odds yet, so it cannot be added to a parlay'], slip: getSlip(guildId, userId) };
+  }
+
+  const slip = getSlip(guildId, userId).filter(leg => leg.eventId !== event.id);
+  if (slip.length >= config.defaultBetting.maxParlayLegs) {
+    return { success: false, errors: [`A parlay can have at most ${config.defaultBetting.maxParlayLegs} legs`], slip };
+  }
+
+  slip.push({
+    eventId: event.id,
+    eventName: event.name,
+    choiceIndex,
+    choiceName: getChoiceName(choice),
+    odds: getChoiceOdds(choice)
+  });
+  setSlip(guildId, userId, slip);
+
+  return { success: true, errors: [], slip };
+}
+
+/**
+ * Get a server's parlay stake limits and fee from its betting settings
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<Object>} - { minBet, maxBet, feePercent }
+ */
+async function getParlayLimits(guildId) {
+  const limits = {};
+  for (const key of ['minBet', 'maxBet', 'feePercent']) {
+    const value = parseInt(await getGuildSetting(guildId, key), 10);
+    limits[key] = isNaN(value) ? config.defaultBetting[key] : value;
+  }
+  return limits;
+}
+
+/**
+ * Place the parlay on a player's bet slip. Every leg is re-checked against its event and
+ * locked in at the event's current odds; the stake is debited from the wallet.
+ * @param {Object} betData - The bet data (guildId, userId, userTag, amount)
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, bet: Object, legs: Array, balance: number }
+ */
+async function placeParlay(betData) {
+  const { sequelize } = require('../database/dbInit');
+  const { Event, Bet, ParlayLeg } = require('../database/models');
+  const { minBet, maxBet, feePercent } = await getParlayLimits(betData.guildId);
+
+  const amount = Number(betData.amount);
+  const slip = getSlip(betData.guildId, betData.userId);
+
+  // Validate the slip and stake before touching the database
+  const errors = [];
+  if (slip.length < 2) {
+    errors.push('A parlay needs legs from at least 2 events');
+  }
+  if (!Number.isInteger(amount)) {
+    errors.push('Bet amount must be a whole number of coins');
+  } else if (amount < minBet) {
+    errors.push(`Bet amount must be at least ${minBet}`);
+  } else if (amount > maxBet) {
+    errors.push(`Bet amount cannot exceed ${maxBet}`);
+  }
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    // Re-check each leg and lock in the event's current odds
+    const legs = [];
+    for (const slipLeg of slip) {
+      const event = await Event.findOne({ where: { id: slipLeg.eventId, guildId: betData.guildId }, transaction });
+      const choice = event ? event.choices[slipLeg.choiceIndex] : null;
+
+      if (!event || event.status !== 'open' || !choice || !getChoiceOdds(choice)) {
+        return { success: false, errors: [`${slipLeg.eventName} is no longer open for betting; remove it from your slip`] };
+      }
+
+      legs.push({
+        eventId: event.id,
+        choiceIndex: slipLeg.choiceIndex,
+        choiceName: getChoiceName(choice),
+        odds: getChoiceOdds(choice)
+      });
+    }
+    const odds = getCombinedOdds(legs);
+
+    // Check the user can cover the stake
+    const wallet = await getOrCreateWallet(betData.guildId, betData.userId, betData.userTag, { transaction });
+    const balance = await getBalance(wallet.guildId, wallet.userId, { transaction });
+    if (amount > balance) {
+      return { success: false, errors: [`Insufficient balance: you have ${balance} coins`] };
+    }
+
+    // Create the parlay and its legs
+    const bet = await Bet.create({
+      guildId: betData.guildId,
+      eventId: null,
+      betType: 'parlay',
+      userId: betData.userId,
+      userTag: betData.userTag,
+      amount,
+      choiceIndex: null,
+      choiceName: `${legs.length}-leg parlay`,
+      odds,
+      potentialWinnings: calculateFixedOddsWinnings(amount, odds, feePercent),
+      meta: { feePercent }
+    }, { transaction });
+
+    await ParlayLeg.bulkCreate(legs.map(leg => ({ ...leg, guildId: bet.guildId, betId: bet.id })), { transaction });
+
+    // Debit the stake from the wallet
+    await recordEntry(wallet, {
+      type: 'stake',
+      amount: -amount,
+      referenceType: 'bet',
+      referenceId: bet.id,
+      description: `Parlay #${bet.id} (${legs.length} legs)`
+    }, { transaction });
+
+    return { success: true, errors: [], bet, legs, balance: balance - amount };
+  });
+
+  if (result.success) {
+    const { bet, legs } = result;
+    clearSlip(bet.guildId, bet.userId);
+
+    logger.db.info(`Parlay #${bet.id} of ${bet.amount} coins placed with ${legs.length} legs at ${bet.odds}x`, {
+      guildId: bet.guildId,
+      userId: bet.userId,
+      type: 'bet',
+      metadata: { betId: bet.id, amount: bet.amount, odds: bet.odds, legs: legs.map(leg => ({ eventId: leg.eventId, choiceIndex: leg.choiceIndex })) }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Settle the parlays whose legs have just been resolved. A parlay is lost as soon as one leg
+ * loses; otherwise it settles once its last leg resolves. Void legs drop out of the combined
+ * odds, and a parlay whose legs were all voided is refunded.
+ * @param {Object} event - The event whose settlement or cancellation resolved the legs
+ * @param {Array<number>} betIds - IDs of the parlays with newly resolved legs
+ * @param {string} settledBy - Discord user ID of who settled or cancelled the event
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Array<Object>>} - The parlays that were settled
+ */
+async function settleParlays(event, betIds, settledBy, options = {}) {
+  const { Bet, ParlayLeg } = require('../database/models');
+
+  const bets = await Bet.findAll({
+    where: { id: [...new Set(betIds)], betType: 'parlay', status: 'active' },
+    include: [{ model: ParlayLeg }],
+    ...options
+  });
+
+  const settled = [];
+  for (const bet of bets) {
+    const legs = bet.ParlayLegs;
+    const wonLegs = legs.filter(leg => leg.status === 'won');
+
+    if (legs.some(leg => leg.status === 'lost')) {
+      await bet.update({ status: 'lost', actualWinnings: 0 }, options);
+    } else if (legs.some(leg => leg.status === 'pending')) {
+      continue;
+    } else if (wonLegs.length === 0) {
+      await refundBets(event, [bet], 'Every leg of the parlay was voided', settledBy, options);
+    } else {
+      const feePercent = bet.meta.feePercent ?? (await getParlayLimits(bet.guildId)).feePercent;
+      await bet.update({
+        status: 'won',
+        actualWinnings: calculateFixedOddsWinnings(bet.amount, getCombinedOdds(wonLegs), feePercent)
+      }, options);
+      await creditWinnings(event, [bet], settledBy, options);
+    }
+
+    settled.push(bet);
+  }
+
+  if (settled.length > 0) {
+    const logSettled = () => logger.db.info(`${settled.length} parlay(s) settled by the result of event ${event.id}`, {
+      guildId: event.guildId,
+      userId: settledBy,
+      type: 'bet',
+      metadata: { eventId: event.id, betIds: settled.map(bet => bet.id) }
+    });
+
+    // Inside the caller's transaction, log once it commits so rolled back settlements are never logged
+    if (options.transaction) {
+      options.transaction.afterCommit(logSettled);
+    } else {
+      logSettled();
+    }
+  }
+
+  return settled;
+}
+
+/**
+ * Resolve every pending parlay leg on an event once its winners are confirmed,
+ * then settle the parlays that are now decided
+ * @param {Object} event - The event object from the database
+ * @param {Array<number>} winningChoiceIndexes - Indexes of the event's winning choices
+ * @param {string} settledBy - Discord user ID of who confirmed the winners
+ * @param {Object} [options] - Query options; pass { transaction } to resolve inside the event's settlement
+ * @returns {Promise<Array<Object>>} - The parlays that were settled
+ */
+async function resolveParlayLegs(event, winningChoiceIndexes, settledBy, options = {}) {
+  const { sequelize } = require('../database/dbInit');
+  const { ParlayLeg } = require('../database/models');
+
+  const resolve = async (transaction) => {
+    const legs = await ParlayLeg.findAll({ where: { eventId: event.id, status: 'pending' }, transaction });
+
+    for (const leg of legs) {
+      await leg.update({
+        status: winningChoiceIndexes.includes(leg.choiceIndex) ? 'won' : 'lost',
+        resolvedAt: new Date()
+      }, { transaction });
+    }
+
+    return settleParlays(event, legs.map(leg => leg.betId), settledBy, { transaction });
+  };
+
+  return options.transaction
+    ? resolve(options.transaction)
+    : sequelize.transaction(resolve);
+}
+
+/**
+ * Void every pending parlay leg on a cancelled event, then settle the parlays that are now decided
+ * @param {Object} event - The event object from the database
+ * @param {string} processedBy - Discord user ID of who cancelled the event
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Array<Object>>} - The parlays that were settled
+ */
+async function voidParlayLegs(event, processedBy, options = {}) {
+  const { ParlayLeg } = require('../database/models');
+
+  const legs = await ParlayLeg.findAll({ where: { eventId: event.id, status: 'pending' }, ...options });
+  for (const leg of legs) {
+    await leg.update({ status: 'void', resolvedAt: new Date() }, options);
+  }
+
+  return settleParlays(event, legs.map(leg => leg.betId), processedBy, options);
+}
+
+/**
+ * Create the embed and components showing a player's bet slip
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the player
+ * @returns {Promise<Object>} - Message options ({ embeds, components })
+ */
+async function createSlipMessage(guildId, userId) {
+  const slip = getSlip(guildId, userId);
+  const odds = getCombinedOdds(slip);
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle('🧾 Bet Slip')
+    .setDescription(slip.length > 0
+      ? slip.map((leg, index) => `**${index + 1}. ${leg.eventName}** - ${leg.choiceName} @ ${formatOdds(leg.odds)}`).join('\n')
+      : 'Your bet slip is empty. Click "Add to Parlay" on event announcements to add picks.')
+    .setFooter({ text: 'A parlay pays only if every leg wins. Odds are locked in when you place it.' });
+
+  if (slip.length > 0) {
+    const { minBet, maxBet } = await getParlayLimits(guildId);
+    embed.addFields(
+      { name: 'Combined Odds', value: formatOdds(odds), inline: true },
+      { name: 'Legs', value: `${slip.length}/${config.defaultBetting.maxParlayLegs}`, inline: true },
+      { name: 'Stake Limits', value: `${minBet} - ${maxBet} coins`, inline: true }
+    );
+  }
+
+  const components = [];
+  if (slip.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(selectId('parlays', 'removeLeg'))
+        .setPlaceholder('Remove a leg...')
+        .addOptions(slip.map(leg => ({
+          label: `${leg.eventName} - ${leg.choiceName}`.substring(0, 100),
+          value: leg.eventId.toString()
+        })))
+    ));
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('parlays', 'placeParlay'))
+        .setLabel('Place Parlay')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('🎲')
+        .setDisabled(slip.length < 2),
+      new ButtonBuilder()
+        .setCustomId(buttonId('parlays', 'clearSlip'))
+        .setLabel('Clear Slip')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🗑️')
+    ));
+  }
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Show the player's bet slip
+ * @param {Interaction} interaction - The interaction that triggered this
+ */
+async function showBetSlip(interaction) {
+  await safeReply(interaction, await createSlipMessage(interaction.guildId, interaction.user.id));
+}
+
+/**
+ * Show the choice selection for adding an event to the player's bet slip
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId })
+ */
+async function addToSlipButton(interaction, client, { eventId }) {
+  try {
+    const { Event } = require('../database/models');
+    const event = await Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+
+    if (!event || event.status !== 'open') {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Betting Closed', 'This event is not open for betting.')]
+      });
+    }
+
+    const pricedChoices = event.choices
+      .map((choice, index) => ({ choice, index }))
+      .filter(({ choice }) => getChoiceOdds(choice));
+
+    if (pricedChoices.length === 0) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('No Odds Yet', 'None of this event\'s choices have odds yet, so it cannot be added to a parlay.')]
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(getEventColor(event.type))
+      .setTitle(`${getEventEmoji(event.type)} Add to Parlay: ${event.name}`)
+      .setDescription('Select your pick for this event. Only choices with odds can be added.');
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(selectId('parlays', 'slipChoice', { eventId: event.id }))
+      .setPlaceholder('Select a choice...')
+      .addOptions(pricedChoices.slice(0, 25).map(({ choice, index }) => ({
+        label: getChoiceName(choice).substring(0, 100),
+        description: `Current odds: ${formatOdds(getChoiceOdds(choice))}`,
+        value: index.toString()
+      })));
+
+    await safeReply(interaction, {
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(selectMenu)]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays addToSlip');
+  }
+}
+
+/**
+ * Add the selected choice to the player's bet slip and show the slip
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ * @param {Object} params - Route parameters ({ eventId })
+ */
+async function slipChoiceSelect(interaction, client, { eventId }) {
+  try {
+    const result = await addSlipLeg(interaction.guildId, interaction.user.id, eventId, Number(interaction.values[0]));
+
+    if (!result.success) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Not Added', result.errors.map(error => `• ${error}`).join('\n'))],
+        components: []
+      });
+    }
+
+    await showBetSlip(interaction);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays slipChoice');
+  }
+}
+
+/**
+ * Remove the selected leg from the player's bet slip
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function removeLegSelect(interaction, client) {
+  try {
+    const eventId = Number(interaction.values[0]);
+    const slip = getSlip(interaction.guildId, interaction.user.id).filter(leg => leg.eventId !== eventId);
+
+    if (slip.length > 0) {
+      setSlip(interaction.guildId, interaction.user.id, slip);
+    } else {
+      clearSlip(interaction.guildId, interaction.user.id);
+    }
+
+    await showBetSlip(interaction);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays removeLeg');
+  }
+}
+
+/**
+ * Empty the player's bet slip
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function clearSlipButton(interaction, client) {
+  try {
+    clearSlip(interaction.guildId, interaction.user.id);
+    await showBetSlip(interaction);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays clearSlip');
+  }
+}
+
+/**
+ * Open the stake modal for the player's parlay
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function placeParlayButton(interaction, client) {
+  try {
+    const slip = getSlip(interaction.guildId, interaction.user.id);
+    const { minBet, maxBet } = await getParlayLimits(interaction.guildId);
+
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('parlays', 'submitParlay'))
+      .setTitle(`${slip.length}-Leg Parlay @ ${formatOdds(getCombinedOdds(slip))}`.substring(0, 45));
+
+    const amountInput = new TextInputBuilder()
+      .setCustomId('amount')
+      .setLabel(`Stake (${minBet} - ${maxBet} coins)`)
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(minBet.toString())
+      .setRequired(true);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(amountInput));
+
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays placeParlay');
+  }
+}
+
+/**
+ * Handle the parlay stake modal submission
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function submitParlayModalSubmit(interaction, client) {
+  try {
+    const result = await placeParlay({
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      amount: interaction.fields.getTextInputValue('amount').trim()
+    });
+
+    if (!result.success) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Parlay Not Placed', result.errors.map(error => `• ${error}`).join('\n'))]
+      });
+    }
+
+    const { bet, legs, balance } = result;
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Parlay Placed',
+        `You staked **${bet.amount} coins** on a **${legs.length}-leg parlay**.\n\n` +
+        legs.map(leg => `• ${leg.choiceName} @ ${formatOdds(leg.odds)}`).join('\n') + '\n\n' +
+        `📈 **Combined odds:** ${formatOdds(bet.odds)}\n` +
+        `💰 **Potential winnings:** ${bet.potentialWinnings} coins\n` +
+        `👛 **Wallet balance:** ${balance} coins\n\n` +
+        `Every leg must win for the parlay to pay. Bet ID: ${bet.id}`
+      )]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'parlays submitParlay');
+  }
+}
+
+// Buttons, select menus and modals of this module (see utils/router.js)
+const routes = {
+  permission: 'placeBets',
+  buttons: {
+    // Replies with an ephemeral choice select
+    addToSlip: { params: ['eventId:int'], handler: addToSlipButton, defer: false },
+    // Opens the parlay stake modal
+    placeParlay: { handler: placeParlayButton, defer: false },
+    clearSlip: { handler: clearSlipButton }
+  },
+  selects: {
+    slipChoice: { params: ['eventId:int'], handler: slipChoiceSelect },
+    removeLeg: { handler: removeLegSelect }
+  },
+  modals: {
+    submitParlay: { handler: submitParlayModalSubmit }
+  }
+};
+
+module.exports = {
+  getSlip,
+  clearSlip,
+  getCombinedOdds,
+  addSlipLeg,
+  placeParlay,
+  resolveParlayLegs,
+  voidParlayLegs,
+  showBetSlip,
+  routes
+};
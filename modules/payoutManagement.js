@@ -8,12 +8,16 @@ const {
   StringSelectMenuOptionBuilder,
   ModalBuilder,
   TextInputBuilder,
-  TextInputStyle,
-  ComponentType
+  TextInputStyle
 } = require('discord.js');
-const { models } = require('../database/dbInit');
+const models = require('../database/models');
 const logger = require('../utils/logger');
-const { formatDateTime } = require('../utils/timeUtils');
+const { createErrorEmbed, createSuccessEmbed } = require('../utils/embeds');
+const { safeReply, safeUpdate, handleInteractionError } = require('../utils/interactions');
+const { creditDeposit, processDeposit, processWithdrawal, getWalletSummary, createWalletEmbed } = require('./wallet');
+const { getGuildChannel } = require('../utils/guildSettings');
+const { buttonId, selectId, modalId } = require('../utils/router');
+const { formatDateTime, formatDate } = require('../utils/timeUtils');
 const { Op } = require('sequelize');
 const { format } = require('date-fns');
 const { utcToZonedTime } = require('date-fns-tz');
@@ -26,8 +30,9 @@ async function payoutPanel(interaction, client) {
     // Get events that have approved winners but not all payouts processed
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         winnerApproved: true,
-        status: 'Closed'
+        status: 'completed'
       },
       order: [['updatedAt', 'DESC']]
     });
@@ -56,8 +61,9 @@ async function payoutPanel(interaction, client) {
       // Get events with paid winners for historical view
       const paidEvents = await models.Event.findAll({
         where: {
+          guildId: interaction.guildId,
           winnerApproved: true,
-          status: 'Closed',
+          status: 'completed',
           totalPayout: {
             [Op.gt]: 0
           }
@@ -100,7 +106,7 @@ async function payoutPanel(interaction, client) {
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId('payoutManagement_historyLookup')
+            .setCustomId(buttonId('payoutManagement', 'historyLookup'))
             .setLabel('Payout History Lookup')
             .setStyle(ButtonStyle.Primary)
             .setEmoji('🔍')
@@ -126,7 +132,7 @@ async function payoutPanel(interaction, client) {
     
     // Create a select menu for events with unpaid winners
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('payoutManagement_selectEvent')
+      .setCustomId(selectId('payoutManagement', 'selectEvent'))
       .setPlaceholder('Select an event...');
     
     // Add options for each event
@@ -140,7 +146,7 @@ async function payoutPanel(interaction, client) {
     
     // Create a history lookup button
     const historyButton = new ButtonBuilder()
-      .setCustomId('payoutManagement_historyLookup')
+      .setCustomId(buttonId('payoutManagement', 'historyLookup'))
       .setLabel('Payout History Lookup')
       .setStyle(ButtonStyle.Secondary)
       .setEmoji('🔍');
@@ -182,7 +188,7 @@ async function selectEventSelect(interaction, client) {
     const eventId = interaction.values[0];
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -221,7 +227,7 @@ async function selectEventSelect(interaction, client) {
     if (unpaidWinners.length > 0) {
       // Create a select menu for unpaid winners
       const selectMenu = new StringSelectMenuBuilder()
-        .setCustomId(`payoutManagement_selectWinner_${eventId}`)
+        .setCustomId(selectId('payoutManagement', 'selectWinner', { eventId }))
         .setPlaceholder('Select a winner to process payout...');
       
       // Add options for each unpaid winner (limited to 25 by Discord)
@@ -240,14 +246,14 @@ async function selectEventSelect(interaction, client) {
       
       // Create a full payout button
       const fullPayoutButton = new ButtonBuilder()
-        .setCustomId(`payoutManagement_confirmAllPayouts_${eventId}`)
+        .setCustomId(buttonId('payoutManagement', 'confirmAllPayouts', { eventId }))
         .setLabel('Mark All as Paid & Announce')
         .setStyle(ButtonStyle.Success)
         .setEmoji('✅');
       
       // Create a back button
       const backButton = new ButtonBuilder()
-        .setCustomId('payoutManagement_payoutPanel')
+        .setCustomId(buttonId('payoutManagement', 'payoutPanel'))
         .setLabel('Back to Events')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('⬅️');
@@ -267,7 +273,7 @@ async function selectEventSelect(interaction, client) {
       const row = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId('payoutManagement_payoutPanel')
+            .setCustomId(buttonId('payoutManagement', 'payoutPanel'))
             .setLabel('Back to Events')
             .setStyle(ButtonStyle.Secondary)
             .setEmoji('⬅️')
@@ -294,11 +300,11 @@ async function selectEventSelect(interaction, client) {
 // Handle winner selection for payout
 async function selectWinnerSelect(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     const selectedBetId = interaction.values[0];
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.reply({
@@ -308,7 +314,7 @@ async function selectWinnerSelect(interaction, client, params) {
     }
     
     // Fetch the selected bet/winner
-    const winner = await models.Bet.findByPk(selectedBetId);
+    const winner = await models.Bet.findOne({ where: { id: selectedBetId, guildId: interaction.guildId } });
     
     if (!winner) {
       return interaction.reply({
@@ -319,7 +325,7 @@ async function selectWinnerSelect(interaction, client, params) {
     
     // Create the bank ID input modal
     const modal = new ModalBuilder()
-      .setCustomId(`payoutManagement_submitBankId_${eventId}_${selectedBetId}`)
+      .setCustomId(modalId('payoutManagement', 'submitBankId', { eventId, betId: selectedBetId }))
       .setTitle(`Process Payout for ${winner.username}`);
     
     // Add text input for bank ID
@@ -360,18 +366,15 @@ async function selectWinnerSelect(interaction, client, params) {
 // Handle bank ID modal submission
 async function submitBankIdModalSubmit(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
-    
-    const eventId = params[0];
-    const betId = params[1];
+    const { eventId, betId } = params;
     
     // Get values from the modal
     const bankId = interaction.fields.getTextInputValue('bankId');
     const notes = interaction.fields.getTextInputValue('notes') || null;
     
     // Fetch the event and bet from the database
-    const event = await models.Event.findByPk(eventId);
-    const bet = await models.Bet.findByPk(betId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    const bet = await models.Bet.findOne({ where: { id: betId, guildId: interaction.guildId } });
     
     if (!event || !bet) {
       return interaction.editReply({
@@ -390,19 +393,21 @@ async function submitBankIdModalSubmit(interaction, client, params) {
     
     // Create a payout record in the database
     await models.Payout.create({
+      guildId: interaction.guildId,
       eventId: event.id,
       betId: bet.id,
       userId: bet.userId,
       username: bet.username,
       amount: bet.winningAmount,
       confirmedBy: interaction.user.id,
-      status: 'Completed',
+      status: 'completed',
       notes: notes,
       bankId: bankId
     });
     
     // Log the payout
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'PayoutHistory',
       level: 'info',
       message: `Payout processed for ${bet.username} in event "${event.name}" (ID: ${event.id})`,
@@ -469,15 +474,13 @@ async function submitBankIdModalSubmit(interaction, client, params) {
 // Handle confirm all payouts button
 async function confirmAllPayouts(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
-    
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
-      return interaction.editReply({
+      return interaction.reply({
         content: 'The selected event could not be found. It may have been deleted.',
         ephemeral: true
       });
@@ -493,7 +496,7 @@ async function confirmAllPayouts(interaction, client, params) {
     });
     
     if (unpaidWinners.length === 0) {
-      return interaction.editReply({
+      return interaction.reply({
         content: 'There are no unpaid winners for this event.',
         ephemeral: true
       });
@@ -501,7 +504,7 @@ async function confirmAllPayouts(interaction, client, params) {
     
     // Create the bank ID input modal for batch processing
     const modal = new ModalBuilder()
-      .setCustomId(`payoutManagement_submitAllBankIds_${eventId}`)
+      .setCustomId(modalId('payoutManagement', 'submitAllBankIds', { eventId }))
       .setTitle(`Process All Payouts (${unpaidWinners.length} winners)`);
     
     // Add text input for default bank ID prefix (optional)
@@ -532,7 +535,7 @@ async function confirmAllPayouts(interaction, client, params) {
     logger.info(`Batch payout form opened for event "${event.name}" (ID: ${event.id}) with ${unpaidWinners.length} winners by ${interaction.user.tag}`);
   } catch (error) {
     logger.error('Error in confirmAllPayouts function:', error);
-    await interaction.editReply({
+    await interaction.reply({
       content: 'An error occurred while opening the batch payout form. Please try again.',
       ephemeral: true
     });
@@ -542,16 +545,14 @@ async function confirmAllPayouts(interaction, client, params) {
 // Handle all bank IDs modal submission
 async function submitAllBankIdsModalSubmit(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
-    
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Get values from the modal
     const bankIdPrefix = interaction.fields.getTextInputValue('bankIdPrefix') || '';
     const notes = interaction.fields.getTextInputValue('notes') || null;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -595,13 +596,14 @@ async function submitAllBankIdsModalSubmit(interaction, client, params) {
       
       // Create a payout record in the database
       await models.Payout.create({
+        guildId: interaction.guildId,
         eventId: event.id,
         betId: winner.id,
         userId: winner.userId,
         username: winner.username,
         amount: winner.winningAmount,
         confirmedBy: interaction.user.id,
-        status: 'Completed',
+        status: 'completed',
         notes: notes,
         bankId: bankId
       });
@@ -644,6 +646,7 @@ async function submitAllBankIdsModalSubmit(interaction, client, params) {
     
     // Log the batch payout
     await models.Log.create({
+      guildId: interaction.guildId,
       category: 'PayoutHistory',
       level: 'info',
       message: `Batch payout processed for event "${event.name}" (ID: ${event.id})`,
@@ -659,46 +662,40 @@ async function submitAllBankIdsModalSubmit(interaction, client, params) {
       }
     });
     
-    // Get configuration
-    const config = await models.Configuration.findOne();
-    const channelId = config.payoutAnnouncementsChannelId;
-    
-    // Send the payout announcement if a channel is configured
-    if (channelId) {
-      try {
-        const channel = await client.channels.fetch(channelId);
+    // Send the payout announcement if the server has a payouts channel
+    try {
+      const channel = await getGuildChannel(client, interaction.guildId, 'payouts');
+      
+      if (channel) {
+        // Create a formatted list of payouts (limit to 15 for readability)
+        let payoutList = '';
+        const displayLimit = Math.min(payoutDetails.length, 15);
         
-        if (channel) {
-          // Create a formatted list of payouts (limit to 15 for readability)
-          let payoutList = '';
-          const displayLimit = Math.min(payoutDetails.length, 15);
-          
-          for (let i = 0; i < displayLimit; i++) {
-            const payout = payoutDetails[i];
-            payoutList += `${payout.username}: $${payout.amount}\n`;
-          }
-          
-          if (payoutDetails.length > 15) {
-            payoutList += `...and ${payoutDetails.length - 15} more winners`;
-          }
-          
-          // Send the announcement
-          await channel.send({
-            embeds: [
-              new EmbedBuilder()
-                .setColor('#00FF00')
-                .setTitle(`💰 Payouts Complete: ${event.name}`)
-                .setDescription(`Attention everyone, payouts for "${event.name}" are complete. Total amount paid: $${totalPaidOut}.`)
-                .addFields({ name: 'Details', value: payoutList })
-                .setTimestamp()
-            ]
-          });
-          
-          logger.info(`Payout announcement sent for event "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
+        for (let i = 0; i < displayLimit; i++) {
+          const payout = payoutDetails[i];
+          payoutList += `${payout.username}: $${payout.amount}\n`;
         }
-      } catch (error) {
-        logger.error(`Error sending payout announcement for event ID ${event.id}:`, error);
+        
+        if (payoutDetails.length > 15) {
+          payoutList += `...and ${payoutDetails.length - 15} more winners`;
+        }
+        
+        // Send the announcement
+        await channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#00FF00')
+              .setTitle(`💰 Payouts Complete: ${event.name}`)
+              .setDescription(`Attention everyone, payouts for "${event.name}" are complete. Total amount paid: $${totalPaidOut}.`)
+              .addFields({ name: 'Details', value: payoutList })
+              .setTimestamp()
+          ]
+        });
+        
+        logger.info(`Payout announcement sent for event "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
       }
+    } catch (error) {
+      logger.error(`Error sending payout announcement for event ID ${event.id}:`, error);
     }
     
     // Send confirmation to admin
@@ -736,22 +733,22 @@ async function historyLookup(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('payoutManagement_searchByEvent')
+          .setCustomId(buttonId('payoutManagement', 'searchByEvent'))
           .setLabel('Search by Event')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🎲'),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_searchByUser')
+          .setCustomId(buttonId('payoutManagement', 'searchByUser'))
           .setLabel('Search by User')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('👤'),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_searchByDate')
+          .setCustomId(buttonId('payoutManagement', 'searchByDate'))
           .setLabel('Search by Date')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📅'),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_payoutPanel')
+          .setCustomId(buttonId('payoutManagement', 'payoutPanel'))
           .setLabel('Back')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -782,6 +779,7 @@ async function searchByEvent(interaction, client) {
     // Get events with payouts
     const events = await models.Event.findAll({
       where: {
+        guildId: interaction.guildId,
         totalPayout: {
           [Op.gt]: 0
         }
@@ -807,7 +805,7 @@ async function searchByEvent(interaction, client) {
     
     // Create a select menu for events
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('payoutManagement_selectEventForHistory')
+      .setCustomId(selectId('payoutManagement', 'selectEventForHistory'))
       .setPlaceholder('Select an event...');
     
     // Add options for each event
@@ -821,7 +819,7 @@ async function searchByEvent(interaction, client) {
     
     // Create a back button
     const backButton = new ButtonBuilder()
-      .setCustomId('payoutManagement_historyLookup')
+      .setCustomId(buttonId('payoutManagement', 'historyLookup'))
       .setLabel('Back to Search Options')
       .setStyle(ButtonStyle.Secondary)
       .setEmoji('⬅️');
@@ -849,14 +847,16 @@ async function searchByEvent(interaction, client) {
 
 // Handle select event for history
 async function selectEventForHistorySelect(interaction, client) {
+  await showEventHistory(interaction, client, { eventId: interaction.values[0], page: 0 });
+}
+
+// Show a page of an event's payout history
+async function showEventHistory(interaction, client, params) {
   try {
-    await interaction.deferUpdate();
-    
-    // Get the selected event ID
-    const eventId = interaction.values[0];
+    const { eventId, page } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -924,7 +924,7 @@ async function selectEventForHistorySelect(interaction, client) {
       
       // Create a back button
       const backButton = new ButtonBuilder()
-        .setCustomId('payoutManagement_searchByEvent')
+        .setCustomId(buttonId('payoutManagement', 'searchByEvent'))
         .setLabel('Back to Events')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('⬅️');
@@ -941,7 +941,7 @@ async function selectEventForHistorySelect(interaction, client) {
     }
     
     // If multiple pages, create navigation buttons
-    let currentPage = 0;
+    const currentPage = Math.min(Math.max(page, 0), pages.length - 1);
     
     const paginatedEmbed = new EmbedBuilder()
       .setColor('#0099ff')
@@ -960,88 +960,33 @@ async function selectEventForHistorySelect(interaction, client) {
     const navigationRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('payoutManagement_prevPage')
+          .setCustomId(buttonId('payoutManagement', 'eventHistory', { eventId: event.id, page: currentPage - 1 }))
           .setLabel('Previous')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
           .setDisabled(currentPage === 0),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_nextPage')
+          .setCustomId(buttonId('payoutManagement', 'eventHistory', { eventId: event.id, page: currentPage + 1 }))
           .setLabel('Next')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('➡️')
           .setDisabled(currentPage === pages.length - 1),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_searchByEvent')
+          .setCustomId(buttonId('payoutManagement', 'searchByEvent'))
           .setLabel('Back to Events')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🔙')
       );
     
-    const response = await interaction.editReply({
+    await interaction.editReply({
       embeds: [paginatedEmbed],
       components: [navigationRow],
       ephemeral: true
     });
     
-    // Create a collector to handle navigation button clicks
-    const filter = i => i.user.id === interaction.user.id && 
-                   (i.customId === 'payoutManagement_prevPage' || 
-                    i.customId === 'payoutManagement_nextPage' || 
-                    i.customId === 'payoutManagement_searchByEvent');
-    
-    const collector = response.createMessageComponentCollector({ 
-      filter, 
-      time: 300000, // 5 minutes
-      componentType: ComponentType.Button
-    });
-    
-    collector.on('collect', async i => {
-      // Handle going back to event selection
-      if (i.customId === 'payoutManagement_searchByEvent') {
-        await searchByEvent(i, client);
-        collector.stop();
-        return;
-      }
-      
-      // Handle navigation
-      if (i.customId === 'payoutManagement_prevPage') {
-        currentPage = Math.max(0, currentPage - 1);
-      } else if (i.customId === 'payoutManagement_nextPage') {
-        currentPage = Math.min(pages.length - 1, currentPage + 1);
-      }
-      
-      // Update the embed
-      paginatedEmbed
-        .setTitle(`Payout History: ${event.name} (Page ${currentPage + 1}/${pages.length})`)
-        .spliceFields(3, 1, {
-          name: 'Payout Details',
-          value: pages[currentPage]
-        });
-      
-      // Update button states
-      navigationRow.components[0].setDisabled(currentPage === 0);
-      navigationRow.components[1].setDisabled(currentPage === pages.length - 1);
-      
-      await i.update({
-        embeds: [paginatedEmbed],
-        components: [navigationRow]
-      });
-    });
-    
-    collector.on('end', () => {
-      // Remove navigation buttons when time expires
-      if (!interaction.ephemeral) {
-        navigationRow.components.forEach(button => button.setDisabled(true));
-        interaction.editReply({ components: [navigationRow] }).catch(error => {
-          logger.error('Error disabling buttons after collection end:', error);
-        });
-      }
-    });
-    
     logger.info(`Payout history viewed for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
   } catch (error) {
-    logger.error('Error in selectEventForHistorySelect function:', error);
+    logger.error('Error in showEventHistory function:', error);
     await interaction.editReply({
       content: 'An error occurred while loading the payout history. Please try again.',
       components: [],
@@ -1055,7 +1000,7 @@ async function searchByUser(interaction, client) {
   try {
     // Create the user search modal
     const modal = new ModalBuilder()
-      .setCustomId('payoutManagement_submitUserSearch')
+      .setCustomId(modalId('payoutManagement', 'submitUserSearch'))
       .setTitle('Search Payouts by User');
     
     // Add text input for username
@@ -1064,6 +1009,7 @@ async function searchByUser(interaction, client) {
       .setLabel('Enter Username or User ID')
       .setStyle(TextInputStyle.Short)
       .setPlaceholder('e.g., John123 or 123456789012345678')
+      .setMaxLength(32)
       .setRequired(true);
     
     // Add input to action row
@@ -1087,15 +1033,18 @@ async function searchByUser(interaction, client) {
 
 // Handle user search modal submission
 async function submitUserSearchModalSubmit(interaction, client) {
+  await showUserHistory(interaction, client, { searchTerm: interaction.fields.getTextInputValue('username').trim(), page: 0 });
+}
+
+// Show a page of the payout history of the users matching a search
+async function showUserHistory(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
-    
-    // Get the search term from the modal
-    const searchTerm = interaction.fields.getTextInputValue('username');
+    const { searchTerm, page } = params;
     
     // Search for payouts by username or user ID
     const payouts = await models.Payout.findAll({
       where: {
+        guildId: interaction.guildId,
         [Op.or]: [
           { username: { [Op.like]: `%${searchTerm}%` } },
           { userId: searchTerm }
@@ -1140,7 +1089,7 @@ async function submitUserSearchModalSubmit(interaction, client) {
       const eventPayouts = payouts.filter(p => p.eventId === parseInt(eventId));
       
       // Fetch the event
-      const event = await models.Event.findByPk(eventId);
+      const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
       
       if (!event) continue;
       
@@ -1171,7 +1120,7 @@ async function submitUserSearchModalSubmit(interaction, client) {
       
       // Create a back button
       const backButton = new ButtonBuilder()
-        .setCustomId('payoutManagement_historyLookup')
+        .setCustomId(buttonId('payoutManagement', 'historyLookup'))
         .setLabel('Back to Search Options')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('⬅️');
@@ -1188,7 +1137,7 @@ async function submitUserSearchModalSubmit(interaction, client) {
     }
     
     // If multiple pages, create navigation buttons
-    let currentPage = 0;
+    const currentPage = Math.min(Math.max(page, 0), pages.length - 1);
     
     const paginatedEmbed = new EmbedBuilder()
       .setColor('#0099ff')
@@ -1201,88 +1150,33 @@ async function submitUserSearchModalSubmit(interaction, client) {
     const navigationRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('payoutManagement_prevPage')
+          .setCustomId(buttonId('payoutManagement', 'userHistory', { searchTerm, page: currentPage - 1 }))
           .setLabel('Previous')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
           .setDisabled(currentPage === 0),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_nextPage')
+          .setCustomId(buttonId('payoutManagement', 'userHistory', { searchTerm, page: currentPage + 1 }))
           .setLabel('Next')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('➡️')
           .setDisabled(currentPage === pages.length - 1),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_historyLookup')
+          .setCustomId(buttonId('payoutManagement', 'historyLookup'))
           .setLabel('Back to Search')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🔙')
       );
     
-    const response = await interaction.editReply({
+    await interaction.editReply({
       embeds: [paginatedEmbed],
       components: [navigationRow],
       ephemeral: true
     });
     
-    // Create a collector to handle navigation button clicks
-    const filter = i => i.user.id === interaction.user.id && 
-                   (i.customId === 'payoutManagement_prevPage' || 
-                    i.customId === 'payoutManagement_nextPage' || 
-                    i.customId === 'payoutManagement_historyLookup');
-    
-    const collector = response.createMessageComponentCollector({ 
-      filter, 
-      time: 300000, // 5 minutes
-      componentType: ComponentType.Button
-    });
-    
-    collector.on('collect', async i => {
-      // Handle going back to search options
-      if (i.customId === 'payoutManagement_historyLookup') {
-        await historyLookup(i, client);
-        collector.stop();
-        return;
-      }
-      
-      // Handle navigation
-      if (i.customId === 'payoutManagement_prevPage') {
-        currentPage = Math.max(0, currentPage - 1);
-      } else if (i.customId === 'payoutManagement_nextPage') {
-        currentPage = Math.min(pages.length - 1, currentPage + 1);
-      }
-      
-      // Update the embed
-      paginatedEmbed
-        .setTitle(`Payout History for: ${searchTerm} (Page ${currentPage + 1}/${pages.length})`)
-        .spliceFields(0, 1, {
-          name: 'Payout Details',
-          value: pages[currentPage]
-        });
-      
-      // Update button states
-      navigationRow.components[0].setDisabled(currentPage === 0);
-      navigationRow.components[1].setDisabled(currentPage === pages.length - 1);
-      
-      await i.update({
-        embeds: [paginatedEmbed],
-        components: [navigationRow]
-      });
-    });
-    
-    collector.on('end', () => {
-      // Remove navigation buttons when time expires
-      if (!interaction.ephemeral) {
-        navigationRow.components.forEach(button => button.setDisabled(true));
-        interaction.editReply({ components: [navigationRow] }).catch(error => {
-          logger.error('Error disabling buttons after collection end:', error);
-        });
-      }
-    });
-    
     logger.info(`Payout history viewed for user "${searchTerm}" by ${interaction.user.tag}`);
   } catch (error) {
-    logger.error('Error in submitUserSearchModalSubmit function:', error);
+    logger.error('Error in showUserHistory function:', error);
     await interaction.editReply({
       content: 'An error occurred while searching for payouts. Please try again.',
       ephemeral: true
@@ -1295,7 +1189,7 @@ async function searchByDate(interaction, client) {
   try {
     // Create the date search modal
     const modal = new ModalBuilder()
-      .setCustomId('payoutManagement_submitDateSearch')
+      .setCustomId(modalId('payoutManagement', 'submitDateSearch'))
       .setTitle('Search Payouts by Date');
     
     // Add text inputs for start and end dates
@@ -1304,6 +1198,7 @@ async function searchByDate(interaction, client) {
       .setLabel('Start Date (YYYY-MM-DD)')
       .setStyle(TextInputStyle.Short)
       .setPlaceholder('e.g., 2025-01-01')
+      .setMaxLength(10)
       .setRequired(true);
     
     const endDateInput = new TextInputBuilder()
@@ -1311,6 +1206,7 @@ async function searchByDate(interaction, client) {
       .setLabel('End Date (YYYY-MM-DD, optional)')
       .setStyle(TextInputStyle.Short)
       .setPlaceholder('e.g., 2025-01-31')
+      .setMaxLength(10)
       .setRequired(false);
     
     // Add inputs to action rows
@@ -1335,12 +1231,17 @@ async function searchByDate(interaction, client) {
 
 // Handle date search modal submission
 async function submitDateSearchModalSubmit(interaction, client) {
+  await showDateHistory(interaction, client, {
+    startDate: interaction.fields.getTextInputValue('startDate').trim(),
+    endDate: interaction.fields.getTextInputValue('endDate').trim() || null,
+    page: 0
+  });
+}
+
+// Show a page of the payout history of a date range
+async function showDateHistory(interaction, client, params) {
   try {
-    await interaction.deferReply({ ephemeral: true });
-    
-    // Get the date range from the modal
-    const startDateStr = interaction.fields.getTextInputValue('startDate');
-    const endDateStr = interaction.fields.getTextInputValue('endDate') || '';
+    const { startDate: startDateStr, endDate: endDateStr = '', page } = params;
     
     // Validate and parse the dates
     if (!startDateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
@@ -1370,6 +1271,7 @@ async function submitDateSearchModalSubmit(interaction, client) {
     // Search for payouts within the date range
     const payouts = await models.Payout.findAll({
       where: {
+        guildId: interaction.guildId,
         timestamp: {
           [Op.between]: [startDate, endDate]
         }
@@ -1416,7 +1318,7 @@ async function submitDateSearchModalSubmit(interaction, client) {
       
       for (const payout of pagePayouts) {
         // Fetch the event
-        const event = await models.Event.findByPk(payout.eventId);
+        const event = await models.Event.findOne({ where: { id: payout.eventId, guildId: interaction.guildId } });
         const eventName = event ? event.name : 'Unknown Event';
         
         const formattedDate = format(new Date(payout.timestamp), 'MMM d, yyyy HH:mm:ss');
@@ -1443,7 +1345,7 @@ async function submitDateSearchModalSubmit(interaction, client) {
       
       // Create a back button
       const backButton = new ButtonBuilder()
-        .setCustomId('payoutManagement_historyLookup')
+        .setCustomId(buttonId('payoutManagement', 'historyLookup'))
         .setLabel('Back to Search Options')
         .setStyle(ButtonStyle.Secondary)
         .setEmoji('⬅️');
@@ -1460,7 +1362,7 @@ async function submitDateSearchModalSubmit(interaction, client) {
     }
     
     // If multiple pages, create navigation buttons
-    let currentPage = 0;
+    const currentPage = Math.min(Math.max(page, 0), pages.length - 1);
     
     const paginatedEmbed = new EmbedBuilder()
       .setColor('#0099ff')
@@ -1483,95 +1385,602 @@ async function submitDateSearchModalSubmit(interaction, client) {
     const navigationRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('payoutManagement_prevPage')
+          .setCustomId(buttonId('payoutManagement', 'dateHistory', { startDate: startDateStr, endDate: endDateStr || null, page: currentPage - 1 }))
           .setLabel('Previous')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
           .setDisabled(currentPage === 0),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_nextPage')
+          .setCustomId(buttonId('payoutManagement', 'dateHistory', { startDate: startDateStr, endDate: endDateStr || null, page: currentPage + 1 }))
           .setLabel('Next')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('➡️')
           .setDisabled(currentPage === pages.length - 1),
         new ButtonBuilder()
-          .setCustomId('payoutManagement_historyLookup')
+          .setCustomId(buttonId('payoutManagement', 'historyLookup'))
           .setLabel('Back to Search')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('🔙')
       );
     
-    const response = await interaction.editReply({
+    await interaction.editReply({
       embeds: [paginatedEmbed],
       components: [navigationRow],
       ephemeral: true
     });
     
-    // Create a collector to handle navigation button clicks
-    const filter = i => i.user.id === interaction.user.id && 
-                   (i.customId === 'payoutManagement_prevPage' || 
-                    i.customId === 'payoutManagement_nextPage' || 
-                    i.customId === 'payoutManagement_historyLookup');
+    logger.info(`Payout history viewed for date range ${startDateStr} to ${endDateStr || startDateStr} by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in showDateHistory function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while searching for payouts. Please try again.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle the walletPanel button click from admin panel
+async function walletPanel(interaction, client) {
+  try {
+    const { fn, col } = require('sequelize');
     
-    const collector = response.createMessageComponentCollector({ 
-      filter, 
-      time: 300000, // 5 minutes
-      componentType: ComponentType.Button
+    // Gather the wallet totals for the overview
+    const pendingTotals = type => models.WalletRequest.findOne({
+      attributes: [[fn('COUNT', col('id')), 'count'], [fn('SUM', col('amount')), 'total']],
+      where: { guildId: interaction.guildId, type, status: 'pending' },
+      raw: true
     });
+    const [walletCount, coinsInWallets, pendingDeposits, pendingWithdrawals] = await Promise.all([
+      models.Wallet.count({ where: { guildId: interaction.guildId } }),
+      models.LedgerEntry.sum('amount', { where: { guildId: interaction.guildId } }),
+      pendingTotals('deposit'),
+      pendingTotals('withdrawal')
+    ]);
     
-    collector.on('collect', async i => {
-      // Handle going back to search options
-      if (i.customId === 'payoutManagement_historyLookup') {
-        await historyLookup(i, client);
-        collector.stop();
-        return;
-      }
-      
-      // Handle navigation
-      if (i.customId === 'payoutManagement_prevPage') {
-        currentPage = Math.max(0, currentPage - 1);
-      } else if (i.customId === 'payoutManagement_nextPage') {
-        currentPage = Math.min(pages.length - 1, currentPage + 1);
-      }
-      
-      // Update the embed
-      paginatedEmbed
-        .setTitle(`Payout History: ${startDateStr} to ${endDateStr || startDateStr} (Page ${currentPage + 1}/${pages.length})`)
-        .spliceFields(1, 1, {
-          name: 'Payout Details',
-          value: pages[currentPage]
-        });
-      
-      // Update button states
-      navigationRow.components[0].setDisabled(currentPage === 0);
-      navigationRow.components[1].setDisabled(currentPage === pages.length - 1);
-      
-      await i.update({
-        embeds: [paginatedEmbed],
-        components: [navigationRow]
+    const embed = new EmbedBuilder()
+      .setColor('#FFD700')
+      .setTitle('👛 Wallet Management')
+      .setDescription('Credit in-game deposits, review deposit screenshots, process withdrawal requests and look up player wallets. Every movement is recorded on the ledger.')
+      .addFields(
+        { name: 'Wallets', value: `${walletCount}`, inline: true },
+        { name: 'Coins in Wallets', value: `${coinsInWallets || 0} coins`, inline: true },
+        { name: 'Pending Deposits', value: `${pendingDeposits?.count || 0} (${pendingDeposits?.total || 0} coins)`, inline: true },
+        { name: 'Pending Withdrawals', value: `${pendingWithdrawals?.count || 0} (${pendingWithdrawals?.total || 0} coins)`, inline: true }
+      )
+      .setTimestamp();
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'creditDeposit'))
+          .setLabel('Credit Deposit')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('📥'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'reviewDeposits'))
+          .setLabel('Review Deposits')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🧾'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'reviewWithdrawals'))
+          .setLabel('Review Withdrawals')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('📤'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'walletLookup'))
+          .setLabel('Wallet Lookup')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('🔍')
+      );
+    
+    await safeUpdate(interaction, {
+      embeds: [embed],
+      components: [row]
+    });
+    
+    logger.info(`Wallet panel opened by ${interaction.user.tag}`);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement walletPanel');
+  }
+}
+
+// Handle credit deposit button - opens the deposit modal
+async function creditDepositButton(interaction, client) {
+  try {
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('payoutManagement', 'submitCreditDeposit'))
+      .setTitle('Credit Deposit');
+    
+    const userIdInput = new TextInputBuilder()
+      .setCustomId('userId')
+      .setLabel('Discord User ID')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    const amountInput = new TextInputBuilder()
+      .setCustomId('amount')
+      .setLabel('Amount (coins)')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    const referenceInput = new TextInputBuilder()
+      .setCustomId('reference')
+      .setLabel('In-game transfer reference')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false)
+      .setMaxLength(100);
+    
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(userIdInput),
+      new ActionRowBuilder().addComponents(amountInput),
+      new ActionRowBuilder().addComponents(referenceInput)
+    );
+    
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement creditDeposit');
+  }
+}
+
+// Handle credit deposit modal submission
+async function submitCreditDepositModalSubmit(interaction, client) {
+  try {
+    const userId = interaction.fields.getTextInputValue('userId').trim();
+    const amount = Number(interaction.fields.getTextInputValue('amount').trim());
+    const reference = interaction.fields.getTextInputValue('reference').trim();
+    
+    if (!/^\d{17,20}$/.test(userId)) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Invalid User', 'Please enter a valid Discord user ID.')]
+      });
+    }
+    
+    if (!Number.isInteger(amount) || amount < 1) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Invalid Amount', 'The amount must be a whole number of at least 1 coin.')]
+      });
+    }
+    
+    // Resolve the user so the wallet shows a readable tag
+    const user = await client.users.fetch(userId).catch(() => null);
+    if (!user) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('User Not Found', `No Discord user was found with ID ${userId}.`)]
       });
+    }
+    
+    const { entry, balance } = await creditDeposit({
+      guildId: interaction.guildId,
+      userId: user.id,
+      userTag: user.tag,
+      amount,
+      reference,
+      createdBy: interaction.user.id
     });
     
-    collector.on('end', () => {
-      // Remove navigation buttons when time expires
-      if (!interaction.ephemeral) {
-        navigationRow.components.forEach(button => button.setDisabled(true));
-        interaction.editReply({ components: [navigationRow] }).catch(error => {
-          logger.error('Error disabling buttons after collection end:', error);
-        });
-      }
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Deposit Credited',
+        `Credited **${amount} coins** to **${user.tag}**.\n\n💰 **New balance:** ${balance} coins\nLedger entry ID: ${entry.id}`
+      )]
     });
     
-    logger.info(`Payout history viewed for date range ${startDateStr} to ${endDateStr || startDateStr} by ${interaction.user.tag}`);
+    logger.info(`Deposit of ${amount} coins credited to ${user.tag} by ${interaction.user.tag}`);
   } catch (error) {
-    logger.error('Error in submitDateSearchModalSubmit function:', error);
-    await interaction.editReply({
-      content: 'An error occurred while searching for payouts. Please try again.',
-      ephemeral: true
+    await handleInteractionError(error, interaction, 'payoutManagement submitCreditDeposit');
+  }
+}
+
+// Handle review deposits button - lists deposits submitted with /processpics
+async function reviewDeposits(interaction, client) {
+  try {
+    const requests = await models.WalletRequest.findAll({
+      where: { guildId: interaction.guildId, type: 'deposit', status: 'pending' },
+      order: [['createdAt', 'ASC']],
+      limit: 25
     });
+    
+    if (requests.length === 0) {
+      return await safeUpdate(interaction, {
+        embeds: [createSuccessEmbed('No Pending Deposits', 'There are no deposit screenshots waiting for approval.')],
+        components: []
+      });
+    }
+    
+    const flaggedCount = requests.filter(request => request.meta.flagged).length;
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle('Pending Deposits')
+      .setDescription(`Select a deposit to check its screenshot and approve or reject it.${flaggedCount > 0 ? `\n\n⚠️ **${flaggedCount}** flagged for manual review.` : ''}`)
+      .setTimestamp();
+    
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(selectId('payoutManagement', 'selectDeposit'))
+      .setPlaceholder('Select a deposit request...')
+      .addOptions(requests.map(request => ({
+        label: `${request.meta.flagged ? '⚠️ ' : ''}#${request.id} - ${request.userTag}`.substring(0, 100),
+        description: `${request.amount} coins | Ref: ${request.reference || 'none'} | ${request.meta.confidence ?? '?'}% confidence`.substring(0, 100),
+        value: request.id.toString()
+      })));
+    
+    await safeUpdate(interaction, {
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(selectMenu)]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement reviewDeposits');
   }
 }
 
+// Handle deposit selection - shows the OCR result and screenshot with approve/reject buttons
+async function selectDepositSelect(interaction, client) {
+  try {
+    const request = await models.WalletRequest.findOne({ where: { id: interaction.values[0], guildId: interaction.guildId } });
+    
+    if (!request || request.status !== 'pending') {
+      return await safeUpdate(interaction, {
+        embeds: [createErrorEmbed('Request Unavailable', 'This deposit request no longer exists or has already been processed.')],
+        components: []
+      });
+    }
+    
+    const { meta } = request;
+    const embed = new EmbedBuilder()
+      .setColor(meta.flagged ? '#FEE75C' : '#0099ff')
+      .setTitle(`Deposit Request #${request.id}${meta.flagged ? ' ⚠️ Manual Review' : ''}`)
+      .addFields(
+        { name: 'Player', value: `<@${request.userId}> (${request.userTag})`, inline: true },
+        { name: 'Amount (OCR)', value: `${request.amount} coins`, inline: true },
+        { name: 'OCR Confidence', value: `${meta.confidence ?? '?'}%`, inline: true },
+        { name: 'Sender (OCR)', value: meta.sender || 'Not found', inline: true },
+        { name: 'Reference (OCR)', value: request.reference || 'Not found', inline: true },
+        { name: 'Submitted', value: formatDate(request.createdAt), inline: true }
+      )
+      .setFooter({ text: 'Check the transfer in-game before approving. You can correct the amount on approval.' })
+      .setTimestamp();
+    
+    if (meta.flagged) {
+      embed.addFields({ name: 'Review Reasons', value: meta.flagReasons.map(reason => `• ${reason}`).join('\n') });
+    }
+    
+    if (meta.screenshotUrl) {
+      embed.setImage(meta.screenshotUrl);
+    }
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'approveDeposit', { requestId: request.id }))
+          .setLabel('Approve')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'rejectDeposit', { requestId: request.id }))
+          .setLabel('Reject')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('✖️')
+      );
+    
+    await safeUpdate(interaction, {
+      embeds: [embed],
+      components: [row]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement selectDeposit');
+  }
+}
+
+// Handle approve deposit button - opens a modal to confirm the verified amount
+async function approveDeposit(interaction, client, { requestId }) {
+  try {
+    const request = await models.WalletRequest.findOne({ where: { id: requestId, guildId: interaction.guildId } });
+    
+    if (!request || request.status !== 'pending') {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Request Unavailable', 'This deposit request no longer exists or has already been processed.')]
+      });
+    }
+    
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('payoutManagement', 'submitApproveDeposit', { requestId: request.id }))
+      .setTitle(`Approve Deposit #${request.id}`);
+    
+    const amountInput = new TextInputBuilder()
+      .setCustomId('amount')
+      .setLabel('Verified amount (coins)')
+      .setStyle(TextInputStyle.Short)
+      .setValue(request.amount.toString())
+      .setRequired(true);
+    
+    modal.addComponents(new ActionRowBuilder().addComponents(amountInput));
+    
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement approveDeposit');
+  }
+}
+
+// Handle approve deposit modal submission - credits the verified amount
+async function submitApproveDepositModalSubmit(interaction, client, { requestId }) {
+  try {
+    const amount = Number(interaction.fields.getTextInputValue('amount').trim());
+    
+    if (!Number.isInteger(amount) || amount < 1) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Invalid Amount', 'The amount must be a whole number of at least 1 coin.')]
+      });
+    }
+    
+    await resolveDeposit(interaction, client, requestId, true, amount);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement submitApproveDeposit');
+  }
+}
+
+// Handle reject deposit button
+async function rejectDeposit(interaction, client, { requestId }) {
+  try {
+    await resolveDeposit(interaction, client, requestId, false);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement rejectDeposit');
+  }
+}
+
+// Approve or reject a deposit and let the player know
+async function resolveDeposit(interaction, client, requestId, approved, amount) {
+  // Modal submits are deferred as a reply, components as an update
+  const respond = interaction.isModalSubmit() ? safeReply : safeUpdate;
+  const result = await processDeposit(interaction.guildId, requestId, approved, interaction.user.id, amount);
+  
+  if (!result.success) {
+    return await respond(interaction, {
+      embeds: [createErrorEmbed('Deposit Not Processed', result.errors.join('\n'))],
+      components: []
+    });
+  }
+  
+  const { request } = result;
+  await respond(interaction, {
+    embeds: [createSuccessEmbed(
+      approved ? 'Deposit Approved' : 'Deposit Rejected',
+      approved
+        ? `Deposit #${request.id} of **${request.amount} coins** has been credited to **${request.userTag}**.`
+        : `Deposit #${request.id} from **${request.userTag}** has been rejected. No coins were credited.`
+    )],
+    components: []
+  });
+  
+  // Let the player know, ignoring closed DMs
+  const user = await client.users.fetch(request.userId).catch(() => null);
+  if (user) {
+    await user.send({
+      embeds: [approved
+        ? createSuccessEmbed('Deposit Credited', `Your deposit of **${request.amount} coins** (request #${request.id}) has been credited to your wallet.`)
+        : createErrorEmbed('Deposit Rejected', `Your deposit (request #${request.id}) could not be verified and was rejected. Contact a payout manager if you think this is a mistake.`)]
+    }).catch(() => logger.warn(`Could not DM ${request.userTag} about deposit #${request.id}`));
+  }
+  
+  logger.info(`Deposit #${request.id} ${request.status} by ${interaction.user.tag}`);
+}
+
+// Handle review withdrawals button - lists pending withdrawal requests
+async function reviewWithdrawals(interaction, client) {
+  try {
+    const requests = await models.WalletRequest.findAll({
+      where: { guildId: interaction.guildId, type: 'withdrawal', status: 'pending' },
+      order: [['createdAt', 'ASC']],
+      limit: 25
+    });
+    
+    if (requests.length === 0) {
+      return await safeUpdate(interaction, {
+        embeds: [createSuccessEmbed('No Pending Withdrawals', 'There are no withdrawal requests waiting for approval.')],
+        components: []
+      });
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle('Pending Withdrawals')
+      .setDescription('Select a withdrawal request to approve or reject it. Approve only after the coins have been sent in-game.')
+      .setTimestamp();
+    
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(selectId('payoutManagement', 'selectWithdrawal'))
+      .setPlaceholder('Select a withdrawal request...')
+      .addOptions(requests.map(request => ({
+        label: `#${request.id} - ${request.userTag}`.substring(0, 100),
+        description: `${request.amount} coins to ${request.reference || 'no reference'}`.substring(0, 100),
+        value: request.id.toString()
+      })));
+    
+    await safeUpdate(interaction, {
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(selectMenu)]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement reviewWithdrawals');
+  }
+}
+
+// Handle withdrawal selection - shows the request with approve/reject buttons
+async function selectWithdrawalSelect(interaction, client) {
+  try {
+    const request = await models.WalletRequest.findOne({ where: { id: interaction.values[0], guildId: interaction.guildId } });
+    
+    if (!request || request.status !== 'pending') {
+      return await safeUpdate(interaction, {
+        embeds: [createErrorEmbed('Request Unavailable', 'This withdrawal request no longer exists or has already been processed.')],
+        components: []
+      });
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(`Withdrawal Request #${request.id}`)
+      .addFields(
+        { name: 'Player', value: `<@${request.userId}> (${request.userTag})`, inline: true },
+        { name: 'Amount', value: `${request.amount} coins`, inline: true },
+        { name: 'Send To', value: request.reference || 'No reference given', inline: true },
+        { name: 'Requested', value: formatDate(request.createdAt), inline: true }
+      )
+      .setFooter({ text: 'Rejecting returns the coins to the player\'s wallet.' })
+      .setTimestamp();
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'approveWithdrawal', { requestId: request.id }))
+          .setLabel('Approve (Paid)')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('payoutManagement', 'rejectWithdrawal', { requestId: request.id }))
+          .setLabel('Reject & Refund')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('✖️')
+      );
+    
+    await safeUpdate(interaction, {
+      embeds: [embed],
+      components: [row]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement selectWithdrawal');
+  }
+}
+
+// Handle approve/reject withdrawal buttons
+async function resolveWithdrawal(interaction, client, requestId, approved) {
+  try {
+    const result = await processWithdrawal(interaction.guildId, requestId, approved, interaction.user.id);
+    
+    if (!result.success) {
+      return await safeUpdate(interaction, {
+        embeds: [createErrorEmbed('Withdrawal Not Processed', result.errors.join('\n'))],
+        components: []
+      });
+    }
+    
+    const { request } = result;
+    await safeUpdate(interaction, {
+      embeds: [createSuccessEmbed(
+        approved ? 'Withdrawal Approved' : 'Withdrawal Rejected',
+        approved
+          ? `Withdrawal #${request.id} of **${request.amount} coins** for **${request.userTag}** has been marked as paid.`
+          : `Withdrawal #${request.id} has been rejected and **${request.amount} coins** returned to **${request.userTag}**.`
+      )],
+      components: []
+    });
+    
+    // Let the player know, ignoring closed DMs
+    const user = await client.users.fetch(request.userId).catch(() => null);
+    if (user) {
+      await user.send({
+        embeds: [approved
+          ? createSuccessEmbed('Withdrawal Sent', `Your withdrawal of **${request.amount} coins** (request #${request.id}) has been sent to ${request.reference || 'you'} in-game.`)
+          : createErrorEmbed('Withdrawal Rejected', `Your withdrawal of **${request.amount} coins** (request #${request.id}) was rejected. The coins are back in your wallet.`)]
+      }).catch(() => logger.warn(`Could not DM ${request.userTag} about withdrawal #${request.id}`));
+    }
+    
+    logger.info(`Withdrawal #${request.id} ${request.status} by ${interaction.user.tag}`);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement resolveWithdrawal');
+  }
+}
+
+// Handle wallet lookup button - opens the lookup modal
+async function walletLookup(interaction, client) {
+  try {
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('payoutManagement', 'submitWalletLookup'))
+      .setTitle('Wallet Lookup');
+    
+    const userIdInput = new TextInputBuilder()
+      .setCustomId('userId')
+      .setLabel('Discord User ID')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+    
+    modal.addComponents(new ActionRowBuilder().addComponents(userIdInput));
+    
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement walletLookup');
+  }
+}
+
+// Handle wallet lookup modal submission
+async function submitWalletLookupModalSubmit(interaction, client) {
+  try {
+    const userId = interaction.fields.getTextInputValue('userId').trim();
+    const wallet = await models.Wallet.findOne({ where: { guildId: interaction.guildId, userId } });
+    
+    if (!wallet) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Wallet Not Found', `No wallet exists for user ID ${userId}.`)]
+      });
+    }
+    
+    const { balance, entries, pendingRequests } = await getWalletSummary(wallet.guildId, wallet.userId);
+    
+    await safeReply(interaction, {
+      embeds: [createWalletEmbed(wallet, balance, entries, pendingRequests)]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'payoutManagement submitWalletLookup');
+  }
+}
+
+// Buttons, select menus and modals of this module (see utils/router.js). The payout steps defer or
+// reply themselves; the wallet steps are deferred by the router unless they open a modal.
+const routes = {
+  permission: 'manageWallets',
+  buttons: {
+    payoutPanel: { handler: payoutPanel, permission: 'processPayout', defer: false },
+    confirmAllPayouts: { params: ['eventId:int'], handler: confirmAllPayouts, permission: 'processPayout', defer: false },
+    historyLookup: { handler: historyLookup, permission: 'processPayout', defer: false },
+    searchByEvent: { handler: searchByEvent, permission: 'processPayout', defer: false },
+    searchByUser: { handler: searchByUser, permission: 'processPayout', defer: false },
+    searchByDate: { handler: searchByDate, permission: 'processPayout', defer: false },
+    eventHistory: { params: ['eventId:int', 'page:int'], handler: showEventHistory, permission: 'processPayout' },
+    userHistory: { params: ['searchTerm:string', 'page:int'], handler: showUserHistory, permission: 'processPayout' },
+    dateHistory: { params: ['startDate:string', 'page:int', 'endDate:string?'], handler: showDateHistory, permission: 'processPayout' },
+    walletPanel: { handler: walletPanel },
+    creditDeposit: { handler: creditDepositButton, defer: false },
+    reviewDeposits: { handler: reviewDeposits },
+    approveDeposit: { params: ['requestId:int'], handler: approveDeposit, defer: false },
+    rejectDeposit: { params: ['requestId:int'], handler: rejectDeposit },
+    reviewWithdrawals: { handler: reviewWithdrawals },
+    approveWithdrawal: {
+      params: ['requestId:int'],
+      handler: (interaction, client, { requestId }) => resolveWithdrawal(interaction, client, requestId, true)
+    },
+    rejectWithdrawal: {
+      params: ['requestId:int'],
+      handler: (interaction, client, { requestId }) => resolveWithdrawal(interaction, client, requestId, false)
+    },
+    walletLookup: { handler: walletLookup, defer: false }
+  },
+  selects: {
+    selectEvent: { handler: selectEventSelect, permission: 'processPayout', defer: false },
+    // Opens the bank ID modal
+    selectWinner: { params: ['eventId:int'], handler: selectWinnerSelect, permission: 'processPayout', defer: false },
+    selectEventForHistory: { handler: selectEventForHistorySelect, permission: 'processPayout' },
+    selectDeposit: { handler: selectDepositSelect },
+    selectWithdrawal: { handler: selectWithdrawalSelect }
+  },
+  modals: {
+    submitBankId: { params: ['eventId:int', 'betId:int'], handler: submitBankIdModalSubmit, permission: 'processPayout' },
+    submitAllBankIds: { params: ['eventId:int'], handler: submitAllBankIdsModalSubmit, permission: 'processPayout' },
+    submitUserSearch: { handler: submitUserSearchModalSubmit, permission: 'processPayout' },
+    submitDateSearch: { handler: submitDateSearchModalSubmit, permission: 'processPayout' },
+    submitCreditDeposit: { handler: submitCreditDepositModalSubmit },
+    submitApproveDeposit: { params: ['requestId:int'], handler: submitApproveDepositModalSubmit },
+    submitWalletLookup: { handler: submitWalletLookupModalSubmit }
+  }
+};
+
 module.exports = {
   payoutPanel,
   selectEventSelect,
@@ -1585,5 +1994,7 @@ module.exports = {
   searchByUser,
   submitUserSearchModalSubmit,
   searchByDate,
-  submitDateSearchModalSubmit
+  submitDateSearchModalSubmit,
+  walletPanel,
+  routes
 };
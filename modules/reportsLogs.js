@@ -10,28 +10,26 @@ const { formatInTimeZone } = require('date-fns-tz');
 const logger = require('../utils/logger');
 const config = require('../config');
 const db = require('../database/dbInit');
-const { checkPermission } = require('../utils/permissions');
+const { getGuildTimezone, getGuildChannel } = require('../utils/guildSettings');
+const { buttonId } = require('../utils/router');
+
+// Reports that can be generated from the reports panel, by period
+const REPORT_PERIODS = {
+  daily: { label: 'Daily', since: endDate => subDays(endDate, 1) },
+  weekly: { label: 'Weekly', since: endDate => subWeeks(endDate, 1) },
+  monthly: { label: 'Monthly', since: endDate => subMonths(endDate, 1) }
+};
 
 // Main reports panel
 async function reportsPanel(interaction, client) {
   try {
-    // Check permissions
-    const hasPermission = await checkPermission(interaction.member, ['serverAdmin', 'admin', 'management']);
-    
-    if (!hasPermission) {
-      return interaction.reply({
-        content: 'You do not have permission to access reports. This action requires Server Admin, Admin, or Management role.',
-        ephemeral: true
-      });
-    }
-    
     // Create the embed for reports panel
     const embed = new EmbedBuilder()
       .setColor(config.colors.primary)
       .setTitle('KrayStakes Reports')
       .setDescription('Generate and view reports for the KrayStakes betting system.')
       .addFields(
-        { name: `${config.emojis.money} Financial Reports`, value: 'Generate reports on betting activity and payouts.' }
+        { name: '💰 Financial Reports', value: 'Generate reports on betting activity and payouts.' }
       )
       .setFooter({ text: 'KrayStakes LTD Reports Panel' })
       .setTimestamp();
@@ -40,41 +38,31 @@ async function reportsPanel(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('reportsLogs_dailyReport')
+          .setCustomId(buttonId('reportsLogs', 'viewReport', { period: 'daily' }))
           .setLabel('Daily Report')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📅'),
         new ButtonBuilder()
-          .setCustomId('reportsLogs_weeklyReport')
+          .setCustomId(buttonId('reportsLogs', 'viewReport', { period: 'weekly' }))
           .setLabel('Weekly Report')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('📆'),
         new ButtonBuilder()
-          .setCustomId('reportsLogs_monthlyReport')
+          .setCustomId(buttonId('reportsLogs', 'viewReport', { period: 'monthly' }))
           .setLabel('Monthly Report')
           .setStyle(ButtonStyle.Primary)
-          .setEmoji('📊')
-      );
-    
-    const row2 = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('reportsLogs_customDateReport')
-          .setLabel('Custom Date Range')
-          .setStyle(ButtonStyle.Secondary)
-          .setEmoji('🗓️'),
+          .setEmoji('📊'),
         new ButtonBuilder()
-          .setCustomId('reportsLogs_exportData')
-          .setLabel('Export Data')
+          .setCustomId(buttonId('adminPanel', 'showPanel'))
+          .setLabel('Back to Admin Panel')
           .setStyle(ButtonStyle.Secondary)
-          .setEmoji('📤')
+          .setEmoji('◀️')
       );
     
-    // Send the panel
-    await interaction.reply({
+    // Show the panel in place of the admin panel
+    await interaction.editReply({
       embeds: [embed],
-      components: [row, row2],
-      ephemeral: true
+      components: [row]
     });
     
     logger.info(`Reports panel opened by ${interaction.user.tag}`, {
@@ -85,45 +73,82 @@ async function reportsPanel(interaction, client) {
   } catch (error) {
     logger.error(`Error opening reports panel: ${error.message}`, { stack: error.stack });
     
-    if (!interaction.replied && !interaction.deferred) {
-      await interaction.reply({
-        content: 'There was an error opening the reports panel. This has been logged.',
-        ephemeral: true
-      });
+    await interaction.followUp({
+      content: 'There was an error opening the reports panel. This has been logged.',
+      ephemeral: true
+    });
+  }
+}
+
+// Show a report of the period up to now, generated on demand from the reports panel
+async function viewReport(interaction, client, { period }) {
+  try {
+    const reportPeriod = REPORT_PERIODS[period];
+    if (!reportPeriod) {
+      throw new Error(`Unknown report period: ${period}`);
     }
+    
+    const timezone = await getGuildTimezone(interaction.guildId);
+    const endDate = new Date();
+    const startDate = reportPeriod.since(endDate);
+    const reportText = await generateReportText(interaction.guildId, startDate, endDate, reportPeriod.label, timezone);
+    
+    const embed = new EmbedBuilder()
+      .setColor(config.colors.primary)
+      .setTitle(`${reportPeriod.label} Report: ${formatInTimeZone(startDate, timezone, 'MMM d, yyyy')} - ${formatInTimeZone(endDate, timezone, 'MMM d, yyyy')}`)
+      .setDescription(reportText)
+      .setFooter({ text: `KrayStakes LTD ${reportPeriod.label} Report • Generated at ${formatInTimeZone(endDate, timezone, 'MMM d, yyyy h:mm a zzz')}` })
+      .setTimestamp();
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('reportsLogs', 'reportsPanel'))
+          .setLabel('Back to Reports')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('◀️')
+      );
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: [row]
+    });
+    
+    logger.info(`${reportPeriod.label} report viewed by ${interaction.user.tag}`, {
+      category: 'Reports',
+      userId: interaction.user.id,
+      username: interaction.user.tag
+    });
+  } catch (error) {
+    logger.error(`Error viewing ${period} report: ${error.message}`, { stack: error.stack });
+    
+    await interaction.followUp({
+      content: 'There was an error generating the report. This has been logged.',
+      ephemeral: true
+    });
   }
 }
 
 // Generate weekly report (scheduled task)
-async function generateWeeklyReport(client) {
+async function generateWeeklyReport(client, options = {}) {
   try {
-    logger.info('Generating weekly report');
+    const { guildId } = options;
+    logger.info(`Generating weekly report for server ${guildId}`);
     
-    // Get the configured timezone
-    const timezone = config.timezone || 'UTC';
+    // Get the server's timezone
+    const timezone = await getGuildTimezone(guildId);
     
-    // Calculate date range (last week)
-    const endDate = new Date();
+    // Calculate date range (the week up to the scheduled run, so caught-up reports cover their own week)
+    const endDate = options.endDate || new Date();
     const startDate = subWeeks(endDate, 1);
     
     // Generate the report
-    const reportText = await generateReportText(startDate, endDate, 'Weekly', timezone);
-    
-    // Get the reports channel
-    const reportsChannelId = config.channels.reports;
-    if (!reportsChannelId) {
-      logger.warn('No reports channel configured. Cannot send weekly report.');
-      return;
-    }
-    
-    // Get the channel
-    const reportsChannel = await client.channels.fetch(reportsChannelId).catch(error => {
-      logger.error(`Error fetching reports channel: ${error.message}`, { stack: error.stack });
-      return null;
-    });
+    const reportText = await generateReportText(guildId, startDate, endDate, 'Weekly', timezone);
     
+    // Get the server's reports channel
+    const reportsChannel = await getGuildChannel(client, guildId, 'reports');
     if (!reportsChannel) {
-      logger.error(`Reports channel with ID ${reportsChannelId} not found.`);
+      logger.warn(`No reports channel available in server ${guildId}. Cannot send weekly report.`);
       return;
     }
     
@@ -142,42 +167,33 @@ async function generateWeeklyReport(client) {
     // Send the report
     await reportsChannel.send({ embeds: [embed] });
     
-    logger.info('Weekly report generated and sent successfully');
+    logger.info(`Weekly report for server ${guildId} generated and sent successfully`);
   } catch (error) {
     logger.error(`Error generating weekly report: ${error.message}`, { stack: error.stack });
+    throw error;
   }
 }
 
 // Generate monthly report (scheduled task)
-async function generateMonthlyReport(client) {
+async function generateMonthlyReport(client, options = {}) {
   try {
-    logger.info('Generating monthly report');
+    const { guildId } = options;
+    logger.info(`Generating monthly report for server ${guildId}`);
     
-    // Get the configured timezone
-    const timezone = config.timezone || 'UTC';
+    // Get the server's timezone
+    const timezone = await getGuildTimezone(guildId);
     
-    // Calculate date range (last month)
-    const endDate = new Date();
+    // Calculate date range (the month up to the scheduled run)
+    const endDate = options.endDate || new Date();
     const startDate = subMonths(endDate, 1);
     
     // Generate the report
-    const reportText = await generateReportText(startDate, endDate, 'Monthly', timezone);
-    
-    // Get the reports channel
-    const reportsChannelId = config.channels.reports;
-    if (!reportsChannelId) {
-      logger.warn('No reports channel configured. Cannot send monthly report.');
-      return;
-    }
-    
-    // Get the channel
-    const reportsChannel = await client.channels.fetch(reportsChannelId).catch(error => {
-      logger.error(`Error fetching reports channel: ${error.message}`, { stack: error.stack });
-      return null;
-    });
+    const reportText = await generateReportText(guildId, startDate, endDate, 'Monthly', timezone);
     
+    // Get the server's reports channel
+    const reportsChannel = await getGuildChannel(client, guildId, 'reports');
     if (!reportsChannel) {
-      logger.error(`Reports channel with ID ${reportsChannelId} not found.`);
+      logger.warn(`No reports channel available in server ${guildId}. Cannot send monthly report.`);
       return;
     }
     
@@ -196,14 +212,15 @@ async function generateMonthlyReport(client) {
     // Send the report
     await reportsChannel.send({ embeds: [embed] });
     
-    logger.info('Monthly report generated and sent successfully');
+    logger.info(`Monthly report for server ${guildId} generated and sent successfully`);
   } catch (error) {
     logger.error(`Error generating monthly report: ${error.message}`, { stack: error.stack });
+    throw error;
   }
 }
 
 // Generate report text
-async function generateReportText(startDate, endDate, reportType, timezone) {
+async function generateReportText(guildId, startDate, endDate, reportType, timezone) {
   try {
     // Database queries
     const { Event, Bet, Payout } = db.models;
@@ -216,6 +233,7 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get events created in the date range
     const events = await Event.count({
       where: {
+        guildId,
         createdAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
@@ -225,7 +243,8 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get completed events in the date range
     const completedEvents = await Event.count({
       where: {
-        status: 'Completed',
+        guildId,
+        status: 'completed',
         updatedAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
@@ -235,6 +254,7 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get total bets placed in the date range
     const totalBets = await Bet.count({
       where: {
+        guildId,
         createdAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
@@ -244,6 +264,7 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get total bet amount in the date range
     const totalBetAmount = await Bet.sum('amount', {
       where: {
+        guildId,
         createdAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
@@ -253,8 +274,9 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get total payouts processed in the date range
     const totalPayouts = await Payout.count({
       where: {
-        status: 'Completed',
-        processedDate: {
+        guildId,
+        status: 'completed',
+        processedAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
       }
@@ -263,8 +285,9 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
     // Get total payout amount in the date range
     const totalPayoutAmount = await Payout.sum('amount', {
       where: {
-        status: 'Completed',
-        processedDate: {
+        guildId,
+        status: 'completed',
+        processedAt: {
           [Op.between]: [startDateStr, endDateStr]
         }
       }
@@ -291,9 +314,19 @@ async function generateReportText(startDate, endDate, reportType, timezone) {
   }
 }
 
+// Buttons of this module (see utils/router.js)
+const routes = {
+  permission: 'viewReports',
+  buttons: {
+    reportsPanel: { handler: reportsPanel },
+    viewReport: { params: ['period:string'], handler: viewReport }
+  }
+};
+
 module.exports = {
   reportsPanel,
   generateWeeklyReport,
   generateMonthlyReport,
-  generateReportText
+  generateReportText,
+  routes
 };
\ No newline at end of file
@@ -2,9 +2,11 @@
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { createSuccessEmbed, createErrorEmbed, createEventEmbed, getStatusWithEmoji } = require('../utils/embeds');
 const { formatDate, getTimeRemaining, shouldSendReminder } = require('../utils/timeUtils');
-const { isEventManager } = require('../utils/permissions');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getGuildTimezone, getGuildChannel } = require('../utils/guildSettings');
+const { getGuildsWithModuleDisabled } = require('../utils/moduleToggles');
+const { buttonId } = require('../utils/router');
 
 /**
  * View the schedule of upcoming events
@@ -13,15 +15,6 @@ const logger = require('../utils/logger');
  */
 async function viewSchedule(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isEventManager(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Event Manager to view the schedule.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
@@ -29,6 +22,7 @@ async function viewSchedule(interaction, client) {
     const { Event } = require('../database/models');
     const events = await Event.findAll({
       where: {
+        guildId: interaction.guildId,
         status: ['pending', 'open'],
         scheduledTime: {
           [require('sequelize').Op.not]: null
@@ -45,10 +39,8 @@ async function viewSchedule(interaction, client) {
       return;
     }
     
-    // Get user's timezone from database or use default
-    const { Configuration } = require('../database/models');
-    const timezoneConfig = await Configuration.findOne({ where: { key: 'timezone' } });
-    const timezone = timezoneConfig?.value || config.timezone;
+    // Get the server's timezone
+    const timezone = await getGuildTimezone(interaction.guildId);
     
     // Create embed
     const embed = new EmbedBuilder()
@@ -76,11 +68,11 @@ async function viewSchedule(interaction, client) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('scheduledEvents:sendReminders')
+          .setCustomId(buttonId('scheduledEvents', 'sendReminders'))
           .setLabel('📢 Send Reminders')
           .setStyle(ButtonStyle.Primary),
         new ButtonBuilder()
-          .setCustomId('scheduledEvents:refreshSchedule')
+          .setCustomId(buttonId('scheduledEvents', 'viewSchedule'))
           .setLabel('🔄 Refresh')
           .setStyle(ButtonStyle.Secondary)
       );
@@ -113,20 +105,11 @@ async function viewSchedule(interaction, client) {
  */
 async function sendReminders(interaction, client) {
   try {
-    // Check permissions
-    if (!interaction.member || !isEventManager(interaction.member)) {
-      await interaction.reply({
-        embeds: [createErrorEmbed('Permission Denied', 'You must be an Event Manager to send reminders.')],
-        ephemeral: true
-      });
-      return;
-    }
-    
     // Defer reply
     await interaction.deferReply({ ephemeral: true });
     
     // Force send reminders
-    const sentCount = await checkUpcomingEvents(client, true);
+    const sentCount = await checkUpcomingEvents(client, true, interaction.guildId);
     
     // Reply with result
     if (sentCount > 0) {
@@ -155,22 +138,28 @@ async function sendReminders(interaction, client) {
 }
 
 /**
- * Check for upcoming events and send reminders if necessary
+ * Check for upcoming events and send reminders if necessary. Each reminder goes to the
+ * announcements channel and by DM to everyone who bet on the event or clicked "Remind Me".
  * @param {Client} client - The Discord client instance
- * @param {boolean} forceSend - Whether to force send reminders regardless of timing
- * @returns {Promise<number>} - Number of reminders sent
+ * @param {boolean} forceSend - Whether to send one reminder for every event now, regardless of timing
+ * @param {string|null} guildId - Only check this server's events (defaults to every server with Scheduled Events on)
+ * @returns {Promise<number>} - Number of reminders sent (channel messages and DMs)
  */
-async function checkUpcomingEvents(client, forceSend = false) {
+async function checkUpcomingEvents(client, forceSend = false, guildId = null) {
   try {
-    // Get all active events from the database
-    const { Event } = require('../database/models');
+    // Get all active events from the database, leaving out servers that turned reminders off
+    const { Event, Market } = require('../database/models');
+    const disabledGuildIds = guildId ? [] : await getGuildsWithModuleDisabled('scheduledEvents');
     const events = await Event.findAll({
       where: {
+        ...(guildId ? { guildId } : {}),
+        ...(disabledGuildIds.length > 0 ? { guildId: { [require('sequelize').Op.notIn]: disabledGuildIds } } : {}),
         status: ['pending', 'open'],
         scheduledTime: {
           [require('sequelize').Op.not]: null
         }
-      }
+      },
+      include: [{ model: Market }]
     });
     
     // Check if there are any events
@@ -178,27 +167,8 @@ async function checkUpcomingEvents(client, forceSend = false) {
       return 0;
     }
     
-    // Get announcements channel ID from config
-    const announcementsChannelId = config.channels.announcements;
-    if (!announcementsChannelId) {
-      logger.warn('No announcements channel configured. Skipping reminders.');
-      return 0;
-    }
-    
-    // Get the announcements channel
-    const announcementsChannel = await client.channels.fetch(announcementsChannelId).catch(() => null);
-    if (!announcementsChannel) {
-      logger.warn(`Announcements channel with ID ${announcementsChannelId} not found.`);
-      return 0;
-    }
-    
-    // Get user's timezone from database or use default
-    const { Configuration } = require('../database/models');
-    const timezoneConfig = await Configuration.findOne({ where: { key: 'timezone' } });
-    const timezone = timezoneConfig?.value || config.timezone;
-    
-    // Get reminder times from config
-    const reminderTimes = config.reminderTimes || [1440, 60, 15]; // Default: 24 hours, 1 hour, 15 minutes
+    // Each server's settings are looked up once per run
+    const guildSettings = new Map();
     
     // Track number of reminders sent
     let remindersSent = 0;
@@ -208,42 +178,62 @@ async function checkUpcomingEvents(client, forceSend = false) {
       // Check if event has a scheduled time
       if (!event.scheduledTime) continue;
       
-      // Get the reminders already sent for this event
-      const sentReminders = event.remindersSent || [];
+      if (!guildSettings.has(event.guildId)) {
+        guildSettings.set(event.guildId, await getReminderSettings(client, event.guildId));
+      }
+      const { announcementsChannel, timezone, reminderTimes: defaultReminderTimes } = guildSettings.get(event.guildId);
+      
+      // Events can have their own reminder times; forced reminders are sent once and not recorded
+      const reminderTimes = event.reminderTimes || defaultReminderTimes;
+      const sent = event.remindersSent;
+      const dueTimes = forceSend
+        ? [null]
+        : reminderTimes.filter(reminderTime => shouldSendReminder(event.scheduledTime, reminderTime));
+      if (dueTimes.length === 0) continue;
+      
+      const recipients = await getReminderRecipients(event);
       let updated = false;
       
-      // Check each reminder time
-      for (const reminderTime of reminderTimes) {
-        // Check if reminder should be sent
-        if (forceSend || shouldSendReminder(event.scheduledTime, reminderTime, sentReminders)) {
-          // Create reminder embed
-          const embed = createEventEmbed(event, timezone);
-          embed.setTitle(`⏰ Reminder: ${embed.data.title}`);
-          
-          // Add reminder info
-          const timeRemaining = getTimeRemaining(event.scheduledTime);
-          embed.addFields({
-            name: 'Reminder',
-            value: `This event starts in ${timeRemaining}!`,
-            inline: false
-          });
-          
-          // Send reminder to announcements channel
+      for (const reminderTime of dueTimes) {
+        const embed = createReminderEmbed(event, timezone);
+        let sentNow = 0;
+        
+        // Send reminder to announcements channel
+        if (announcementsChannel && (reminderTime === null || !sent.channel.includes(reminderTime))) {
           await announcementsChannel.send({ embeds: [embed] });
+          sentNow++;
           
-          // Update sent reminders
-          sentReminders.push(reminderTime);
+          if (reminderTime !== null) {
+            sent.channel.push(reminderTime);
+            updated = true;
+          }
+        }
+        
+        // DM the bettors and subscribers who have not had this reminder yet
+        const delivered = reminderTime === null ? [] : sent.dm[reminderTime] || [];
+        for (const userId of recipients.filter(id => !delivered.includes(id))) {
+          if (await sendReminderDM(client, userId, event, embed)) {
+            sentNow++;
+          }
+          // Recorded even if the DM failed (e.g. DMs closed), so it is not retried every run
+          delivered.push(userId);
+        }
+        
+        if (reminderTime !== null && delivered.length > 0) {
+          sent.dm[reminderTime] = delivered;
           updated = true;
-          remindersSent++;
-          
-          // Log the action
-          logger.info(`Sent ${reminderTime} minute reminder for event ${event.id}`);
+        }
+        
+        // Log the action
+        if (sentNow > 0) {
+          remindersSent += sentNow;
+          logger.info(`Sent ${reminderTime === null ? 'manual' : `${reminderTime} minute`} reminder for event ${event.id} (${sentNow} message(s))`);
         }
       }
       
       // Update the event in the database if reminders were sent
       if (updated) {
-        event.remindersSent = sentReminders;
+        event.remindersSent = sent;
         await event.save();
       }
     }
@@ -256,43 +246,231 @@ async function checkUpcomingEvents(client, forceSend = false) {
 }
 
 /**
- * Handle button clicks for this module
- * @param {string} buttonId - The ID of the button that was clicked
- * @param {Interaction} interaction - The interaction that triggered this
+ * Get the settings a server's reminders are sent with
+ * @param {Client} client - The Discord client instance
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<Object>} - { announcementsChannel, timezone, reminderTimes }
+ */
+async function getReminderSettings(client, guildId) {
+  // Without an announcements channel, reminders still go out by DM
+  const announcementsChannel = await getGuildChannel(client, guildId, 'announcements');
+  if (!announcementsChannel) {
+    logger.warn(`No announcements channel available in server ${guildId}. Sending reminders by DM only.`);
+  }
+  
+  // The default reminder times come from Configuration Settings or config.js
+  const { reminderTimes } = await require('./jobScheduler').getScheduleSettings(guildId);
+  
+  return { announcementsChannel, timezone: await getGuildTimezone(guildId), reminderTimes };
+}
+
+/**
+ * Create the reminder embed for an event
+ * @param {Object} event - The event object from the database
+ * @param {string} timezone - The timezone to show times in
+ * @returns {EmbedBuilder} - The reminder embed
+ */
+function createReminderEmbed(event, timezone) {
+  const embed = createEventEmbed(event, timezone);
+  embed.setTitle(`⏰ Reminder: ${embed.data.title}`);
+  embed.addFields({
+    name: 'Reminder',
+    value: `This event starts in ${getTimeRemaining(event.scheduledTime)}!`,
+    inline: false
+  });
+  return embed;
+}
+
+/**
+ * Get the players to DM about an event: everyone with an active bet or parlay leg on it,
+ * and everyone who clicked "Remind Me" on its announcement
+ * @param {Object} event - The event object from the database
+ * @returns {Promise<Array<string>>} - Discord user IDs, without duplicates
+ */
+async function getReminderRecipients(event) {
+  const { Bet, ParlayLeg, ReminderSubscription } = require('../database/models');
+  
+  const [bets, parlayLegs, subscriptions] = await Promise.all([
+    Bet.findAll({ where: { eventId: event.id, status: 'active' }, attributes: ['userId'] }),
+    ParlayLeg.findAll({
+      where: { eventId: event.id },
+      include: [{ model: Bet, where: { status: 'active' }, attributes: ['userId'] }]
+    }),
+    ReminderSubscription.findAll({ where: { eventId: event.id }, attributes: ['userId'] })
+  ]);
+  
+  return [...new Set([
+    ...bets.map(bet => bet.userId),
+    ...parlayLegs.map(leg => leg.Bet.userId),
+    ...subscriptions.map(subscription => subscription.userId)
+  ])];
+}
+
+/**
+ * DM a reminder to a player
  * @param {Client} client - The Discord client instance
+ * @param {string} userId - Discord user ID of the player
+ * @param {Object} event - The event object from the database
+ * @param {EmbedBuilder} embed - The reminder embed
+ * @returns {Promise<boolean>} - Whether the DM was delivered
  */
-async function handleButton(buttonId, interaction, client) {
+async function sendReminderDM(client, userId, event, embed) {
   try {
-    switch (buttonId) {
-      case 'viewSchedule':
-        await viewSchedule(interaction, client);
-        break;
-      case 'sendReminders':
-        await sendReminders(interaction, client);
-        break;
-      case 'refreshSchedule':
-        await viewSchedule(interaction, client);
-        break;
-      default:
-        await interaction.reply({
-          embeds: [createErrorEmbed('Unknown Button', `The button "${buttonId}" is not recognized.`)],
-          ephemeral: true
-        });
-        break;
+    const user = await client.users.fetch(userId);
+    await user.send({
+      content: `You bet on or asked to be reminded of **${event.name}**.`,
+      embeds: [embed]
+    });
+    return true;
+  } catch (error) {
+    logger.debug(`Could not DM reminder for event ${event.id} to user ${userId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get the time at which betting on an event locks automatically
+ * @param {Object} event - The event object from the database
+ * @returns {Date|null} - The lock time, or null if the event has no scheduled time
+ */
+function getLockTime(event) {
+  if (!event.scheduledTime) return null;
+  return new Date(new Date(event.scheduledTime).getTime() - (config.scheduling.lockOffsetMinutes || 0) * 60000);
+}
+
+/**
+ * Open pending events whose open time has come and lock open events that have reached their
+ * lock time, posting a notice and refreshing the announcement of each
+ * @param {Client} client - The Discord client instance
+ * @returns {Promise<Object>} - The number of events { opened, locked }
+ */
+async function updateBettingStatus(client) {
+  const result = { opened: 0, locked: 0 };
+  
+  try {
+    const { Event } = require('../database/models');
+    const { Op } = require('sequelize');
+    const { autoOpen, autoLock, lockOffsetMinutes } = config.scheduling;
+    const now = new Date();
+    
+    // Open pending events at their open time, unless they are already past their lock time
+    if (autoOpen) {
+      const dueToOpen = await Event.findAll({
+        where: { status: 'pending', openTime: { [Op.lte]: now } }
+      });
+      
+      for (const event of dueToOpen) {
+        const lockTime = getLockTime(event);
+        if (autoLock && lockTime && lockTime <= now) continue;
+        
+        if (await setBettingStatus(event, 'pending', 'open')) {
+          await postBettingNotice(client, event);
+          result.opened++;
+        }
+      }
+    }
+    
+    // Lock open events at their scheduled time (less the configured offset)
+    if (autoLock) {
+      const dueToLock = await Event.findAll({
+        where: {
+          status: 'open',
+          scheduledTime: { [Op.lte]: new Date(now.getTime() + (lockOffsetMinutes || 0) * 60000) }
+        }
+      });
+      
+      for (const event of dueToLock) {
+        if (await setBettingStatus(event, 'open', 'locked')) {
+          await postBettingNotice(client, event);
+          result.locked++;
+        }
+      }
     }
+    
+    return result;
   } catch (error) {
-    logger.error(`Error handling button ${buttonId} in Scheduled Events module:`, error);
+    logger.error('Error updating betting status of scheduled events:', error);
+    return result;
+  }
+}
+
+/**
+ * Move an event from one status to another, unless someone else changed it in the meantime
+ * @param {Object} event - The event object from the database
+ * @param {string} fromStatus - The status the event is expected to have
+ * @param {string} toStatus - The new status
+ * @returns {Promise<boolean>} - Whether the event was updated
+ */
+async function setBettingStatus(event, fromStatus, toStatus) {
+  const { Event } = require('../database/models');
+  const [updated] = await Event.update({ status: toStatus }, { where: { id: event.id, status: fromStatus } });
+  if (updated === 0) {
+    return false;
+  }
+  
+  await event.reload();
+  
+  logger.db.info(`Betting ${toStatus === 'open' ? 'opened' : 'locked'} automatically for event "${event.name}" (ID: ${event.id})`, {
+    guildId: event.guildId,
+    type: toStatus === 'open' ? 'event_auto_open' : 'event_auto_lock',
+    metadata: { eventId: event.id, scheduledTime: event.scheduledTime, openTime: event.openTime }
+  });
+  
+  return true;
+}
+
+/**
+ * Refresh an event's announcement with its new status and betting buttons, and post a notice
+ * that betting has opened or closed below it
+ * @param {Client} client - The Discord client instance
+ * @param {Object} event - The event object from the database, after its status changed
+ */
+async function postBettingNotice(client, event) {
+  try {
+    const channel = event.announcementChannelId
+      ? await client.channels.fetch(event.announcementChannelId)
+      : await getGuildChannel(client, event.guildId, 'announcements');
+    if (!channel) {
+      logger.warn(`No announcements channel configured. Skipping betting notice for event ${event.id}.`);
+      return;
+    }
     
-    await interaction.reply({
-      embeds: [createErrorEmbed('Error', 'An error occurred while processing your request.')],
-      ephemeral: true
+    // Update the announcement so its status and buttons match
+    const { refreshAnnouncement } = require('./betting');
+    await refreshAnnouncement(client, event);
+    
+    const opened = event.status === 'open';
+    await channel.send({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(opened ? '#00FF00' : '#FF9900')
+          .setTitle(opened ? `🔓 Betting Open for "${event.name}"` : `🔒 Betting Closed for "${event.name}"`)
+          .setDescription(opened
+            ? 'Betting for this event is now open. Use the "Place Bet" button on the announcement or `/bet` to place your bets.'
+            : 'The event is about to start, so betting has closed automatically. No further bets can be placed.')
+          .setTimestamp()
+      ]
     });
+    
+    logger.info(`Betting ${opened ? 'open' : 'closed'} notice posted for "${event.name}" (ID: ${event.id})`);
+  } catch (error) {
+    logger.error(`Error posting betting notice for event ID ${event.id}:`, error);
   }
 }
 
+// Buttons of this module (see utils/router.js). Each replies with a new ephemeral message.
+const routes = {
+  permission: 'announceEvent',
+  buttons: {
+    viewSchedule: { handler: viewSchedule, defer: false },
+    sendReminders: { handler: sendReminders, defer: false }
+  }
+};
+
 module.exports = {
   viewSchedule,
   sendReminders,
   checkUpcomingEvents,
-  handleButton
+  updateBettingStatus,
+  routes
 };
\ No newline at end of file
@@ -0,0 +1,599 @@
+// KrayStakes Discord Bot - Wallet Module
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { createErrorEmbed, createSuccessEmbed } = require('../utils/embeds');
+const { formatDate } = require('../utils/timeUtils');
+const { safeReply, handleInteractionError } = require('../utils/interactions');
+const { buttonId, modalId } = require('../utils/router');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Get a user's wallet in a server, creating it on first use
+ * @param {string} guildId - Discord server ID; each server has its own wallets
+ * @param {string} userId - Discord user ID of the wallet owner
+ * @param {string} userTag - Discord tag of the wallet owner
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Object>} - The wallet
+ */
+async function getOrCreateWallet(guildId, userId, userTag, options = {}) {
+  const { Wallet } = require('../database/models');
+
+  const [wallet] = await Wallet.findOrCreate({
+    where: { guildId, userId },
+    defaults: { guildId, userId, userTag },
+    ...options
+  });
+
+  // Keep the tag current for staff lookups
+  if (userTag && wallet.userTag !== userTag) {
+    await wallet.update({ userTag }, options);
+  }
+
+  return wallet;
+}
+
+/**
+ * Get a user's balance in a server, derived from the sum of their ledger entries
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the wallet owner
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<number>} - The balance in coins
+ */
+async function getBalance(guildId, userId, options = {}) {
+  const { LedgerEntry } = require('../database/models');
+
+  const balance = await LedgerEntry.sum('amount', { where: { guildId, userId }, ...options });
+  return balance || 0;
+}
+
+/**
+ * Append an entry to a wallet's ledger
+ * @param {Object} wallet - The wallet to record the entry on
+ * @param {Object} entryData - The entry data (type, amount, referenceType, referenceId, description, createdBy, meta)
+ * @param {Object} [options] - Query options (e.g. { transaction })
+ * @returns {Promise<Object>} - The ledger entry
+ */
+async function recordEntry(wallet, entryData, options = {}) {
+  const { LedgerEntry } = require('../database/models');
+
+  return LedgerEntry.create({
+    ...entryData,
+    guildId: wallet.guildId,
+    walletId: wallet.id,
+    userId: wallet.userId
+  }, options);
+}
+
+/**
+ * Credit an in-game deposit to a user's wallet
+ * @param {Object} depositData - The deposit data (guildId, userId, userTag, amount, reference, createdBy)
+ * @returns {Promise<Object>} - { entry: Object, balance: number }
+ */
+async function creditDeposit(depositData) {
+  const { sequelize } = require('../database/dbInit');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const wallet = await getOrCreateWallet(depositData.guildId, depositData.userId, depositData.userTag, { transaction });
+    const entry = await recordEntry(wallet, {
+      type: 'deposit',
+      amount: depositData.amount,
+      description: depositData.reference ? `Deposit (${depositData.reference})` : 'Deposit',
+      createdBy: depositData.createdBy,
+      meta: { reference: depositData.reference || null }
+    }, { transaction });
+
+    return { entry, balance: await getBalance(wallet.guildId, wallet.userId, { transaction }) };
+  });
+
+  logger.db.info(`Deposit of ${depositData.amount} coins credited to ${depositData.userId}`, {
+    guildId: depositData.guildId,
+    userId: depositData.createdBy,
+    type: 'wallet',
+    metadata: { walletUserId: depositData.userId, entryId: result.entry.id, amount: depositData.amount }
+  });
+
+  return result;
+}
+
+/**
+ * Queue a deposit read from a bank transfer screenshot for a payout manager to approve.
+ * Low OCR confidence, missing fields or a reused transaction reference flag it for manual review.
+ * @param {Object} depositData - The deposit data (guildId, userId, userTag, amount, reference, sender, confidence, text,
+ *   screenshotUrl)
+ * @returns {Promise<Object>} - The pending deposit request
+ */
+async function queueDeposit(depositData) {
+  const { sequelize } = require('../database/dbInit');
+  const { WalletRequest } = require('../database/models');
+  const { Op } = require('sequelize');
+
+  const request = await sequelize.transaction(async (transaction) => {
+    const wallet = await getOrCreateWallet(depositData.guildId, depositData.userId, depositData.userTag, { transaction });
+
+    // Work out why this deposit needs a closer look, if at all
+    const flagReasons = [];
+    if (depositData.confidence < config.ocr.confidenceThreshold) {
+      flagReasons.push(`Low OCR confidence (${Math.round(depositData.confidence)}%)`);
+    }
+    if (!depositData.sender) {
+      flagReasons.push('Sender not found');
+    }
+    if (!depositData.reference) {
+      flagReasons.push('Transaction reference not found');
+    } else {
+      const duplicates = await WalletRequest.count({
+        where: { guildId: wallet.guildId, type: 'deposit', reference: depositData.reference, status: { [Op.ne]: 'rejected' } },
+        transaction
+      });
+      if (duplicates > 0) {
+        flagReasons.push('Transaction reference already used');
+      }
+    }
+
+    return WalletRequest.create({
+      guildId: wallet.guildId,
+      walletId: wallet.id,
+      userId: wallet.userId,
+      userTag: wallet.userTag,
+      type: 'deposit',
+      amount: depositData.amount,
+      reference: depositData.reference,
+      meta: {
+        source: 'ocr',
+        sender: depositData.sender,
+        confidence: Math.round(depositData.confidence),
+        flagged: flagReasons.length > 0,
+        flagReasons,
+        screenshotUrl: depositData.screenshotUrl,
+        text: (depositData.text || '').substring(0, 1000)
+      }
+    }, { transaction });
+  });
+
+  logger.db.info(`Deposit #${request.id} of ${request.amount} coins queued${request.meta.flagged ? ' (flagged)' : ''}`, {
+    guildId: request.guildId,
+    userId: depositData.userId,
+    type: 'wallet',
+    metadata: { requestId: request.id, amount: request.amount, flagReasons: request.meta.flagReasons }
+  });
+
+  return request;
+}
+
+/**
+ * Approve or reject a pending deposit. Approved deposits are credited to the wallet.
+ * @param {string} guildId - Discord server ID the deposit was made in
+ * @param {number|string} requestId - The ID of the deposit request
+ * @param {boolean} approved - Whether the transfer was verified in-game
+ * @param {string} processedBy - Discord user ID of the payout manager
+ * @param {number} [amount] - The verified amount, if it differs from the OCR'd amount
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, request: Object }
+ */
+async function processDeposit(guildId, requestId, approved, processedBy, amount) {
+  const { sequelize } = require('../database/dbInit');
+  const { Wallet, WalletRequest } = require('../database/models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const request = await WalletRequest.findOne({ where: { id: requestId, guildId }, transaction });
+    if (!request || request.type !== 'deposit') {
+      return { success: false, errors: ['Deposit request not found'] };
+    }
+
+    if (request.status !== 'pending') {
+      return { success: false, errors: [`This deposit has already been ${request.status}`], request };
+    }
+
+    const changes = { status: approved ? 'approved' : 'rejected', processedBy, processedAt: new Date() };
+
+    if (approved) {
+      // Keep the OCR'd amount on record when staff correct it
+      if (amount && amount !== request.amount) {
+        changes.meta = { ...request.meta, ocrAmount: request.amount };
+        changes.amount = amount;
+      }
+
+      const wallet = await Wallet.findByPk(request.walletId, { transaction });
+      await recordEntry(wallet, {
+        type: 'deposit',
+        amount: changes.amount || request.amount,
+        referenceType: 'walletRequest',
+        referenceId: request.id,
+        description: request.reference ? `Deposit (${request.reference})` : `Deposit request #${request.id}`,
+        createdBy: processedBy,
+        meta: { reference: request.reference }
+      }, { transaction });
+    }
+
+    await request.update(changes, { transaction });
+
+    return { success: true, errors: [], request };
+  });
+
+  if (result.success) {
+    const { request } = result;
+    logger.db.info(`Deposit #${request.id} of ${request.amount} coins ${request.status}`, {
+      guildId,
+      userId: processedBy,
+      type: 'wallet',
+      metadata: { requestId: request.id, walletUserId: request.userId, amount: request.amount }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Request a withdrawal, holding the coins on the ledger until staff process it
+ * @param {Object} requestData - The request data (guildId, userId, userTag, amount, reference)
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, request: Object, balance: number }
+ */
+async function requestWithdrawal(requestData) {
+  const { sequelize } = require('../database/dbInit');
+  const { WalletRequest } = require('../database/models');
+
+  const amount = Number(requestData.amount);
+  if (!Number.isInteger(amount) || amount < 1) {
+    return { success: false, errors: ['Amount must be a whole number of at least 1 coin'] };
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const wallet = await getOrCreateWallet(requestData.guildId, requestData.userId, requestData.userTag, { transaction });
+    const balance = await getBalance(wallet.guildId, wallet.userId, { transaction });
+
+    if (amount > balance) {
+      return { success: false, errors: [`Insufficient balance: you have ${balance} coins`] };
+    }
+
+    const request = await WalletRequest.create({
+      guildId: wallet.guildId,
+      walletId: wallet.id,
+      userId: wallet.userId,
+      userTag: wallet.userTag,
+      type: 'withdrawal',
+      amount,
+      reference: requestData.reference || null
+    }, { transaction });
+
+    await recordEntry(wallet, {
+      type: 'withdrawal',
+      amount: -amount,
+      referenceType: 'walletRequest',
+      referenceId: request.id,
+      description: `Withdrawal request #${request.id}`
+    }, { transaction });
+
+    return { success: true, errors: [], request, balance: balance - amount };
+  });
+
+  if (result.success) {
+    logger.db.info(`Withdrawal #${result.request.id} of ${amount} coins requested`, {
+      guildId: requestData.guildId,
+      userId: requestData.userId,
+      type: 'wallet',
+      metadata: { requestId: result.request.id, amount }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Approve or reject a pending withdrawal. Rejected withdrawals are refunded to the wallet.
+ * @param {string} guildId - Discord server ID the withdrawal was requested in
+ * @param {number|string} requestId - The ID of the withdrawal request
+ * @param {boolean} approved - Whether the withdrawal was paid out in-game
+ * @param {string} processedBy - Discord user ID of the payout manager
+ * @returns {Promise<Object>} - { success: boolean, errors: Array, request: Object }
+ */
+async function processWithdrawal(guildId, requestId, approved, processedBy) {
+  const { sequelize } = require('../database/dbInit');
+  const { Wallet, WalletRequest } = require('../database/models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const request = await WalletRequest.findOne({ where: { id: requestId, guildId }, transaction });
+    if (!request || request.type !== 'withdrawal') {
+      return { success: false, errors: ['Withdrawal request not found'] };
+    }
+
+    if (request.status !== 'pending') {
+      return { success: false, errors: [`This withdrawal has already been ${request.status}`], request };
+    }
+
+    if (!approved) {
+      const wallet = await Wallet.findByPk(request.walletId, { transaction });
+      await recordEntry(wallet, {
+        type: 'refund',
+        amount: request.amount,
+        referenceType: 'walletRequest',
+        referenceId: request.id,
+        description: `Withdrawal request #${request.id} rejected`,
+        createdBy: processedBy
+      }, { transaction });
+    }
+
+    await request.update({
+      status: approved ? 'approved' : 'rejected',
+      processedBy,
+      processedAt: new Date()
+    }, { transaction });
+
+    return { success: true, errors: [], request };
+  });
+
+  if (result.success) {
+    const { request } = result;
+    logger.db.info(`Withdrawal #${request.id} of ${request.amount} coins ${request.status}`, {
+      guildId,
+      userId: processedBy,
+      type: 'wallet',
+      metadata: { requestId: request.id, walletUserId: request.userId, amount: request.amount }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Credit the winnings of settled bets to their owners' wallets, recording a completed payout for each.
+ * Bets that already have a winning entry are skipped, so settlement can be retried safely.
+ * @param {Object} event - The event object from the database
+ * @param {Array<Object>} winners - The winning bets, already settled with their actualWinnings
+ * @param {string} createdBy - Discord user ID of who confirmed the winners
+ * @param {Object} [options] - Query options; pass { transaction } to credit inside an existing transaction
+ * @returns {Promise<number>} - Total coins credited
+ */
+async function creditWinnings(event, winners, createdBy, options = {}) {
+  const { sequelize } = require('../database/dbInit');
+  const { LedgerEntry, Payout } = require('../database/models');
+
+  const credit = async (transaction) => {
+    let total = 0;
+
+    for (const bet of winners) {
+      if (!bet.actualWinnings) continue;
+
+      const existing = await LedgerEntry.count({
+        where: { type: 'winning', referenceType: 'bet', referenceId: bet.id },
+        transaction
+      });
+      if (existing > 0) continue;
+
+      const wallet = await getOrCreateWallet(bet.guildId, bet.userId, bet.userTag, { transaction });
+      await recordEntry(wallet, {
+        type: 'winning',
+        amount: bet.actualWinnings,
+        referenceType: 'bet',
+        referenceId: bet.id,
+        description: bet.betType === 'parlay'
+          ? `Winnings for parlay #${bet.id}`
+          : `Winnings for bet #${bet.id} on ${event.name}`,
+        createdBy
+      }, { transaction });
+
+      // Record the payout; it is completed as soon as the wallet is credited
+      await Payout.create({
+        guildId: bet.guildId,
+        eventId: event.id,
+        betId: bet.id,
+        userId: bet.userId,
+        userTag: bet.userTag,
+        amount: bet.actualWinnings,
+        status: 'completed',
+        processedAt: new Date(),
+        processedBy: createdBy,
+        meta: { type: 'winning' }
+      }, { transaction });
+
+      total += bet.actualWinnings;
+    }
+
+    return total;
+  };
+  const totalCredited = options.transaction
+    ? await credit(options.transaction)
+    : await sequelize.transaction(credit);
+
+  const logCredit = () => logger.db.info(`${totalCredited} coins of winnings credited for event ${event.id}`, {
+    guildId: event.guildId,
+    userId: createdBy,
+    type: 'wallet',
+    metadata: { eventId: event.id, winners: winners.length, totalCredited }
+  });
+
+  // Inside the caller's transaction, log once it commits so rolled back credits are never logged
+  if (options.transaction) {
+    options.transaction.afterCommit(logCredit);
+  } else {
+    logCredit();
+  }
+
+  return totalCredited;
+}
+
+/**
+ * Format a ledger entry as a single line for embeds
+ * @param {Object} entry - The ledger entry
+ * @returns {string} - The formatted line
+ */
+function formatLedgerEntry(entry) {
+  const sign = entry.amount > 0 ? '+' : '';
+  return `\`${sign}${entry.amount}\` **${entry.type}** - ${entry.description || 'No description'} (${formatDate(entry.createdAt, 'PP')})`;
+}
+
+/**
+ * Create the embed showing a wallet's balance and recent activity
+ * @param {Object} owner - The wallet owner (userId, userTag)
+ * @param {number} balance - The current balance
+ * @param {Array<Object>} entries - The most recent ledger entries
+ * @param {Array<Object>} pendingRequests - Pending withdrawal requests
+ * @returns {EmbedBuilder} - The configured embed
+ */
+function createWalletEmbed(owner, balance, entries, pendingRequests = []) {
+  const embed = new EmbedBuilder()
+    .setColor('#FFD700')
+    .setTitle(`👛 Wallet: ${owner.userTag}`)
+    .setDescription(`💰 **Balance:** ${balance} coins`)
+    .addFields({
+      name: 'Recent Activity',
+      value: entries.length > 0 ? entries.map(formatLedgerEntry).join('\n').substring(0, 1024) : 'No transactions yet.'
+    })
+    .setTimestamp();
+
+  if (pendingRequests.length > 0) {
+    embed.addFields({
+      name: 'Pending Withdrawals',
+      value: pendingRequests.map(request => `#${request.id} - ${request.amount} coins`).join('\n')
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Load everything needed to display a user's wallet in a server
+ * @param {string} guildId - Discord server ID
+ * @param {string} userId - Discord user ID of the wallet owner
+ * @returns {Promise<Object>} - { balance, entries, pendingRequests }
+ */
+async function getWalletSummary(guildId, userId) {
+  const { LedgerEntry, WalletRequest } = require('../database/models');
+
+  const [balance, entries, pendingRequests] = await Promise.all([
+    getBalance(guildId, userId),
+    LedgerEntry.findAll({ where: { guildId, userId }, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: 10 }),
+    WalletRequest.findAll({ where: { guildId, userId, type: 'withdrawal', status: 'pending' }, order: [['createdAt', 'ASC']] })
+  ]);
+
+  return { balance, entries, pendingRequests };
+}
+
+/**
+ * Show the player's own wallet with a withdrawal button
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function showWallet(interaction, client) {
+  const { balance, entries, pendingRequests } = await getWalletSummary(interaction.guildId, interaction.user.id);
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(buttonId('wallet', 'requestWithdrawal'))
+        .setLabel('💸 Request Withdrawal')
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(balance < 1)
+    );
+
+  await safeReply(interaction, {
+    embeds: [createWalletEmbed({ userTag: interaction.user.tag }, balance, entries, pendingRequests)],
+    components: [row]
+  });
+}
+
+/**
+ * Open the withdrawal request modal
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function requestWithdrawalButton(interaction, client) {
+  try {
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('wallet', 'submitWithdrawal'))
+      .setTitle('Request Withdrawal');
+
+    const amountInput = new TextInputBuilder()
+      .setCustomId('amount')
+      .setLabel('Amount (coins)')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true);
+
+    const referenceInput = new TextInputBuilder()
+      .setCustomId('reference')
+      .setLabel('In-game bank ID or character name')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMaxLength(100);
+
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(amountInput),
+      new ActionRowBuilder().addComponents(referenceInput)
+    );
+
+    await interaction.showModal(modal);
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'wallet requestWithdrawal');
+  }
+}
+
+/**
+ * Handle the withdrawal request modal submission
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function submitWithdrawalModalSubmit(interaction, client) {
+  try {
+    const amount = interaction.fields.getTextInputValue('amount').trim();
+    const reference = interaction.fields.getTextInputValue('reference').trim();
+
+    const result = await requestWithdrawal({
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      amount,
+      reference
+    });
+
+    if (!result.success) {
+      return await safeReply(interaction, {
+        embeds: [createErrorEmbed('Withdrawal Not Requested', result.errors.map(error => `• ${error}`).join('\n'))]
+      });
+    }
+
+    await safeReply(interaction, {
+      embeds: [createSuccessEmbed(
+        'Withdrawal Requested',
+        `Your request to withdraw **${result.request.amount} coins** to **${reference}** has been sent to the payout team.\n\n` +
+        `The coins are held until it is processed. Request ID: ${result.request.id}\n` +
+        `💰 **Remaining balance:** ${result.balance} coins`
+      )]
+    });
+  } catch (error) {
+    await handleInteractionError(error, interaction, 'wallet submitWithdrawal');
+  }
+}
+
+// Buttons and modals of this module (see utils/router.js)
+const routes = {
+  permission: 'placeBets',
+  buttons: {
+    // Opens the withdrawal request modal
+    requestWithdrawal: { handler: requestWithdrawalButton, defer: false }
+  },
+  modals: {
+    submitWithdrawal: { handler: submitWithdrawalModalSubmit }
+  }
+};
+
+module.exports = {
+  getOrCreateWallet,
+  getBalance,
+  recordEntry,
+  creditDeposit,
+  queueDeposit,
+  processDeposit,
+  requestWithdrawal,
+  processWithdrawal,
+  creditWinnings,
+  getWalletSummary,
+  createWalletEmbed,
+  showWallet,
+  routes
+};
@@ -11,22 +11,64 @@ const {
   TextInputStyle,
   ComponentType
 } = require('discord.js');
-const { models } = require('../database/dbInit');
+const models = require('../database/models');
 const logger = require('../utils/logger');
 const { formatDateTime } = require('../utils/timeUtils');
-const { Op } = require('sequelize');
+const { calculateFixedOddsWinnings, formatOdds } = require('../utils/odds');
+const { createErrorEmbed } = require('../utils/embeds');
+const { creditWinnings } = require('./wallet');
+const {
+  getChoiceName,
+  getChoiceOdds,
+  formatBetChoice,
+  refreshAnnouncement,
+  calculateMarketWinnings,
+  settleMarket,
+  calculateRaceWinnings,
+  settleRace
+} = require('./betting');
+const { resolveParlayLegs } = require('./parlays');
+const { buttonId, selectId, modalId } = require('../utils/router');
+
+// Calculate and save each winning bet's payout according to the event's settlement mode
+// Returns { winningRatio, totalPayout }; winningRatio is null for fixed-odds events
+async function applyWinnings(event, winners, options = {}) {
+  let winningRatio = null;
+  
+  if (event.settlementMode === 'fixed') {
+    // Fixed odds: each bet pays amount × its locked-in odds, minus the fee
+    for (const winner of winners) {
+      winner.winningAmount = calculateFixedOddsWinnings(winner.amount, winner.odds, event.feePercent);
+      await winner.save(options);
+    }
+  } else {
+    // Pool: winners split the main result pool (net of the fee) proportional to their bet;
+    // the event totals also count bets on its other markets
+    const totalWinningAmount = winners.reduce((sum, winner) => sum + winner.amount, 0);
+    const pool = await models.Bet.sum('amount', { where: { eventId: event.id, marketId: null, status: 'active' }, ...options });
+    const netPool = (pool || 0) * (1 - event.feePercent / 100);
+    winningRatio = netPool / totalWinningAmount;
+    
+    for (const winner of winners) {
+      winner.winningAmount = Math.floor(winner.amount * winningRatio);
+      await winner.save(options);
+    }
+  }
+  
+  const totalPayout = winners.reduce((sum, winner) => sum + winner.winningAmount, 0);
+  return { winningRatio, totalPayout };
+}
 
 // Handle the selectWinner button click from admin panel
 async function selectWinner(interaction, client) {
   try {
     await interaction.deferReply({ ephemeral: true });
     
-    // Get all events that are not Active or Paused (locked or closed)
+    // Get the locked events; betting must be closed before winners are selected
     const events = await models.Event.findAll({
       where: {
-        status: {
-          [Op.in]: ['Locked', 'Closed']
-        },
+        guildId: interaction.guildId,
+        status: 'locked',
         winnerApproved: false
       },
       order: [['createdAt', 'DESC']]
@@ -34,7 +76,7 @@ async function selectWinner(interaction, client) {
     
     if (events.length === 0) {
       return interaction.editReply({
-        content: 'There are no locked or closed events pending winner selection. Please lock an event first before selecting winners.',
+        content: 'There are no locked events pending winner selection. Please lock an event first before selecting winners.',
         ephemeral: true
       });
     }
@@ -47,14 +89,14 @@ async function selectWinner(interaction, client) {
     
     // Create a select menu for the events
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId('winnerSelection_selectEvent')
+      .setCustomId(selectId('winnerSelection', 'selectEvent'))
       .setPlaceholder('Select an event...');
     
     // Add options for each event
     for (const event of events) {
       selectMenu.addOptions({
         label: event.name,
-        description: `${event.type} | ${event.status} | ${event.totalBets} bets`,
+        description: `${event.type} | ${event.status} | ${event.totalBetsCount} bets`,
         value: event.id.toString()
       });
     }
@@ -88,14 +130,18 @@ async function selectWinner(interaction, client) {
 
 // Handle event selection
 async function selectEventSelect(interaction, client) {
+  await showEvent(interaction, client, { eventId: interaction.values[0] });
+}
+
+// Show an event's main result bets with a menu to pick the winning choice
+async function showEvent(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    // Get the selected event ID
-    const eventId = interaction.values[0];
+    const { eventId } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -105,10 +151,10 @@ async function selectEventSelect(interaction, client) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the active main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id },
-      order: [['timestamp', 'DESC']]
+      where: { eventId: event.id, marketId: null, status: 'active' },
+      order: [['createdAt', 'DESC']]
     });
     
     if (bets.length === 0) {
@@ -123,17 +169,18 @@ async function selectEventSelect(interaction, client) {
     const betsByChoice = {};
     
     for (const bet of bets) {
-      if (!betsByChoice[bet.choice]) {
-        betsByChoice[bet.choice] = {
+      if (!betsByChoice[bet.choiceIndex]) {
+        betsByChoice[bet.choiceIndex] = {
+          name: bet.choiceName,
           count: 0,
           totalAmount: 0,
           bets: []
         };
       }
       
-      betsByChoice[bet.choice].count++;
-      betsByChoice[bet.choice].totalAmount += bet.amount;
-      betsByChoice[bet.choice].bets.push(bet);
+      betsByChoice[bet.choiceIndex].count++;
+      betsByChoice[bet.choiceIndex].totalAmount += bet.amount;
+      betsByChoice[bet.choiceIndex].bets.push(bet);
     }
     
     // Create the winner selection embed
@@ -144,14 +191,13 @@ async function selectEventSelect(interaction, client) {
       .addFields(
         { name: 'Event Type', value: event.type, inline: true },
         { name: 'Status', value: event.status, inline: true },
-        { name: 'Total Bets', value: `${event.totalBets} bets ($${event.totalAmount})`, inline: true }
+        { name: 'Total Bets', value: `${event.totalBetsCount} bets ($${event.totalBetsAmount})`, inline: true }
       );
     
     // Add fields for each choice
-    for (const choice in betsByChoice) {
-      const choiceData = betsByChoice[choice];
+    for (const choiceData of Object.values(betsByChoice)) {
       embed.addFields({
-        name: `Choice: ${choice}`,
+        name: `Choice: ${choiceData.name}`,
         value: `${choiceData.count} bets, total $${choiceData.totalAmount}`,
         inline: true
       });
@@ -159,15 +205,15 @@ async function selectEventSelect(interaction, client) {
     
     // Create a select menu for the winning choices
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId(`winnerSelection_selectWinningChoice_${eventId}`)
+      .setCustomId(selectId('winnerSelection', 'selectWinningChoice', { eventId }))
       .setPlaceholder('Select the winning choice...');
     
     // Add options for each choice
-    for (const choice in betsByChoice) {
+    for (const choiceData of Object.values(betsByChoice)) {
       selectMenu.addOptions({
-        label: choice,
-        description: `${betsByChoice[choice].count} bets, total $${betsByChoice[choice].totalAmount}`,
-        value: choice
+        label: choiceData.name,
+        description: `${choiceData.count} bets, total $${choiceData.totalAmount}`,
+        value: choiceData.name
       });
     }
     
@@ -184,7 +230,7 @@ async function selectEventSelect(interaction, client) {
     const row2 = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('winnerSelection_selectWinner')
+          .setCustomId(buttonId('winnerSelection', 'selectWinner'))
           .setLabel('Back to Event List')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -199,7 +245,7 @@ async function selectEventSelect(interaction, client) {
     
     logger.info(`Winner selection choices displayed for event "${event.name}" (ID: ${event.id}) by ${interaction.user.tag}`);
   } catch (error) {
-    logger.error('Error in selectEventSelect function:', error);
+    logger.error('Error in showEvent function:', error);
     await interaction.editReply({
       content: 'An error occurred while loading the event details. Please try again.',
       components: [],
@@ -211,7 +257,7 @@ async function selectEventSelect(interaction, client) {
 // Handle winning choice selection
 async function selectWinningChoiceSelect(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     const selectedChoice = interaction.values[0];
     
     // If custom choice selected, show modal for input
@@ -222,7 +268,7 @@ async function selectWinningChoiceSelect(interaction, client, params) {
     await interaction.deferUpdate();
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -232,33 +278,29 @@ async function selectWinningChoiceSelect(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the active main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id }
+      where: { eventId: event.id, marketId: null, status: 'active' }
     });
     
-    // Determine winners (bets that match the selected choice)
-    let winners = [];
+    // Determine winners (bets on the selected choice), clearing any earlier selection
+    const selectedChoiceIndex = event.choices.findIndex(choice => getChoiceName(choice) === selectedChoice);
+    const winners = [];
     let totalWinningAmount = 0;
     
     for (const bet of bets) {
-      if (bet.choice === selectedChoice) {
+      bet.isWinner = bet.choiceIndex === selectedChoiceIndex;
+      if (bet.isWinner) {
         winners.push(bet);
         totalWinningAmount += bet.amount;
+      } else {
+        bet.winningAmount = null;
+        await bet.save();
       }
     }
     
-    // Calculate winnings based on the ratio of winning bets to total bets
-    // Using a simple formula where winners split the pot proportional to their bet
-    const winningRatio = event.totalAmount / totalWinningAmount;
-    
-    // Update winners and calculate individual winnings
-    for (const winner of winners) {
-      const winningAmount = Math.floor(winner.amount * winningRatio);
-      winner.isWinner = true;
-      winner.winningAmount = winningAmount;
-      await winner.save();
-    }
+    // Calculate and save the winners' payouts according to the event's settlement mode
+    const { winningRatio } = await applyWinnings(event, winners);
     
     // Create the winner review embed
     const embed = new EmbedBuilder()
@@ -268,7 +310,7 @@ async function selectWinningChoiceSelect(interaction, client, params) {
       .addFields(
         { name: 'Total Winners', value: `${winners.length} bets`, inline: true },
         { name: 'Total Winning Bets', value: `$${totalWinningAmount}`, inline: true },
-        { name: 'Pot Distribution Ratio', value: `${winningRatio.toFixed(2)}x`, inline: true }
+        { name: 'Pot Distribution Ratio', value: winningRatio === null ? 'Fixed Odds' : `${winningRatio.toFixed(2)}x`, inline: true }
       );
     
     // Add list of winners (up to 10)
@@ -278,7 +320,7 @@ async function selectWinningChoiceSelect(interaction, client, params) {
       
       for (let i = 0; i < displayLimit; i++) {
         const winner = winners[i];
-        winnersList += `${winner.username}: $${winner.amount} → $${winner.winningAmount}\n`;
+        winnersList += `${winner.userTag}: $${winner.amount} → $${winner.winningAmount}\n`;
       }
       
       if (winners.length > 10) {
@@ -292,17 +334,17 @@ async function selectWinningChoiceSelect(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_confirmWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'confirmWinners', { eventId, selectedChoice }))
           .setLabel('Confirm Winners')
           .setStyle(ButtonStyle.Success)
           .setEmoji('✅'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_editWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'editWinners', { eventId, selectedChoice }))
           .setLabel('Edit Winners Manually')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('✏️'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_selectEvent_${eventId}`)
+          .setCustomId(buttonId('winnerSelection', 'showEvent', { eventId }))
           .setLabel('Back to Choices')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -331,7 +373,7 @@ async function handleCustomWinningChoice(interaction, eventId) {
   try {
     // Create a modal for custom choice input
     const modal = new ModalBuilder()
-      .setCustomId(`winnerSelection_submitCustomChoice_${eventId}`)
+      .setCustomId(modalId('winnerSelection', 'submitCustomChoice', { eventId }))
       .setTitle('Enter Custom Winning Choice');
     
     // Add text input for the custom choice
@@ -364,7 +406,7 @@ async function handleCustomWinningChoice(interaction, eventId) {
 // Handle custom choice modal submission
 async function submitCustomChoiceModalSubmit(interaction, client, params) {
   try {
-    const eventId = params[0];
+    const { eventId } = params;
     
     // Get the custom choice from the modal
     const customChoice = interaction.fields.getTextInputValue('customChoice');
@@ -373,7 +415,7 @@ async function submitCustomChoiceModalSubmit(interaction, client, params) {
     await interaction.deferReply({ ephemeral: true });
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -382,9 +424,9 @@ async function submitCustomChoiceModalSubmit(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id }
+      where: { eventId: event.id, marketId: null }
     });
     
     // By default no winners with custom choice
@@ -406,12 +448,12 @@ async function submitCustomChoiceModalSubmit(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_editWinners_${eventId}_${customChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'editWinners', { eventId, selectedChoice: customChoice }))
           .setLabel('Select Winners Manually')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('✏️'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_selectEvent_${eventId}`)
+          .setCustomId(buttonId('winnerSelection', 'showEvent', { eventId }))
           .setLabel('Back to Choices')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -447,11 +489,10 @@ async function editWinners(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    const eventId = params[0];
-    const selectedChoice = params[1];
+    const { eventId, selectedChoice } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -461,10 +502,10 @@ async function editWinners(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id },
-      order: [['timestamp', 'DESC']]
+      where: { eventId: event.id, marketId: null },
+      order: [['createdAt', 'DESC']]
     });
     
     // Create the manual selection embed
@@ -476,7 +517,7 @@ async function editWinners(interaction, client, params) {
     
     // Create a select menu for the bets (limited to 25 options by Discord)
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId(`winnerSelection_toggleWinner_${eventId}_${selectedChoice}`)
+      .setCustomId(selectId('winnerSelection', 'toggleWinner', { eventId, selectedChoice }))
       .setPlaceholder('Select bets to toggle winner status...')
       .setMinValues(1)
       .setMaxValues(Math.min(bets.length, 25));
@@ -489,8 +530,8 @@ async function editWinners(interaction, client, params) {
       const isWinner = bet.isWinner ? '✅ ' : '';
       
       selectMenu.addOptions({
-        label: `${isWinner}${bet.username}: ${bet.choice}`,
-        description: `Bet: $${bet.amount} | ${new Date(bet.timestamp).toLocaleString()}`,
+        label: `${isWinner}${bet.userTag}: ${bet.choiceName}`,
+        description: `Bet: $${bet.amount} | ${new Date(bet.createdAt).toLocaleString()}`,
         value: bet.id.toString(),
         default: bet.isWinner || false
       });
@@ -500,17 +541,17 @@ async function editWinners(interaction, client, params) {
     const actionRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_saveWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'saveWinners', { eventId, selectedChoice }))
           .setLabel('Save Winners')
           .setStyle(ButtonStyle.Success)
           .setEmoji('💾'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_calculateWinnings_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'calculateWinnings', { eventId, selectedChoice }))
           .setLabel('Calculate Winnings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🧮'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_selectEvent_${eventId}`)
+          .setCustomId(buttonId('winnerSelection', 'showEvent', { eventId }))
           .setLabel('Back')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -546,14 +587,13 @@ async function toggleWinnerSelect(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    const eventId = params[0];
-    const selectedChoice = params[1];
+    const { eventId, selectedChoice } = params;
     
     // Get the selected bet IDs
     const selectedBetIds = interaction.values;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -563,10 +603,10 @@ async function toggleWinnerSelect(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id },
-      order: [['timestamp', 'DESC']]
+      where: { eventId: event.id, marketId: null },
+      order: [['createdAt', 'DESC']]
     });
     
     // Toggle winner status for selected bets
@@ -579,8 +619,8 @@ async function toggleWinnerSelect(interaction, client, params) {
     
     // Reload the bets after saving
     const updatedBets = await models.Bet.findAll({
-      where: { eventId: event.id },
-      order: [['timestamp', 'DESC']]
+      where: { eventId: event.id, marketId: null },
+      order: [['createdAt', 'DESC']]
     });
     
     // Create the updated embed
@@ -592,7 +632,7 @@ async function toggleWinnerSelect(interaction, client, params) {
     
     // Create an updated select menu
     const selectMenu = new StringSelectMenuBuilder()
-      .setCustomId(`winnerSelection_toggleWinner_${eventId}_${selectedChoice}`)
+      .setCustomId(selectId('winnerSelection', 'toggleWinner', { eventId, selectedChoice }))
       .setPlaceholder('Select bets to toggle winner status...')
       .setMinValues(1)
       .setMaxValues(Math.min(updatedBets.length, 25));
@@ -605,8 +645,8 @@ async function toggleWinnerSelect(interaction, client, params) {
       const isWinner = bet.isWinner ? '✅ ' : '';
       
       selectMenu.addOptions({
-        label: `${isWinner}${bet.username}: ${bet.choice}`,
-        description: `Bet: $${bet.amount} | ${new Date(bet.timestamp).toLocaleString()}`,
+        label: `${isWinner}${bet.userTag}: ${bet.choiceName}`,
+        description: `Bet: $${bet.amount} | ${new Date(bet.createdAt).toLocaleString()}`,
         value: bet.id.toString(),
         default: bet.isWinner || false
       });
@@ -616,17 +656,17 @@ async function toggleWinnerSelect(interaction, client, params) {
     const actionRow = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_saveWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'saveWinners', { eventId, selectedChoice }))
           .setLabel('Save Winners')
           .setStyle(ButtonStyle.Success)
           .setEmoji('💾'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_calculateWinnings_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'calculateWinnings', { eventId, selectedChoice }))
           .setLabel('Calculate Winnings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🧮'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_selectEvent_${eventId}`)
+          .setCustomId(buttonId('winnerSelection', 'showEvent', { eventId }))
           .setLabel('Back')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -662,11 +702,10 @@ async function saveWinners(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    const eventId = params[0];
-    const selectedChoice = params[1];
+    const { eventId, selectedChoice } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -676,9 +715,9 @@ async function saveWinners(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the active main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id }
+      where: { eventId: event.id, marketId: null, status: 'active' }
     });
     
     // Get the winners
@@ -707,7 +746,7 @@ async function saveWinners(interaction, client, params) {
       
       for (let i = 0; i < displayLimit; i++) {
         const winner = winners[i];
-        winnersList += `${winner.username}: $${winner.amount}${winner.winningAmount ? ` → $${winner.winningAmount}` : ''}\n`;
+        winnersList += `${winner.userTag}: $${winner.amount}${winner.winningAmount ? ` → $${winner.winningAmount}` : ''}\n`;
       }
       
       if (winners.length > 10) {
@@ -723,17 +762,17 @@ async function saveWinners(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_calculateWinnings_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'calculateWinnings', { eventId, selectedChoice }))
           .setLabel('Calculate Winnings')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('🧮'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_editWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'editWinners', { eventId, selectedChoice }))
           .setLabel('Edit Winners')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('✏️'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_confirmWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'confirmWinners', { eventId, selectedChoice }))
           .setLabel('Confirm & Finalize')
           .setStyle(ButtonStyle.Success)
           .setEmoji('✅')
@@ -762,11 +801,10 @@ async function calculateWinnings(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    const eventId = params[0];
-    const selectedChoice = params[1];
+    const { eventId, selectedChoice } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -776,9 +814,9 @@ async function calculateWinnings(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the active main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id }
+      where: { eventId: event.id, marketId: null, status: 'active' }
     });
     
     // Get the winners
@@ -798,22 +836,8 @@ async function calculateWinnings(interaction, client, params) {
       totalWinningAmount += winner.amount;
     }
     
-    // Calculate winnings based on the ratio of winning bets to total bets
-    // Using a simple formula where winners split the pot proportional to their bet
-    const winningRatio = event.totalAmount / totalWinningAmount;
-    
-    // Update winners with calculated winnings
-    for (const winner of winners) {
-      const winningAmount = Math.floor(winner.amount * winningRatio);
-      winner.winningAmount = winningAmount;
-      await winner.save();
-    }
-    
-    // Calculate total payout
-    let totalPayout = 0;
-    for (const winner of winners) {
-      totalPayout += winner.winningAmount;
-    }
+    // Calculate winnings according to the event's settlement mode
+    const { winningRatio, totalPayout } = await applyWinnings(event, winners);
     
     // Update event with total payout
     await event.update({
@@ -828,7 +852,7 @@ async function calculateWinnings(interaction, client, params) {
       .addFields(
         { name: 'Total Winners', value: `${winners.length} bets`, inline: true },
         { name: 'Total Winning Bets', value: `$${totalWinningAmount}`, inline: true },
-        { name: 'Pot Distribution Ratio', value: `${winningRatio.toFixed(2)}x`, inline: true },
+        { name: 'Pot Distribution Ratio', value: winningRatio === null ? 'Fixed Odds' : `${winningRatio.toFixed(2)}x`, inline: true },
         { name: 'Total Payout', value: `$${totalPayout}`, inline: true }
       );
     
@@ -839,7 +863,7 @@ async function calculateWinnings(interaction, client, params) {
       
       for (let i = 0; i < displayLimit; i++) {
         const winner = winners[i];
-        winnersList += `${winner.username}: $${winner.amount} → $${winner.winningAmount}\n`;
+        winnersList += `${winner.userTag}: $${winner.amount} → $${winner.winningAmount}\n`;
       }
       
       if (winners.length > 10) {
@@ -853,17 +877,17 @@ async function calculateWinnings(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_confirmWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'confirmWinners', { eventId, selectedChoice }))
           .setLabel('Confirm & Finalize')
           .setStyle(ButtonStyle.Success)
           .setEmoji('✅'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_editWinners_${eventId}_${selectedChoice}`)
+          .setCustomId(buttonId('winnerSelection', 'editWinners', { eventId, selectedChoice }))
           .setLabel('Edit Winners')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('✏️'),
         new ButtonBuilder()
-          .setCustomId(`winnerSelection_selectEvent_${eventId}`)
+          .setCustomId(buttonId('winnerSelection', 'showEvent', { eventId }))
           .setLabel('Back')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -892,11 +916,10 @@ async function confirmWinners(interaction, client, params) {
   try {
     await interaction.deferUpdate();
     
-    const eventId = params[0];
-    const selectedChoice = params[1];
+    const { eventId, selectedChoice } = params;
     
     // Fetch the event from the database
-    const event = await models.Event.findByPk(eventId);
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
     
     if (!event) {
       return interaction.editReply({
@@ -906,11 +929,20 @@ async function confirmWinners(interaction, client, params) {
       });
     }
     
-    // Fetch all bets for this event
+    // Fetch the active main result bets for this event; other markets are settled separately
     const bets = await models.Bet.findAll({
-      where: { eventId: event.id }
+      where: { eventId: event.id, marketId: null, status: 'active' }
     });
     
+    // Races with place, each-way, forecast or tricast bets can only be settled from their full finishing order
+    if (event.type === 'racing' && bets.some(bet => bet.betType !== 'single')) {
+      return interaction.editReply({
+        content: 'This race has place, each-way, forecast or tricast bets. Settle it with "Record Finishing Order" in Event Management instead.',
+        components: [],
+        ephemeral: true
+      });
+    }
+    
     // Get the winners
     const winners = bets.filter(bet => bet.isWinner);
     
@@ -933,45 +965,72 @@ async function confirmWinners(interaction, client, params) {
       }
     }
     
-    // If winnings are not calculated, calculate them
-    if (!winningsCalculated) {
-      // Calculate winnings based on the ratio of winning bets to total bets
-      const winningRatio = event.totalAmount / totalWinningAmount;
-      
-      // Update winners with calculated winnings
-      for (const winner of winners) {
-        const winningAmount = Math.floor(winner.amount * winningRatio);
-        winner.winningAmount = winningAmount;
-        await winner.save();
+    // Settle the event in one transaction, so the bets, the event and the payouts are never left half settled
+    const { sequelize } = require('../database/dbInit');
+    const settled = await sequelize.transaction(async (transaction) => {
+      // Check the status again inside the transaction, so the event can't be settled twice
+      await event.reload({ transaction });
+      if (event.status !== 'locked') {
+        return false;
       }
       
-      // Calculate total payout
-      let totalPayout = 0;
-      for (const winner of winners) {
-        totalPayout += winner.winningAmount;
+      // If winnings are not calculated, calculate them according to the event's settlement mode
+      if (!winningsCalculated) {
+        const { totalPayout } = await applyWinnings(event, winners, { transaction });
+        
+        // Update event with total payout
+        await event.update({
+          totalPayout: totalPayout
+        }, { transaction });
       }
       
-      // Update event with total payout
+      // Update the event with winner information
       await event.update({
-        totalPayout: totalPayout
+        status: 'completed',
+        winnerApproved: true,
+        result: {
+          winningChoice: selectedChoice,
+          totalWinners: winners.length,
+          totalWinningAmount: totalWinningAmount,
+          totalPayout: event.totalPayout
+        },
+        lastModifiedBy: interaction.user.id
+      }, { transaction });
+      
+      // Settle the active bets so players can see the outcome
+      for (const bet of bets) {
+        await bet.update({
+          status: bet.isWinner ? 'won' : 'lost',
+          actualWinnings: bet.isWinner ? bet.winningAmount : 0
+        }, { transaction });
+      }
+      
+      // Credit the winnings to the winners' wallets
+      await creditWinnings(event, winners, interaction.user.id, { transaction });
+      
+      // Resolve the parlay legs on this event; parlays settle once their last leg resolves
+      const winningChoiceIndexes = new Set(winners.map(winner => winner.choiceIndex));
+      const selectedChoiceIndex = event.choices.findIndex(choice => getChoiceName(choice) === selectedChoice);
+      if (selectedChoiceIndex !== -1) {
+        winningChoiceIndexes.add(selectedChoiceIndex);
+      }
+      await resolveParlayLegs(event, [...winningChoiceIndexes], interaction.user.id, { transaction });
+      return true;
+    });
+    
+    if (!settled) {
+      return interaction.editReply({
+        content: event.status === 'completed'
+          ? `The winners of "${event.name}" have already been confirmed.`
+          : `The event "${event.name}" is ${event.status}; only locked events can be settled.`,
+        components: [],
+        ephemeral: true
       });
     }
     
-    // Update the event with winner information
-    await event.update({
-      status: 'Closed',
-      winnerApproved: true,
-      result: {
-        winningChoice: selectedChoice,
-        totalWinners: winners.length,
-        totalWinningAmount: totalWinningAmount,
-        totalPayout: event.totalPayout
-      },
-      lastModifiedBy: interaction.user.id
-    });
-    
     // Log the winner selection
     await models.Log.create({
+      guildId: event.guildId,
       category: 'AdminAction',
       level: 'info',
       message: `Winners confirmed for event "${event.name}" (ID: ${event.id})`,
@@ -990,7 +1049,7 @@ async function confirmWinners(interaction, client, params) {
     const embed = new EmbedBuilder()
       .setColor('#00FF00')
       .setTitle(`Winners Confirmed: ${event.name}`)
-      .setDescription(`The event has been closed with the winning choice: **${selectedChoice}**\n\nAll winners have been approved and are ready for payout.`)
+      .setDescription(`The event has been closed with the winning choice: **${selectedChoice}**\n\nAll winners have been approved and their winnings credited to their wallets.`)
       .addFields(
         { name: 'Total Winners', value: `${winners.length} bets`, inline: true },
         { name: 'Total Winning Bets', value: `$${totalWinningAmount}`, inline: true },
@@ -1001,12 +1060,12 @@ async function confirmWinners(interaction, client, params) {
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
-          .setCustomId('payoutManagement_payoutPanel')
+          .setCustomId(buttonId('payoutManagement', 'payoutPanel'))
           .setLabel('Go to Payout Panel')
           .setStyle(ButtonStyle.Primary)
           .setEmoji('💰'),
         new ButtonBuilder()
-          .setCustomId('winnerSelection_selectWinner')
+          .setCustomId(buttonId('winnerSelection', 'selectWinner'))
           .setLabel('Back to Winner Selection')
           .setStyle(ButtonStyle.Secondary)
           .setEmoji('⬅️')
@@ -1020,39 +1079,23 @@ async function confirmWinners(interaction, client, params) {
     });
     
     // Update the event announcement if it exists
-    if (event.messageId && event.channelId) {
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
       try {
-        const channel = await client.channels.fetch(event.channelId);
+        // Send a results announcement
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FFD700') // Gold color
+              .setTitle(`🏆 Results Announced: "${event.name}"`)
+              .setDescription(`The results are in! The winning choice is: **${selectedChoice}**\n\n**${winners.length}** bettor(s) have won!\nTotal payout: $${event.totalPayout}\n\nWinnings have been credited to the winners' wallets. Thank you for participating!`)
+              .setTimestamp()
+          ]
+        });
         
-        if (channel) {
-          const message = await channel.messages.fetch(event.messageId);
-          
-          if (message) {
-            // Get configuration for timezone
-            const config = await models.Configuration.findOne();
-            
-            // Create updated embed
-            const updatedEmbed = createEventEmbed(event, config.timezone);
-            
-            // Update the message
-            await message.edit({ embeds: [updatedEmbed] });
-            
-            // Send a results announcement
-            await channel.send({
-              embeds: [
-                new EmbedBuilder()
-                  .setColor('#FFD700') // Gold color
-                  .setTitle(`🏆 Results Announced: "${event.name}"`)
-                  .setDescription(`The results are in! The winning choice is: **${selectedChoice}**\n\n**${winners.length}** bettor(s) have won!\nTotal payout: $${event.totalPayout}\n\nPayouts will be processed shortly. Thank you for participating!`)
-                  .setTimestamp()
-              ]
-            });
-            
-            logger.info(`Event results announcement sent for "${event.name}" (ID: ${event.id}) in channel ${channel.name}`);
-          }
-        }
+        logger.info(`Event results announcement sent for "${event.name}" (ID: ${event.id}) in channel ${message.channel.name}`);
       } catch (error) {
-        logger.error(`Error updating event announcement for event ID ${event.id}:`, error);
+        logger.error(`Error sending event announcement for event ID ${event.id}:`, error);
       }
     }
     
@@ -1067,14 +1110,559 @@ async function confirmWinners(interaction, client, params) {
   }
 }
 
+// Handle the settleMarkets button - lists an event's additional markets so each can be settled
+async function settleMarkets(interaction, client, { eventId }) {
+  try {
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    
+    if (!event) {
+      return interaction.editReply({
+        content: 'The selected event could not be found. It may have been deleted.',
+        embeds: [],
+        components: []
+      });
+    }
+    
+    const markets = await models.Market.findAll({
+      where: { eventId: event.id },
+      order: [['sortOrder', 'ASC']]
+    });
+    const openMarkets = markets.filter(market => market.status === 'open');
+    
+    // Summarise every market, including the ones already settled
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(`Settle Markets: ${event.name}`)
+      .setDescription(openMarkets.length > 0
+        ? 'Select a market to choose its result. The main result is settled through Winner Selection.'
+        : 'Every market on this event has been settled or cancelled.');
+    
+    for (const market of markets.slice(0, 25)) {
+      const result = market.status === 'settled'
+        ? `Result: ${getChoiceName(market.choices[market.winningChoiceIndex])}`
+        : market.status;
+      embed.addFields({
+        name: market.name,
+        value: `${result} | ${market.totalBetsCount} bets (${market.totalBetsAmount} coins)`,
+        inline: true
+      });
+    }
+    
+    const components = [];
+    if (openMarkets.length > 0) {
+      const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(selectId('winnerSelection', 'selectMarket', { eventId: event.id }))
+        .setPlaceholder('Select a market to settle...')
+        .addOptions(openMarkets.slice(0, 25).map(market => ({
+          label: market.name.substring(0, 100),
+          description: `${market.totalBetsCount} bets, ${market.totalBetsAmount} coins`,
+          value: market.id.toString()
+        })));
+      components.push(new ActionRowBuilder().addComponents(selectMenu));
+    }
+    
+    await interaction.editReply({
+      content: null,
+      embeds: [embed],
+      components
+    });
+  } catch (error) {
+    logger.error('Error in settleMarkets function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while loading the markets. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Handle market selection - shows the market's choices to pick the result from
+async function selectMarketSelect(interaction, client) {
+  try {
+    const market = await models.Market.findOne({ where: { id: interaction.values[0], guildId: interaction.guildId } });
+    
+    if (!market || market.status !== 'open') {
+      return interaction.editReply({
+        content: 'That market could not be found or has already been settled.',
+        embeds: [],
+        components: []
+      });
+    }
+    
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(`Settle Market: ${market.name}`)
+      .setDescription('Select the winning result for this market.')
+      .addFields(market.choices.slice(0, 25).map(choice => ({
+        name: getChoiceName(choice),
+        value: `${choice.pool || 0} coins staked @ ${formatOdds(getChoiceOdds(choice))}`,
+        inline: true
+      })));
+    
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(selectId('winnerSelection', 'selectMarketWinner', { marketId: market.id }))
+      .setPlaceholder('Select the winning result...')
+      .addOptions(market.choices.slice(0, 25).map((choice, index) => ({
+        label: getChoiceName(choice).substring(0, 100),
+        value: index.toString()
+      })));
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'settleMarkets', { eventId: market.eventId }))
+          .setLabel('Back to Markets')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('⬅️')
+      );
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: [new ActionRowBuilder().addComponents(selectMenu), row]
+    });
+  } catch (error) {
+    logger.error('Error in selectMarketSelect function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while loading the market. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Handle market result selection - previews the payouts before the market is settled
+async function selectMarketWinnerSelect(interaction, client, { marketId }) {
+  try {
+    const choiceIndex = parseInt(interaction.values[0], 10);
+    const market = await models.Market.findOne({ where: { id: marketId, guildId: interaction.guildId } });
+    
+    if (!market || market.status !== 'open') {
+      return interaction.editReply({
+        content: 'That market could not be found or has already been settled.',
+        embeds: [],
+        components: []
+      });
+    }
+    
+    const bets = await models.Bet.findAll({ where: { marketId: market.id, status: 'active' } });
+    const winnings = calculateMarketWinnings(market, bets, choiceIndex);
+    const totalPayout = [...winnings.values()].reduce((sum, amount) => sum + amount, 0);
+    const refundAll = winnings.size === 0 && market.settlementMode === 'parimutuel';
+    
+    const embed = new EmbedBuilder()
+      .setColor('#FFA500')
+      .setTitle(`Confirm Result: ${market.name}`)
+      .setDescription(refundAll
+        ? `Nobody backed **${getChoiceName(market.choices[choiceIndex])}**, so all ${bets.length} stake(s) on this market will be refunded.`
+        : `**${getChoiceName(market.choices[choiceIndex])}** will be settled as the winner of this market.`)
+      .addFields(
+        { name: 'Winning Bets', value: `${winnings.size}`, inline: true },
+        { name: 'Losing Bets', value: `${refundAll ? 0 : bets.length - winnings.size}`, inline: true },
+        { name: 'Total Payout', value: `${totalPayout} coins`, inline: true }
+      )
+      .setFooter({ text: 'Settling a market cannot be undone.' });
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'confirmMarket', { marketId: market.id, choiceIndex }))
+          .setLabel('Confirm Result')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'settleMarkets', { eventId: market.eventId }))
+          .setLabel('Back to Markets')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('⬅️')
+      );
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: [row]
+    });
+  } catch (error) {
+    logger.error('Error in selectMarketWinnerSelect function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while preparing the market result. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Handle confirm market button - settles the market, pays the winners and updates the announcement
+async function confirmMarket(interaction, client, { marketId, choiceIndex }) {
+  try {
+    const result = await settleMarket(interaction.guildId, marketId, choiceIndex, interaction.user.id);
+    
+    if (!result.success) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Market Not Settled', result.errors.map(error => `• ${error}`).join('\n'))],
+        components: []
+      });
+    }
+    
+    const { market, event, winners, losers, refunded, totalPayout } = result;
+    const winningChoice = getChoiceName(market.choices[market.winningChoiceIndex]);
+    
+    const embed = new EmbedBuilder()
+      .setColor('#00FF00')
+      .setTitle(`Market Settled: ${market.name}`)
+      .setDescription(refunded.length > 0
+        ? `**${winningChoice}** won. Nobody backed it, so ${refunded.length} stake(s) were refunded.`
+        : `**${winningChoice}** won. Winnings have been credited to the winners' wallets.`)
+      .addFields(
+        { name: 'Winning Bets', value: `${winners.length}`, inline: true },
+        { name: 'Losing Bets', value: `${losers.length}`, inline: true },
+        { name: 'Total Payout', value: `${totalPayout} coins`, inline: true }
+      );
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'settleMarkets', { eventId: event.id }))
+          .setLabel('Back to Markets')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('⬅️')
+      );
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: [row]
+    });
+    
+    // Let each winner know what they won
+    for (const bet of winners) {
+      try {
+        const user = await client.users.fetch(bet.userId);
+        await user.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FFD700')
+              .setTitle(`🏆 You won on "${event.name}"`)
+              .setDescription(`Your bet #${bet.id} on **${market.name}: ${bet.choiceName}** won **${bet.actualWinnings} coins**, credited to your wallet.`)
+              .setTimestamp()
+          ]
+        });
+      } catch (error) {
+        logger.warn(`Could not DM market winnings for bet ${bet.id} to user ${bet.userId}: ${error.message}`);
+      }
+    }
+    
+    // Show the result on the event announcement
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
+      try {
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FFD700')
+              .setTitle(`🎯 ${market.name} Result: "${event.name}"`)
+              .setDescription(`The result of **${market.name}** is **${winningChoice}**.\n\n` +
+                (refunded.length > 0
+                  ? 'Nobody backed this result, so every stake on this market has been refunded.'
+                  : `**${winners.length}** bettor(s) won a total of ${totalPayout} coins, credited to their wallets.`))
+              .setTimestamp()
+          ]
+        });
+      } catch (error) {
+        logger.error(`Error sending market result announcement for market ID ${market.id}:`, error);
+      }
+    }
+    
+    logger.info(`Market "${market.name}" (ID: ${market.id}) on event ${event.id} settled by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in confirmMarket function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while settling the market. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Format a race's finishing order as numbered lines, with medals for the podium
+function formatFinishingOrder(event, finishingOrder) {
+  const medals = ['🥇', '🥈', '🥉'];
+  return finishingOrder
+    .map((choiceIndex, position) => `${medals[position] || `${position + 1}.`} ${getChoiceName(event.choices[choiceIndex])}`)
+    .join('\n');
+}
+
+// Parse a finishing order typed one runner per line (optionally numbered) into choice indexes
+// Runners left off the list did not finish and are unplaced
+function parseFinishingOrder(event, text) {
+  const finishingOrder = [];
+  const errors = [];
+  
+  text.split('\n').map(line => line.replace(/^\s*\d+\s*[.)-]?\s+/, '').trim()).filter(line => line).forEach(name => {
+    const choiceIndex = event.choices.findIndex(choice => getChoiceName(choice).toLowerCase() === name.toLowerCase());
+    
+    if (choiceIndex === -1) {
+      errors.push(`"${name}" is not a runner in this race`);
+    } else if (finishingOrder.includes(choiceIndex)) {
+      errors.push(`"${name}" is listed more than once`);
+    } else {
+      finishingOrder.push(choiceIndex);
+    }
+  });
+  
+  if (finishingOrder.length === 0 && errors.length === 0) {
+    errors.push('Enter at least the winner');
+  }
+  
+  return { finishingOrder, errors };
+}
+
+// Handle the recordFinish button - opens a modal to enter a race's full finishing order
+async function recordFinishingOrder(interaction, client, { eventId }) {
+  try {
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    
+    if (!event || event.type !== 'racing' || ['completed', 'cancelled'].includes(event.status)) {
+      return interaction.reply({
+        content: 'That race could not be found or has already been settled.',
+        ephemeral: true
+      });
+    }
+    
+    // Start from the order already entered, or the runners in their listed order
+    const order = event.finishingOrder.length > 0 ? event.finishingOrder : event.choices.map((choice, index) => index);
+    
+    const modal = new ModalBuilder()
+      .setCustomId(modalId('winnerSelection', 'submitFinishingOrder', { eventId: event.id }))
+      .setTitle(`Finishing Order: ${event.name}`.substring(0, 45));
+    
+    const orderInput = new TextInputBuilder()
+      .setCustomId('finishingOrder')
+      .setLabel('One runner per line, winner first')
+      .setStyle(TextInputStyle.Paragraph)
+      .setValue(order.map(choiceIndex => getChoiceName(event.choices[choiceIndex])).join('\n').substring(0, 4000))
+      .setPlaceholder('Leave out runners that did not finish')
+      .setRequired(true);
+    
+    modal.addComponents(new ActionRowBuilder().addComponents(orderInput));
+    
+    await interaction.showModal(modal);
+  } catch (error) {
+    logger.error('Error in recordFinishingOrder function:', error);
+    await interaction.reply({
+      content: 'An error occurred while opening the finishing order form. Please try again.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle the finishing order modal - records the order and previews the payouts before the race is settled
+async function submitFinishingOrderModalSubmit(interaction, client, { eventId }) {
+  try {
+    const event = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    
+    if (!event || event.type !== 'racing' || ['completed', 'cancelled'].includes(event.status)) {
+      return interaction.editReply({
+        content: 'That race could not be found or has already been settled.'
+      });
+    }
+    
+    const { finishingOrder, errors } = parseFinishingOrder(event, interaction.fields.getTextInputValue('finishingOrder'));
+    if (errors.length > 0) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Invalid Finishing Order', errors.map(error => `• ${error}`).join('\n').substring(0, 4000))]
+      });
+    }
+    
+    // Keep the order on the event so it can be confirmed (or corrected) next
+    await event.update({ finishingOrder });
+    
+    const bets = await models.Bet.findAll({ where: { eventId: event.id, marketId: null, status: 'active' } });
+    const { winnings, refunds } = calculateRaceWinnings(event, bets, finishingOrder);
+    const totalPayout = [...winnings.values()].reduce((sum, amount) => sum + amount, 0);
+    const refundCount = refunds.reduce((sum, refund) => sum + refund.bets.length, 0);
+    
+    const embed = new EmbedBuilder()
+      .setColor('#FFA500')
+      .setTitle(`Confirm Finishing Order: ${event.name}`)
+      .setDescription(formatFinishingOrder(event, finishingOrder).substring(0, 4096))
+      .addFields(
+        { name: 'Winning Bets', value: `${winnings.size}`, inline: true },
+        { name: 'Losing Bets', value: `${bets.length - winnings.size - refundCount}`, inline: true },
+        { name: 'Total Payout', value: `${totalPayout} coins`, inline: true }
+      )
+      .setFooter({ text: 'Settling a race cannot be undone. Additional markets are settled separately.' });
+    
+    if (refunds.length > 0) {
+      embed.addFields({
+        name: 'Refunds',
+        value: refunds.map(refund => `• ${refund.reason}: ${refund.bets.length} stake(s) refunded`).join('\n').substring(0, 1024)
+      });
+    }
+    
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'confirmFinishingOrder', { eventId: event.id }))
+          .setLabel('Confirm & Settle')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('✅'),
+        new ButtonBuilder()
+          .setCustomId(buttonId('winnerSelection', 'recordFinish', { eventId: event.id }))
+          .setLabel('Edit Order')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('✏️')
+      );
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: [row]
+    });
+  } catch (error) {
+    logger.error('Error in submitFinishingOrderModalSubmit function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while recording the finishing order. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Handle confirm finishing order button - settles the race, pays the winners and updates the announcement
+async function confirmFinishingOrder(interaction, client, { eventId }) {
+  try {
+    const pending = await models.Event.findOne({ where: { id: eventId, guildId: interaction.guildId } });
+    const result = pending
+      ? await settleRace(pending.guildId, pending.id, pending.finishingOrder, interaction.user.id)
+      : { success: false, errors: ['Event not found'] };
+    
+    if (!result.success) {
+      return interaction.editReply({
+        embeds: [createErrorEmbed('Race Not Settled', result.errors.map(error => `• ${error}`).join('\n'))],
+        components: []
+      });
+    }
+    
+    const { event, winners, losers, refunded, totalPayout } = result;
+    const winningChoice = getChoiceName(event.choices[event.finishingOrder[0]]);
+    
+    // Resolve the parlay legs on this race; only the winner counts for a parlay leg
+    await resolveParlayLegs(event, [event.finishingOrder[0]], interaction.user.id);
+    
+    const embed = new EmbedBuilder()
+      .setColor('#00FF00')
+      .setTitle(`Race Settled: ${event.name}`)
+      .setDescription(formatFinishingOrder(event, event.finishingOrder).substring(0, 4096))
+      .addFields(
+        { name: 'Winning Bets', value: `${winners.length}`, inline: true },
+        { name: 'Losing Bets', value: `${losers.length}`, inline: true },
+        { name: 'Total Payout', value: `${totalPayout} coins`, inline: true }
+      );
+    
+    if (refunded.length > 0) {
+      embed.addFields({ name: 'Refunds', value: `${refunded.length} stake(s) in pools nobody won were refunded.` });
+    }
+    
+    await interaction.editReply({
+      embeds: [embed],
+      components: []
+    });
+    
+    // Let each winner know what they won
+    for (const bet of winners) {
+      try {
+        const user = await client.users.fetch(bet.userId);
+        await user.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FFD700')
+              .setTitle(`🏆 You won on "${event.name}"`)
+              .setDescription(`Your bet #${bet.id} on **${formatBetChoice(bet)}** won **${bet.actualWinnings} coins**, credited to your wallet.`)
+              .setTimestamp()
+          ]
+        });
+      } catch (error) {
+        logger.warn(`Could not DM race winnings for bet ${bet.id} to user ${bet.userId}: ${error.message}`);
+      }
+    }
+    
+    // Show the result on the event announcement
+    const message = await refreshAnnouncement(client, event);
+    if (message) {
+      try {
+        await message.channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor('#FFD700')
+              .setTitle(`🏁 Race Results: "${event.name}"`)
+              .setDescription(`**${winningChoice}** wins!\n\n${formatFinishingOrder(event, event.finishingOrder)}\n\n` +
+                (refunded.length > 0
+                  ? 'Nobody backed the winner, so every stake on the race has been refunded.'
+                  : `**${winners.length}** bet(s) won a total of ${totalPayout} coins, credited to the winners' wallets.`))
+              .setTimestamp()
+          ]
+        });
+      } catch (error) {
+        logger.error(`Error sending race result announcement for event ID ${event.id}:`, error);
+      }
+    }
+    
+    logger.info(`Race "${event.name}" (ID: ${event.id}) settled from its finishing order by ${interaction.user.tag}`);
+  } catch (error) {
+    logger.error('Error in confirmFinishingOrder function:', error);
+    await interaction.editReply({
+      content: 'An error occurred while settling the race. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+// Buttons, select menus and modals of this module (see utils/router.js). The main result steps defer
+// or reply themselves; the market and race steps are deferred by the router.
+const routes = {
+  permission: 'settleEvent',
+  buttons: {
+    selectWinner: { handler: selectWinner, defer: false },
+    showEvent: { params: ['eventId:int'], handler: showEvent, defer: false },
+    editWinners: { params: ['eventId:int', 'selectedChoice:string'], handler: editWinners, defer: false },
+    saveWinners: { params: ['eventId:int', 'selectedChoice:string'], handler: saveWinners, defer: false },
+    calculateWinnings: { params: ['eventId:int', 'selectedChoice:string'], handler: calculateWinnings, defer: false },
+    confirmWinners: { params: ['eventId:int', 'selectedChoice:string'], handler: confirmWinners, defer: false },
+    settleMarkets: { params: ['eventId:int'], handler: settleMarkets },
+    confirmMarket: { params: ['marketId:int', 'choiceIndex:int'], handler: confirmMarket },
+    // Opens the finishing order modal
+    recordFinish: { params: ['eventId:int'], handler: recordFinishingOrder, defer: false },
+    confirmFinishingOrder: { params: ['eventId:int'], handler: confirmFinishingOrder }
+  },
+  selects: {
+    selectEvent: { handler: selectEventSelect, defer: false },
+    // Opens the custom choice modal when "Custom Winner" is picked
+    selectWinningChoice: { params: ['eventId:int'], handler: selectWinningChoiceSelect, defer: false },
+    toggleWinner: { params: ['eventId:int', 'selectedChoice:string'], handler: toggleWinnerSelect, defer: false },
+    selectMarket: { params: ['eventId:int'], handler: selectMarketSelect },
+    selectMarketWinner: { params: ['marketId:int'], handler: selectMarketWinnerSelect }
+  },
+  modals: {
+    submitCustomChoice: { params: ['eventId:int'], handler: submitCustomChoiceModalSubmit, defer: false },
+    submitFinishingOrder: { params: ['eventId:int'], handler: submitFinishingOrderModalSubmit }
+  }
+};
+
 module.exports = {
   selectWinner,
   selectEventSelect,
+  showEvent,
   selectWinningChoiceSelect,
   submitCustomChoiceModalSubmit,
   editWinners,
   toggleWinnerSelect,
   saveWinners,
   calculateWinnings,
-  confirmWinners
+  confirmWinners,
+  settleMarkets,
+  selectMarketSelect,
+  selectMarketWinnerSelect,
+  confirmMarket,
+  recordFinishingOrder,
+  submitFinishingOrderModalSubmit,
+  confirmFinishingOrder,
+  routes
 };
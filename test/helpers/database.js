@@ -0,0 +1,30 @@
+// KrayStakes Discord Bot - Test Database
+const config = require('../../config');
+
+// Tests run against a fresh in-memory database, never data/database.sqlite
+config.database.storage = ':memory:';
+
+const { sequelize } = require('../../database/dbInit');
+const { migrate } = require('../../database/migrator');
+
+/**
+ * Create the schema in the in-memory database by running every migration
+ * @returns {Promise<Object>} - The database models
+ */
+async function setUpDatabase() {
+  await migrate();
+  return require('../../database/models');
+}
+
+/**
+ * Close the in-memory database, discarding it
+ * @returns {Promise<void>}
+ */
+async function tearDownDatabase() {
+  await sequelize.close();
+}
+
+module.exports = {
+  setUpDatabase,
+  tearDownDatabase
+};
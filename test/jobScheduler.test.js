@@ -0,0 +1,53 @@
+// KrayStakes Discord Bot - Job Scheduler Tests
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+const config = require('../config');
+
+const HOME_GUILD_ID = '100000000000000001';
+const OTHER_GUILD_ID = '100000000000000002';
+const OWNER_ID = '200000000000000001';
+const ADMIN_ID = '200000000000000002';
+
+describe('jobs panel', () => {
+  let createJobsPanel;
+
+  before(async () => {
+    const models = await setUpDatabase();
+    ({ createJobsPanel } = require('../modules/jobScheduler'));
+
+    config.ownerId = OWNER_ID;
+    config.backups.homeGuildId = HOME_GUILD_ID;
+
+    await models.ScheduledJob.bulkCreate([
+      { name: 'databaseBackup', schedule: '0 3 * * *', guildId: null },
+      { name: `weeklyReport:${OTHER_GUILD_ID}`, schedule: '0 9 * * 1', guildId: OTHER_GUILD_ID },
+      { name: `weeklyReport:${HOME_GUILD_ID}`, schedule: '0 9 * * 1', guildId: HOME_GUILD_ID }
+    ]);
+  });
+
+  after(tearDownDatabase);
+
+  /**
+   * List the job names on the jobs panel shown for an interaction
+   * @param {string} guildId - Discord server ID the panel is opened in
+   * @param {string} userId - Discord user ID of who opens it
+   * @returns {Promise<Array<string>>} - The job names shown
+   */
+  async function listJobs(guildId, userId) {
+    const panel = await createJobsPanel({ guildId, user: { id: userId } });
+    return panel.embeds[0].data.fields.map(field => field.name);
+  }
+
+  it('shows another server only its own jobs', async () => {
+    assert.deepEqual(await listJobs(OTHER_GUILD_ID, ADMIN_ID), ['weeklyReport']);
+  });
+
+  it('shows the bot-wide jobs in the home server', async () => {
+    assert.deepEqual(await listJobs(HOME_GUILD_ID, ADMIN_ID), ['databaseBackup', 'weeklyReport']);
+  });
+
+  it('shows the bot-wide jobs to the bot owner in any server', async () => {
+    assert.deepEqual(await listJobs(OTHER_GUILD_ID, OWNER_ID), ['databaseBackup', 'weeklyReport']);
+  });
+});
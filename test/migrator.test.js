@@ -0,0 +1,79 @@
+// KrayStakes Discord Bot - Migrator Tests
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tearDownDatabase } = require('./helpers/database');
+const config = require('../config');
+const { sequelize } = require('../database/dbInit');
+const { listMigrations, getMigrationStatus, migrate, rollback } = require('../database/migrator');
+
+const GUILD_ID = '100000000000000001';
+
+/**
+ * Check whether a table has a column
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} - Whether the column exists
+ */
+async function hasColumn(table, column) {
+  const columns = await sequelize.getQueryInterface().describeTable(table);
+  return column in columns;
+}
+
+describe('migrator', () => {
+  after(tearDownDatabase);
+
+  it('upgrades a database created by model sync before migrations', async () => {
+    // Build the pre-migration schema, then forget the migration history as model sync never kept one
+    await migrate({ to: '001-initial-schema.js' });
+    await sequelize.query('DROP TABLE "SequelizeMeta"');
+
+    const now = new Date().toISOString();
+    await sequelize.query(
+      "INSERT INTO events (id, name, type, status, createdBy, choices, createdAt, updatedAt) VALUES (1, 'Title Fight', 'boxing', 'completed', 'staff', '[]', :now, :now)",
+      { replacements: { now } }
+    );
+    await sequelize.query(
+      "INSERT INTO bets (id, eventId, userId, userTag, amount, choiceIndex, choiceName, status, createdAt, updatedAt) VALUES (1, 1, 'player', 'player#0001', 100, 0, 'Red', 'won', :now, :now)",
+      { replacements: { now } }
+    );
+    await sequelize.query(
+      "INSERT INTO payouts (eventId, betId, userId, userTag, amount, createdAt, updatedAt) VALUES (1, 1, 'player', 'player#0001', 190, :now, :now)",
+      { replacements: { now } }
+    );
+
+    config.guildId = GUILD_ID;
+    await migrate();
+
+    const { applied, pending } = await getMigrationStatus();
+    assert.deepEqual(applied, listMigrations());
+    assert.deepEqual(pending, []);
+
+    // Rebuilding the bets table keeps the bets and the payouts that reference them
+    const { Bet, Payout } = require('../database/models');
+    const bet = await Bet.findByPk(1);
+    assert.equal(bet.guildId, GUILD_ID);
+    assert.equal(bet.betType, 'single');
+    assert.equal((await Payout.findOne({ where: { betId: 1 } })).amount, 190);
+
+    // Parlay bets have no single event or choice
+    await Bet.create({ guildId: GUILD_ID, eventId: null, betType: 'parlay', userId: 'player', userTag: 'player#0001', amount: 10, choiceIndex: null, choiceName: 'Parlay' });
+  });
+
+  it('leaves the database unchanged when a migration fails partway', async () => {
+    await rollback({ to: '005-declare-legacy-columns.js' });
+
+    // Two wallets for one user break the per-server unique index 006 adds after its guildId columns
+    const now = new Date().toISOString();
+    await sequelize.query('DROP INDEX idx_wallets_user');
+    await sequelize.query(
+      "INSERT INTO wallets (userId, userTag, createdAt, updatedAt) VALUES ('player', 'player#0001', :now, :now), ('player', 'player#0001', :now, :now)",
+      { replacements: { now } }
+    );
+
+    await assert.rejects(migrate());
+
+    const { pending } = await getMigrationStatus();
+    assert.deepEqual(pending, ['006-add-guild-scoping.js', '007-add-admin-panels.js']);
+    assert.equal(await hasColumn('events', 'guildId'), false);
+  });
+});
@@ -0,0 +1,41 @@
+// KrayStakes Discord Bot - OCR Parsing Tests
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount, parseBankTransfer } = require('../utils/ocr');
+
+describe('parseAmount', () => {
+  it('reads thousands separators', () => {
+    assert.equal(parseAmount('$5,000'), 5000);
+    assert.equal(parseAmount('5.000'), 5000);
+    assert.equal(parseAmount('$ 1,250,000'), 1250000);
+  });
+
+  it('drops cents', () => {
+    assert.equal(parseAmount('$12.50'), 12);
+  });
+
+  it('rejects amounts that are not positive numbers', () => {
+    assert.equal(parseAmount('abc'), null);
+    assert.equal(parseAmount('$0'), null);
+  });
+});
+
+describe('parseBankTransfer', () => {
+  it('extracts the sender, amount and reference', () => {
+    const text = 'Bank Transfer\nFrom: John_Doe\nAmount: $25,000\nTransaction ID: ab12-cd34';
+
+    assert.deepEqual(parseBankTransfer(text), {
+      sender: 'John_Doe',
+      amount: 25000,
+      reference: 'AB12-CD34'
+    });
+  });
+
+  it('returns null for the fields it cannot find', () => {
+    assert.deepEqual(parseBankTransfer('Nothing to see here'), {
+      sender: null,
+      amount: null,
+      reference: null
+    });
+  });
+});
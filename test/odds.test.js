@@ -0,0 +1,59 @@
+// KrayStakes Discord Bot - Odds Tests
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateParimutuelOdds,
+  calculateFixedOddsWinnings,
+  calculatePlaceOdds,
+  calculateExactOrderOdds
+} = require('../utils/odds');
+
+describe('calculateParimutuelOdds', () => {
+  it('splits the pool, net of the fee, over each choice', () => {
+    assert.deepEqual(calculateParimutuelOdds([100, 300]), [4, 1.33]);
+    assert.deepEqual(calculateParimutuelOdds([100, 300], 10), [3.6, 1.2]);
+  });
+
+  it('has no odds for choices nobody backed', () => {
+    assert.deepEqual(calculateParimutuelOdds([100, 0]), [1, null]);
+  });
+});
+
+describe('calculateFixedOddsWinnings', () => {
+  it('pays the stake at the odds, minus the fee, in whole coins', () => {
+    assert.equal(calculateFixedOddsWinnings(100, 2.5), 250);
+    assert.equal(calculateFixedOddsWinnings(100, 2.5, 10), 225);
+    assert.equal(calculateFixedOddsWinnings(33, 1.5), 49);
+  });
+
+  it('pays nothing without odds', () => {
+    assert.equal(calculateFixedOddsWinnings(100, null), 0);
+  });
+});
+
+describe('calculatePlaceOdds', () => {
+  it('scales the profit of the win odds by the place fraction', () => {
+    assert.equal(calculatePlaceOdds(5, 0.25), 2);
+    assert.equal(calculatePlaceOdds(3.4, 0.2), 1.48);
+  });
+
+  it('has no odds without win odds', () => {
+    assert.equal(calculatePlaceOdds(null, 0.25), null);
+  });
+});
+
+describe('calculateExactOrderOdds', () => {
+  it('prices each later position from the runners still left', () => {
+    assert.equal(calculateExactOrderOdds([2, 4, 4], [0, 1]), 4);
+    assert.equal(calculateExactOrderOdds([2, 4, 4], [1, 0]), 6);
+    assert.equal(calculateExactOrderOdds([2, 4, 4], [0, 1, 2]), 4);
+  });
+
+  it('removes the bookmaker margin from the win odds', () => {
+    assert.equal(calculateExactOrderOdds([1.5, 3, 3], [0, 1]), 4);
+  });
+
+  it('has no odds when a selected runner has none', () => {
+    assert.equal(calculateExactOrderOdds([2, null, 4], [0, 1]), null);
+  });
+});
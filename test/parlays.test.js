@@ -0,0 +1,166 @@
+// KrayStakes Discord Bot - Parlay Settlement Tests
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+
+const GUILD_ID = '100000000000000001';
+const STAFF_ID = '200000000000000001';
+const PLAYER_ID = '300000000000000001';
+
+describe('parlay settlement', () => {
+  let models;
+  let confirmWinners;
+  let getBalance;
+
+  before(async () => {
+    models = await setUpDatabase();
+    ({ confirmWinners } = require('../modules/winnerSelection'));
+    ({ getBalance } = require('../modules/wallet'));
+  });
+
+  after(tearDownDatabase);
+
+  /**
+   * Create a locked fixed-odds event with a winning single bet on its first choice, as
+   * winner selection leaves it before the winners are confirmed
+   * @param {string} name - Event name
+   * @param {Array<number>} odds - Odds of each choice
+   * @returns {Promise<Object>} - The event
+   */
+  async function createLockedEvent(name, odds) {
+    const event = await models.Event.create({
+      guildId: GUILD_ID,
+      name,
+      type: 'boxing',
+      status: 'locked',
+      createdBy: STAFF_ID,
+      settlementMode: 'fixed',
+      feePercent: 0,
+      choices: odds.map((choiceOdds, index) => ({ name: `Choice ${index + 1}`, odds: choiceOdds }))
+    });
+    await models.Bet.create({
+      guildId: GUILD_ID,
+      eventId: event.id,
+      userId: STAFF_ID,
+      userTag: 'staff',
+      amount: 10,
+      choiceIndex: 0,
+      choiceName: 'Choice 1',
+      odds: odds[0],
+      isWinner: true
+    });
+    return event;
+  }
+
+  /**
+   * Create a parlay with one leg on each event
+   * @param {Array<Object>} legs - { event, choiceIndex } for each leg
+   * @returns {Promise<Object>} - The parlay bet
+   */
+  async function createParlay(legs) {
+    const odds = legs.reduce((product, leg) => product * leg.event.choices[leg.choiceIndex].odds, 1);
+    const bet = await models.Bet.create({
+      guildId: GUILD_ID,
+      eventId: null,
+      betType: 'parlay',
+      userId: PLAYER_ID,
+      userTag: 'player',
+      amount: 100,
+      choiceIndex: null,
+      choiceName: `${legs.length}-leg parlay`,
+      odds,
+      meta: { feePercent: 0 }
+    });
+    await models.ParlayLeg.bulkCreate(legs.map(({ event, choiceIndex }) => ({
+      guildId: GUILD_ID,
+      betId: bet.id,
+      eventId: event.id,
+      choiceIndex,
+      choiceName: event.choices[choiceIndex].name,
+      odds: event.choices[choiceIndex].odds
+    })));
+    return bet;
+  }
+
+  /**
+   * Confirm the winners of an event as the staff member would from winner selection
+   * @param {Object} event - The event
+   * @returns {Promise<Array<Object>>} - The replies sent to the staff member
+   */
+  async function confirmEventWinners(event) {
+    const replies = [];
+    const interaction = {
+      guildId: GUILD_ID,
+      user: { id: STAFF_ID, tag: 'staff' },
+      deferUpdate: async () => {},
+      editReply: async options => replies.push(options)
+    };
+
+    await confirmWinners(interaction, {}, { eventId: event.id, selectedChoice: 'Choice 1' });
+    return replies;
+  }
+
+  it('resolves the legs and pays the parlay once its last event is settled', async () => {
+    const first = await createLockedEvent('First Fight', [2, 2]);
+    const second = await createLockedEvent('Second Fight', [3, 1.5]);
+    const parlay = await createParlay([{ event: first, choiceIndex: 0 }, { event: second, choiceIndex: 0 }]);
+    const balance = await getBalance(GUILD_ID, PLAYER_ID);
+
+    await confirmEventWinners(first);
+    await parlay.reload();
+    assert.equal(parlay.status, 'active');
+    assert.equal(await models.ParlayLeg.count({ where: { betId: parlay.id, status: 'won' } }), 1);
+
+    const replies = await confirmEventWinners(second);
+    await parlay.reload();
+    await first.reload();
+    assert.equal(replies.at(-1).embeds[0].data.title, 'Winners Confirmed: Second Fight');
+    assert.equal(first.status, 'completed');
+    assert.equal(parlay.status, 'won');
+    assert.equal(parlay.actualWinnings, 600);
+    assert.equal(await getBalance(GUILD_ID, PLAYER_ID), balance + 600);
+    assert.equal(await models.Payout.count({ where: { betId: parlay.id, status: 'completed' } }), 1);
+  });
+
+  it('loses the parlay as soon as one leg loses', async () => {
+    const first = await createLockedEvent('Third Fight', [2, 2]);
+    const second = await createLockedEvent('Fourth Fight', [3, 1.5]);
+    const parlay = await createParlay([{ event: first, choiceIndex: 1 }, { event: second, choiceIndex: 0 }]);
+
+    await confirmEventWinners(first);
+    await parlay.reload();
+
+    assert.equal(parlay.status, 'lost');
+    assert.equal(parlay.actualWinnings, 0);
+    assert.equal(await models.ParlayLeg.count({ where: { betId: parlay.id, status: 'pending' } }), 1);
+  });
+
+  it('takes the stake limits and fee from the server settings', async () => {
+    const { addSlipLeg, placeParlay } = require('../modules/parlays');
+    const { creditDeposit } = require('../modules/wallet');
+    const bettor = '300000000000000002';
+
+    await models.Configuration.bulkCreate([
+      { guildId: GUILD_ID, key: 'minBet', value: '50', category: 'betting' },
+      { guildId: GUILD_ID, key: 'maxBet', value: '200', category: 'betting' },
+      { guildId: GUILD_ID, key: 'feePercent', value: '10', category: 'betting' }
+    ]);
+    await creditDeposit({ guildId: GUILD_ID, userId: bettor, userTag: 'bettor', amount: 1000, createdBy: STAFF_ID });
+
+    for (const name of ['Fifth Fight', 'Sixth Fight']) {
+      const event = await createLockedEvent(name, [2, 2]);
+      await event.update({ status: 'open' });
+      await addSlipLeg(GUILD_ID, bettor, event.id, 0);
+    }
+
+    const tooSmall = await placeParlay({ guildId: GUILD_ID, userId: bettor, userTag: 'bettor', amount: 20 });
+    assert.deepEqual(tooSmall.errors, ['Bet amount must be at least 50']);
+    const tooLarge = await placeParlay({ guildId: GUILD_ID, userId: bettor, userTag: 'bettor', amount: 300 });
+    assert.deepEqual(tooLarge.errors, ['Bet amount cannot exceed 200']);
+
+    const { success, bet } = await placeParlay({ guildId: GUILD_ID, userId: bettor, userTag: 'bettor', amount: 100 });
+    assert.equal(success, true);
+    assert.equal(bet.meta.feePercent, 10);
+    assert.equal(bet.potentialWinnings, 360);
+  });
+});
@@ -0,0 +1,87 @@
+// KrayStakes Discord Bot - Race Settlement Tests
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateRaceWinnings } = require('../modules/betting');
+
+// A fixed-odds race of four runners paying places on the top two
+const RACE = {
+  type: 'racing',
+  settlementMode: 'fixed',
+  feePercent: 0,
+  choices: [{ name: 'Comet', odds: 3 }, { name: 'Dasher', odds: 5 }, { name: 'Vixen', odds: 8 }, { name: 'Cupid', odds: 10 }]
+};
+
+describe('calculateRaceWinnings', () => {
+  it('pays win bets on the winner only', () => {
+    const bets = [
+      { id: 1, betType: 'single', amount: 100, odds: 3, choiceIndex: 0, meta: {} },
+      { id: 2, betType: 'single', amount: 100, odds: 5, choiceIndex: 1, meta: {} }
+    ];
+
+    const { winnings, refunds } = calculateRaceWinnings(RACE, bets, [0, 1, 2, 3]);
+
+    assert.deepEqual([...winnings], [[1, 300]]);
+    assert.deepEqual(refunds, []);
+  });
+
+  it('pays place bets at their place odds on any placed finish', () => {
+    const bets = [
+      { id: 1, betType: 'place', amount: 100, odds: 2, choiceIndex: 1, meta: { placePositions: 2 } },
+      { id: 2, betType: 'place', amount: 100, odds: 2.75, choiceIndex: 2, meta: { placePositions: 2 } }
+    ];
+
+    const { winnings } = calculateRaceWinnings(RACE, bets, [0, 1, 2, 3]);
+
+    assert.deepEqual([...winnings], [[1, 200]]);
+  });
+
+  it('pays each half of an each-way bet separately', () => {
+    const bets = [
+      { id: 1, betType: 'each_way', amount: 100, odds: 3, choiceIndex: 0, meta: { placePositions: 2, placeOdds: 1.5 } },
+      { id: 2, betType: 'each_way', amount: 100, odds: 5, choiceIndex: 1, meta: { placePositions: 2, placeOdds: 2 } },
+      { id: 3, betType: 'each_way', amount: 100, odds: 8, choiceIndex: 2, meta: { placePositions: 2, placeOdds: 2.75 } }
+    ];
+
+    const { winnings } = calculateRaceWinnings(RACE, bets, [0, 1, 2, 3]);
+
+    // Winner: 50 × 3 + 50 × 1.5; placed: 50 × 2 for the place half only; third: nothing
+    assert.deepEqual([...winnings], [[1, 225], [2, 100]]);
+  });
+
+  it('pays forecasts and tricasts that call the exact order at their locked-in odds', () => {
+    const bets = [
+      { id: 1, betType: 'forecast', amount: 100, odds: 4, choiceIndex: null, meta: { selections: [0, 1] } },
+      { id: 2, betType: 'forecast', amount: 100, odds: 6, choiceIndex: null, meta: { selections: [1, 0] } },
+      { id: 3, betType: 'tricast', amount: 10, odds: 20, choiceIndex: null, meta: { selections: [0, 1, 2] } }
+    ];
+
+    const { winnings } = calculateRaceWinnings(RACE, bets, [0, 1, 2, 3]);
+
+    assert.deepEqual([...winnings], [[1, 400], [3, 200]]);
+  });
+
+  it('splits a forecast pool between the bets that called the exact order', () => {
+    const bets = [
+      { id: 1, betType: 'forecast', amount: 100, choiceIndex: null, meta: { selections: [0, 1] } },
+      { id: 2, betType: 'forecast', amount: 100, choiceIndex: null, meta: { selections: [1, 0] } },
+      { id: 3, betType: 'forecast', amount: 50, choiceIndex: null, meta: { selections: [0, 1] } }
+    ];
+
+    const { winnings } = calculateRaceWinnings({ ...RACE, settlementMode: 'parimutuel' }, bets, [0, 1, 2, 3]);
+
+    assert.deepEqual([...winnings], [[1, 166], [3, 83]]);
+  });
+
+  it('refunds exact-order bets that could not win or that nobody won', () => {
+    const tricast = { id: 1, betType: 'tricast', amount: 10, choiceIndex: null, meta: { selections: [0, 1, 2] } };
+    const forecast = { id: 2, betType: 'forecast', amount: 10, choiceIndex: null, meta: { selections: [1, 0] } };
+
+    const { winnings, refunds } = calculateRaceWinnings({ ...RACE, settlementMode: 'parimutuel' }, [tricast, forecast], [0, 1]);
+
+    assert.equal(winnings.size, 0);
+    assert.deepEqual(refunds, [
+      { bets: [forecast], reason: 'Nobody called the forecast' },
+      { bets: [tricast], reason: 'Fewer than 3 runners finished, so no tricast could win' }
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+// KrayStakes Discord Bot - Settlement Tests
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+
+const GUILD_ID = '100000000000000001';
+const STAFF_ID = '200000000000000001';
+
+describe('market settlement', () => {
+  let models;
+  let settleMarket;
+  let creditWinnings;
+  let getBalance;
+
+  before(async () => {
+    models = await setUpDatabase();
+    ({ settleMarket } = require('../modules/betting'));
+    ({ creditWinnings, getBalance } = require('../modules/wallet'));
+  });
+
+  after(tearDownDatabase);
+
+  /**
+   * Create an open fixed-odds event with a market, and a bet on each of its choices
+   * @returns {Promise<Object>} - { event, market, bets }
+   */
+  async function createMarketWithBets() {
+    const event = await models.Event.create({
+      guildId: GUILD_ID,
+      name: 'Title Fight',
+      type: 'boxing',
+      status: 'locked',
+      createdBy: STAFF_ID,
+      settlementMode: 'fixed',
+      feePercent: 0,
+      choices: [{ name: 'Red', odds: 2 }, { name: 'Blue', odds: 2 }]
+    });
+    const market = await models.Market.create({
+      guildId: GUILD_ID,
+      eventId: event.id,
+      name: 'Method of Victory',
+      settlementMode: 'fixed',
+      feePercent: 10,
+      choices: [{ name: 'KO', odds: 3 }, { name: 'Decision', odds: 1.5 }]
+    });
+    const bets = await Promise.all([0, 1].map(choiceIndex => models.Bet.create({
+      guildId: GUILD_ID,
+      eventId: event.id,
+      marketId: market.id,
+      userId: `${event.id}0000${choiceIndex}`,
+      userTag: `player${event.id}-${choiceIndex}`,
+      amount: 100,
+      choiceIndex,
+      choiceName: market.choices[choiceIndex].name,
+      odds: market.choices[choiceIndex].odds
+    })));
+
+    return { event, market, bets };
+  }
+
+  it('settles the bets and credits the winnings with the fee taken', async () => {
+    const { market, bets } = await createMarketWithBets();
+
+    const result = await settleMarket(GUILD_ID, market.id, 0, STAFF_ID);
+
+    assert.equal(result.success, true);
+    assert.equal(result.totalPayout, 270);
+    await Promise.all(bets.map(bet => bet.reload()));
+    assert.deepEqual(bets.map(bet => [bet.status, bet.actualWinnings]), [['won', 270], ['lost', 0]]);
+    assert.equal(await getBalance(GUILD_ID, bets[0].userId), 270);
+    assert.equal(await getBalance(GUILD_ID, bets[1].userId), 0);
+    assert.equal(await models.Payout.count({ where: { betId: bets[0].id, status: 'completed' } }), 1);
+  });
+
+  it('refuses to settle a market twice', async () => {
+    const { market, bets } = await createMarketWithBets();
+    await settleMarket(GUILD_ID, market.id, 0, STAFF_ID);
+
+    const result = await settleMarket(GUILD_ID, market.id, 1, STAFF_ID);
+
+    assert.equal(result.success, false);
+    assert.equal(await getBalance(GUILD_ID, bets[0].userId), 270);
+    assert.equal(await getBalance(GUILD_ID, bets[1].userId), 0);
+  });
+
+  it('credits each winning bet only once', async () => {
+    const { event, market, bets } = await createMarketWithBets();
+    const { winners } = await settleMarket(GUILD_ID, market.id, 0, STAFF_ID);
+    const balance = await getBalance(GUILD_ID, bets[0].userId);
+
+    const credited = await creditWinnings(event, winners, STAFF_ID);
+
+    assert.equal(credited, 0);
+    assert.equal(await getBalance(GUILD_ID, bets[0].userId), balance);
+    assert.equal(await models.LedgerEntry.count({ where: { type: 'winning', referenceType: 'bet', referenceId: bets[0].id } }), 1);
+    assert.equal(await models.Payout.count({ where: { betId: bets[0].id } }), 1);
+  });
+});
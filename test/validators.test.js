@@ -0,0 +1,117 @@
+// KrayStakes Discord Bot - Validator Tests
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBet } = require('../utils/validators');
+
+/**
+ * Create an open event as validateBet sees it
+ * @param {Object} [overrides] - Event fields to change
+ * @returns {Object} - The event
+ */
+function createEvent(overrides = {}) {
+  return {
+    type: 'boxing',
+    status: 'open',
+    scheduledTime: null,
+    minBet: 10,
+    maxBet: 1000,
+    limitPerUser: 2,
+    settlementMode: 'parimutuel',
+    choices: [{ name: 'Red', odds: null }, { name: 'Blue', odds: null }],
+    ...overrides
+  };
+}
+
+/**
+ * Create an open market on an event as validateBet sees it
+ * @param {Object} [overrides] - Market fields to change
+ * @returns {Object} - The market
+ */
+function createMarket(overrides = {}) {
+  return {
+    status: 'open',
+    minBet: 50,
+    maxBet: 500,
+    limitPerUser: 1,
+    settlementMode: 'fixed',
+    choices: [{ name: 'KO', odds: 3 }, { name: 'Decision', odds: null }],
+    ...overrides
+  };
+}
+
+describe('validateBet', () => {
+  it('accepts a bet within the limits', () => {
+    const result = validateBet({ userId: '1', amount: 100, choiceIndex: 0 }, createEvent());
+
+    assert.deepEqual(result, { valid: true, errors: [] });
+  });
+
+  it('rejects stakes outside the limits and fractional stakes', () => {
+    const event = createEvent();
+
+    assert.deepEqual(validateBet({ userId: '1', amount: 5, choiceIndex: 0 }, event).errors, ['Bet amount must be at least 10']);
+    assert.deepEqual(validateBet({ userId: '1', amount: 5000, choiceIndex: 0 }, event).errors, ['Bet amount cannot exceed 1000']);
+    assert.deepEqual(validateBet({ userId: '1', amount: 10.5, choiceIndex: 0 }, event).errors, ['Bet amount must be a whole number of coins']);
+  });
+
+  it('rejects choices the event does not have', () => {
+    const result = validateBet({ userId: '1', amount: 100, choiceIndex: 2 }, createEvent());
+
+    assert.deepEqual(result.errors, ['Invalid bet choice']);
+  });
+
+  it('rejects bets once the event is no longer open', () => {
+    const result = validateBet({ userId: '1', amount: 100, choiceIndex: 0 }, createEvent({ status: 'locked' }));
+
+    assert.deepEqual(result.errors, ['Cannot place bets on events that are locked']);
+  });
+
+  it('takes the limits and choices of a market from the market', () => {
+    const market = createMarket();
+
+    assert.equal(validateBet({ userId: '1', amount: 100, choiceIndex: 0 }, createEvent(), 0, market).valid, true);
+    assert.deepEqual(validateBet({ userId: '1', amount: 20, choiceIndex: 0 }, createEvent(), 0, market).errors, ['Bet amount must be at least 50']);
+    assert.deepEqual(validateBet({ userId: '1', amount: 100, choiceIndex: 0 }, createEvent(), 1, market).errors, ['You can only place 1 bet(s) on this market']);
+  });
+
+  it('rejects fixed-odds choices without odds and settled markets', () => {
+    assert.deepEqual(
+      validateBet({ userId: '1', amount: 100, choiceIndex: 1 }, createEvent(), 0, createMarket()).errors,
+      ['No odds have been set for this choice yet']
+    );
+    assert.deepEqual(
+      validateBet({ userId: '1', amount: 100, choiceIndex: 0 }, createEvent(), 0, createMarket({ status: 'settled' })).errors,
+      ['Cannot place bets on markets that are settled']
+    );
+  });
+
+  it('only takes place and each-way bets on the main result of fixed-odds races', () => {
+    const race = createEvent({ type: 'racing', settlementMode: 'fixed', choices: [{ name: 'Comet', odds: 3 }, { name: 'Dasher', odds: 5 }, { name: 'Vixen', odds: 8 }] });
+    const bet = { userId: '1', amount: 100, choiceIndex: 0, betType: 'place', placePositions: 2 };
+
+    assert.equal(validateBet(bet, race).valid, true);
+    assert.deepEqual(validateBet(bet, createEvent()).errors, ['Place and each-way bets are only available on the main result of racing events']);
+    assert.deepEqual(validateBet(bet, { ...race, settlementMode: 'parimutuel' }).errors, ['Place and each-way bets need fixed odds']);
+    assert.deepEqual(validateBet({ ...bet, placePositions: 3 }, race).errors, ['Place and each-way bets need more than 3 runners']);
+  });
+
+  it('needs an even stake for each-way bets', () => {
+    const race = createEvent({ type: 'racing', settlementMode: 'fixed', choices: [{ name: 'Comet', odds: 3 }, { name: 'Dasher', odds: 5 }, { name: 'Vixen', odds: 8 }] });
+
+    assert.deepEqual(
+      validateBet({ userId: '1', amount: 99, choiceIndex: 0, betType: 'each_way', placePositions: 2 }, race).errors,
+      ['An each-way stake is split equally between win and place, so it must be an even number of coins']
+    );
+  });
+
+  it('needs forecasts and tricasts to name different runners in order', () => {
+    const race = createEvent({ type: 'racing', settlementMode: 'fixed', choices: [{ name: 'Comet', odds: 3 }, { name: 'Dasher', odds: 5 }, { name: 'Vixen', odds: null }] });
+    const bet = { userId: '1', amount: 100, choiceIndex: 0, betType: 'forecast', selections: [0, 1] };
+
+    assert.equal(validateBet(bet, race).valid, true);
+    assert.deepEqual(validateBet({ ...bet, selections: [0, 0] }, race).errors, ['A forecast needs 2 different runners in finishing order']);
+    assert.deepEqual(validateBet({ ...bet, betType: 'tricast', selections: [0, 1, 5] }, race).errors, ['A tricast needs 3 different runners in finishing order']);
+    assert.deepEqual(validateBet({ ...bet, selections: [0, 2] }, race).errors, ['No odds have been set for one of these runners yet']);
+    assert.deepEqual(validateBet(bet, createEvent()).errors, ['Forecasts and tricasts are only available on the main result of racing events']);
+  });
+});
@@ -0,0 +1,142 @@
+// KrayStakes Discord Bot - Winner Selection Tests
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setUpDatabase, tearDownDatabase } = require('./helpers/database');
+
+const GUILD_ID = '100000000000000001';
+const STAFF_ID = '200000000000000001';
+
+describe('winner selection', () => {
+  let models;
+  let winnerSelection;
+  let getBalance;
+
+  before(async () => {
+    models = await setUpDatabase();
+    winnerSelection = require('../modules/winnerSelection');
+    ({ getBalance } = require('../modules/wallet'));
+  });
+
+  after(tearDownDatabase);
+
+  /**
+   * Create a locked pool event with the given bets on its main result
+   * @param {string} name - Event name
+   * @param {Array<Object>} bets - { userId, choiceIndex, amount } for each bet
+   * @returns {Promise<Object>} - The event
+   */
+  async function createLockedEvent(name, bets) {
+    const event = await models.Event.create({
+      guildId: GUILD_ID,
+      name,
+      type: 'boxing',
+      status: 'locked',
+      createdBy: STAFF_ID,
+      feePercent: 10,
+      choices: [{ name: 'Red' }, { name: 'Blue' }],
+      totalBetsCount: bets.length,
+      totalBetsAmount: bets.reduce((sum, bet) => sum + bet.amount, 0)
+    });
+    for (const { userId, choiceIndex, amount } of bets) {
+      await models.Bet.create({
+        guildId: GUILD_ID,
+        eventId: event.id,
+        userId,
+        userTag: `player-${userId}`,
+        amount,
+        choiceIndex,
+        choiceName: event.choices[choiceIndex].name
+      });
+    }
+    return event;
+  }
+
+  /**
+   * Create a mock staff interaction that records its replies
+   * @param {Object} extra - Extra interaction properties (e.g. values)
+   * @returns {Object} - The interaction, with a replies array
+   */
+  function createInteraction(extra = {}) {
+    const replies = [];
+    return {
+      guildId: GUILD_ID,
+      user: { id: STAFF_ID, tag: 'staff' },
+      deferUpdate: async () => {},
+      editReply: async options => replies.push(options),
+      replies,
+      ...extra
+    };
+  }
+
+  it('lists the choices that were bet on with the event totals', async () => {
+    const event = await createLockedEvent('Listed Fight', [
+      { userId: '300000000000000001', choiceIndex: 0, amount: 100 },
+      { userId: '300000000000000002', choiceIndex: 1, amount: 50 }
+    ]);
+    const interaction = createInteraction();
+
+    await winnerSelection.showEvent(interaction, {}, { eventId: event.id });
+
+    const [reply] = interaction.replies;
+    const fields = reply.embeds[0].data.fields;
+    assert.equal(fields.find(field => field.name === 'Total Bets').value, '2 bets ($150)');
+    assert.deepEqual(reply.components[0].components[0].options.map(option => option.data.value), ['Red', 'Blue', 'CUSTOM']);
+  });
+
+  it('marks the bets on the selected choice as winners and pays them from the pool', async () => {
+    const event = await createLockedEvent('Paid Fight', [
+      { userId: '300000000000000003', choiceIndex: 0, amount: 100 },
+      { userId: '300000000000000004', choiceIndex: 0, amount: 50 },
+      { userId: '300000000000000005', choiceIndex: 1, amount: 150 }
+    ]);
+
+    const selection = createInteraction({ values: ['Red'] });
+    await winnerSelection.selectWinningChoiceSelect(selection, {}, { eventId: event.id });
+    const ratio = selection.replies[0].embeds[0].data.fields.find(field => field.name === 'Pot Distribution Ratio');
+    assert.equal(ratio.value, '1.80x');
+
+    await winnerSelection.confirmWinners(createInteraction(), {}, { eventId: event.id, selectedChoice: 'Red' });
+
+    const bets = await models.Bet.findAll({ where: { eventId: event.id }, order: [['id', 'ASC']] });
+    assert.deepEqual(bets.map(bet => bet.status), ['won', 'won', 'lost']);
+    assert.deepEqual(bets.map(bet => bet.actualWinnings), [180, 90, 0]);
+    assert.equal(await getBalance(GUILD_ID, '300000000000000003'), 180);
+    assert.equal(await getBalance(GUILD_ID, '300000000000000004'), 90);
+  });
+
+  it('leaves cancelled stakes out of the pool and the winners', async () => {
+    const event = await createLockedEvent('Cancelled Stake Fight', [
+      { userId: '300000000000000006', choiceIndex: 0, amount: 100 },
+      { userId: '300000000000000007', choiceIndex: 1, amount: 100 },
+      { userId: '300000000000000008', choiceIndex: 0, amount: 200 }
+    ]);
+    const cancelled = await models.Bet.findOne({ where: { eventId: event.id, userId: '300000000000000008' } });
+    await cancelled.update({ status: 'cancelled', isWinner: true });
+
+    await winnerSelection.selectWinningChoiceSelect(createInteraction({ values: ['Red'] }), {}, { eventId: event.id });
+    await winnerSelection.confirmWinners(createInteraction(), {}, { eventId: event.id, selectedChoice: 'Red' });
+
+    await cancelled.reload();
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(await getBalance(GUILD_ID, '300000000000000006'), 180);
+    assert.equal(await getBalance(GUILD_ID, '300000000000000008'), 0);
+  });
+
+  it('refuses to settle an event a second time', async () => {
+    const event = await createLockedEvent('Settled Fight', [
+      { userId: '300000000000000009', choiceIndex: 0, amount: 100 },
+      { userId: '300000000000000010', choiceIndex: 1, amount: 100 }
+    ]);
+    await winnerSelection.selectWinningChoiceSelect(createInteraction({ values: ['Red'] }), {}, { eventId: event.id });
+    await winnerSelection.confirmWinners(createInteraction(), {}, { eventId: event.id, selectedChoice: 'Red' });
+
+    // Leave a winning bet active, so the second confirm gets as far as settling the event
+    await models.Bet.update({ status: 'active' }, { where: { eventId: event.id, userId: '300000000000000009' } });
+    const second = createInteraction();
+    await winnerSelection.confirmWinners(second, {}, { eventId: event.id, selectedChoice: 'Red' });
+
+    assert.equal(second.replies.at(-1).content, 'The winners of "Settled Fight" have already been confirmed.');
+    assert.equal(await getBalance(GUILD_ID, '300000000000000009'), 180);
+    assert.equal(await models.Payout.count({ where: { eventId: event.id } }), 1);
+  });
+});
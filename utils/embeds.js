@@ -7,9 +7,10 @@ const config = require('../config');
  * Create an embed for an event announcement
  * @param {Object} event - The event object from the database
  * @param {string} timezone - The timezone to display times in
+ * @param {Array} [markets] - The event's additional markets (defaults to event.Markets when included)
  * @returns {EmbedBuilder} - The configured embed
  */
-function createEventEmbed(event, timezone = 'UTC') {
+function createEventEmbed(event, timezone = 'UTC', markets = event.Markets || []) {
   // Initialize embed with color based on event type
   const embed = new EmbedBuilder()
     .setColor(getEventColor(event.type))
@@ -22,6 +23,9 @@ function createEventEmbed(event, timezone = 'UTC') {
     detailsField += `📅 **Date & Time:** ${formatDate(event.scheduledTime, 'PPpp', timezone)}\n`;
     detailsField += `⏱️ **Time Until Event:** ${getTimeRemaining(event.scheduledTime)}\n`;
   }
+  if (event.openTime && event.status === 'pending') {
+    detailsField += `🔓 **Betting Opens:** ${formatDate(event.openTime, 'PPpp', timezone)}\n`;
+  }
   if (event.location) {
     detailsField += `📍 **Location:** ${event.location}\n`;
   }
@@ -30,12 +34,18 @@ function createEventEmbed(event, timezone = 'UTC') {
   embed.addFields({ name: 'Event Details', value: detailsField });
 
   // Add betting options
-  const optionsField = event.choices.map((choice, index) => {
-    // Get choice name, supporting both string and object formats
-    const choiceName = typeof choice === 'string' ? choice : choice.name;
-    return `${index + 1}. ${choiceName}`;
-  }).join('\n');
-  embed.addFields({ name: 'Betting Options', value: optionsField });
+  embed.addFields({ name: markets.length > 0 ? 'Main Result' : 'Betting Options', value: formatChoiceList(event.choices) });
+
+  // Add the finishing order once a race has been settled
+  if (event.finishingOrder && event.finishingOrder.length > 0 && event.status === 'completed') {
+    embed.addFields({
+      name: '🏁 Finishing Order',
+      value: event.finishingOrder.map((choiceIndex, position) => {
+        const choice = event.choices[choiceIndex];
+        return `${position + 1}. ${typeof choice === 'string' ? choice : choice.name}`;
+      }).join('\n').substring(0, 1024)
+    });
+  }
 
   // Add betting limits
   let limitsField = '';
@@ -43,8 +53,24 @@ function createEventEmbed(event, timezone = 'UTC') {
   limitsField += `💵 **Max Bet:** ${event.maxBet} coins\n`;
   limitsField += `🔄 **Bets Per User:** ${event.limitPerUser}\n`;
   limitsField += `💼 **House Fee:** ${event.feePercent}%\n`;
+  limitsField += `📈 **Odds:** ${event.settlementMode === 'fixed' ? 'Fixed (locked in when you bet)' : 'Pool (change as bets come in)'}\n`;
   embed.addFields({ name: 'Betting Limits', value: limitsField });
 
+  // Add the other markets, each with its own choices and limits
+  [...markets].sort((a, b) => a.sortOrder - b.sortOrder).forEach(market => {
+    let marketField = formatChoiceList(market.choices) + '\n';
+    if (market.status === 'settled') {
+      const winner = market.choices[market.winningChoiceIndex];
+      marketField += `✅ **Result:** ${typeof winner === 'string' ? winner : winner.name}`;
+    } else if (market.status === 'cancelled') {
+      marketField += '🚫 **Cancelled** - bets refunded';
+    } else {
+      marketField += `*${market.minBet} - ${market.maxBet} coins, ${market.limitPerUser} bet(s) per user, ` +
+        `${market.settlementMode === 'fixed' ? 'fixed' : 'pool'} odds*`;
+    }
+    embed.addFields({ name: `🎯 ${market.name}`, value: marketField.substring(0, 1024) });
+  });
+
   // Add footer
   embed.setFooter({ 
     text: `Event ID: ${event.id} • Created by ${event.createdBy}`,
@@ -54,6 +80,20 @@ function createEventEmbed(event, timezone = 'UTC') {
   return embed;
 }
 
+/**
+ * Format a list of choices as numbered lines with their current odds
+ * @param {Array} choices - The choices, as stored on an event or market
+ * @returns {string} - The formatted list
+ */
+function formatChoiceList(choices) {
+  return choices.map((choice, index) => {
+    // Get choice name, supporting both string and object formats
+    const choiceName = typeof choice === 'string' ? choice : choice.name;
+    const odds = typeof choice === 'string' ? null : choice.odds;
+    return odds ? `${index + 1}. ${choiceName} - ${odds.toFixed(2)}x` : `${index + 1}. ${choiceName}`;
+  }).join('\n');
+}
+
 /**
  * Create an embed for winners announcement
  * @param {Object} event - The event object from the database
@@ -206,19 +246,24 @@ function createBetListEmbed(bets, event, timezone = 'UTC') {
     .setTitle(`Bets for ${event.name}`)
     .setDescription(`Showing ${bets.length} bets for Event ID: ${event.id}`);
 
-  // Group bets by choice
+  // Forecasts, tricasts and additional market bets are listed separately from the main result
+  const exactOrderTypes = { forecast: 'Forecasts', tricast: 'Tricasts' };
+  const mainBets = bets.filter(bet => !bet.marketId && !exactOrderTypes[bet.betType]);
+  const typeLabels = { place: 'Place', each_way: 'Each-Way' };
+  const getName = choice => typeof choice === 'string' ? choice : choice.name;
+
+  // Group main result bets by choice
   const betsByChoice = {};
   event.choices.forEach((choice, index) => {
-    const choiceName = typeof choice === 'string' ? choice : choice.name;
     betsByChoice[index] = {
-      name: choiceName,
-      bets: bets.filter(b => b.choiceIndex === index),
+      name: getName(choice),
+      bets: mainBets.filter(b => b.choiceIndex === index),
       totalAmount: 0
     };
   });
 
   // Calculate totals
-  bets.forEach(bet => {
+  mainBets.forEach(bet => {
     if (betsByChoice[bet.choiceIndex]) {
       betsByChoice[bet.choiceIndex].totalAmount += bet.amount;
     }
@@ -228,16 +273,44 @@ function createBetListEmbed(bets, event, timezone = 'UTC') {
   Object.values(betsByChoice).forEach(choiceGroup => {
     if (choiceGroup.bets.length > 0) {
       const fieldValue = choiceGroup.bets.map(bet => {
-        return `**${bet.userTag}** - ${bet.amount} coins (${bet.status})`;
+        const type = typeLabels[bet.betType] ? ` ${typeLabels[bet.betType]}` : '';
+        return `**${bet.userTag}** - ${bet.amount} coins${type} (${bet.status})`;
       }).join('\n');
       
       embed.addFields({ 
         name: `${choiceGroup.name} (${choiceGroup.bets.length} bets, ${choiceGroup.totalAmount} coins)`, 
-        value: fieldValue 
+        value: fieldValue.substring(0, 1024)
       });
     }
   });
 
+  // Add forecasts and tricasts with their predicted finishing order
+  Object.entries(exactOrderTypes).forEach(([betType, title]) => {
+    const typeBets = bets.filter(bet => bet.betType === betType);
+    if (typeBets.length > 0) {
+      const fieldValue = typeBets.map(bet => {
+        const order = (bet.meta.selections || []).map(index => getName(event.choices[index] || '?')).join(' → ');
+        return `**${bet.userTag}** - ${order || bet.choiceName}: ${bet.amount} coins (${bet.status})`;
+      }).join('\n');
+
+      embed.addFields({
+        name: `${title} (${typeBets.length} bets, ${typeBets.reduce((sum, bet) => sum + bet.amount, 0)} coins)`,
+        value: fieldValue.substring(0, 1024)
+      });
+    }
+  });
+
+  // Add bets on additional markets
+  const marketBets = bets.filter(bet => bet.marketId);
+  if (marketBets.length > 0) {
+    embed.addFields({
+      name: `Other Markets (${marketBets.length} bets, ${marketBets.reduce((sum, bet) => sum + bet.amount, 0)} coins)`,
+      value: marketBets.map(bet => {
+        return `**${bet.userTag}** - ${bet.Market ? `${bet.Market.name}: ` : ''}${bet.choiceName}: ${bet.amount} coins (${bet.status})`;
+      }).join('\n').substring(0, 1024)
+    });
+  }
+
   // Add footer
   embed.setFooter({ 
     text: `Total: ${bets.length} bets, ${bets.reduce((sum, bet) => sum + bet.amount, 0)} coins`,
@@ -0,0 +1,99 @@
+// KrayStakes Discord Bot - Guild Settings
+const config = require('../config');
+const logger = require('./logger');
+
+// Channels set in Configuration Settings, with the .env channel used until one is saved
+const CHANNEL_SETTINGS = {
+  announcements: { key: 'bettingAnnouncementsChannel', fallback: () => config.channels.announcements },
+  payouts: { key: 'payoutAnnouncementsChannel', fallback: () => config.channels.results },
+  reports: { key: 'reportsChannel', fallback: () => config.channels.reports },
+  leaderboard: { key: 'leaderboardChannel', fallback: () => config.channels.reports },
+  logs: { key: 'logsChannel', fallback: () => config.channels.logs }
+};
+
+/**
+ * Get a server's value of a configuration setting
+ * @param {string} guildId - Discord server ID
+ * @param {string} key - Configuration key
+ * @param {*} [fallback] - Value returned when the server has no value saved
+ * @returns {Promise<string|*>} - The saved value, or the fallback
+ */
+async function getGuildSetting(guildId, key, fallback = null) {
+  const { Configuration } = require('../database/models');
+
+  const setting = await Configuration.findOne({ where: { guildId, key } });
+  return setting ? setting.value : fallback;
+}
+
+/**
+ * Get a server's values of several configuration settings
+ * @param {string} guildId - Discord server ID
+ * @param {Array<string>} keys - Configuration keys
+ * @returns {Promise<Object>} - The saved values keyed by configuration key (missing keys are left out)
+ */
+async function getGuildSettings(guildId, keys) {
+  const { Configuration } = require('../database/models');
+
+  const settings = await Configuration.findAll({ where: { guildId, key: keys } });
+  return Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+}
+
+/**
+ * Get a server's display timezone
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<string>} - IANA timezone, defaulting to the .env timezone
+ */
+async function getGuildTimezone(guildId) {
+  return await getGuildSetting(guildId, 'timezone') || config.timezone || 'UTC';
+}
+
+/**
+ * Get the IDs of the servers the bot has settings for
+ * @returns {Promise<Array<string>>} - Discord server IDs
+ */
+async function getGuildIds() {
+  const { Configuration } = require('../database/models');
+
+  const rows = await Configuration.findAll({
+    attributes: ['guildId'],
+    group: ['guildId'],
+    raw: true
+  });
+  return rows.map(row => row.guildId).filter(Boolean);
+}
+
+/**
+ * Fetch one of a server's configured channels. A channel that belongs to another server
+ * (e.g. the .env fallback when several servers are served) is never returned.
+ * @param {Client} client - The Discord client instance
+ * @param {string} guildId - Discord server ID
+ * @param {string} name - Channel name (announcements, payouts, reports, leaderboard or logs)
+ * @returns {Promise<Channel|null>} - The channel, or null if none is set up for the server
+ */
+async function getGuildChannel(client, guildId, name) {
+  const setting = CHANNEL_SETTINGS[name];
+  if (!setting) {
+    throw new Error(`Unknown channel setting: ${name}`);
+  }
+
+  const channelId = await getGuildSetting(guildId, setting.key) || setting.fallback();
+  if (!channelId) {
+    return null;
+  }
+
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (channel && channel.guildId !== guildId) {
+    logger.debug(`Channel ${channelId} for ${name} is not in server ${guildId}; ignoring it`);
+    return null;
+  }
+  return channel;
+}
+
+module.exports = {
+  CHANNEL_SETTINGS,
+  getGuildSetting,
+  getGuildSettings,
+  getGuildTimezone,
+  getGuildIds,
+  getGuildChannel
+};
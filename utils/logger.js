@@ -36,20 +36,21 @@ const logFormat = winston.format.combine(
   })
 );
 
-// Create Winston logger
-const logger = winston.createLogger({
-  level: config.logLevel || 'info',
-  format: logFormat,
-  defaultMeta: { service: 'kraystakes-bot' },
-  transports: [
-    // Console transport
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        logFormat
-      )
-    }),
-    
+// Test runs (NODE_ENV=test) log nothing, so they leave no log files behind
+const isTest = config.env === 'test';
+
+// Console transport
+const transports = [
+  new winston.transports.Console({
+    format: winston.format.combine(
+      winston.format.colorize(),
+      logFormat
+    )
+  })
+];
+
+if (!isTest) {
+  transports.push(
     // System logs (info and above)
     new winston.transports.File({
       filename: path.join(logsDir, 'system.log'),
@@ -76,7 +77,16 @@ const logger = winston.createLogger({
         })
       )
     })
-  ]
+  );
+}
+
+// Create Winston logger
+const logger = winston.createLogger({
+  level: config.logLevel || 'info',
+  format: logFormat,
+  defaultMeta: { service: 'kraystakes-bot' },
+  silent: isTest,
+  transports
 });
 
 // Track database logging errors to avoid excessive error messages
@@ -102,6 +112,7 @@ async function logToDatabase(level, message, options = {}) {
     await Log.create({
       level,
       message,
+      guildId: options.guildId || null,
       userId: options.userId || null,
       type: options.type || 'system',
       metadata: options.metadata ? JSON.stringify(options.metadata) : null
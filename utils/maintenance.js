@@ -0,0 +1,47 @@
+// KrayStakes Discord Bot - Maintenance Mode Utility
+const logger = require('./logger');
+
+// The current maintenance window ({ reason, since }), or null while the bot runs normally
+let maintenance = null;
+
+/**
+ * Put the bot in maintenance mode: interactions are turned away and scheduled jobs wait
+ * @param {string} reason - Why the bot is in maintenance, shown to users
+ */
+function enterMaintenance(reason) {
+  maintenance = { reason, since: new Date() };
+  logger.warn(`Maintenance mode enabled: ${reason}`);
+}
+
+/**
+ * Take the bot out of maintenance mode
+ */
+function exitMaintenance() {
+  if (maintenance) {
+    logger.info(`Maintenance mode disabled after ${Date.now() - maintenance.since.getTime()} ms`);
+  }
+  maintenance = null;
+}
+
+/**
+ * Check whether the bot is in maintenance mode
+ * @returns {boolean} - True while in maintenance
+ */
+function isMaintenanceMode() {
+  return maintenance !== null;
+}
+
+/**
+ * Get the current maintenance window
+ * @returns {Object|null} - { reason, since }, or null while the bot runs normally
+ */
+function getMaintenance() {
+  return maintenance;
+}
+
+module.exports = {
+  enterMaintenance,
+  exitMaintenance,
+  isMaintenanceMode,
+  getMaintenance
+};
@@ -0,0 +1,136 @@
+// KrayStakes Discord Bot - Module Toggles
+const logger = require('./logger');
+const { createErrorEmbed } = require('./embeds');
+const { safeReply, safeUpdate } = require('./interactions');
+const { getGuildSetting, getGuildSettings } = require('./guildSettings');
+
+// Modules a server can turn off in Configuration Settings, by module name. A module that is off is hidden
+// from the admin panel, its buttons, select menus, modals and commands are turned away, and its scheduled
+// jobs skip the server. The admin panel, Configuration Settings and the admin tools are always on.
+const TOGGLEABLE_MODULES = {
+  eventCreation: {
+    label: 'Event Creation',
+    description: 'Create events and add markets'
+  },
+  eventManagement: {
+    label: 'Event Management',
+    description: 'Edit, lock, announce and cancel events, view bets'
+  },
+  scheduledEvents: {
+    label: 'Scheduled Events',
+    description: 'The event schedule and event reminders'
+  },
+  betting: {
+    label: 'Betting',
+    description: 'Bet buttons on announcements, /bet and /mybets'
+  },
+  parlays: {
+    label: 'Parlays',
+    description: 'Adding picks to a bet slip and /betslip'
+  },
+  wallet: {
+    label: 'Player Wallets',
+    description: '/wallet, withdrawal requests and /processpics'
+  },
+  winnerSelection: {
+    label: 'Winner Selection',
+    description: 'Select market winners and record race results'
+  },
+  payoutManagement: {
+    label: 'Payouts',
+    description: 'The payout panel, deposits, withdrawals and wallet lookups'
+  },
+  reportsLogs: {
+    label: 'Reports',
+    description: 'The reports panel and the weekly and monthly reports'
+  },
+  leaderboard: {
+    label: 'Leaderboard',
+    description: 'The leaderboard panel and its daily update'
+  }
+};
+
+/**
+ * Get the Configuration key holding whether a module is on
+ * @param {string} moduleName - Module name
+ * @returns {string} - Configuration key
+ */
+function getModuleKey(moduleName) {
+  return `${moduleName}Enabled`;
+}
+
+/**
+ * Check whether a module is on in a server. Modules are on until a server turns them off,
+ * and modules that can't be turned off are always on.
+ * @param {string} guildId - Discord server ID
+ * @param {string} moduleName - Module name
+ * @returns {Promise<boolean>} - Whether the module is on
+ */
+async function isModuleEnabled(guildId, moduleName) {
+  if (!TOGGLEABLE_MODULES[moduleName]) {
+    return true;
+  }
+
+  return await getGuildSetting(guildId, getModuleKey(moduleName)) !== 'false';
+}
+
+/**
+ * Get the modules a server has turned off, reading its settings once
+ * @param {string} guildId - Discord server ID
+ * @returns {Promise<Set<string>>} - Module names
+ */
+async function getDisabledModules(guildId) {
+  const modules = Object.keys(TOGGLEABLE_MODULES);
+  const settings = await getGuildSettings(guildId, modules.map(getModuleKey));
+  return new Set(modules.filter(moduleName => settings[getModuleKey(moduleName)] === 'false'));
+}
+
+/**
+ * Get the servers that have turned a module off, so bot-wide jobs can leave them out
+ * @param {string} moduleName - Module name
+ * @returns {Promise<Array<string>>} - Discord server IDs
+ */
+async function getGuildsWithModuleDisabled(moduleName) {
+  const { Configuration } = require('../database/models');
+
+  const settings = await Configuration.findAll({
+    attributes: ['guildId'],
+    where: { key: getModuleKey(moduleName), value: 'false' },
+    raw: true
+  });
+  return settings.map(setting => setting.guildId);
+}
+
+/**
+ * Check that a module is on in the interaction's server, replying with an error if not
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {string} moduleName - Module name
+ * @returns {Promise<boolean>} - Whether the module is on
+ */
+async function requireModule(interaction, moduleName) {
+  if (await isModuleEnabled(interaction.guildId, moduleName)) {
+    return true;
+  }
+
+  logger.debug(`Turned away ${interaction.user.tag} (${interaction.user.id}): ${moduleName} is off in server ${interaction.guildId}`);
+
+  // Deferred components get a new ephemeral message instead of overwriting the panel
+  const respond = interaction.deferred && !interaction.isModalSubmit() ? safeUpdate : safeReply;
+  await respond(interaction, {
+    embeds: [createErrorEmbed(
+      'Module Turned Off',
+      `**${TOGGLEABLE_MODULES[moduleName].label}** is turned off in this server. A server admin can turn it back on in Configuration Settings.`
+    )],
+    ephemeral: true
+  });
+  return false;
+}
+
+module.exports = {
+  TOGGLEABLE_MODULES,
+  getModuleKey,
+  isModuleEnabled,
+  getDisabledModules,
+  getGuildsWithModuleDisabled,
+  requireModule
+};
@@ -0,0 +1,60 @@
+// KrayStakes Discord Bot - OCR Utilities
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * Run OCR on an image
+ * @param {string} imageUrl - URL of the image to read
+ * @returns {Promise<Object>} - { text: string, confidence: number } (confidence is 0-100)
+ */
+async function recognizeImage(imageUrl) {
+  const { createWorker } = require('tesseract.js');
+  const worker = await createWorker(config.ocr.language);
+
+  try {
+    const { data } = await worker.recognize(imageUrl);
+    logger.debug(`OCR finished with ${data.confidence}% confidence`);
+    return { text: data.text || '', confidence: data.confidence || 0 };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Parse an OCR'd money amount, tolerating thousands separators and cents
+ * @param {string} raw - The raw amount text (e.g. "$5,000" or "5.000")
+ * @returns {number|null} - The whole amount, or null if it could not be read
+ */
+function parseAmount(raw) {
+  let value = raw.replace(/[$\s]/g, '').replace(/,/g, '');
+
+  // A dot followed by exactly three digits is a thousands separator, otherwise cents
+  value = /\.\d{3}(\D|$)/.test(value) ? value.replace(/\./g, '') : value;
+
+  const amount = Math.floor(parseFloat(value));
+  return isNaN(amount) || amount < 1 ? null : amount;
+}
+
+/**
+ * Extract the sender, amount and transaction reference from the text of an SA-MP bank transfer screenshot
+ * @param {string} text - The OCR'd text
+ * @returns {Object} - { sender, amount, reference } (each null if not found)
+ */
+function parseBankTransfer(text) {
+  const senderMatch = text.match(/(?:from|sender|sent by)\s*:?\s*([A-Za-z0-9\[\]]+_[A-Za-z0-9]+|[A-Za-z0-9_\[\]]{3,24})/i);
+  const amountMatch = text.match(/(?:amount|transferred|sent|deposit(?:ed)?)[^\d$\n]*(\$?\s*[\d][\d,.]*)/i)
+    || text.match(/\$\s*([\d][\d,.]*)/);
+  const referenceMatch = text.match(/(?:transaction|reference|ref|txn)\.?\s*(?:id|no\.?|number)?\s*[:#]?\s*([A-Z0-9-]{4,})/i);
+
+  return {
+    sender: senderMatch ? senderMatch[1] : null,
+    amount: amountMatch ? parseAmount(amountMatch[1]) : null,
+    reference: referenceMatch ? referenceMatch[1].toUpperCase() : null
+  };
+}
+
+module.exports = {
+  recognizeImage,
+  parseAmount,
+  parseBankTransfer
+};
@@ -0,0 +1,144 @@
+// KrayStakes Discord Bot - Odds Utilities
+
+/**
+ * Calculate parimutuel decimal odds for each choice from the betting pools
+ * @param {Array<number>} pools - Total amount staked on each choice, by choice index
+ * @param {number} feePercent - House fee percentage taken from the pool
+ * @returns {Array<number|null>} - Decimal odds per choice (null if nothing is staked on it)
+ */
+function calculateParimutuelOdds(pools, feePercent = 0) {
+  const totalPool = pools.reduce((sum, pool) => sum + pool, 0);
+  const netPool = totalPool * (1 - feePercent / 100);
+
+  return pools.map(pool => (pool > 0 ? roundOdds(netPool / pool) : null));
+}
+
+/**
+ * Estimate the odds a new bet would receive, including its own stake in the pools
+ * @param {Array<number>} pools - Total amount staked on each choice, by choice index
+ * @param {number} choiceIndex - The choice being bet on
+ * @param {number} amount - The stake of the new bet
+ * @param {number} feePercent - House fee percentage taken from the pool
+ * @returns {number} - The estimated decimal odds
+ */
+function estimateOdds(pools, choiceIndex, amount, feePercent = 0) {
+  const newPools = pools.map((pool, index) => (index === choiceIndex ? pool + amount : pool));
+  return calculateParimutuelOdds(newPools, feePercent)[choiceIndex];
+}
+
+/**
+ * Calculate the potential winnings (stake included) for a bet at the given odds
+ * @param {number} amount - The bet amount
+ * @param {number} odds - The decimal odds
+ * @returns {number} - Potential winnings in whole coins
+ */
+function calculatePotentialWinnings(amount, odds) {
+  if (!odds) return 0;
+  return Math.floor(amount * odds);
+}
+
+/**
+ * Calculate the payout of a fixed-odds bet: amount × odds minus the house fee
+ * @param {number} amount - The bet amount
+ * @param {number} odds - The decimal odds locked in when the bet was placed
+ * @param {number} feePercent - House fee percentage taken from the payout
+ * @returns {number} - Payout in whole coins
+ */
+function calculateFixedOddsWinnings(amount, odds, feePercent = 0) {
+  if (!odds) return 0;
+  return Math.floor(amount * odds * (1 - feePercent / 100));
+}
+
+/**
+ * Calculate the odds a place bet pays: the win odds' profit scaled by the place fraction
+ * @param {number} winOdds - The decimal win odds
+ * @param {number} fraction - Fraction of the win profit paid on a place (e.g. 0.25 for 1/4 odds)
+ * @returns {number|null} - The decimal place odds (null if there are no win odds)
+ */
+function calculatePlaceOdds(winOdds, fraction) {
+  if (!winOdds) return null;
+  return roundOdds(1 + (winOdds - 1) * fraction);
+}
+
+/**
+ * Calculate fixed odds for an exact finishing order (forecast or tricast) from the runners'
+ * win odds. Each runner's chance is its implied win probability with the bookmaker margin
+ * removed; the chance of each later position is taken from the runners still left in the race.
+ * @param {Array<number|null>} winOdds - Decimal win odds per choice index
+ * @param {Array<number>} selections - Choice indexes in predicted finishing order
+ * @returns {number|null} - The decimal odds (null if a selected runner has no odds)
+ */
+function calculateExactOrderOdds(winOdds, selections) {
+  const implied = winOdds.map(odds => (odds ? 1 / odds : 0));
+  const total = implied.reduce((sum, probability) => sum + probability, 0);
+  if (total === 0 || selections.some(index => !implied[index])) return null;
+
+  let remaining = 1;
+  let probability = 1;
+  for (const index of selections) {
+    const runnerProbability = implied[index] / total;
+    probability *= runnerProbability / remaining;
+    remaining -= runnerProbability;
+  }
+
+  return roundOdds(1 / probability);
+}
+
+/**
+ * Parse choice lines in the format "Name" or "Name | odds"
+ * @param {string} text - One choice per line
+ * @returns {Object} - { choices: Array<{name, odds}>, errors: Array }
+ */
+function parseChoiceLines(text) {
+  const choices = [];
+  const errors = [];
+
+  text.split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+    const [name, oddsText] = line.split('|').map(part => part.trim());
+
+    if (oddsText === undefined || oddsText === '') {
+      choices.push({ name, odds: null });
+      return;
+    }
+
+    const odds = parseFloat(oddsText);
+    if (isNaN(odds) || odds <= 1) {
+      errors.push(`Odds for "${name}" must be a decimal number greater than 1`);
+      return;
+    }
+
+    choices.push({ name, odds: roundOdds(odds) });
+  });
+
+  return { choices, errors };
+}
+
+/**
+ * Round odds to two decimal places
+ * @param {number} odds - The raw odds
+ * @returns {number} - The rounded odds
+ */
+function roundOdds(odds) {
+  return Math.round(odds * 100) / 100;
+}
+
+/**
+ * Format decimal odds for display
+ * @param {number|null} odds - The decimal odds
+ * @returns {string} - The formatted odds (e.g. "2.35x")
+ */
+function formatOdds(odds) {
+  return odds ? `${odds.toFixed(2)}x` : 'No bets yet';
+}
+
+module.exports = {
+  calculateParimutuelOdds,
+  estimateOdds,
+  calculatePotentialWinnings,
+  calculateFixedOddsWinnings,
+  calculatePlaceOdds,
+  calculateExactOrderOdds,
+  parseChoiceLines,
+  roundOdds,
+  formatOdds
+};
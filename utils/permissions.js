@@ -2,6 +2,96 @@
 const { PermissionFlagsBits } = require('discord.js');
 const config = require('../config');
 const logger = require('./logger');
+const { createErrorEmbed } = require('./embeds');
+const { safeReply, safeUpdate } = require('./interactions');
+const { getGuildSetting, getGuildSettings } = require('./guildSettings');
+
+// Who may use an action before a server picks roles for it
+const DEFAULT_ACCESS = {
+  everyone: { label: 'Everyone', check: () => true },
+  eventManager: { label: 'Event Managers', check: member => isEventManager(member) },
+  payoutManager: { label: 'Payout Managers', check: member => isPayoutManager(member) },
+  admin: { label: 'Admins', check: member => isAdmin(member) }
+};
+
+// Panel actions that can be given to roles in the permission matrix. Admins may always use every action.
+const PERMISSION_ACTIONS = {
+  placeBets: {
+    label: 'Place Bets',
+    description: 'Place bets and parlays, view and cancel own bets, manage own wallet',
+    defaultAccess: 'everyone'
+  },
+  createEvent: {
+    label: 'Create Events',
+    description: 'Create events and add markets',
+    defaultAccess: 'eventManager'
+  },
+  editEvent: {
+    label: 'Edit Events',
+    description: 'Edit details, times and odds, reopen or cancel events, view and cancel bets',
+    defaultAccess: 'eventManager'
+  },
+  lockEvent: {
+    label: 'Lock Betting',
+    description: 'Lock, unlock, pause and resume betting on events',
+    defaultAccess: 'eventManager'
+  },
+  announceEvent: {
+    label: 'Announcements & Reminders',
+    description: 'Post event announcements, view the schedule and send reminders',
+    defaultAccess: 'eventManager'
+  },
+  settleEvent: {
+    label: 'Settle Events',
+    description: 'Select market winners and record race results',
+    defaultAccess: 'eventManager'
+  },
+  processPayout: {
+    label: 'Process Payouts',
+    description: 'Open the payout panel and process payouts',
+    defaultAccess: 'payoutManager'
+  },
+  manageWallets: {
+    label: 'Manage Wallets',
+    description: 'Credit deposits, approve or reject deposits and withdrawals, look up wallets',
+    defaultAccess: 'payoutManager'
+  },
+  viewReports: {
+    label: 'Reports',
+    description: 'Open the reports panel',
+    defaultAccess: 'admin'
+  },
+  manageLeaderboard: {
+    label: 'Leaderboard',
+    description: 'Refresh the leaderboard and post it to its channel',
+    defaultAccess: 'admin'
+  },
+  viewLogs: {
+    label: 'View Logs',
+    description: 'View bot logs and the changelog',
+    defaultAccess: 'admin'
+  },
+  downloadLogs: {
+    label: 'Download & Clean Up Logs',
+    description: 'Download log files and delete old logs',
+    defaultAccess: 'admin'
+  },
+  editConfig: {
+    label: 'Edit Configuration',
+    description: 'Change betting, payout, report, channel and schedule settings and debug mode',
+    defaultAccess: 'admin'
+  },
+  manageJobs: {
+    label: 'Scheduled Jobs',
+    description: 'View scheduled jobs and run them now',
+    defaultAccess: 'admin'
+  },
+  manageBackups: {
+    label: 'Backups',
+    description: 'Create, download and restore database backups',
+    defaultAccess: 'admin'
+  }
+};
 
 /**
  * Check if user has admin permissions
@@ -115,40 +205,112 @@ function isEventManager(member) {
 }
 
 /**
- * Check if user has permitted role to use the bot
+ * Get the Configuration key holding the roles given an action
+ * @param {string} action - Permission matrix action key
+ * @returns {string} - Configuration key
+ */
+function getPermissionKey(action) {
+  return `${action}Roles`;
+}
+
+/**
+ * Parse the saved roles of a permission matrix action
+ * @param {string|null} value - Saved configuration value
+ * @returns {Array<string>|null} - Role IDs, or null if the action uses its default access
+ */
+function parsePermissionRoles(value) {
+  if (!value) {
+    return null;
+  }
+
+  return value.split(',').map(roleId => roleId.trim()).filter(Boolean);
+}
+
+/**
+ * Get the roles a server has given a permission matrix action
+ * @param {string} guildId - Discord server ID
+ * @param {string} action - Permission matrix action key
+ * @returns {Promise<Array<string>|null>} - Role IDs, or null if the action uses its default access
+ */
+async function getPermissionRoles(guildId, action) {
+  return parsePermissionRoles(await getGuildSetting(guildId, getPermissionKey(action)));
+}
+
+/**
+ * Check a non-admin member against an action's roles
+ * @param {GuildMember} member - Discord.js GuildMember object
+ * @param {string} action - Permission matrix action key
+ * @param {Array<string>|null} roleIds - The roles given the action, or null for its default access
+ * @returns {boolean} - Whether the member may perform the action
+ */
+function matchesPermissionRoles(member, action, roleIds) {
+  if (!roleIds) {
+    return DEFAULT_ACCESS[PERMISSION_ACTIONS[action].defaultAccess].check(member);
+  }
+
+  return roleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+/**
+ * Check if user may perform a permission matrix action
  * @param {GuildMember} member - Discord.js GuildMember object
- * @returns {boolean} - Whether the user has permission to use the bot
+ * @param {string} action - Permission matrix action key
+ * @returns {Promise<boolean>} - Whether the user may perform the action
  */
-function canUseBetting(member) {
+async function hasPermission(member, action) {
+  const permission = PERMISSION_ACTIONS[action];
+  if (!permission) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
   // Safety check for null/undefined member
   if (!member) {
-    logger.warn('CanUseBetting permission check called with null/undefined member');
+    logger.warn(`Permission check for ${action} called with null/undefined member`);
     return false;
   }
 
   try {
-    // If no permitted roles are configured, allow everyone
-    if (!config.roles?.permitted || !Array.isArray(config.roles.permitted) || config.roles.permitted.length === 0) {
-      return true;
-    }
-    
-    // Admins, payout managers, and event managers can always use betting
-    if (isAdmin(member) || isPayoutManager(member) || isEventManager(member)) {
+    // Admins can always perform every action, so they can't lock themselves out
+    if (isAdmin(member)) {
       return true;
     }
-    
-    // Check if user has any of the permitted roles
-    if (member.roles && member.roles.cache && typeof member.roles.cache.has === 'function') {
-      return config.roles.permitted.some(roleId => member.roles.cache.has(roleId));
-    }
-    
-    return false;
+
+    return matchesPermissionRoles(member, action, await getPermissionRoles(member.guild.id, action));
   } catch (error) {
-    logger.error('Error in canUseBetting permission check:', error);
+    logger.error(`Error in ${action} permission check:`, error);
     return false;
   }
 }
 
+/**
+ * Get every permission matrix action a member may perform, reading the server's matrix once
+ * @param {GuildMember} member - Discord.js GuildMember object
+ * @returns {Promise<Set<string>>} - Permission matrix action keys
+ */
+async function getPermittedActions(member) {
+  const actions = Object.keys(PERMISSION_ACTIONS);
+
+  // Safety check for null/undefined member
+  if (!member) {
+    logger.warn('Permitted actions requested for null/undefined member');
+    return new Set();
+  }
+
+  try {
+    if (isAdmin(member)) {
+      return new Set(actions);
+    }
+
+    const settings = await getGuildSettings(member.guild.id, actions.map(getPermissionKey));
+    return new Set(actions.filter(action =>
+      matchesPermissionRoles(member, action, parsePermissionRoles(settings[getPermissionKey(action)]))
+    ));
+  } catch (error) {
+    logger.error('Error getting permitted actions:', error);
+    return new Set();
+  }
+}
+
 /**
  * Log permission check
  * @param {GuildMember} member - Discord.js GuildMember object
@@ -193,6 +355,7 @@ function logPermissionCheck(member, permissionType, result) {
         logger.db.debug(
           `Permission check: ${userTag} (${userId}) - ${permissionType}: ${result}`,
           {
+            guildId: member.guild?.id,
             userId: userId,
             type: 'permission',
             metadata: {
@@ -243,23 +406,66 @@ function checkEventManager(member) {
 }
 
 /**
- * Check if user has permitted role to use the bot, with logging
+ * Check if user may perform a permission matrix action, with logging
  * @param {GuildMember} member - Discord.js GuildMember object
- * @returns {boolean} - Whether the user has permission to use the bot
+ * @param {string} action - Permission matrix action key
+ * @returns {Promise<boolean>} - Whether the user may perform the action
  */
-function checkCanUseBetting(member) {
-  const result = canUseBetting(member);
-  logPermissionCheck(member, 'canUseBetting', result);
+async function checkPermission(member, action) {
+  const result = await hasPermission(member, action);
+  logPermissionCheck(member, action, result);
   return result;
 }
 
+/**
+ * Check that the user may perform a permission matrix action, replying with an error if not
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {string} action - Permission matrix action key
+ * @returns {Promise<boolean>} - Whether the user may perform the action
+ */
+async function requirePermission(interaction, action) {
+  if (await checkPermission(interaction.member, action)) {
+    return true;
+  }
+
+  // Deferred components get a new ephemeral message instead of overwriting the panel
+  const respond = interaction.deferred && !interaction.isModalSubmit() ? safeUpdate : safeReply;
+  await respond(interaction, {
+    embeds: [createErrorEmbed(
+      'Permission Denied',
+      `You need the **${PERMISSION_ACTIONS[action].label}** permission to do this. A server admin can give it to your role in Configuration Settings.`
+    )],
+    ephemeral: true
+  });
+  return false;
+}
+
+/**
+ * Check whether an interaction may act on the whole bot rather than one server (backups and the
+ * bot-wide scheduled jobs): the bot owner may from any server, anyone else only in the home server
+ * @param {Interaction} interaction - The interaction to check
+ * @returns {boolean} - Whether the interaction has bot-wide access
+ */
+function hasBotWideAccess(interaction) {
+  const isOwner = Boolean(config.ownerId) && interaction.user.id === config.ownerId;
+  const isHomeGuild = Boolean(config.backups.homeGuildId) && interaction.guildId === config.backups.homeGuildId;
+  return isOwner || isHomeGuild;
+}
+
 module.exports = {
+  DEFAULT_ACCESS,
+  PERMISSION_ACTIONS,
   isAdmin,
   isPayoutManager,
   isEventManager,
-  canUseBetting,
+  getPermissionKey,
+  getPermissionRoles,
+  hasPermission,
+  getPermittedActions,
   checkAdmin,
   checkPayoutManager,
   checkEventManager,
-  checkCanUseBetting
+  checkPermission,
+  requirePermission,
+  hasBotWideAccess
 };
\ No newline at end of file
@@ -0,0 +1,395 @@
+// KrayStakes Discord Bot - Interaction Router
+// Routes buttons, select menus and modals to the handlers each module declares in its `routes`
+// export. Their customIds are built here, as v1:<module>:<action>[:<param>...]:<signature>: the
+// parameters are typed, and the HMAC signature stops users from forging or editing them.
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const { createErrorEmbed } = require('./embeds');
+const { isAdmin, requirePermission } = require('./permissions');
+const { requireModule } = require('./moduleToggles');
+const { safeReply, safeUpdate, safeDefer, safeDeferUpdate, handleInteractionError } = require('./interactions');
+
+// Version tag of the customId format; bump it when the format changes so older components are reported as outdated
+const CUSTOM_ID_VERSION = 'v1';
+const SEPARATOR = ':';
+const SIGNATURE_LENGTH = 12;
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+// Modules whose components are routed; each exports routes: { permission, buttons, selects, modals }
+const ROUTED_MODULES = [
+  'adminPanel',
+  'backups',
+  'betting',
+  'changelogDebug',
+  'configurationSettings',
+  'discordBotLogs',
+  'eventCreation',
+  'eventManagement',
+  'guideHelp',
+  'jobScheduler',
+  'leaderboard',
+  'parlays',
+  'payoutManagement',
+  'reportsLogs',
+  'scheduledEvents',
+  'wallet',
+  'winnerSelection'
+];
+
+// Component kinds, by the key of their table in a module's routes
+const COMPONENT_KINDS = {
+  buttons: { label: 'button' },
+  selects: { label: 'menu' },
+  modals: { label: 'form' }
+};
+
+// Parameter types: how a value is written into a customId, and read back (undefined if invalid)
+const PARAM_TYPES = {
+  int: {
+    encode: value => Number.isInteger(Number(value)) && String(value).trim() !== '' ? String(Number(value)) : undefined,
+    decode: text => /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined
+  },
+  string: {
+    encode: value => typeof value === 'string' || typeof value === 'number' ? encodeURIComponent(String(value)) : undefined,
+    decode: text => {
+      try {
+        return decodeURIComponent(text);
+      } catch (error) {
+        return undefined;
+      }
+    }
+  },
+  // Lists of indexes (e.g. the runners picked for a forecast), written as 1-4-2
+  intList: {
+    encode: values => Array.isArray(values) && values.length > 0 && values.every(value => /^\d+$/.test(String(value)))
+      ? values.map(Number).join('-')
+      : undefined,
+    decode: text => /^\d+(-\d+)*$/.test(text) ? text.split('-').map(value => parseInt(value, 10)) : undefined
+  }
+};
+
+// Routes of the loaded modules, by module name
+const routeTables = new Map();
+
+let signingKey = null;
+
+/**
+ * Get the key customIds are signed with: CUSTOM_ID_SECRET, or one derived from the bot token
+ * @returns {Buffer|string} - HMAC key
+ */
+function getSigningKey() {
+  if (!signingKey) {
+    if (config.customIdSecret) {
+      signingKey = config.customIdSecret;
+    } else if (config.token) {
+      signingKey = crypto.createHash('sha256').update(`customIds:${config.token}`).digest();
+    } else {
+      logger.warn('Neither CUSTOM_ID_SECRET nor DISCORD_TOKEN is set; buttons will stop working when the bot restarts');
+      signingKey = crypto.randomBytes(32);
+    }
+  }
+  return signingKey;
+}
+
+/**
+ * Sign the content of a customId
+ * @param {string} payload - The customId without its signature
+ * @returns {string} - Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningKey()).update(payload).digest('base64url').slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Parse a route's parameter declarations (e.g. 'eventId:int', 'picks:intList?')
+ * @param {string} location - Route being loaded, for error messages
+ * @param {Array<string>} specs - Parameter declarations, in customId order
+ * @returns {Array<Object>} - Parameters { name, type, optional }
+ */
+function parseParamSpecs(location, specs = []) {
+  return specs.map((spec, index) => {
+    const match = /^(\w+):(\w+)(\?)?$/.exec(spec);
+    if (!match || !PARAM_TYPES[match[2]]) {
+      throw new Error(`Invalid parameter "${spec}" in route ${location}`);
+    }
+    if (!match[3] && index > 0 && specs[index - 1].endsWith('?')) {
+      throw new Error(`Required parameter "${spec}" follows an optional one in route ${location}`);
+    }
+    return { name: match[1], type: match[2], optional: Boolean(match[3]) };
+  });
+}
+
+/**
+ * Load the routes of a module
+ * @param {string} moduleName - Module name
+ * @returns {Object|null} - The module's routes by component kind, or null if the module isn't routed
+ */
+function getModuleRoutes(moduleName) {
+  if (!ROUTED_MODULES.includes(moduleName)) {
+    return null;
+  }
+
+  if (!routeTables.has(moduleName)) {
+    const { routes } = require(`../modules/${moduleName}`);
+    if (!routes) {
+      throw new Error(`Module ${moduleName} does not export its routes`);
+    }
+
+    const table = {};
+    for (const kind of Object.keys(COMPONENT_KINDS)) {
+      table[kind] = {};
+      for (const [action, route] of Object.entries(routes[kind] || {})) {
+        const location = `${moduleName}:${action} (${kind})`;
+        if (typeof route.handler !== 'function') {
+          throw new Error(`Route ${location} has no handler`);
+        }
+        if (route.permission && typeof route.permission !== 'string') {
+          throw new Error(`Route ${location} has an invalid permission`);
+        }
+
+        table[kind][action] = {
+          ...route,
+          // A route's own permission (null for none) overrides the module's
+          permission: route.permission !== undefined ? route.permission : routes.permission || null,
+          params: parseParamSpecs(location, route.params)
+        };
+      }
+    }
+    routeTables.set(moduleName, table);
+  }
+
+  return routeTables.get(moduleName);
+}
+
+/**
+ * Load the routes of every module, so a broken route table stops the bot at startup
+ * @returns {number} - Number of routes loaded
+ */
+function loadRoutes() {
+  let count = 0;
+  for (const moduleName of ROUTED_MODULES) {
+    const table = getModuleRoutes(moduleName);
+    count += Object.values(table).reduce((total, routes) => total + Object.keys(routes).length, 0);
+  }
+  return count;
+}
+
+/**
+ * Build the customId of a routed component
+ * @param {string} kind - Component kind ('buttons', 'selects' or 'modals')
+ * @param {string} moduleName - Module that handles the component
+ * @param {string} action - The route's action name
+ * @param {Object} params - Values of the route's parameters, by name
+ * @returns {string} - Versioned, signed customId
+ */
+function buildCustomId(kind, moduleName, action, params = {}) {
+  const table = getModuleRoutes(moduleName);
+  const route = table && table[kind][action];
+  if (!route) {
+    throw new Error(`Unknown ${COMPONENT_KINDS[kind].label} route ${moduleName}:${action}`);
+  }
+
+  const parts = [CUSTOM_ID_VERSION, moduleName, action];
+  for (const param of route.params) {
+    const value = params[param.name];
+    if (value === undefined || value === null) {
+      if (param.optional) break;
+      throw new Error(`Missing parameter "${param.name}" for route ${moduleName}:${action}`);
+    }
+
+    const text = PARAM_TYPES[param.type].encode(value);
+    if (text === undefined) {
+      throw new Error(`Invalid ${param.type} parameter "${param.name}" for route ${moduleName}:${action}: ${value}`);
+    }
+    parts.push(text);
+  }
+
+  const payload = parts.join(SEPARATOR);
+  const customId = `${payload}${SEPARATOR}${sign(payload)}`;
+  if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+    throw new Error(`The customId of route ${moduleName}:${action} is longer than ${MAX_CUSTOM_ID_LENGTH} characters`);
+  }
+  return customId;
+}
+
+/**
+ * Build the customId of a button
+ * @param {string} moduleName - Module that handles the button
+ * @param {string} action - The route's action name
+ * @param {Object} [params] - Values of the route's parameters, by name
+ * @returns {string} - Versioned, signed customId
+ */
+function buttonId(moduleName, action, params) {
+  return buildCustomId('buttons', moduleName, action, params);
+}
+
+/**
+ * Build the customId of a select menu
+ * @param {string} moduleName - Module that handles the select menu
+ * @param {string} action - The route's action name
+ * @param {Object} [params] - Values of the route's parameters, by name
+ * @returns {string} - Versioned, signed customId
+ */
+function selectId(moduleName, action, params) {
+  return buildCustomId('selects', moduleName, action, params);
+}
+
+/**
+ * Build the customId of a modal
+ * @param {string} moduleName - Module that handles the modal
+ * @param {string} action - The route's action name
+ * @param {Object} [params] - Values of the route's parameters, by name
+ * @returns {string} - Versioned, signed customId
+ */
+function modalId(moduleName, action, params) {
+  return buildCustomId('modals', moduleName, action, params);
+}
+
+/**
+ * Read a customId built by this router
+ * @param {string} customId - The component's customId
+ * @returns {Object} - { moduleName, action, values } or { error } ('stale' or 'forged')
+ */
+function decodeCustomId(customId) {
+  const parts = (customId || '').split(SEPARATOR);
+
+  // Components from before this format, or from another version of it
+  if (parts[0] !== CUSTOM_ID_VERSION || parts.length < 4) {
+    return { error: 'stale' };
+  }
+
+  const signature = parts.pop();
+  const expected = sign(parts.join(SEPARATOR));
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'forged' };
+  }
+
+  const [, moduleName, action, ...values] = parts;
+  return { moduleName, action, values };
+}
+
+/**
+ * Read a route's parameters from the values of a customId
+ * @param {Object} route - The route
+ * @param {Array<string>} values - Parameter values from the customId
+ * @returns {Object|null} - Parameters by name, or null if they don't match the route
+ */
+function decodeParams(route, values) {
+  if (values.length > route.params.length) {
+    return null;
+  }
+
+  const params = {};
+  for (const [index, param] of route.params.entries()) {
+    if (index >= values.length) {
+      if (param.optional) continue;
+      return null;
+    }
+
+    const value = PARAM_TYPES[param.type].decode(values[index]);
+    if (value === undefined) {
+      return null;
+    }
+    params[param.name] = value;
+  }
+  return params;
+}
+
+/**
+ * Get the kind of a component interaction
+ * @param {Interaction} interaction - The interaction
+ * @returns {string|null} - 'buttons', 'selects', 'modals', or null for other interactions
+ */
+function getComponentKind(interaction) {
+  if (interaction.isButton()) return 'buttons';
+  if (interaction.isStringSelectMenu()) return 'selects';
+  if (interaction.isModalSubmit()) return 'modals';
+  return null;
+}
+
+/**
+ * Tell the user a component can't be used, without touching the message it is on
+ * @param {Interaction} interaction - The interaction
+ * @param {string} kind - Component kind
+ * @param {string} reason - 'stale' or 'forged'
+ */
+async function rejectComponent(interaction, kind, reason) {
+  const label = COMPONENT_KINDS[kind].label;
+  const embed = reason === 'forged'
+    ? createErrorEmbed('Invalid Interaction', `This ${label} could not be verified. Open it again from the panel or command.`)
+    : createErrorEmbed('Outdated Interaction', `This ${label} is from an older version of the bot and no longer works. Open it again from the panel or command.`);
+
+  await safeReply(interaction, { embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Route a button, select menu or modal interaction to its module's handler
+ * @param {Interaction} interaction - The interaction that triggered this
+ * @param {Client} client - The Discord client instance
+ */
+async function routeInteraction(interaction, client) {
+  const kind = getComponentKind(interaction);
+  if (!kind) {
+    return;
+  }
+
+  const decoded = decodeCustomId(interaction.customId);
+  if (decoded.error) {
+    const log = decoded.error === 'forged' ? logger.warn : logger.debug;
+    log(`Rejected ${decoded.error} ${COMPONENT_KINDS[kind].label} ${interaction.customId} from ${interaction.user.tag} (${interaction.user.id})`);
+    return await rejectComponent(interaction, kind, decoded.error);
+  }
+
+  const { moduleName, action, values } = decoded;
+  const table = getModuleRoutes(moduleName);
+  const route = table && table[kind][action];
+  const params = route && decodeParams(route, values);
+  if (!params) {
+    logger.debug(`No ${COMPONENT_KINDS[kind].label} route matches ${interaction.customId}`);
+    return await rejectComponent(interaction, kind, 'stale');
+  }
+
+  logger.debug(`Routing ${COMPONENT_KINDS[kind].label} ${moduleName}:${action}`, { params });
+
+  try {
+    // Give the handler up to 15 minutes instead of 3 seconds, unless it replies or opens a modal itself
+    if (route.defer !== false) {
+      const deferred = kind === 'modals' ? await safeDefer(interaction, true) : await safeDeferUpdate(interaction);
+      if (!deferred) {
+        logger.warn(`Failed to defer ${COMPONENT_KINDS[kind].label} ${moduleName}:${action}`);
+      }
+    }
+
+    // Components of a module the server has turned off are turned away, even for Admins
+    if (!await requireModule(interaction, moduleName)) {
+      return;
+    }
+    if (route.adminOnly && !(interaction.member && isAdmin(interaction.member))) {
+      // Deferred components get a new ephemeral message instead of overwriting the panel
+      const respond = interaction.deferred && kind !== 'modals' ? safeUpdate : safeReply;
+      return await respond(interaction, {
+        embeds: [createErrorEmbed('Permission Denied', 'Only Server Admins can do this.')],
+        ephemeral: true
+      });
+    }
+    if (route.permission && !await requirePermission(interaction, route.permission)) {
+      return;
+    }
+
+    await route.handler(interaction, client, params);
+  } catch (error) {
+    logger.error(`Error handling ${COMPONENT_KINDS[kind].label} ${moduleName}:${action}:`, error);
+    await handleInteractionError(error, interaction, `${moduleName}:${action}`);
+  }
+}
+
+module.exports = {
+  ROUTED_MODULES,
+  loadRoutes,
+  buttonId,
+  selectId,
+  modalId,
+  routeInteraction
+};
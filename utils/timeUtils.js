@@ -76,6 +76,23 @@ function shouldSendReminder(eventDate, reminderMinutes, sentReminders = []) {
   }
 }
 
+/**
+ * Parse a comma-separated list of reminder times in minutes before an event
+ * @param {string} input - The list, e.g. "1440, 60, 15"
+ * @returns {Array<number>|null} - The minutes, longest first without duplicates, or null if any entry is not a positive whole number
+ */
+function parseReminderTimes(input) {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return [];
+  
+  const minutes = trimmed.split(',').map(part => Number(part.trim()));
+  if (minutes.some(value => !Number.isInteger(value) || value <= 0)) {
+    return null;
+  }
+  
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
 /**
  * Convert timezone aware time to UTC
  * @param {string} date - The date string
@@ -140,11 +157,92 @@ function getCommonTimezones() {
   ].sort((a, b) => a.label.localeCompare(b.label));
 }
 
+/**
+ * Parse one field of a cron expression into the values it matches
+ * @param {string} field - The field, e.g. "*", "1-5", "0,30" or a step such as "0-59/15"
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @returns {Set<number>} - The matching values
+ */
+function parseCronField(field, min, max) {
+  const values = new Set();
+  
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) {
+      end = stepText === undefined ? start : max;
+    }
+    
+    if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Get the next time a cron expression fires after a given time. Expressions have the five
+ * fields node-cron uses (minute hour day-of-month month day-of-week) and run in server time.
+ * @param {string} expression - The cron expression, e.g. "0 9 * * 1"
+ * @param {Date} [after] - The time to search from (defaults to now)
+ * @returns {Date|null} - The next fire time, or null if it never fires (e.g. "0 0 31 2 *")
+ */
+function getNextCronTime(expression, after = new Date()) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  
+  const minutes = parseCronField(fields[0], 0, 59);
+  const hours = parseCronField(fields[1], 0, 23);
+  const days = parseCronField(fields[2], 1, 31);
+  const months = parseCronField(fields[3], 1, 12);
+  const weekdays = new Set([...parseCronField(fields[4], 0, 7)].map(day => day % 7)); // 7 is also Sunday
+  
+  // As in standard cron, a restricted day-of-month and day-of-week match if either one does
+  const dayMatches = date => {
+    if (fields[2] === '*' || fields[4] === '*') {
+      return days.has(date.getDate()) && weekdays.has(date.getDay());
+    }
+    return days.has(date.getDate()) || weekdays.has(date.getDay());
+  };
+  
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  
+  // Search a little over four years ahead so leap days are found
+  const searchUntil = after.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (time.getTime() <= searchUntil) {
+    if (!months.has(time.getMonth() + 1) || !dayMatches(time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  
+  return null;
+}
+
 module.exports = {
   formatDate,
   getTimeRemaining,
   shouldSendReminder,
+  parseReminderTimes,
   convertToUTC,
   isDateInPast,
+  getNextCronTime,
   getCommonTimezones
 };
\ No newline at end of file
@@ -91,10 +91,13 @@ function validateEvent(eventData) {
  * Validate bet data before creation
  * @param {Object} betData - The bet data to validate
  * @param {Object} event - The event object
+ * @param {number} [userBetCount=0] - Number of active bets the user already has on the event (or market)
+ * @param {Object} [market] - The market being bet on; limits and choices come from the event when omitted
  * @returns {Object} - { valid: boolean, errors: Array }
  */
-function validateBet(betData, event) {
+function validateBet(betData, event, userBetCount = 0, market = null) {
   const errors = [];
+  const target = market || event;
   
   // Check required fields
   if (!betData.userId) {
@@ -103,13 +106,15 @@ function validateBet(betData, event) {
   
   if (!betData.amount || isNaN(betData.amount)) {
     errors.push('Bet amount is required and must be a number');
+  } else if (!Number.isInteger(Number(betData.amount))) {
+    errors.push('Bet amount must be a whole number of coins');
   } else {
     // Check bet limits
-    if (betData.amount < event.minBet) {
-      errors.push(`Bet amount must be at least ${event.minBet}`);
+    if (betData.amount < target.minBet) {
+      errors.push(`Bet amount must be at least ${target.minBet}`);
     }
-    if (betData.amount > event.maxBet) {
-      errors.push(`Bet amount cannot exceed ${event.maxBet}`);
+    if (betData.amount > target.maxBet) {
+      errors.push(`Bet amount cannot exceed ${target.maxBet}`);
     }
   }
   
@@ -117,18 +122,65 @@ function validateBet(betData, event) {
   if (betData.choiceIndex === undefined || betData.choiceIndex === null) {
     errors.push('Bet choice is required');
   } else if (isNaN(betData.choiceIndex) || betData.choiceIndex < 0 || 
-             betData.choiceIndex >= (event.choices ? event.choices.length : 0)) {
+             betData.choiceIndex >= (target.choices ? target.choices.length : 0)) {
     errors.push('Invalid bet choice');
+  } else if (target.settlementMode === 'fixed') {
+    // Fixed-odds markets need bookmaker odds on the chosen choice
+    const choice = target.choices[betData.choiceIndex];
+    if (typeof choice === 'string' || !choice.odds) {
+      errors.push('No odds have been set for this choice yet');
+    }
+  }
+  
+  // Place and each-way bets pay a fraction of fixed win odds on a top finish
+  if (betData.betType && !['single', 'place', 'each_way', 'forecast', 'tricast'].includes(betData.betType)) {
+    errors.push('Invalid bet type');
+  } else if (['forecast', 'tricast'].includes(betData.betType)) {
+    // Forecasts and tricasts predict the exact top 2 or 3 of a race
+    const places = betData.betType === 'forecast' ? 2 : 3;
+    const selections = betData.selections || [];
+    if (event.type !== 'racing' || market) {
+      errors.push('Forecasts and tricasts are only available on the main result of racing events');
+    } else if (selections.length !== places || new Set(selections).size !== places ||
+               selections.some(index => !Number.isInteger(index) || !event.choices[index])) {
+      errors.push(`A ${betData.betType} needs ${places} different runners in finishing order`);
+    } else if (event.settlementMode === 'fixed' &&
+               selections.some(index => typeof event.choices[index] === 'string' || !event.choices[index].odds)) {
+      errors.push('No odds have been set for one of these runners yet');
+    }
+  } else if (['place', 'each_way'].includes(betData.betType)) {
+    if (event.type !== 'racing' || market) {
+      errors.push('Place and each-way bets are only available on the main result of racing events');
+    } else if (event.settlementMode !== 'fixed') {
+      errors.push('Place and each-way bets need fixed odds');
+    } else if (event.choices.length <= betData.placePositions) {
+      errors.push(`Place and each-way bets need more than ${betData.placePositions} runners`);
+    }
+    if (betData.betType === 'each_way' && betData.amount % 2 !== 0) {
+      errors.push('An each-way stake is split equally between win and place, so it must be an even number of coins');
+    }
+  }
+  
+  // Check per-user bet limit
+  if (target.limitPerUser && userBetCount >= target.limitPerUser) {
+    errors.push(`You can only place ${target.limitPerUser} bet(s) on this ${market ? 'market' : 'event'}`);
   }
   
-  // Check event status
+  // Check event and market status
   if (event.status !== 'open') {
     errors.push(`Cannot place bets on events that are ${event.status}`);
+  } else if (market && market.status !== 'open') {
+    errors.push(`Cannot place bets on markets that are ${market.status}`);
   }
   
-  // Check if event is in the past
-  if (event.scheduledTime && isDateInPast(event.scheduledTime) && event.status !== 'pending') {
-    errors.push('Cannot place bets on events that have already started');
+  // Check if event is in the past, or betting has closed ahead of its start (before the scheduler gets to lock it)
+  const { autoLock, lockOffsetMinutes } = require('../config').scheduling;
+  const lockTime = event.scheduledTime &&
+    new Date(new Date(event.scheduledTime).getTime() - (autoLock ? lockOffsetMinutes || 0 : 0) * 60000);
+  if (lockTime && isDateInPast(lockTime) && event.status !== 'pending') {
+    errors.push(isDateInPast(event.scheduledTime)
+      ? 'Cannot place bets on events that have already started'
+      : 'Betting has closed for this event');
   }
   
   return {